@@ -12,6 +12,9 @@ const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const courseRoutes = require('./routes/courseRoutes');
 const videoRoutes = require('./routes/videoRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const storageRoutes = require('./routes/storageRoutes');
 
 // Cargar variables de entorno
 require('dotenv').config();
@@ -52,6 +55,9 @@ app.use(`${apiPrefix}/auth`, authRoutes);
 app.use(`${apiPrefix}/users`, userRoutes);
 app.use(`${apiPrefix}/courses`, courseRoutes);
 app.use(`${apiPrefix}/videos`, videoRoutes);
+app.use(`${apiPrefix}/admin`, adminRoutes);
+app.use(`${apiPrefix}/uploads`, uploadRoutes);
+app.use(`${apiPrefix}/storage`, storageRoutes);
 
 // Ruta base para verificar que la API está funcionando
 app.get('/', (req, res) => {
@@ -0,0 +1,38 @@
+const path = require('path');
+const { createTransport } = require('../utils/mailTransports');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Determinar el transporte de correo a utilizar
+ * En producción se usa SMTP; en pruebas, memoria; en desarrollo, archivos locales
+ * @returns {string} Nombre del transporte
+ */
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    return 'smtp';
+  }
+
+  return process.env.NODE_ENV === 'test' ? 'memory' : 'file';
+};
+
+// Crear instancia del transporte configurado
+const transport = createTransport(resolveTransportName(), {
+  host: process.env.SMTP_HOST,
+  port: envInteger('SMTP_PORT', 587, { min: 1 }),
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  password: process.env.SMTP_PASSWORD,
+  directory: process.env.MAIL_FILE_DIR || path.join('tmp', 'mails'),
+});
+
+logger.debug(`Transporte de correo configurado: ${transport.name}`);
+
+module.exports = {
+  transport,
+  mailFrom: process.env.MAIL_FROM || 'PANATRI <no-reply@panatri.com>',
+};
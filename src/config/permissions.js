@@ -0,0 +1,95 @@
+/**
+ * Catálogo de permisos y roles predefinidos de la plataforma
+ *
+ * Los permisos de un usuario sobre un curso provienen de dos fuentes:
+ * - Su rol en la plataforma, que los concede sobre cualquier curso
+ * - Su rol en el equipo docente del curso (propietario, co-instructor, asistente)
+ * El comodín '*' concede todos los permisos.
+ */
+
+/**
+ * Permisos disponibles con su descripción
+ */
+const PERMISSIONS = {
+  'course:create': 'Crear cursos',
+  'course:update': 'Modificar cursos y sus módulos (incluido restaurar módulos de la papelera)',
+  'course:delete': 'Eliminar cursos y restaurarlos de la papelera',
+  'course:staff': 'Gestionar el equipo docente de un curso',
+  'video:create': 'Agregar videos a un curso',
+  'video:update': 'Modificar videos',
+  'video:delete': 'Eliminar videos y restaurarlos de la papelera',
+  'video:upload': 'Subir archivos de video',
+  'video:view': 'Ver videos sin estar matriculado, incluidos los no publicados',
+  'user:read': 'Consultar usuarios',
+  'user:update': 'Cambiar el rol, el estado o exigir el restablecimiento de contraseña de usuarios',
+  'user:unlock': 'Desbloquear cuentas bloqueadas por intentos fallidos',
+  'user:enroll': 'Matricular y dar de baja usuarios manualmente',
+  'setting:manage': 'Modificar los ajustes de la plataforma',
+  'role:manage': 'Crear y modificar roles personalizados',
+  'watermark:lookup': 'Identificar al usuario y la sesión de una marca de agua filtrada',
+};
+
+// Comodín que concede todos los permisos
+const ALL_PERMISSIONS = '*';
+
+/**
+ * Roles predefinidos; no pueden modificarse ni eliminarse
+ */
+const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Administrador con acceso total',
+    permissions: [ALL_PERMISSIONS],
+  },
+  instructor: {
+    description: 'Instructor que crea cursos y gestiona aquellos en cuyo equipo docente participa',
+    permissions: ['course:create'],
+  },
+  user: {
+    description: 'Estudiante',
+    permissions: [],
+  },
+};
+
+/**
+ * Roles del equipo docente de un curso y los permisos que conceden sobre él
+ */
+const COURSE_STAFF_ROLES = {
+  owner: [
+    'course:update',
+    'course:delete',
+    'course:staff',
+    'video:create',
+    'video:update',
+    'video:delete',
+    'video:upload',
+    'video:view',
+  ],
+  'co-instructor': [
+    'course:update',
+    'video:create',
+    'video:update',
+    'video:delete',
+    'video:upload',
+    'video:view',
+  ],
+  assistant: [
+    'video:update',
+    'video:view',
+  ],
+};
+
+/**
+ * Indica si un permiso concedido a un rol es válido
+ * @param {string} grant - Permiso o comodín
+ * @returns {boolean}
+ */
+const isValidGrant = (grant) =>
+  grant === ALL_PERMISSIONS || Object.prototype.hasOwnProperty.call(PERMISSIONS, grant);
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  COURSE_STAFF_ROLES,
+  ALL_PERMISSIONS,
+  isValidGrant,
+};
@@ -0,0 +1,13 @@
+/**
+ * Planes de suscripción de los estudiantes
+ * Determinan, entre otros límites, cuántas reproducciones simultáneas se permiten (ajuste maxConcurrentStreams)
+ */
+const PLANS = ['basic', 'standard', 'premium'];
+
+// Plan asignado a las cuentas nuevas
+const DEFAULT_PLAN = 'basic';
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+};
@@ -0,0 +1,82 @@
+/**
+ * Políticas de seguridad configurables mediante variables de entorno
+ * Se evalúan en cada llamada para reflejar cambios de configuración en pruebas
+ */
+
+const { envInteger } = require('../utils/env');
+
+/**
+ * Indica si se exige un correo verificado para matricularse en cursos
+ * Activo por defecto; se desactiva con REQUIRE_VERIFIED_EMAIL_TO_ENROLL=false
+ * @returns {boolean}
+ */
+const requireVerifiedEmailToEnroll = () =>
+  process.env.REQUIRE_VERIFIED_EMAIL_TO_ENROLL !== 'false';
+
+/**
+ * Indica si la autenticación en dos pasos es obligatoria para el personal
+ * Se activa con REQUIRE_2FA_FOR_STAFF=true
+ * @returns {boolean}
+ */
+const isTwoFactorRequiredForStaff = () => process.env.REQUIRE_2FA_FOR_STAFF === 'true';
+
+/**
+ * Indica si un usuario debe tener activa la autenticación en dos pasos
+ * Se considera personal a cualquier rol distinto de 'user' (incluidos los personalizados)
+ * @param {Object} user - Usuario autenticado
+ * @returns {boolean}
+ */
+const isTwoFactorRequiredFor = (user) => isTwoFactorRequiredForStaff() && user.role !== 'user';
+
+/**
+ * Parámetros de protección contra fuerza bruta en login y recuperación de contraseña
+ * @returns {Object} Umbrales, duración del bloqueo y retrasos progresivos
+ */
+const bruteForcePolicy = () => ({
+  // Fallos por cuenta antes del bloqueo temporal (0 = sin límite)
+  maxAccountFailures: envInteger('AUTH_MAX_ACCOUNT_FAILURES', 5),
+  // Fallos por IP antes del bloqueo temporal (0 = sin límite)
+  maxIpFailures: envInteger('AUTH_MAX_IP_FAILURES', 20),
+  // Duración del bloqueo en minutos (0 = sin bloqueo, solo esperas progresivas)
+  lockoutMinutes: envInteger('AUTH_LOCKOUT_MINUTES', 15),
+  // Fallos a partir de los cuales se exige esperar entre intentos
+  delayAfterFailures: 3,
+  // Espera máxima entre intentos en segundos
+  maxDelaySeconds: 60,
+});
+
+/**
+ * Parámetros de las marcas de agua de la reproducción
+ * La marca visible está activa por defecto (WATERMARK_ENABLED=false la desactiva);
+ * la forense requiere generar variantes de cada segmento al transcodificar (WATERMARK_FORENSIC=true)
+ * @returns {Object} Activación, cambio de posición y opacidad de la marca visible, y activación de la forense
+ */
+const watermarkPolicy = () => ({
+  enabled: process.env.WATERMARK_ENABLED !== 'false',
+  // Segundos entre cambios de posición de la marca visible
+  rotationSeconds: envInteger('WATERMARK_ROTATION_SECONDS', 30, { min: 1 }),
+  opacity: parseFloat(process.env.WATERMARK_OPACITY) || 0.3,
+  forensic: process.env.WATERMARK_FORENSIC === 'true',
+});
+
+/**
+ * Parámetros de las sesiones de reproducción
+ * El reproductor envía un latido cada heartbeatSeconds; una reproducción sin latidos durante
+ * timeoutSeconds deja de contar para el límite de reproducciones simultáneas.
+ * Las URL y cookies firmadas de reproducción vencen a los authorizationSeconds
+ * @returns {Object} Intervalo de latidos y vencimientos en segundos
+ */
+const playbackPolicy = () => ({
+  heartbeatSeconds: envInteger('PLAYBACK_HEARTBEAT_SECONDS', 30, { min: 1 }),
+  timeoutSeconds: envInteger('PLAYBACK_SESSION_TIMEOUT_SECONDS', 90, { min: 1 }),
+  authorizationSeconds: envInteger('PLAYBACK_AUTHORIZATION_SECONDS', 3600, { min: 1 }),
+});
+
+module.exports = {
+  requireVerifiedEmailToEnroll,
+  bruteForcePolicy,
+  isTwoFactorRequiredForStaff,
+  isTwoFactorRequiredFor,
+  watermarkPolicy,
+  playbackPolicy,
+};
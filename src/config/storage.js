@@ -0,0 +1,183 @@
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { createStorageDriver } = require('../utils/storageDrivers');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Determinar el driver de almacenamiento a utilizar
+ * Sin STORAGE_DRIVER se usa S3 si hay un bucket configurado; el disco local
+ * nunca se elige por omisión, para no servir archivos desde el servidor por error
+ * @returns {string} Nombre del driver
+ */
+const resolveDriverName = () => {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+
+  if (process.env.AWS_S3_BUCKET) {
+    return 's3';
+  }
+
+  throw new Error('Configure AWS_S3_BUCKET o indique el driver de almacenamiento con STORAGE_DRIVER (s3 o local)');
+};
+
+/**
+ * Obtener el secreto con el que el driver local firma sus URL
+ * Debe ser propio: quien conociera el secreto de los tokens podría firmar URL de cualquier archivo, y viceversa
+ * @returns {string} Secreto de firma
+ */
+const resolveSigningSecret = () => {
+  const secret = process.env.STORAGE_SIGNING_SECRET;
+
+  if (!secret) {
+    throw new Error('El driver de almacenamiento local requiere STORAGE_SIGNING_SECRET para firmar las URL');
+  }
+
+  if (secret === process.env.JWT_SECRET) {
+    throw new Error('STORAGE_SIGNING_SECRET debe ser distinto de JWT_SECRET');
+  }
+
+  return secret;
+};
+
+const driverName = resolveDriverName();
+
+// Crear instancia del driver configurado
+const storage = createStorageDriver(driverName, {
+  bucket: process.env.AWS_S3_BUCKET,
+  cloudFrontDomain: process.env.CLOUDFRONT_DOMAIN,
+  directory: process.env.STORAGE_LOCAL_DIR || path.join('tmp', 'storage'),
+  baseUrl: process.env.STORAGE_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 5000}${process.env.API_PREFIX || '/api'}/storage`,
+  secret: driverName === 'local' ? resolveSigningSecret() : undefined,
+});
+
+logger.debug(`Driver de almacenamiento configurado: ${storage.name}`);
+
+/**
+ * Configurar multer para subir videos al almacenamiento
+ */
+const uploadVideo = multer({
+  storage: storage.multerStorage((file) => {
+    // Generar nombre único con uuid para evitar colisiones
+    const fileName = `${uuidv4()}${path.extname(file.originalname)}`;
+    return `videos/${fileName}`;
+  }),
+  limits: {
+    fileSize: envInteger('MAX_FILE_SIZE', 500000000, { min: 1 }), // 500MB por defecto
+  },
+  fileFilter: (req, file, cb) => {
+    // Validar tipos de archivo permitidos
+    const filetypes = /mp4|mov|avi|wmv|flv|mkv/;
+    const mimetype = filetypes.test(file.mimetype);
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+
+    cb(new Error('Error: Solo se permiten archivos de video (mp4, mov, avi, wmv, flv, mkv)'));
+  }
+});
+
+/**
+ * Configurar multer para recibir archivos de subtítulos en memoria
+ * Se validan y convierten antes de guardarlos en el almacenamiento
+ */
+const uploadCaption = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: envInteger('MAX_CAPTION_FILE_SIZE', 1024 * 1024, { min: 1 }), // 1MB por defecto
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(vtt|srt)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+
+    cb(new Error('Error: Solo se permiten archivos de subtítulos (vtt, srt)'));
+  }
+});
+
+/**
+ * Configurar multer para recibir archivos WebVTT de capítulos en memoria
+ */
+const uploadChapters = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: envInteger('MAX_CAPTION_FILE_SIZE', 1024 * 1024, { min: 1 }), // 1MB por defecto
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.vtt$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+
+    cb(new Error('Error: Los capítulos deben subirse en un archivo WebVTT (vtt)'));
+  }
+});
+
+/**
+ * Extensiones de los recursos descargables agrupadas por tipo de recurso
+ */
+const RESOURCE_TYPES = {
+  pdf: ['.pdf'],
+  doc: ['.doc', '.docx', '.odt', '.rtf', '.txt'],
+  excel: ['.xls', '.xlsx', '.ods', '.csv'],
+  ppt: ['.ppt', '.pptx', '.odp'],
+  image: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+};
+
+/**
+ * Tipos MIME aceptados para cada extensión de recurso
+ * Los navegadores envían algunos formatos como application/octet-stream, que también se acepta
+ */
+const RESOURCE_MIME_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.odt': ['application/vnd.oasis.opendocument.text'],
+  '.rtf': ['application/rtf', 'text/rtf'],
+  '.txt': ['text/plain'],
+  '.xls': ['application/vnd.ms-excel'],
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  '.ods': ['application/vnd.oasis.opendocument.spreadsheet'],
+  '.csv': ['text/csv', 'application/vnd.ms-excel', 'text/plain'],
+  '.ppt': ['application/vnd.ms-powerpoint'],
+  '.pptx': ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  '.odp': ['application/vnd.oasis.opendocument.presentation'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.gif': ['image/gif'],
+  '.webp': ['image/webp'],
+};
+
+/**
+ * Configurar multer para recibir recursos descargables en memoria
+ * Se guardan en el almacenamiento privado junto a los demás archivos del video
+ */
+const uploadResource = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: envInteger('MAX_RESOURCE_FILE_SIZE', 20 * 1024 * 1024, { min: 1 }), // 20MB por defecto
+  },
+  fileFilter: (req, file, cb) => {
+    const mimeTypes = RESOURCE_MIME_TYPES[path.extname(file.originalname).toLowerCase()];
+
+    if (mimeTypes && (mimeTypes.includes(file.mimetype) || file.mimetype === 'application/octet-stream')) {
+      return cb(null, true);
+    }
+
+    cb(new Error('Error: Solo se permiten recursos pdf, documentos, hojas de cálculo, presentaciones o imágenes'));
+  }
+});
+
+module.exports = {
+  storage,
+  uploadVideo,
+  uploadCaption,
+  uploadChapters,
+  uploadResource,
+  RESOURCE_TYPES,
+};
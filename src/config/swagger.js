@@ -58,6 +58,18 @@ const swaggerSetup = (app) => {
           name: 'Videos',
           description: 'Gestión y reproducción de videos',
         },
+        {
+          name: 'Uploads',
+          description: 'Subidas reanudables de videos de gran tamaño',
+        },
+        {
+          name: 'Storage',
+          description: 'Archivos del almacenamiento local servidos mediante URL firmadas',
+        },
+        {
+          name: 'Admin',
+          description: 'Administración de la plataforma',
+        },
       ],
     },
     apis: [
@@ -0,0 +1,888 @@
+const asyncHandler = require('../utils/asyncHandler');
+const settingService = require('../services/settingService');
+const adminService = require('../services/adminService');
+const roleService = require('../services/roleService');
+const watermarkService = require('../services/watermarkService');
+
+/**
+ * @swagger
+ * /api/admin/settings:
+ *   get:
+ *     summary: Obtener los ajustes de la plataforma
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ajustes obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: maxConcurrentSessions
+ *                       description:
+ *                         type: string
+ *                       value:
+ *                         example: 3
+ *                       isDefault:
+ *                         type: boolean
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ */
+const getSettings = asyncHandler(async (req, res) => {
+  const settings = await settingService.getAll();
+
+  res.status(200).json({
+    success: true,
+    data: settings,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/settings/{key}:
+ *   put:
+ *     summary: Modificar un ajuste de la plataforma
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Clave del ajuste
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - value
+ *             properties:
+ *               value:
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Ajuste actualizado exitosamente
+ *       400:
+ *         description: Valor inválido para el ajuste
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Ajuste desconocido
+ */
+const updateSetting = asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const { value } = req.body;
+  const userId = req.user._id;
+
+  const setting = await settingService.update(key, value, userId);
+
+  res.status(200).json({
+    success: true,
+    data: setting,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: Obtener el catálogo de permisos disponibles
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permisos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: video:delete
+ *                       description:
+ *                         type: string
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para gestionar roles
+ */
+const getPermissions = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: roleService.getPermissions(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: Listar los roles predefinidos y personalizados
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para gestionar roles
+ */
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = await roleService.getRoles();
+
+  res.status(200).json({
+    success: true,
+    data: roles,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   post:
+ *     summary: Crear un rol personalizado
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: support-agent
+ *               description:
+ *                 type: string
+ *                 example: Soporte a estudiantes
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['user:read', 'user:unlock']
+ *     responses:
+ *       201:
+ *         description: Rol creado exitosamente
+ *       400:
+ *         description: Datos inválidos, permisos desconocidos o rol existente
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para gestionar roles o para conceder alguno de los permisos
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const role = await roleService.createRole(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: role,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   put:
+ *     summary: Modificar un rol personalizado
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre del rol
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *       400:
+ *         description: Permisos desconocidos o rol predefinido
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para gestionar roles o sin alguno de los permisos actuales o nuevos del rol
+ *       404:
+ *         description: Rol no encontrado
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await roleService.updateRole(req.params.name, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: role,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   delete:
+ *     summary: Eliminar un rol personalizado sin usuarios asignados
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre del rol
+ *     responses:
+ *       200:
+ *         description: Rol eliminado exitosamente
+ *       400:
+ *         description: Rol predefinido o con usuarios asignados
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para gestionar roles
+ *       404:
+ *         description: Rol no encontrado
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  await roleService.deleteRole(req.params.name, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Rol eliminado exitosamente',
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Listar usuarios con filtros
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Resultados por página (máximo 100)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filtrar por rol
+ *       - in: query
+ *         name: plan
+ *         schema:
+ *           type: string
+ *           enum: [basic, standard, premium]
+ *         description: Filtrar por plan
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *         description: Filtrar por estado de la cuenta
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por verificación de correo
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *         description: ID de curso en el que está matriculado, o "none" para usuarios sin matrículas
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Buscar por nombre o correo
+ *     responses:
+ *       200:
+ *         description: Lista de usuarios obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const result = await adminService.getUsers(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.users,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Obtener el detalle de un usuario
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const getUserById = asyncHandler(async (req, res) => {
+  const user = await adminService.getUserById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Cambiar el rol de un usuario
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: Rol predefinido (user, instructor, admin) o personalizado
+ *                 example: instructor
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *       400:
+ *         description: Rol inexistente o intento de cambiar el propio rol
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración o sin todos los permisos del rol actual y del nuevo
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const user = await adminService.updateUserRole(req.params.id, req.body.role, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/status:
+ *   put:
+ *     summary: Activar o desactivar un usuario
+ *     description: Al desactivar un usuario se cierran todas sus sesiones
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Estado actualizado exitosamente
+ *       400:
+ *         description: Valor inválido o intento de cambiar el estado de la propia cuenta
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const user = await adminService.updateUserStatus(req.params.id, req.body.isActive, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/plan:
+ *   put:
+ *     summary: Cambiar el plan de un usuario
+ *     description: El plan determina cuántas reproducciones simultáneas se permiten (ajuste `maxConcurrentStreams`)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 enum: [basic, standard, premium]
+ *                 example: premium
+ *     responses:
+ *       200:
+ *         description: Plan actualizado exitosamente
+ *       400:
+ *         description: Plan inválido
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const updateUserPlan = asyncHandler(async (req, res) => {
+  const user = await adminService.updateUserPlan(req.params.id, req.body.plan, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Exigir a un usuario que restablezca su contraseña
+ *     description: Cierra todas sus sesiones, impide el inicio de sesión hasta el restablecimiento y le envía un enlace por correo
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Restablecimiento exigido y correo enviado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error al enviar el correo
+ */
+const forcePasswordReset = asyncHandler(async (req, res) => {
+  const message = await adminService.forcePasswordReset(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/enrollments:
+ *   post:
+ *     summary: Matricular manualmente a un usuario en un curso
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - courseId
+ *             properties:
+ *               courseId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Usuario matriculado exitosamente
+ *       400:
+ *         description: El usuario ya está matriculado en el curso
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Usuario o curso no encontrado
+ */
+const enrollUser = asyncHandler(async (req, res) => {
+  const user = await adminService.enrollUser(req.params.id, req.body.courseId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/enrollments/{courseId}:
+ *   delete:
+ *     summary: Dar de baja a un usuario de un curso
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Usuario dado de baja exitosamente
+ *       400:
+ *         description: El usuario no está matriculado en el curso
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const unenrollUser = asyncHandler(async (req, res) => {
+  const user = await adminService.unenrollUser(req.params.id, req.params.courseId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Desbloquear una cuenta bloqueada por intentos fallidos
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Cuenta desbloqueada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const message = await adminService.unlockUser(id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/watermarks/lookup:
+ *   get:
+ *     summary: Identificar el usuario y la sesión de una marca de agua filtrada
+ *     description: |
+ *       Acepta el código visible en la copia o la secuencia de variantes de la marca forense
+ *       (una letra a o b por segmento, al menos 40 segmentos consecutivos)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Código de la marca visible
+ *         example: 7KQ2M9XD
+ *       - in: query
+ *         name: sequence
+ *         schema:
+ *           type: string
+ *         description: Variantes de segmentos observadas en la copia
+ *         example: abbabaaabbbababbaaabababbbaabaabbbababaa
+ *     responses:
+ *       200:
+ *         description: Coincidencias encontradas (vacío si el código no existe)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                       offset:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Segmento (módulo 40) en el que comienza la secuencia, si se buscó por secuencia
+ *                       user:
+ *                         type: object
+ *                       video:
+ *                         type: object
+ *                       course:
+ *                         type: string
+ *                       session:
+ *                         type: object
+ *                         nullable: true
+ *                         description: Sesión (dispositivo) desde la que se reprodujo
+ *                       ip:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       firstUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Código o secuencia inválidos
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Sin permiso para esta operación de administración
+ */
+const lookupWatermark = asyncHandler(async (req, res) => {
+  const { code, sequence } = req.query;
+
+  const matches = await watermarkService.lookup({ code, sequence });
+
+  res.status(200).json({
+    success: true,
+    data: matches,
+  });
+});
+
+module.exports = {
+  getSettings,
+  updateSetting,
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUsers,
+  getUserById,
+  updateUserRole,
+  updateUserStatus,
+  updateUserPlan,
+  forcePasswordReset,
+  enrollUser,
+  unenrollUser,
+  unlockUser,
+  lookupWatermark,
+};
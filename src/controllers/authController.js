@@ -1,5 +1,16 @@
 const asyncHandler = require('../utils/asyncHandler');
 const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Obtener los datos del dispositivo que realiza la solicitud
+ * @param {Object} req - Objeto de solicitud Express
+ * @returns {Object} Agente de usuario e IP
+ */
+const getClientContext = (req) => ({
+  userAgent: req.get('User-Agent') || '',
+  ip: req.ip,
+});
 
 /**
  * @swagger
@@ -29,6 +40,10 @@ const authService = require('../services/authService');
  *                 type: string
  *                 format: password
  *                 example: Contraseña123!
+ *               language:
+ *                 type: string
+ *                 enum: [es, en]
+ *                 example: es
  *     responses:
  *       201:
  *         description: Usuario registrado exitosamente
@@ -62,15 +77,16 @@ const authService = require('../services/authService');
  *         description: El correo electrónico ya está registrado
  */
 const register = asyncHandler(async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, email, password, language } = req.body;
 
   const userData = {
     name,
     email,
     password,
+    language,
   };
 
-  const result = await authService.register(userData);
+  const result = await authService.register(userData, getClientContext(req));
 
   res.status(201).json({
     success: true,
@@ -129,13 +145,24 @@ const register = asyncHandler(async (req, res) => {
  *                       type: string
  *                     refreshToken:
  *                       type: string
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
+ *                       description: El rol del usuario exige activar 2FA
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Se requiere el segundo factor en /login/2fa (sin tokens)
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Token de desafío para /login/2fa
  *       401:
  *         description: Credenciales inválidas
+ *       429:
+ *         description: Cuenta o IP bloqueada temporalmente por intentos fallidos
  */
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  const result = await authService.login(email, password);
+  const result = await authService.login(email, password, getClientContext(req));
 
   res.status(200).json({
     success: true,
@@ -176,13 +203,16 @@ const login = asyncHandler(async (req, res) => {
  *                   properties:
  *                     accessToken:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Nuevo token de refresco (el anterior queda invalidado)
  *       401:
- *         description: Token inválido o expirado
+ *         description: Token inválido, expirado o revocado
  */
 const refreshToken = asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
 
-  const result = await authService.refreshToken(refreshToken);
+  const result = await authService.refreshToken(refreshToken, getClientContext(req));
 
   res.status(200).json({
     success: true,
@@ -190,6 +220,87 @@ const refreshToken = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar la sesión asociada a un token de refresco
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: No se proporcionó token de refresco
+ *       401:
+ *         description: Token inválido o expirado
+ */
+const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const message = await authService.logout(refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message,
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Cerrar todas las sesiones del usuario autenticado
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas las sesiones han sido cerradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const message = await authService.logoutAll(userId);
+
+  res.status(200).json({
+    success: true,
+    message,
+  });
+});
+
 /**
  * @swagger
  * /api/auth/forgot-password:
@@ -222,13 +333,13 @@ const refreshToken = asyncHandler(async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *       404:
- *         description: No hay ningún usuario con ese correo electrónico
+ *       429:
+ *         description: Demasiadas solicitudes para la cuenta o la IP
  */
 const forgotPassword = asyncHandler(async (req, res) => {
   const { email } = req.body;
 
-  const message = await authService.forgotPassword(email);
+  const message = await authService.forgotPassword(email, getClientContext(req));
 
   res.status(200).json({
     success: true,
@@ -289,10 +400,310 @@ const resetPassword = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verificar el correo electrónico del usuario
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Correo electrónico verificado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Token de verificación inválido o expirado
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const message = await authService.verifyEmail(token);
+
+  res.status(200).json({
+    success: true,
+    message,
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Reenviar el correo de verificación al usuario autenticado
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Correo de verificación reenviado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: El correo electrónico ya está verificado
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const message = await authService.resendVerificationEmail(userId);
+
+  res.status(200).json({
+    success: true,
+    message,
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Completar el inicio de sesión con el segundo factor
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token de desafío devuelto por /login
+ *               code:
+ *                 type: string
+ *                 description: Código TOTP de la aplicación autenticadora
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Código de recuperación (alternativa a code)
+ *                 example: a1b2c-3d4e5
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso
+ *       401:
+ *         description: Código inválido o desafío expirado
+ */
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const result = await authService.verifyTwoFactorLogin(
+    challengeToken,
+    { code, recoveryCode },
+    getClientContext(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Iniciar la configuración de la autenticación en dos pasos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secreto generado; debe confirmarse con /2fa/enable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUri:
+ *                       type: string
+ *       400:
+ *         description: La autenticación en dos pasos ya está activa
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.setup(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Activar la autenticación en dos pasos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: 2FA activada; se devuelven los códigos de recuperación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Código inválido o configuración no iniciada
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const result = await twoFactorService.enable(req.user._id, code);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desactivar la autenticación en dos pasos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA desactivada
+ *       401:
+ *         description: Contraseña o código inválido
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const message = await twoFactorService.disable(req.user._id, password, { code, recoveryCode });
+
+  res.status(200).json({
+    success: true,
+    message,
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerar los códigos de recuperación
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Nuevos códigos de recuperación generados
+ *       401:
+ *         description: Código inválido
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const result = await twoFactorService.regenerateRecoveryCodes(req.user._id, code);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
 module.exports = {
   register,
   login,
   refreshToken,
+  logout,
+  logoutAll,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 };
\ No newline at end of file
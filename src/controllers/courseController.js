@@ -1,5 +1,6 @@
 const asyncHandler = require('../utils/asyncHandler');
 const courseService = require('../services/courseService');
+const trashService = require('../services/trashService');
 
 /**
  * @swagger
@@ -30,7 +31,7 @@ const courseService = require('../services/courseService');
  *         name: search
  *         schema:
  *           type: string
- *         description: Término de búsqueda para título o descripción
+ *         description: Término de búsqueda en el título, la descripción y las transcripciones de los videos
  *     responses:
  *       200:
  *         description: Lista de cursos obtenida exitosamente
@@ -252,6 +253,7 @@ const updateCourse = asyncHandler(async (req, res) => {
  * /api/courses/{id}:
  *   delete:
  *     summary: Eliminar un curso
+ *     description: El curso y sus videos se envían a la papelera, desde donde pueden restaurarse hasta que vence el período de retención (`TRASH_RETENTION_DAYS`, 30 días por defecto).
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -295,6 +297,160 @@ const deleteCourse = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/courses/trash:
+ *   get:
+ *     summary: Obtener la papelera
+ *     description: |
+ *       Lista los cursos, módulos y videos eliminados de los cursos en cuyo equipo docente participa el usuario,
+ *       con la fecha en que se eliminarán definitivamente (`purgeAt`). Los videos eliminados junto con su curso
+ *       no se listan aparte: se restauran con el curso.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Elementos en la papelera
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     courses:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           deletedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           deletedBy:
+ *                             type: object
+ *                             description: Usuario que lo eliminó (_id y name)
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Fecha a partir de la cual se elimina definitivamente
+ *                     modules:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           course:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                           deletedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           deletedBy:
+ *                             type: object
+ *                             description: Usuario que lo eliminó (_id y name)
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Fecha a partir de la cual se elimina definitivamente
+ *                     videos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           course:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                           deletedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           deletedBy:
+ *                             type: object
+ *                             description: Usuario que lo eliminó (_id y name)
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Fecha a partir de la cual se elimina definitivamente
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const trash = await trashService.getTrash(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: trash,
+  });
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}/restore:
+ *   post:
+ *     summary: Restaurar un curso de la papelera
+ *     description: Se restauran también los videos que se eliminaron junto con el curso.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Curso restaurado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Course'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para restaurar este curso
+ *       404:
+ *         description: Curso no encontrado en la papelera
+ */
+const restoreCourse = asyncHandler(async (req, res) => {
+  const course = await trashService.restoreCourse(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: course,
+  });
+});
+
 /**
  * @swagger
  * /api/courses/{id}/modules:
@@ -433,6 +589,7 @@ const updateModule = asyncHandler(async (req, res) => {
  * /api/courses/{id}/modules/{moduleId}:
  *   delete:
  *     summary: Eliminar un módulo del curso
+ *     description: El módulo se envía a la papelera. No puede eliminarse mientras tenga videos.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -481,6 +638,58 @@ const deleteModule = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/courses/{id}/modules/{moduleId}/restore:
+ *   post:
+ *     summary: Restaurar un módulo de la papelera
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del módulo
+ *     responses:
+ *       200:
+ *         description: Módulo restaurado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Course'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este curso
+ *       404:
+ *         description: Curso no encontrado o módulo no encontrado en la papelera
+ */
+const restoreModule = asyncHandler(async (req, res) => {
+  const { id, moduleId } = req.params;
+
+  const course = await trashService.restoreModule(id, moduleId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: course,
+  });
+});
+
 /**
  * @swagger
  * /api/courses/{id}/reviews:
@@ -546,6 +755,208 @@ const addReview = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/courses/{id}/staff:
+ *   get:
+ *     summary: Obtener el equipo docente de un curso
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     responses:
+ *       200:
+ *         description: Equipo docente obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CourseStaffMember'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: Solo el equipo docente puede consultarlo
+ *       404:
+ *         description: Curso no encontrado
+ */
+const getCourseStaff = asyncHandler(async (req, res) => {
+  const staff = await courseService.getStaff(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: staff,
+  });
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}/staff:
+ *   post:
+ *     summary: Agregar un miembro al equipo docente del curso
+ *     description: El usuario invitado recibe un correo de aviso
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [co-instructor, assistant]
+ *     responses:
+ *       201:
+ *         description: Miembro agregado exitosamente
+ *       400:
+ *         description: Rol inválido o el usuario ya forma parte del equipo
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para gestionar el equipo docente
+ *       404:
+ *         description: Curso o usuario no encontrado
+ */
+const addCourseStaffMember = asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+
+  const staff = await courseService.addStaffMember(req.params.id, email, role, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: staff,
+  });
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}/staff/{userId}:
+ *   put:
+ *     summary: Cambiar el rol de un miembro del equipo docente
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del miembro
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [co-instructor, assistant]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *       400:
+ *         description: Rol inválido o el miembro es el propietario
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para gestionar el equipo docente
+ *       404:
+ *         description: Curso o miembro no encontrado
+ */
+const updateCourseStaffMember = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+
+  const staff = await courseService.updateStaffMember(id, userId, req.body.role, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: staff,
+  });
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}/staff/{userId}:
+ *   delete:
+ *     summary: Quitar a un miembro del equipo docente
+ *     description: Los miembros pueden abandonar el equipo indicando su propio ID
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del curso
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del miembro
+ *     responses:
+ *       200:
+ *         description: Miembro quitado exitosamente
+ *       400:
+ *         description: No se puede quitar al propietario
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para gestionar el equipo docente
+ *       404:
+ *         description: Curso o miembro no encontrado
+ */
+const removeCourseStaffMember = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+
+  await courseService.removeStaffMember(id, userId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Miembro quitado del equipo docente',
+  });
+});
+
 module.exports = {
   getCourses,
   getCourseById,
@@ -555,5 +966,12 @@ module.exports = {
   addModule,
   updateModule,
   deleteModule,
+  getTrash,
+  restoreCourse,
+  restoreModule,
   addReview,
+  getCourseStaff,
+  addCourseStaffMember,
+  updateCourseStaffMember,
+  removeCourseStaffMember,
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { storage } = require('../config/storage');
+
+// Tamaño máximo de una parte de subida multiparte (5 GB, igual que S3)
+const MAX_PART_SIZE = 5 * 1024 * 1024 * 1024;
+
+/**
+ * Verificar que el almacenamiento sea local y que la URL firmada sea válida
+ * @param {Object} req - Solicitud
+ * @param {string} route - Ruta firmada (files, uploads o parts)
+ * @param {string} resource - Recurso solicitado
+ */
+const verifyRequest = (req, route, resource) => {
+  // Con otros drivers los archivos no se sirven desde la API
+  if (storage.name !== 'local') {
+    throw new ErrorResponse('Recurso no encontrado', 404);
+  }
+
+  if (!storage.verifySignedUrl(route, resource, req.query)) {
+    throw new ErrorResponse('La URL es inválida o ha vencido', 403);
+  }
+};
+
+/**
+ * @swagger
+ * /api/storage/files/{key}:
+ *   get:
+ *     summary: Descargar un archivo del almacenamiento local
+ *     description: Solo disponible con el driver `local`. La URL la genera la API (p. ej. `videoUrl`) y admite solicitudes por rangos.
+ *     tags: [Storage]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Clave del archivo
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contenido del archivo
+ *       206:
+ *         description: Rango solicitado del archivo
+ *       403:
+ *         description: URL inválida o vencida
+ *       404:
+ *         description: Archivo no encontrado
+ */
+const getFile = asyncHandler(async (req, res) => {
+  const key = req.params[0];
+  verifyRequest(req, 'files', key);
+
+  const metadata = await storage.head(key);
+
+  if (!metadata) {
+    throw new ErrorResponse('Archivo no encontrado', 404);
+  }
+
+  // El reproductor del frontend se sirve desde otro origen
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.type(metadata.contentType);
+  res.sendFile(storage.resolvePath(key));
+});
+
+/**
+ * @swagger
+ * /api/storage/uploads/{key}:
+ *   put:
+ *     summary: Subir un archivo al almacenamiento local
+ *     description: Solo disponible con el driver `local`. La URL firmada fija el tipo de contenido y el tamaño del archivo.
+ *     tags: [Storage]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Clave del archivo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Archivo subido exitosamente
+ *       400:
+ *         description: El tipo o el tamaño no coinciden con los firmados
+ *       403:
+ *         description: URL inválida o vencida
+ */
+const uploadFile = asyncHandler(async (req, res) => {
+  const key = req.params[0];
+  verifyRequest(req, 'uploads', key);
+
+  const size = parseInt(req.query.size, 10);
+
+  if (req.get('Content-Type') !== req.query.contentType) {
+    throw new ErrorResponse('El tipo de contenido no coincide con el de la URL de subida', 400);
+  }
+
+  if (parseInt(req.get('Content-Length'), 10) !== size) {
+    throw new ErrorResponse('El tamaño del archivo no coincide con el de la URL de subida', 400);
+  }
+
+  try {
+    await storage.receiveUpload(key, req, req.query.contentType, size);
+  } catch (error) {
+    throw new ErrorResponse(error.message, 400);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Archivo subido exitosamente',
+  });
+});
+
+/**
+ * @swagger
+ * /api/storage/parts/{uploadId}/{partNumber}:
+ *   put:
+ *     summary: Subir una parte de una subida multiparte al almacenamiento local
+ *     description: Solo disponible con el driver `local`. Las URL se obtienen con `POST /api/uploads/{id}/parts`.
+ *     tags: [Storage]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: partNumber
+ *         required: true
+ *         schema:
+ *           type: number
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Parte subida exitosamente
+ *       403:
+ *         description: URL inválida o vencida
+ *       404:
+ *         description: La subida multiparte no existe
+ */
+const uploadPart = asyncHandler(async (req, res) => {
+  const { uploadId, partNumber } = req.params;
+  verifyRequest(req, 'parts', `${uploadId}/${partNumber}`);
+
+  let received;
+
+  try {
+    received = await storage.receivePart(uploadId, parseInt(partNumber, 10), req, MAX_PART_SIZE);
+  } catch (error) {
+    throw new ErrorResponse(error.message, 400);
+  }
+
+  if (!received) {
+    throw new ErrorResponse('La subida multiparte no existe', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Parte subida exitosamente',
+  });
+});
+
+module.exports = {
+  getFile,
+  uploadFile,
+  uploadPart,
+};
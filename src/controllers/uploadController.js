@@ -0,0 +1,351 @@
+const asyncHandler = require('../utils/asyncHandler');
+const uploadSessionService = require('../services/uploadSessionService');
+
+/**
+ * @swagger
+ * /api/uploads:
+ *   post:
+ *     summary: Iniciar una subida reanudable de video
+ *     description: |
+ *       Reserva el video en estado `pending_upload` e inicia una subida multiparte en el almacenamiento.
+ *       El cliente divide el archivo en `totalParts` partes de `partSize` bytes (la última puede ser menor),
+ *       pide las URL con `POST /api/uploads/{id}/parts`, sube cada parte con PUT y finaliza con
+ *       `POST /api/uploads/{id}/complete`. Tras un corte puede consultar `GET /api/uploads/{id}`
+ *       para saber qué partes faltan y continuar.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - course
+ *               - fileName
+ *               - fileType
+ *               - fileSize
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Laminado de croissants
+ *               description:
+ *                 type: string
+ *               course:
+ *                 type: string
+ *               module:
+ *                 type: string
+ *               order:
+ *                 type: number
+ *               fileName:
+ *                 type: string
+ *                 example: clase-croissants.mp4
+ *               fileType:
+ *                 type: string
+ *                 example: video/mp4
+ *               fileSize:
+ *                 type: number
+ *                 example: 4294967296
+ *     responses:
+ *       201:
+ *         description: Sesión de subida iniciada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       $ref: '#/components/schemas/UploadSession'
+ *                     video:
+ *                       $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: Datos inválidos, tipo de archivo no permitido o tamaño excedido
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para subir videos a este curso
+ *       404:
+ *         description: Curso o módulo no encontrado
+ */
+const initiateUpload = asyncHandler(async (req, res) => {
+  const { title, description, course, module, order, fileName, fileType, fileSize } = req.body;
+
+  const result = await uploadSessionService.initiate(
+    { title, description, course, module, order },
+    { fileName, fileType, fileSize },
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @swagger
+ * /api/uploads:
+ *   get:
+ *     summary: Listar las subidas activas del usuario
+ *     description: Permite retomar las subidas interrumpidas, por ejemplo tras cerrar el navegador
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones de subida activas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UploadSession'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ */
+const getUploads = asyncHandler(async (req, res) => {
+  const sessions = await uploadSessionService.getActiveSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: sessions,
+  });
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}:
+ *   get:
+ *     summary: Obtener una sesión de subida con las partes ya subidas
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la sesión de subida
+ *     responses:
+ *       200:
+ *         description: Sesión obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/UploadSession'
+ *                     - type: object
+ *                       properties:
+ *                         uploadedParts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               partNumber:
+ *                                 type: number
+ *                               size:
+ *                                 type: number
+ *                               etag:
+ *                                 type: string
+ *                         missingParts:
+ *                           type: array
+ *                           items:
+ *                             type: number
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       404:
+ *         description: Sesión de subida no encontrada
+ */
+const getUpload = asyncHandler(async (req, res) => {
+  const session = await uploadSessionService.getSession(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: session,
+  });
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}/parts:
+ *   post:
+ *     summary: Obtener URL prefirmadas para subir partes del archivo
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la sesión de subida
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - partNumbers
+ *             properties:
+ *               partNumbers:
+ *                 type: array
+ *                 description: Números de parte (máximo 100 por solicitud)
+ *                 items:
+ *                   type: number
+ *                 example: [1, 2, 3]
+ *     responses:
+ *       200:
+ *         description: URL generadas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           partNumber:
+ *                             type: number
+ *                           url:
+ *                             type: string
+ *                     expiresIn:
+ *                       type: number
+ *       400:
+ *         description: Números de parte inválidos o sesión no activa
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       404:
+ *         description: Sesión de subida no encontrada
+ */
+const getUploadPartUrls = asyncHandler(async (req, res) => {
+  const result = await uploadSessionService.getPartUrls(
+    req.params.id,
+    req.body.partNumbers,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}/complete:
+ *   post:
+ *     summary: Completar una subida reanudable
+ *     description: Verifica que todas las partes estén subidas, ensambla el archivo y deja el video listo para publicarse
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la sesión de subida
+ *     responses:
+ *       200:
+ *         description: Subida completada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: Faltan partes por subir, el archivo no coincide con lo declarado (código UPLOAD_MISMATCH; la sesión se cancela y el video se descarta) o la sesión no está activa
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       404:
+ *         description: Sesión de subida no encontrada
+ */
+const completeUpload = asyncHandler(async (req, res) => {
+  const video = await uploadSessionService.complete(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: video,
+  });
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}:
+ *   delete:
+ *     summary: Cancelar una subida reanudable
+ *     description: Libera las partes subidas y descarta el video pendiente
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la sesión de subida
+ *     responses:
+ *       200:
+ *         description: Subida cancelada exitosamente
+ *       400:
+ *         description: La sesión no está activa
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       404:
+ *         description: Sesión de subida no encontrada
+ */
+const abortUpload = asyncHandler(async (req, res) => {
+  await uploadSessionService.abort(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Subida cancelada exitosamente',
+  });
+});
+
+module.exports = {
+  initiateUpload,
+  getUploads,
+  getUpload,
+  getUploadPartUrls,
+  completeUpload,
+  abortUpload,
+};
@@ -1,6 +1,11 @@
 const asyncHandler = require('../utils/asyncHandler');
 const videoService = require('../services/videoService');
-const { uploadToS3 } = require('../config/aws');
+const captionService = require('../services/captionService');
+const transcriptService = require('../services/transcriptService');
+const chapterService = require('../services/chapterService');
+const playbackService = require('../services/playbackService');
+const resourceService = require('../services/resourceService');
+const trashService = require('../services/trashService');
 
 /**
  * @swagger
@@ -49,7 +54,14 @@ const { uploadToS3 } = require('../config/aws');
  *                     videos:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Video'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Video'
+ *                           - type: object
+ *                             properties:
+ *                               posterUrl:
+ *                                 type: string
+ *                                 nullable: true
+ *                                 description: URL firmada de la portada generada automáticamente
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -102,19 +114,70 @@ const getVideos = asyncHandler(async (req, res) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Video'
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Video'
+ *                     - type: object
+ *                       properties:
+ *                         videoUrl:
+ *                           type: string
+ *                           nullable: true
+ *                           description: URL firmada del archivo original (null para estudiantes cuando se usa la marca forense)
+ *                         playlistUrl:
+ *                           type: string
+ *                           nullable: true
+ *                           description: URL de la lista maestra HLS (null hasta que termine la transcodificación o si el almacenamiento no admite cookies firmadas); sus segmentos requieren las cookies de `POST /api/videos/{id}/playback-authorization`. Con marca forense la genera la API para esta sesión
+ *                         posterUrl:
+ *                           type: string
+ *                           nullable: true
+ *                           description: URL firmada de la portada generada automáticamente
+ *                         previewSpriteUrl:
+ *                           type: string
+ *                           nullable: true
+ *                           description: URL firmada de la hoja de miniaturas; su disposición se describe en `previewSprite`
+ *                         captions:
+ *                           type: array
+ *                           description: Pistas de subtítulos con su URL firmada, la predeterminada primero
+ *                           items:
+ *                             $ref: '#/components/schemas/CaptionTrack'
+ *                         watermark:
+ *                           nullable: true
+ *                           description: Marca de agua que el reproductor debe dibujar (null para quien gestiona el curso o si están desactivadas)
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Watermark'
+ *                         playback:
+ *                           nullable: true
+ *                           description: Reproducción iniciada; el reproductor debe enviar latidos mientras reproduce (null para quien gestiona el curso)
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/PlaybackSession'
+ *                         progress:
+ *                           type: number
+ *                           description: Porcentaje de la duración que el usuario vio
+ *                         completed:
+ *                           type: boolean
+ *                         watchedSeconds:
+ *                           type: number
+ *                           description: Segundos distintos vistos por el usuario
+ *                         resumePosition:
+ *                           type: number
+ *                           description: Segundo desde el que retomar la reproducción (0 si no hay nada que retomar)
  *       401:
  *         description: No autorizado, token inválido o expirado
  *       403:
  *         description: No tiene acceso a este video
  *       404:
  *         description: Video no encontrado
+ *       409:
+ *         description: Se alcanzó el máximo de reproducciones simultáneas del plan (código `CONCURRENT_STREAM_LIMIT`)
  */
 const getVideoById = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user._id;
 
-  const video = await videoService.getVideoById(id, userId);
+  const video = await videoService.getVideoById(id, userId, {
+    sessionId: req.sessionId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || '',
+  });
 
   res.status(200).json({
     success: true,
@@ -122,6 +185,262 @@ const getVideoById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/videos/{id}/forensic/master.m3u8:
+ *   get:
+ *     summary: Obtener la lista maestra HLS con la marca forense de una sesión
+ *     description: La URL (con su token) la entrega `GET /api/videos/{id}`; no requiere el token de acceso
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token de la lista de reproducción
+ *     responses:
+ *       200:
+ *         description: Lista maestra
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Lista de reproducción expirada o inválida
+ *       404:
+ *         description: Video no encontrado
+ * /api/videos/{id}/forensic/{rendition}/index.m3u8:
+ *   get:
+ *     summary: Obtener la lista HLS de una calidad con la marca forense de una sesión
+ *     description: Cada segmento apunta a la variante que corresponde al código de la sesión, con URL firmada
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: rendition
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre de la calidad
+ *         example: 720p
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token de la lista de reproducción
+ *     responses:
+ *       200:
+ *         description: Lista de la calidad
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Lista de reproducción expirada o inválida
+ *       404:
+ *         description: Video o calidad no encontrados
+ */
+const getForensicPlaylist = asyncHandler(async (req, res) => {
+  const { id, rendition } = req.params;
+
+  const playlist = await videoService.getForensicPlaylist(id, req.query.token, rendition || null);
+
+  // Las URL firmadas de los segmentos caducan: la lista no debe guardarse en caché
+  res.set('Cache-Control', 'private, no-store');
+  res.type('application/vnd.apple.mpegurl').status(200).send(playlist);
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/playback-authorization:
+ *   post:
+ *     summary: Autorizar la reproducción de un video
+ *     description: |
+ *       Aplica las mismas comprobaciones de acceso que `GET /api/videos/{id}` e inicia una reproducción.
+ *       Si el video tiene HLS y CloudFront está configurado, emite cookies firmadas (`CloudFront-Policy`,
+ *       `CloudFront-Signature` y `CloudFront-Key-Pair-Id`) limitadas a los archivos HLS del video y con vencimiento,
+ *       que el navegador envía con la lista maestra y cada segmento. Los valores también se devuelven en `cookies`
+ *       para los reproductores que no comparten las cookies del navegador. Si no, devuelve URL firmadas del archivo original.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     responses:
+ *       200:
+ *         description: Reproducción autorizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cookies, signed-url]
+ *                     playlistUrl:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Lista maestra HLS (sin firmar cuando se autoriza con cookies)
+ *                     videoUrl:
+ *                       type: string
+ *                       nullable: true
+ *                       description: URL firmada del archivo original
+ *                     cookies:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         path:
+ *                           type: string
+ *                           example: /videos/abc/hls/
+ *                         values:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     playback:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/PlaybackSession'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene acceso a este video
+ *       404:
+ *         description: Video no encontrado
+ *       409:
+ *         description: Se alcanzó el máximo de reproducciones simultáneas del plan (código `CONCURRENT_STREAM_LIMIT`)
+ */
+const authorizeVideoPlayback = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const authorization = await videoService.getPlaybackAuthorization(id, req.user._id, {
+    sessionId: req.sessionId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || '',
+  });
+
+  // Las cookies las recibe el dominio de CloudFront: debe compartir el dominio indicado con la API
+  if (authorization.cookies) {
+    Object.entries(authorization.cookies.values).forEach(([name, value]) => {
+      res.cookie(name, value, {
+        domain: process.env.CLOUDFRONT_COOKIE_DOMAIN || undefined,
+        path: authorization.cookies.path,
+        expires: authorization.expiresAt,
+        httpOnly: true,
+        secure: true,
+        sameSite: 'none',
+      });
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: authorization,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/playback/{playbackId}/heartbeat:
+ *   post:
+ *     summary: Mantener activa una reproducción
+ *     description: El reproductor debe enviarlo cada `heartbeatSeconds` segundos mientras reproduce; sin latidos la reproducción expira y deja de contar para el límite del plan
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: playbackId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reproducción devuelto por `GET /api/videos/{id}`
+ *     responses:
+ *       200:
+ *         description: Reproducción renovada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PlaybackSession'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       409:
+ *         description: La reproducción expiró (código `PLAYBACK_SESSION_EXPIRED`) o se superó el límite del plan (código `CONCURRENT_STREAM_LIMIT`)
+ */
+const sendPlaybackHeartbeat = asyncHandler(async (req, res) => {
+  const playback = await playbackService.heartbeat(req.user, req.params.playbackId);
+
+  res.status(200).json({
+    success: true,
+    data: playback,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/playback/{playbackId}:
+ *   delete:
+ *     summary: Terminar una reproducción
+ *     description: Libera su lugar en el límite de reproducciones simultáneas sin esperar a que expire
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: playbackId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reproducción
+ *     responses:
+ *       200:
+ *         description: Reproducción terminada
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       404:
+ *         description: Reproducción no encontrada
+ */
+const stopPlayback = asyncHandler(async (req, res) => {
+  await playbackService.stopPlayback(req.user, req.params.playbackId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Reproducción terminada',
+  });
+});
+
 /**
  * @swagger
  * /api/videos:
@@ -173,7 +492,7 @@ const getVideoById = asyncHandler(async (req, res) => {
  *                 data:
  *                   $ref: '#/components/schemas/Video'
  *       400:
- *         description: Datos de video inválidos
+ *         description: Datos de video inválidos o archivo no permitido (si el video no se crea, el archivo subido se descarta)
  *       401:
  *         description: No autorizado, token inválido o expirado
  *       403:
@@ -182,41 +501,32 @@ const getVideoById = asyncHandler(async (req, res) => {
  *         description: Curso no encontrado
  */
 const createVideo = asyncHandler(async (req, res) => {
-  // Este middleware utiliza multer para manejar la subida de archivos
-  uploadToS3.single('video')(req, res, async (err) => {
-    if (err) {
-      return res.status(400).json({ 
-        success: false, 
-        error: err.message 
-      });
-    }
-
-    if (!req.file) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Por favor, suba un archivo de video' 
-      });
-    }
-
-    const { title, description, course, module, order } = req.body;
-    const userId = req.user._id;
-    const s3Key = req.file.key;
-
-    const videoData = {
-      title,
-      description,
-      course,
-      module,
-      order,
-      isPublished: false, // Por defecto no publicado
-    };
-
-    const video = await videoService.createVideo(videoData, s3Key, userId);
-
-    res.status(201).json({
-      success: true,
-      data: video,
+  // El archivo ya fue recibido por multer en la ruta (acceptFile)
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'Por favor, suba un archivo de video',
     });
+  }
+
+  const { title, description, course, module, order } = req.body;
+
+  const videoData = {
+    title,
+    description,
+    course,
+    module,
+    order,
+    isPublished: false, // Por defecto no publicado
+    contentType: req.file.contentType,
+    fileSize: req.file.size,
+  };
+
+  const video = await videoService.createVideo(videoData, req.file.key, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: video,
   });
 });
 
@@ -246,8 +556,12 @@ const createVideo = asyncHandler(async (req, res) => {
  *                 type: string
  *               description:
  *                 type: string
+ *               course:
+ *                 type: string
+ *                 description: Curso al que se mueve el video (requiere permiso para modificar videos en él)
  *               module:
  *                 type: string
+ *                 description: Módulo del curso en el que queda el video
  *               order:
  *                 type: number
  *               isPublished:
@@ -270,9 +584,9 @@ const createVideo = asyncHandler(async (req, res) => {
  *       401:
  *         description: No autorizado, token inválido o expirado
  *       403:
- *         description: No tiene permisos para actualizar este video
+ *         description: No tiene permisos para actualizar este video o para moverlo al curso de destino
  *       404:
- *         description: Video no encontrado
+ *         description: Video, curso de destino o módulo no encontrado
  */
 const updateVideo = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -292,6 +606,7 @@ const updateVideo = asyncHandler(async (req, res) => {
  * /api/videos/{id}:
  *   delete:
  *     summary: Eliminar un video
+ *     description: El video se envía a la papelera con sus archivos y puede restaurarse hasta que vence el período de retención (`TRASH_RETENTION_DAYS`, 30 días por defecto).
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
@@ -335,11 +650,59 @@ const deleteVideo = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/videos/{id}/restore:
+ *   post:
+ *     summary: Restaurar un video de la papelera
+ *     description: El curso y el módulo del video deben estar activos.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     responses:
+ *       200:
+ *         description: Video restaurado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: El curso o el módulo del video están en la papelera
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para restaurar este video
+ *       404:
+ *         description: Video no encontrado en la papelera
+ */
+const restoreVideo = asyncHandler(async (req, res) => {
+  const video = await trashService.restoreVideo(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: video,
+  });
+});
+
 /**
  * @swagger
  * /api/videos/{id}/progress:
  *   post:
  *     summary: Actualizar progreso de visualización de un video
+ *     description: El progreso y la finalización se calculan con la parte de la duración efectivamente vista (el video se completa al cubrir el 90 %)
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
@@ -357,13 +720,25 @@ const deleteVideo = asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - progress
+ *               - position
  *             properties:
- *               progress:
+ *               position:
  *                 type: number
  *                 minimum: 0
- *                 maximum: 100
- *                 example: 75
+ *                 description: Posición actual de reproducción en segundos
+ *                 example: 312.5
+ *               intervals:
+ *                 type: array
+ *                 description: Rangos reproducidos desde la última actualización. Lo nuevo no puede superar el doble del tiempo transcurrido desde entonces.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: number
+ *                       example: 282.5
+ *                     end:
+ *                       type: number
+ *                       example: 312.5
  *     responses:
  *       200:
  *         description: Progreso actualizado exitosamente
@@ -380,8 +755,13 @@ const deleteVideo = asyncHandler(async (req, res) => {
  *                   properties:
  *                     videoId:
  *                       type: string
+ *                     position:
+ *                       type: number
+ *                     watchedSeconds:
+ *                       type: number
  *                     progress:
  *                       type: number
+ *                       description: Porcentaje de la duración visto
  *                     completed:
  *                       type: boolean
  *       400:
@@ -396,9 +776,9 @@ const deleteVideo = asyncHandler(async (req, res) => {
 const updateVideoProgress = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user._id;
-  const { progress } = req.body;
+  const { position, intervals } = req.body;
 
-  const result = await videoService.updateVideoProgress(id, userId, progress);
+  const result = await videoService.updateVideoProgress(id, userId, { position, intervals });
 
   res.status(200).json({
     success: true,
@@ -410,7 +790,13 @@ const updateVideoProgress = asyncHandler(async (req, res) => {
  * @swagger
  * /api/videos/upload-url:
  *   post:
- *     summary: Obtener URL firmada para subir un video directamente a S3
+ *     summary: Reservar un video y obtener una URL prefirmada para subirlo directamente al almacenamiento
+ *     description: |
+ *       Crea el video en estado `pending_upload` y devuelve los datos de la subida según el driver de almacenamiento.
+ *       Con S3 (`upload.method` POST) el cliente envía un formulario multipart a `upload.url` con todos
+ *       los campos de `upload.fields` y el archivo en el campo `file`. Con el disco local (`upload.method` PUT)
+ *       envía el archivo como cuerpo a `upload.url` con las cabeceras de `upload.headers`.
+ *       En ambos casos finaliza llamando a `POST /api/videos/{id}/confirm-upload`.
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
@@ -421,22 +807,37 @@ const updateVideoProgress = asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             required:
+ *               - title
+ *               - course
  *               - fileName
  *               - fileType
- *               - courseId
+ *               - fileSize
  *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Preparación de masa madre
+ *               description:
+ *                 type: string
+ *               course:
+ *                 type: string
+ *                 example: 60d21b4667d0d8992e610c85
+ *               module:
+ *                 type: string
+ *               order:
+ *                 type: number
  *               fileName:
  *                 type: string
  *                 example: video-masa-madre.mp4
  *               fileType:
  *                 type: string
  *                 example: video/mp4
- *               courseId:
- *                 type: string
- *                 example: 60d21b4667d0d8992e610c85
+ *               fileSize:
+ *                 type: number
+ *                 description: Tamaño exacto del archivo en bytes
+ *                 example: 104857600
  *     responses:
- *       200:
- *         description: URL de subida generada exitosamente
+ *       201:
+ *         description: Video reservado y URL de subida generada exitosamente
  *         content:
  *           application/json:
  *             schema:
@@ -448,26 +849,929 @@ const updateVideoProgress = asyncHandler(async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     uploadUrl:
- *                       type: string
- *                     s3Key:
- *                       type: string
- *                     expiresIn:
- *                       type: number
+ *                     video:
+ *                       $ref: '#/components/schemas/Video'
+ *                     upload:
+ *                       type: object
+ *                       properties:
+ *                         method:
+ *                           type: string
+ *                           enum: [POST, PUT]
+ *                         url:
+ *                           type: string
+ *                         fields:
+ *                           type: object
+ *                           description: Campos del formulario (solo POST)
+ *                         headers:
+ *                           type: object
+ *                           description: Cabeceras de la solicitud (solo PUT)
+ *                         expiresIn:
+ *                           type: number
  *       400:
- *         description: Datos inválidos o tipo de archivo no permitido
+ *         description: Datos inválidos, tipo de archivo no permitido o tamaño excedido
  *       401:
  *         description: No autorizado, token inválido o expirado
  *       403:
  *         description: No tiene permisos para subir videos a este curso
  *       404:
- *         description: Curso no encontrado
+ *         description: Curso o módulo no encontrado
  */
 const getVideoUploadUrl = asyncHandler(async (req, res) => {
-  const { fileName, fileType, courseId } = req.body;
+  const { title, description, course, module, order, fileName, fileType, fileSize } = req.body;
   const userId = req.user._id;
 
-  const result = await videoService.getVideoUploadUrl(fileName, fileType, courseId, userId);
+  const result = await videoService.getVideoUploadUrl(
+    { title, description, course, module, order },
+    { fileName, fileType, fileSize },
+    userId
+  );
+
+  res.status(201).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/confirm-upload:
+ *   post:
+ *     summary: Confirmar la subida directa de un video
+ *     description: Verifica que el archivo exista en el almacenamiento con el tamaño y el tipo declarados y deja el video listo para publicarse
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     responses:
+ *       200:
+ *         description: Subida confirmada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: El archivo no fue subido, no coincide con lo declarado o la subida ya fue confirmada
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para subir videos a este curso
+ *       404:
+ *         description: Video no encontrado
+ */
+const confirmVideoUpload = asyncHandler(async (req, res) => {
+  const video = await videoService.confirmUpload(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: video,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/transcode:
+ *   post:
+ *     summary: Volver a transcodificar un video a HLS
+ *     description: Encola la transcodificación de un video cuyo intento anterior falló o que se subió antes de existir HLS
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     responses:
+ *       202:
+ *         description: Transcodificación encolada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: El video no tiene archivo o la transcodificación ya está en curso
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video no encontrado
+ */
+const transcodeVideo = asyncHandler(async (req, res) => {
+  const video = await videoService.requestTranscode(req.params.id, req.user._id);
+
+  res.status(202).json({
+    success: true,
+    data: video,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/captions:
+ *   get:
+ *     summary: Listar las pistas de subtítulos de un video
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     responses:
+ *       200:
+ *         description: Pistas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CaptionTrack'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos sobre este video
+ *       404:
+ *         description: Video no encontrado
+ */
+const getVideoCaptions = asyncHandler(async (req, res) => {
+  const captions = await captionService.getCaptions(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: captions,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/captions:
+ *   post:
+ *     summary: Agregar una pista de subtítulos a un video
+ *     description: Acepta archivos WebVTT o SRT; los SRT se convierten a WebVTT. Se valida el formato de cada subtítulo.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - language
+ *               - label
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo .vtt o .srt
+ *               language:
+ *                 type: string
+ *                 example: es
+ *               label:
+ *                 type: string
+ *                 example: Español
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Pista agregada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CaptionTrack'
+ *       400:
+ *         description: Archivo inválido o idioma ya existente
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video no encontrado
+ */
+const addVideoCaption = asyncHandler(async (req, res) => {
+  const { language, label, isDefault } = req.body;
+
+  const caption = await captionService.addCaption(
+    req.params.id,
+    { language, label, isDefault },
+    req.file,
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    data: caption,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/captions/{captionId}:
+ *   put:
+ *     summary: Modificar una pista de subtítulos
+ *     description: Permite cambiar el nombre, marcarla como predeterminada o reemplazar el archivo
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: captionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la pista
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               label:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Pista actualizada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CaptionTrack'
+ *       400:
+ *         description: Datos o archivo inválidos
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video o pista no encontrados
+ */
+const updateVideoCaption = asyncHandler(async (req, res) => {
+  const { label, isDefault } = req.body;
+
+  const caption = await captionService.updateCaption(
+    req.params.id,
+    req.params.captionId,
+    { label, isDefault },
+    req.file,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: caption,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/captions/{captionId}:
+ *   delete:
+ *     summary: Eliminar una pista de subtítulos
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: captionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la pista
+ *     responses:
+ *       200:
+ *         description: Pista eliminada exitosamente
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video o pista no encontrados
+ */
+const deleteVideoCaption = asyncHandler(async (req, res) => {
+  await captionService.deleteCaption(req.params.id, req.params.captionId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pista de subtítulos eliminada exitosamente',
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/chapters:
+ *   post:
+ *     summary: Agregar un capítulo a un video
+ *     description: El inicio debe ser anterior al final del video y no coincidir con el de otro capítulo
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - startTime
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Formado
+ *               startTime:
+ *                 type: number
+ *                 description: Segundo del video en que comienza
+ *                 example: 540
+ *     responses:
+ *       201:
+ *         description: Capítulo agregado; se devuelven todos los capítulos ordenados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chapter'
+ *       400:
+ *         description: Datos inválidos o inicio fuera de la duración del video
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video no encontrado
+ */
+const addVideoChapter = asyncHandler(async (req, res) => {
+  const { title, startTime } = req.body;
+
+  const chapters = await chapterService.addChapter(req.params.id, { title, startTime }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: chapters,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/chapters/import:
+ *   post:
+ *     summary: Importar los capítulos de un video desde un archivo WebVTT
+ *     description: Reemplaza los capítulos actuales. Cada cue del archivo es un capítulo; su inicio marca el comienzo y su texto es el título.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo .vtt de capítulos
+ *     responses:
+ *       200:
+ *         description: Capítulos importados exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chapter'
+ *       400:
+ *         description: Archivo inválido o capítulos fuera de la duración del video
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video no encontrado
+ */
+const importVideoChapters = asyncHandler(async (req, res) => {
+  const chapters = await chapterService.importChapters(req.params.id, req.file, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: chapters,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/chapters/{chapterId}:
+ *   put:
+ *     summary: Modificar un capítulo
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: chapterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del capítulo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               startTime:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Capítulo actualizado; se devuelven todos los capítulos ordenados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chapter'
+ *       400:
+ *         description: Datos inválidos o inicio fuera de la duración del video
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video o capítulo no encontrados
+ */
+const updateVideoChapter = asyncHandler(async (req, res) => {
+  const { title, startTime } = req.body;
+
+  const chapters = await chapterService.updateChapter(
+    req.params.id,
+    req.params.chapterId,
+    { title, startTime },
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: chapters,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/chapters/{chapterId}:
+ *   delete:
+ *     summary: Eliminar un capítulo
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: chapterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del capítulo
+ *     responses:
+ *       200:
+ *         description: Capítulo eliminado; se devuelven los capítulos restantes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chapter'
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video o capítulo no encontrados
+ */
+const deleteVideoChapter = asyncHandler(async (req, res) => {
+  const chapters = await chapterService.deleteChapter(req.params.id, req.params.chapterId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: chapters,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/resources:
+ *   post:
+ *     summary: Agregar un recurso descargable a un video
+ *     description: |
+ *       El archivo se guarda en el almacenamiento privado y su tipo (pdf, doc, excel, ppt o image) se deduce de la extensión.
+ *       Tamaño máximo `MAX_RESOURCE_FILE_SIZE` (20 MB por defecto).
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - title
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo pdf, doc, docx, odt, rtf, txt, xls, xlsx, ods, csv, ppt, pptx, odp, jpg, png, gif o webp
+ *               title:
+ *                 type: string
+ *                 example: Receta del pan de masa madre
+ *     responses:
+ *       201:
+ *         description: Recurso agregado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/VideoResource'
+ *       400:
+ *         description: Archivo faltante, demasiado grande o de un tipo no permitido
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video no encontrado
+ */
+const addVideoResource = asyncHandler(async (req, res) => {
+  const resource = await resourceService.addResource(
+    req.params.id,
+    { title: req.body.title },
+    req.file,
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    data: resource,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/resources/{resourceId}:
+ *   put:
+ *     summary: Modificar un recurso o reemplazar su archivo
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del recurso
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               title:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recurso actualizado exitosamente
+ *       400:
+ *         description: Datos o archivo inválidos
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video o recurso no encontrados
+ *   delete:
+ *     summary: Eliminar un recurso y su archivo
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del recurso
+ *     responses:
+ *       200:
+ *         description: Recurso eliminado exitosamente
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene permisos para modificar este video
+ *       404:
+ *         description: Video o recurso no encontrados
+ */
+const updateVideoResource = asyncHandler(async (req, res) => {
+  const resource = await resourceService.updateResource(
+    req.params.id,
+    req.params.resourceId,
+    { title: req.body.title },
+    req.file,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: resource,
+  });
+});
+
+const deleteVideoResource = asyncHandler(async (req, res) => {
+  await resourceService.deleteResource(req.params.id, req.params.resourceId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recurso eliminado exitosamente',
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/{id}/resources/{resourceId}/download:
+ *   get:
+ *     summary: Obtener la URL de descarga de un recurso
+ *     description: Disponible para los estudiantes matriculados y para quien gestiona el curso. La URL firmada vence a los 5 minutos; cada solicitud de un estudiante suma una descarga.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del video
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del recurso
+ *     responses:
+ *       200:
+ *         description: URL de descarga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       description: URL firmada del archivo (o enlace externo en recursos anteriores)
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ *       403:
+ *         description: No tiene acceso a este video
+ *       404:
+ *         description: Video o recurso no encontrados
+ */
+const downloadVideoResource = asyncHandler(async (req, res) => {
+  const download = await resourceService.getDownloadUrl(req.params.id, req.params.resourceId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: download,
+  });
+});
+
+/**
+ * @swagger
+ * /api/videos/transcripts/search:
+ *   get:
+ *     summary: Buscar en las transcripciones de los videos de los cursos matriculados
+ *     description: Devuelve los videos cuyas transcripciones coinciden, con los fragmentos y el segundo en que aparecen
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Términos de búsqueda
+ *         example: laminado de mantequilla
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Idioma de la búsqueda (por defecto, el del usuario)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Número de videos por página (máximo 50)
+ *     responses:
+ *       200:
+ *         description: Resultados obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TranscriptHit'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *                         currentPage:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *       400:
+ *         description: Término de búsqueda inválido
+ *       401:
+ *         description: No autorizado, token inválido o expirado
+ */
+const searchTranscripts = asyncHandler(async (req, res) => {
+  const result = await transcriptService.searchTranscripts(req.user._id, req.query);
 
   res.status(200).json({
     success: true,
@@ -478,9 +1782,29 @@ const getVideoUploadUrl = asyncHandler(async (req, res) => {
 module.exports = {
   getVideos,
   getVideoById,
+  getForensicPlaylist,
+  authorizeVideoPlayback,
+  sendPlaybackHeartbeat,
+  stopPlayback,
   createVideo,
   updateVideo,
   deleteVideo,
+  restoreVideo,
   updateVideoProgress,
   getVideoUploadUrl,
+  confirmVideoUpload,
+  transcodeVideo,
+  getVideoCaptions,
+  addVideoCaption,
+  updateVideoCaption,
+  deleteVideoCaption,
+  addVideoChapter,
+  importVideoChapters,
+  updateVideoChapter,
+  deleteVideoChapter,
+  addVideoResource,
+  updateVideoResource,
+  deleteVideoResource,
+  downloadVideoResource,
+  searchTranscripts,
 };
\ No newline at end of file
@@ -0,0 +1,106 @@
+const os = require('os');
+const jobService = require('../services/jobService');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Ejecutor de la cola de trabajos
+ * Toma los trabajos de uno en uno, ya que la transcodificación usa toda la CPU disponible
+ */
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let handlers = {};
+let timer = null;
+let running = false;
+let currentJob = null;
+
+/**
+ * Ejecutar un trabajo con su manejador y registrar el resultado
+ * @param {Object} job - Trabajo tomado de la cola
+ */
+const runJob = async (job) => {
+  const startedAt = Date.now();
+
+  try {
+    const result = await handlers[job.type](job);
+    await jobService.complete(job, result);
+
+    logger.info(`Trabajo ${job.type} ${job._id} completado en ${Math.round((Date.now() - startedAt) / 1000)} s`);
+  } catch (error) {
+    const willRetry = await jobService.fail(job, error);
+
+    logger.error(
+      `Trabajo ${job.type} ${job._id} falló (intento ${job.attempts} de ${job.maxAttempts}): ${error.message}` +
+      (willRetry ? '; se reintentará' : '')
+    );
+  }
+};
+
+/**
+ * Procesar los trabajos disponibles hasta vaciar la cola
+ */
+const poll = async () => {
+  timer = null;
+
+  try {
+    while (running) {
+      currentJob = await jobService.claimNext(workerId, Object.keys(handlers));
+
+      if (!currentJob) {
+        break;
+      }
+
+      await runJob(currentJob);
+      currentJob = null;
+    }
+  } catch (error) {
+    logger.error(`Error al consultar la cola de trabajos: ${error.message}`);
+  }
+
+  currentJob = null;
+
+  if (running) {
+    const intervalMs = envInteger('JOB_POLL_INTERVAL_MS', 5000, { min: 1 });
+    timer = setTimeout(poll, intervalMs);
+  }
+};
+
+/**
+ * Iniciar el ejecutor
+ * @param {Object} jobHandlers - Manejadores por tipo de trabajo
+ */
+const startJobRunner = (jobHandlers) => {
+  if (running) {
+    return;
+  }
+
+  handlers = jobHandlers;
+  running = true;
+
+  logger.info(`Worker ${workerId} procesando trabajos: ${Object.keys(handlers).join(', ')}`);
+
+  poll();
+};
+
+/**
+ * Detener el ejecutor esperando a que termine el trabajo en curso
+ * @returns {Promise<void>}
+ */
+const stopJobRunner = async () => {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  while (currentJob) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+};
+
+module.exports = {
+  startJobRunner,
+  stopJobRunner,
+};
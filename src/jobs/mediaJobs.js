@@ -0,0 +1,8 @@
+const mediaCleanupService = require('../services/mediaCleanupService');
+
+/**
+ * Manejadores de los trabajos sobre los archivos del almacenamiento, por tipo de trabajo
+ */
+module.exports = {
+  'media:delete': (job) => mediaCleanupService.deleteMedia(job.payload),
+};
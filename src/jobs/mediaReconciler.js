@@ -0,0 +1,60 @@
+const mediaCleanupService = require('../services/mediaCleanupService');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Tarea periódica que concilia el almacenamiento con los videos
+ * Informa los archivos que ningún video referencia (subidas fallidas, cursos eliminados
+ * antes de encolar sus archivos...) y elimina los que superan el período de gracia
+ */
+
+let timer = null;
+
+/**
+ * Ejecutar una conciliación eliminando los huérfanos vencidos
+ * @returns {Promise<number>} Cantidad de archivos eliminados
+ */
+const reconcileMedia = async () => {
+  try {
+    const { removed } = await mediaCleanupService.reconcile({ remove: true });
+
+    return removed;
+  } catch (error) {
+    logger.error(`Error en la conciliación de archivos: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Iniciar la conciliación periódica
+ * El intervalo se configura con MEDIA_RECONCILE_INTERVAL_HOURS (24 por defecto)
+ */
+const startMediaReconciler = () => {
+  if (timer) {
+    return;
+  }
+
+  const intervalHours = envInteger('MEDIA_RECONCILE_INTERVAL_HOURS', 24, { min: 1 });
+
+  timer = setInterval(reconcileMedia, intervalHours * 60 * 60 * 1000);
+  // No impedir que el proceso termine por este temporizador
+  timer.unref();
+
+  logger.info(`Conciliación de archivos huérfanos cada ${intervalHours} horas`);
+};
+
+/**
+ * Detener la conciliación periódica
+ */
+const stopMediaReconciler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  reconcileMedia,
+  startMediaReconciler,
+  stopMediaReconciler,
+};
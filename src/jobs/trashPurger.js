@@ -0,0 +1,58 @@
+const trashService = require('../services/trashService');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Tarea periódica que vacía la papelera
+ * Elimina definitivamente, con sus archivos, los cursos, módulos y videos
+ * que llevan en la papelera más de TRASH_RETENTION_DAYS días (30 por defecto)
+ */
+
+let timer = null;
+
+/**
+ * Eliminar definitivamente los elementos vencidos de la papelera
+ * @returns {Promise<Object|null>} Cantidad de elementos eliminados por tipo
+ */
+const purgeTrash = async () => {
+  try {
+    return await trashService.purgeExpired();
+  } catch (error) {
+    logger.error(`Error al vaciar la papelera: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Iniciar el vaciado periódico
+ * El intervalo se configura con TRASH_PURGE_INTERVAL_HOURS (24 por defecto)
+ */
+const startTrashPurger = () => {
+  if (timer) {
+    return;
+  }
+
+  const intervalHours = envInteger('TRASH_PURGE_INTERVAL_HOURS', 24, { min: 1 });
+
+  timer = setInterval(purgeTrash, intervalHours * 60 * 60 * 1000);
+  // No impedir que el proceso termine por este temporizador
+  timer.unref();
+
+  logger.info(`Vaciado de la papelera cada ${intervalHours} horas`);
+};
+
+/**
+ * Detener el vaciado periódico
+ */
+const stopTrashPurger = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  purgeTrash,
+  startTrashPurger,
+  stopTrashPurger,
+};
@@ -0,0 +1,78 @@
+const uploadSessionService = require('../services/uploadSessionService');
+const videoService = require('../services/videoService');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Tarea periódica que cancela las sesiones de subida abandonadas
+ * Libera las partes subidas a S3 (que se facturan aunque la subida no se complete)
+ * y descarta los videos pendientes asociados. También elimina los videos de subidas
+ * directas que vencieron sin confirmarse, junto con el archivo que se haya llegado a subir
+ */
+
+let timer = null;
+
+/**
+ * Ejecutar un barrido de sesiones y subidas directas vencidas
+ * Las sesiones se cancelan primero, ya que al hacerlo descartan sus propios videos pendientes
+ * @returns {Promise<Object>} Cantidad de sesiones canceladas y de videos pendientes eliminados
+ */
+const sweepStaleUploads = async () => {
+  const result = { sessions: 0, videos: 0 };
+
+  try {
+    result.sessions = await uploadSessionService.abortStaleSessions();
+
+    if (result.sessions > 0) {
+      logger.info(`Barrido de subidas: ${result.sessions} sesiones abandonadas canceladas`);
+    }
+  } catch (error) {
+    logger.error(`Error en el barrido de subidas: ${error.message}`);
+  }
+
+  try {
+    result.videos = await videoService.deleteExpiredUploads();
+
+    if (result.videos > 0) {
+      logger.info(`Barrido de subidas: ${result.videos} videos con la subida vencida eliminados`);
+    }
+  } catch (error) {
+    logger.error(`Error al eliminar videos con la subida vencida: ${error.message}`);
+  }
+
+  return result;
+};
+
+/**
+ * Iniciar el barrido periódico
+ * El intervalo se configura con UPLOAD_SWEEP_INTERVAL_MINUTES (15 por defecto)
+ */
+const startUploadSweeper = () => {
+  if (timer) {
+    return;
+  }
+
+  const intervalMinutes = envInteger('UPLOAD_SWEEP_INTERVAL_MINUTES', 15, { min: 1 });
+
+  timer = setInterval(sweepStaleUploads, intervalMinutes * 60 * 1000);
+  // No impedir que el proceso termine por este temporizador
+  timer.unref();
+
+  logger.info(`Barrido de subidas abandonadas cada ${intervalMinutes} minutos`);
+};
+
+/**
+ * Detener el barrido periódico
+ */
+const stopUploadSweeper = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  sweepStaleUploads,
+  startUploadSweeper,
+  stopUploadSweeper,
+};
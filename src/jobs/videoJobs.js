@@ -0,0 +1,10 @@
+const transcodeService = require('../services/transcodeService');
+const videoAnalysisService = require('../services/videoAnalysisService');
+
+/**
+ * Manejadores de los trabajos de procesamiento de video, por tipo de trabajo
+ */
+module.exports = {
+  'video:analyze': (job) => videoAnalysisService.analyzeVideo(job.payload.videoId),
+  'video:transcode': (job) => transcodeService.transcodeVideo(job.payload.videoId, job),
+};
@@ -2,7 +2,10 @@ const jwt = require('jsonwebtoken');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
 const { logger } = require('../utils/logger');
+const permissionService = require('../services/permissionService');
+const { isTwoFactorRequiredFor, isTwoFactorRequiredForStaff } = require('../config/policies');
 
 /**
  * Middleware para proteger rutas y verificar la autenticación
@@ -25,6 +28,11 @@ const protect = asyncHandler(async (req, res, next) => {
     // Verificar el token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Solo se aceptan tokens de acceso (no tokens de refresco u otros)
+    if (decoded.type !== 'access') {
+      return next(new ErrorResponse('No autorizado, token inválido', 401));
+    }
+
     // Buscar el usuario y excluir la contraseña
     const user = await User.findById(decoded.id).select('-password');
 
@@ -37,8 +45,18 @@ const protect = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('Usuario desactivado, contacte al administrador', 403));
     }
 
-    // Agregar el usuario a la solicitud
+    // Verificar que la sesión del token siga abierta
+    if (decoded.sid) {
+      const sessionIsActive = await Session.exists({ _id: decoded.sid, revokedAt: null });
+
+      if (!sessionIsActive) {
+        return next(new ErrorResponse('Sesión cerrada, inicie sesión nuevamente', 401));
+      }
+    }
+
+    // Agregar el usuario y la sesión a la solicitud
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     logger.error(`Error de autenticación: ${error.message}`);
@@ -51,6 +69,22 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Verificar que el usuario tenga activa la 2FA cuando la política la exige
+ * @param {Object} user - Usuario autenticado
+ * @returns {ErrorResponse|null} Error a devolver, o null si puede continuar
+ */
+const checkTwoFactorRequirement = (user) => {
+  if (isTwoFactorRequiredFor(user) && !user.twoFactorEnabled) {
+    return new ErrorResponse(
+      'Debe activar la autenticación en dos pasos para acceder a esta ruta',
+      403
+    );
+  }
+
+  return null;
+};
+
 /**
  * Middleware para restringir el acceso según roles
  * @param {...String} roles - Roles permitidos
@@ -70,11 +104,83 @@ const authorize = (...roles) => {
         )
       );
     }
+
+    // Exigir 2FA al personal cuando la política la hace obligatoria
+    const twoFactorError = checkTwoFactorRequirement(req.user);
+
+    if (twoFactorError) {
+      return next(twoFactorError);
+    }
     next();
   };
 };
 
+/**
+ * Middleware para restringir el acceso según permisos del rol en la plataforma
+ * Solo para rutas globales; los permisos sobre un curso concreto (incluidos
+ * los del equipo docente) se verifican en los servicios
+ * @param {...String} permissions - Permisos aceptados
+ * @returns {Function} Middleware
+ */
+const requirePermission = (...permissions) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return next(new ErrorResponse('Usuario no autenticado', 401));
+    }
+
+    for (const permission of permissions) {
+      if (await permissionService.hasPermission(req.user, permission)) {
+        // Exigir 2FA al personal cuando la política la hace obligatoria
+        const twoFactorError = checkTwoFactorRequirement(req.user);
+
+        if (twoFactorError) {
+          return next(twoFactorError);
+        }
+        return next();
+      }
+    }
+
+    return next(
+      new ErrorResponse(
+        `Rol de usuario '${req.user.role}' no autorizado para acceder a esta ruta`,
+        403
+      )
+    );
+  });
+};
+
+/**
+ * Middleware para rutas de gestión cuyo curso aún no se conoce (p. ej. al recibir un archivo)
+ * Acepta a quien tenga el permiso por su rol o en el equipo docente de algún curso;
+ * el permiso sobre el curso concreto se verifica después en los servicios
+ * @param {...String} permissions - Permisos aceptados
+ * @returns {Function} Middleware
+ */
+const requireStaffPermission = (...permissions) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return next(new ErrorResponse('Usuario no autenticado', 401));
+    }
+
+    for (const permission of permissions) {
+      if (await permissionService.canInAnyCourse(req.user, permission)) {
+        // Quien pasa esta verificación actúa como personal, aunque su rol sea 'user'
+        if (isTwoFactorRequiredForStaff() && !req.user.twoFactorEnabled) {
+          return next(
+            new ErrorResponse('Debe activar la autenticación en dos pasos para acceder a esta ruta', 403)
+          );
+        }
+        return next();
+      }
+    }
+
+    return next(new ErrorResponse('No autorizado para acceder a esta ruta', 403));
+  });
+};
+
 module.exports = {
   protect,
   authorize,
+  requirePermission,
+  requireStaffPermission,
 };
\ No newline at end of file
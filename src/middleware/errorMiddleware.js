@@ -29,7 +29,7 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // Determinar el código de estado HTTP
-  const statusCode = err.statusCode || res.statusCode === 200 ? 500 : res.statusCode;
+  const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
   res.status(statusCode);
 
   // Construir respuesta de error
@@ -37,6 +37,7 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     error: {
       message: err.message || 'Error del servidor',
+      ...(err.errorCode && { code: err.errorCode }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     },
   };
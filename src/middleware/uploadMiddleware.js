@@ -0,0 +1,44 @@
+const ErrorResponse = require('../utils/errorResponse');
+const { storage } = require('../config/storage');
+const { logger } = require('../utils/logger');
+
+/**
+ * Middleware para recibir un archivo con multer
+ * Los errores de multer (tamaño o tipo no permitidos) se responden con 400
+ * @param {Object} upload - Instancia de multer
+ * @param {string} fieldName - Campo del formulario con el archivo
+ * @returns {Function} Middleware de Express
+ */
+const acceptFile = (upload, fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (err) => {
+    if (err) {
+      return next(new ErrorResponse(err.message, 400));
+    }
+
+    next();
+  });
+};
+
+/**
+ * Middleware de errores para las rutas que guardan el archivo en el almacenamiento al recibirlo
+ * Se coloca después de las validaciones: si fallan, elimina el archivo guardado antes de responder.
+ * Los errores posteriores (del controlador) no pasan por aquí; el servicio limpia sus propios archivos
+ * @param {Error} err - Error de las validaciones
+ * @param {Object} req - Solicitud
+ * @param {Object} res - Respuesta
+ * @param {Function} next - Siguiente middleware
+ */
+const discardFileOnError = (err, req, res, next) => {
+  if (req.file && req.file.key) {
+    storage.delete(req.file.key).catch(error => {
+      logger.error(`No se pudo eliminar el archivo ${req.file.key}: ${error.message}`);
+    });
+  }
+
+  next(err);
+};
+
+module.exports = {
+  acceptFile,
+  discardFileOnError,
+};
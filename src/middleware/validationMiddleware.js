@@ -1,5 +1,6 @@
 const { validationResult, check } = require('express-validator');
 const ErrorResponse = require('../utils/errorResponse');
+const { PLANS } = require('../config/plans');
 
 /**
  * Middleware para validar los resultados de express-validator
@@ -42,6 +43,10 @@ const registerValidation = [
     .matches(/[a-z]/).withMessage('La contraseña debe contener al menos una letra minúscula')
     .matches(/[!@#$%^&*(),.?":{}|<>]/).withMessage('La contraseña debe contener al menos un carácter especial'),
   
+  check('language')
+    .optional()
+    .isIn(['es', 'en']).withMessage('El idioma debe ser: es o en'),
+  
   validateResults,
 ];
 
@@ -116,10 +121,298 @@ const videoValidation = [
   validateResults,
 ];
 
+/**
+ * Validaciones para reservar la subida directa de un video
+ */
+const videoUploadValidation = [
+  ...videoValidation.slice(0, -1),
+  
+  check('fileName')
+    .trim()
+    .notEmpty().withMessage('El nombre del archivo es requerido'),
+  
+  check('fileType')
+    .notEmpty().withMessage('El tipo de archivo es requerido'),
+  
+  check('fileSize')
+    .notEmpty().withMessage('El tamaño del archivo es requerido')
+    .isInt({ min: 1 }).withMessage('El tamaño del archivo debe ser un número entero positivo')
+    .toInt(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para agregar un miembro al equipo docente de un curso
+ */
+const courseStaffValidation = [
+  check('email')
+    .notEmpty().withMessage('El correo electrónico es requerido')
+    .isEmail().withMessage('Ingrese un correo electrónico válido')
+    .normalizeEmail(),
+  
+  check('role')
+    .notEmpty().withMessage('El rol es requerido')
+    .isIn(['co-instructor', 'assistant']).withMessage('El rol debe ser: co-instructor o assistant'),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para cambiar el rol de un usuario (administración)
+ */
+const userRoleValidation = [
+  check('role')
+    .notEmpty().withMessage('El rol es requerido')
+    .isString().withMessage('El rol debe ser un texto')
+    .trim(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para crear un rol personalizado
+ */
+const roleValidation = [
+  check('name')
+    .notEmpty().withMessage('El nombre del rol es requerido')
+    .matches(/^[a-z][a-z0-9-]{1,39}$/).withMessage('El nombre del rol solo puede contener minúsculas, números y guiones'),
+  
+  check('permissions')
+    .optional()
+    .isArray().withMessage('Los permisos deben ser una lista'),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para cambiar el plan de un usuario (administración)
+ */
+const userPlanValidation = [
+  check('plan')
+    .notEmpty().withMessage('El plan es requerido')
+    .isIn(PLANS).withMessage(`El plan debe ser uno de: ${PLANS.join(', ')}`),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para activar o desactivar un usuario (administración)
+ */
+const userStatusValidation = [
+  check('isActive')
+    .notEmpty().withMessage('El estado es requerido')
+    .isBoolean().withMessage('isActive debe ser un valor booleano')
+    .toBoolean(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para matricular manualmente a un usuario (administración)
+ */
+const enrollmentValidation = [
+  check('courseId')
+    .notEmpty().withMessage('El curso es requerido')
+    .isMongoId().withMessage('ID de curso inválido'),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para agregar una pista de subtítulos
+ */
+const captionValidation = [
+  check('language')
+    .trim()
+    .notEmpty().withMessage('El idioma es requerido')
+    .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/).withMessage('El idioma debe ser un código BCP 47 (por ejemplo, es o en-US)'),
+  
+  check('label')
+    .trim()
+    .notEmpty().withMessage('El nombre de la pista es requerido')
+    .isLength({ max: 50 }).withMessage('El nombre de la pista no puede tener más de 50 caracteres')
+    .escape(),
+  
+  check('isDefault')
+    .optional()
+    .isBoolean().withMessage('isDefault debe ser un valor booleano')
+    .toBoolean(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para modificar una pista de subtítulos
+ */
+const captionUpdateValidation = [
+  check('label')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('El nombre de la pista no puede estar vacío')
+    .isLength({ max: 50 }).withMessage('El nombre de la pista no puede tener más de 50 caracteres')
+    .escape(),
+  
+  check('isDefault')
+    .optional()
+    .isBoolean().withMessage('isDefault debe ser un valor booleano')
+    .toBoolean(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para agregar un capítulo
+ */
+const chapterValidation = [
+  check('title')
+    .trim()
+    .notEmpty().withMessage('El título del capítulo es requerido')
+    .isLength({ max: 100 }).withMessage('El título del capítulo no puede tener más de 100 caracteres')
+    .escape(),
+  
+  check('startTime')
+    .isFloat({ min: 0 }).withMessage('El inicio del capítulo debe ser un número de segundos mayor o igual a 0')
+    .toFloat(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para modificar un capítulo
+ */
+const chapterUpdateValidation = [
+  check('title')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('El título del capítulo no puede estar vacío')
+    .isLength({ max: 100 }).withMessage('El título del capítulo no puede tener más de 100 caracteres')
+    .escape(),
+  
+  check('startTime')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('El inicio del capítulo debe ser un número de segundos mayor o igual a 0')
+    .toFloat(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para agregar un recurso descargable
+ */
+const resourceValidation = [
+  check('title')
+    .trim()
+    .notEmpty().withMessage('El título del recurso es requerido')
+    .isLength({ max: 100 }).withMessage('El título del recurso no puede tener más de 100 caracteres')
+    .escape(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para modificar un recurso descargable
+ */
+const resourceUpdateValidation = [
+  check('title')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('El título del recurso no puede estar vacío')
+    .isLength({ max: 100 }).withMessage('El título del recurso no puede tener más de 100 caracteres')
+    .escape(),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para actualizar el progreso de visualización de un video
+ */
+const progressValidation = [
+  check('position')
+    .isFloat({ min: 0 }).withMessage('La posición debe ser un número de segundos mayor o igual a 0')
+    .toFloat(),
+  
+  check('intervals')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Los intervalos deben ser una lista de hasta 50 elementos'),
+  
+  check('intervals.*.start')
+    .isFloat({ min: 0 }).withMessage('El inicio de cada intervalo debe ser un número de segundos mayor o igual a 0')
+    .toFloat(),
+  
+  check('intervals.*.end')
+    .isFloat({ min: 0 }).withMessage('El final de cada intervalo debe ser un número de segundos mayor o igual a 0')
+    .toFloat()
+    .custom((end, { req, path }) => {
+      const index = parseInt(path.match(/\[(\d+)\]/)[1], 10);
+      
+      if (end <= parseFloat(req.body.intervals[index].start)) {
+        throw new Error('El final de cada intervalo debe ser posterior a su inicio');
+      }
+      
+      return true;
+    }),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para buscar en las transcripciones
+ */
+const transcriptSearchValidation = [
+  check('q')
+    .trim()
+    .notEmpty().withMessage('El término de búsqueda es requerido')
+    .isLength({ max: 200 }).withMessage('El término de búsqueda no puede tener más de 200 caracteres'),
+  
+  check('language')
+    .optional()
+    .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/).withMessage('El idioma debe ser un código BCP 47 (por ejemplo, es o en-US)'),
+  
+  validateResults,
+];
+
+/**
+ * Validaciones para buscar el origen de una marca de agua (administración)
+ */
+const watermarkLookupValidation = [
+  check('code')
+    .optional()
+    .trim()
+    .matches(/^[0-9A-Za-z]{4}-?[0-9A-Za-z]{4}$/).withMessage('El código debe tener 8 caracteres'),
+  
+  check('sequence')
+    .optional()
+    .trim()
+    .matches(/^[abAB01\s]+$/).withMessage('La secuencia solo puede contener las variantes a y b'),
+  
+  check('code')
+    .custom((value, { req }) => Boolean(value || req.query.sequence))
+    .withMessage('Debe indicar el código o la secuencia de variantes'),
+  
+  validateResults,
+];
+
 module.exports = {
   validateResults,
   registerValidation,
   loginValidation,
   courseValidation,
   videoValidation,
+  videoUploadValidation,
+  courseStaffValidation,
+  userRoleValidation,
+  roleValidation,
+  userStatusValidation,
+  userPlanValidation,
+  enrollmentValidation,
+  captionValidation,
+  captionUpdateValidation,
+  chapterValidation,
+  chapterUpdateValidation,
+  resourceValidation,
+  resourceUpdateValidation,
+  progressValidation,
+  transcriptSearchValidation,
+  watermarkLookupValidation,
 };
\ No newline at end of file
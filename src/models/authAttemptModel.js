@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contador de intentos de autenticación por cuenta o por IP
+ * Se usa para aplicar retrasos progresivos y bloqueos temporales
+ */
+const AuthAttemptSchema = new mongoose.Schema(
+  {
+    // Clave con el formato <ámbito>:<tipo>:<valor>, por ejemplo login:account:juan@ejemplo.com
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ['login', 'forgot-password'],
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: Date,
+    lockedUntil: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índices para búsqueda eficiente
+AuthAttemptSchema.index({ type: 1, value: 1 });
+
+// Eliminar automáticamente los contadores inactivos
+AuthAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthAttempt', AuthAttemptSchema);
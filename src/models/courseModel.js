@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -27,7 +28,12 @@ const mongoose = require('mongoose');
  *           description: URL de la imagen miniatura del curso
  *         instructor:
  *           type: string
- *           description: ID del usuario instructor
+ *           description: ID del usuario instructor (propietario del curso)
+ *         staff:
+ *           type: array
+ *           description: Equipo docente del curso
+ *           items:
+ *             $ref: '#/components/schemas/CourseStaffMember'
  *         level:
  *           type: string
  *           enum: [beginner, intermediate, advanced]
@@ -49,6 +55,11 @@ const mongoose = require('mongoose');
  *         isPublished:
  *           type: boolean
  *           description: Indica si el curso está publicado
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha en que se envió a la papelera (null si está activo)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -65,6 +76,27 @@ const mongoose = require('mongoose');
  *         isPublished: true
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseStaffMember:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: ID del miembro del equipo
+ *         role:
+ *           type: string
+ *           enum: [owner, co-instructor, assistant]
+ *           description: Rol en el curso
+ *         addedBy:
+ *           type: string
+ *           description: ID de quien lo incorporó
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ */
 const CourseSchema = new mongoose.Schema(
   {
     title: {
@@ -93,6 +125,29 @@ const CourseSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    staff: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ['owner', 'co-instructor', 'assistant'],
+          required: true,
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
     level: {
       type: String,
       enum: ['beginner', 'intermediate', 'advanced'],
@@ -114,12 +169,26 @@ const CourseSchema = new mongoose.Schema(
           required: true,
           default: 0,
         },
+        // Papelera: los módulos eliminados se conservan hasta que se vacía
+        deletedAt: {
+          type: Date,
+          default: null,
+        },
+        deletedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
       },
     ],
     isPublished: {
       type: Boolean,
       default: false,
     },
+    // Texto de las transcripciones de los videos publicados, solo para el índice de búsqueda
+    transcriptText: {
+      type: String,
+      select: false,
+    },
     enrollmentCount: {
       type: Number,
       default: 0,
@@ -155,11 +224,24 @@ const CourseSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Los módulos en la papelera no se muestran con el curso
+      transform: (doc, ret) => {
+        if (Array.isArray(ret.modules)) {
+          ret.modules = ret.modules.filter(module => !module.deletedAt);
+        }
+
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
 
+// Papelera: los cursos eliminados se excluyen de las consultas
+CourseSchema.plugin(softDeletePlugin);
+
 // Virtualización para videos - permite relacionar videos con cursos sin duplicar datos
 CourseSchema.virtual('videos', {
   ref: 'Video',
@@ -179,6 +261,37 @@ CourseSchema.pre('save', function (next) {
   next();
 });
 
+// Obtener el rol de un usuario en el equipo docente del curso
+// Los cursos anteriores al equipo docente solo tienen `instructor`, que se considera propietario
+CourseSchema.methods.getStaffRole = function (userId) {
+  if (!userId) {
+    return null;
+  }
+
+  const id = userId.toString();
+  const member = this.staff.find(staffMember => (staffMember.user._id || staffMember.user).toString() === id);
+
+  if (member) {
+    return member.role;
+  }
+
+  const instructorId = this.instructor && (this.instructor._id || this.instructor).toString();
+
+  return instructorId === id ? 'owner' : null;
+};
+
+// Obtener un módulo que no esté en la papelera
+CourseSchema.methods.getModule = function (moduleId) {
+  const module = this.modules.id(moduleId);
+
+  return module && !module.deletedAt ? module : null;
+};
+
+// Módulos que no están en la papelera
+CourseSchema.methods.getActiveModules = function () {
+  return this.modules.filter(module => !module.deletedAt);
+};
+
 // Middleware para calcular la calificación promedio
 CourseSchema.methods.calculateAverageRating = function () {
   if (this.reviews.length === 0) {
@@ -191,9 +304,14 @@ CourseSchema.methods.calculateAverageRating = function () {
 };
 
 // Índices para búsqueda eficiente
-CourseSchema.index({ title: 'text', description: 'text' });
+// El título pesa más que la descripción y esta más que las transcripciones de los videos
+CourseSchema.index(
+  { title: 'text', description: 'text', transcriptText: 'text' },
+  { name: 'course_text_search', weights: { title: 10, description: 4, transcriptText: 1 } }
+);
 CourseSchema.index({ slug: 1 });
 CourseSchema.index({ instructor: 1 });
+CourseSchema.index({ 'staff.user': 1 });
 CourseSchema.index({ level: 1 });
 CourseSchema.index({ isPublished: 1 });
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID del trabajo
+ *         type:
+ *           type: string
+ *           description: Tipo de trabajo (p. ej. video:transcode)
+ *         payload:
+ *           type: object
+ *           description: Datos necesarios para ejecutarlo
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *           description: Estado del trabajo
+ *         attempts:
+ *           type: number
+ *           description: Intentos realizados
+ *         maxAttempts:
+ *           type: number
+ *           description: Intentos permitidos antes de marcarlo como fallido
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha a partir de la cual puede ejecutarse
+ *         lastError:
+ *           type: string
+ *           description: Error del último intento fallido
+ */
+const JobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Identificador del worker que lo ejecuta y vencimiento de su bloqueo;
+    // si el worker muere, el trabajo vuelve a estar disponible al vencer
+    lockedBy: String,
+    lockedUntil: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String,
+    result: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+JobSchema.index({ status: 1, type: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+
+module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlaybackSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID de la reproducción, que el reproductor envía en cada latido
+ *         heartbeatSeconds:
+ *           type: number
+ *           description: Segundos entre latidos
+ *           example: 30
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha en la que la reproducción deja de contar si no recibe latidos
+ */
+
+/**
+ * Reproducción en curso de un video
+ * Se crea al entregar las URL de reproducción y se mantiene activa con los latidos del reproductor;
+ * cuenta para el límite de reproducciones simultáneas del plan mientras no expire
+ */
+const PlaybackSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    // Sesión (dispositivo) desde la que se reproduce; null en tokens anteriores a las sesiones
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índices para búsqueda eficiente
+PlaybackSessionSchema.index({ user: 1, expiresAt: 1 });
+PlaybackSessionSchema.index({ user: 1, session: 1 });
+
+// Eliminar automáticamente las reproducciones sin latidos
+PlaybackSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PlaybackSession', PlaybackSessionSchema);
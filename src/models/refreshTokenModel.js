@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Token de refresco emitido a un usuario
+ * Los tokens se agrupan en familias: cada rotación genera un nuevo token en la
+ * misma familia y marca el anterior como usado. Reutilizar un token ya usado
+ * indica robo y provoca la revocación de toda la familia.
+ */
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+    replacedBy: String,
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índices para búsqueda eficiente
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Eliminar automáticamente los tokens expirados
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID autogenerado del rol
+ *         name:
+ *           type: string
+ *           description: Identificador del rol asignado a los usuarios
+ *           example: content-editor
+ *         description:
+ *           type: string
+ *           description: Descripción del rol
+ *         permissions:
+ *           type: array
+ *           description: Permisos concedidos sobre cualquier curso
+ *           items:
+ *             type: string
+ *           example: ['course:update', 'video:update', 'video:view']
+ *         isBuiltIn:
+ *           type: boolean
+ *           description: Indica si es un rol predefinido (no modificable)
+ */
+const RoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'El nombre del rol es requerido'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9-]{1,39}$/, 'El nombre del rol solo puede contener letras, números y guiones'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La descripción no puede tener más de 200 caracteres'],
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID de la sesión
+ *         userAgent:
+ *           type: string
+ *           description: Agente de usuario del dispositivo
+ *         ip:
+ *           type: string
+ *           description: Última dirección IP utilizada
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha del último uso de la sesión
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de expiración del token de refresco vigente
+ *         isCurrent:
+ *           type: boolean
+ *           description: Indica si es la sesión desde la que se realiza la consulta
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de inicio de la sesión
+ */
+
+/**
+ * Sesión de un usuario en un dispositivo
+ * Cada sesión corresponde a una familia de tokens de refresco
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índices para búsqueda eficiente
+SessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Eliminar automáticamente las sesiones expiradas
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TranscriptHit:
+ *       type: object
+ *       properties:
+ *         video:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             title:
+ *               type: string
+ *             course:
+ *               type: string
+ *             module:
+ *               type: string
+ *             duration:
+ *               type: number
+ *         score:
+ *           type: number
+ *           description: Relevancia del mejor fragmento del video
+ *         hits:
+ *           type: array
+ *           description: Fragmentos de la transcripción que coinciden, del más relevante al menos relevante
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: number
+ *                 description: Segundo en que comienza el fragmento
+ *               end:
+ *                 type: number
+ *                 description: Segundo en que termina el fragmento
+ *               text:
+ *                 type: string
+ *               language:
+ *                 type: string
+ */
+
+// Idiomas con reglas de búsqueda propias en MongoDB (raíces de palabras y palabras vacías)
+const TEXT_SEARCH_LANGUAGES = ['da', 'de', 'en', 'es', 'fi', 'fr', 'hu', 'it', 'nb', 'nl', 'pt', 'ro', 'ru', 'sv', 'tr'];
+
+/**
+ * Fragmento de la transcripción de un video
+ * Se genera a partir de una pista de subtítulos agrupando sus cues en intervalos de tiempo,
+ * de modo que cada coincidencia de la búsqueda se ubica en un momento del video
+ */
+const TranscriptSegmentSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    // Pista de subtítulos de origen (subdocumento de Video.captions)
+    caption: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    language: {
+      type: String,
+      required: true,
+    },
+    // Idioma que MongoDB aplica al indexar el texto ('none' si no lo admite)
+    textLanguage: {
+      type: String,
+      default: 'none',
+    },
+    start: {
+      type: Number,
+      required: true,
+    },
+    end: {
+      type: Number,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Obtener el idioma de búsqueda de MongoDB que corresponde a un código BCP 47
+ * @param {string} language - Código de idioma (p. ej. es o en-US)
+ * @returns {string} Idioma admitido por MongoDB o 'none'
+ */
+TranscriptSegmentSchema.statics.toTextLanguage = function (language) {
+  const primary = String(language || '').split('-')[0].toLowerCase();
+
+  return TEXT_SEARCH_LANGUAGES.includes(primary) ? primary : 'none';
+};
+
+// Índices para búsqueda eficiente
+TranscriptSegmentSchema.index(
+  { text: 'text' },
+  { default_language: 'none', language_override: 'textLanguage' }
+);
+TranscriptSegmentSchema.index({ video: 1, caption: 1, start: 1 });
+
+module.exports = mongoose.model('TranscriptSegment', TranscriptSegmentSchema);
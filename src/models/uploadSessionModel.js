@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UploadSession:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID de la sesión de subida
+ *         video:
+ *           type: string
+ *           description: ID del video pendiente asociado
+ *         course:
+ *           type: string
+ *           description: ID del curso
+ *         fileName:
+ *           type: string
+ *           description: Nombre original del archivo
+ *         contentType:
+ *           type: string
+ *           description: Tipo MIME del archivo
+ *         fileSize:
+ *           type: number
+ *           description: Tamaño total del archivo en bytes
+ *         partSize:
+ *           type: number
+ *           description: Tamaño de cada parte en bytes (la última puede ser menor)
+ *         totalParts:
+ *           type: number
+ *           description: Cantidad de partes en que se divide el archivo
+ *         status:
+ *           type: string
+ *           enum: [active, completed, aborted]
+ *           description: Estado de la sesión
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha a partir de la cual la sesión inactiva se cancela
+ */
+const UploadSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    s3Key: {
+      type: String,
+      required: true,
+    },
+    // ID de la subida multiparte en S3
+    uploadId: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    partSize: {
+      type: Number,
+      required: true,
+    },
+    totalParts: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'aborted'],
+      default: 'active',
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Se renueva con cada actividad; el barrido cancela las sesiones vencidas
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    completedAt: Date,
+    abortedAt: Date,
+    abortReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+UploadSessionSchema.index({ user: 1, status: 1 });
+UploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
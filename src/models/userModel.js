@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { PLANS, DEFAULT_PLAN } = require('../config/plans');
 
 /**
  * @swagger
@@ -29,14 +30,30 @@ const crypto = require('crypto');
  *           format: password
  *         role:
  *           type: string
- *           description: Rol del usuario
- *           enum: [user, admin, instructor]
+ *           description: Rol del usuario (user, instructor, admin o un rol personalizado)
+ *         plan:
+ *           type: string
+ *           description: Plan de suscripción; determina las reproducciones simultáneas permitidas
+ *           enum: [basic, standard, premium]
  *         isActive:
  *           type: boolean
  *           description: Indica si el usuario está activo
+ *         isEmailVerified:
+ *           type: boolean
+ *           description: Indica si el usuario confirmó su correo electrónico
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Indica si la autenticación en dos pasos (TOTP) está activa
+ *         passwordResetRequired:
+ *           type: boolean
+ *           description: Indica si un administrador exigió restablecer la contraseña antes de volver a iniciar sesión
  *         profileImage:
  *           type: string
  *           description: URL de la imagen de perfil
+ *         language:
+ *           type: string
+ *           description: Idioma preferido para las comunicaciones
+ *           enum: [es, en]
  *         enrolledCourses:
  *           type: array
  *           items:
@@ -101,18 +118,33 @@ const UserSchema = new mongoose.Schema(
       select: false, // No devolver la contraseña en las consultas
     },
     role: {
+      // Rol predefinido (user, instructor, admin) o personalizado (ver roleModel)
       type: String,
-      enum: ['user', 'admin', 'instructor'],
       default: 'user',
+      trim: true,
+    },
+    plan: {
+      type: String,
+      enum: PLANS,
+      default: DEFAULT_PLAN,
     },
     isActive: {
       type: Boolean,
       default: true,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
     profileImage: {
       type: String,
       default: '',
     },
+    language: {
+      type: String,
+      enum: ['es', 'en'],
+      default: 'es',
+    },
     enrolledCourses: [
       {
         course: {
@@ -137,6 +169,34 @@ const UserSchema = new mongoose.Schema(
     ],
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Un administrador exige restablecer la contraseña antes de volver a iniciar sesión
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
+    // Autenticación en dos pasos (TOTP)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // Hashes SHA-256 de los códigos de recuperación
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -146,7 +206,7 @@ const UserSchema = new mongoose.Schema(
 // Encriptar contraseña antes de guardar
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -154,18 +214,29 @@ UserSchema.pre('save', async function (next) {
   next();
 });
 
-// Generar y firmar JWT
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
+// Generar y firmar JWT de acceso (vinculado opcionalmente a una sesión)
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+  const payload = { id: this._id, type: 'access' };
+
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_ACCESS_EXPIRATION,
   });
 };
 
-// Generar y firmar token de refresco
-UserSchema.methods.getRefreshToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRATION,
-  });
+// Generar y firmar token de refresco (identificado por jti dentro de una familia)
+UserSchema.methods.getRefreshToken = function (jti, family) {
+  return jwt.sign(
+    { id: this._id, type: 'refresh', family },
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRATION,
+      jwtid: jti,
+    }
+  );
 };
 
 // Verificar que la contraseña ingresada coincida con la almacenada
@@ -174,7 +245,7 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
 };
 
 // Generar token para restablecer contraseña
-UserSchema.methods.getResetPasswordToken = function () {
+UserSchema.methods.getResetPasswordToken = function (expireMinutes = 10) {
   // Generar token
   const resetToken = crypto.randomBytes(20).toString('hex');
 
@@ -185,9 +256,26 @@ UserSchema.methods.getResetPasswordToken = function () {
     .digest('hex');
 
   // Establecer tiempo de expiración
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutos
+  this.resetPasswordExpire = Date.now() + expireMinutes * 60 * 1000; // 10 minutos por defecto
 
   return resetToken;
 };
 
+// Generar token para verificar el correo electrónico
+UserSchema.methods.getEmailVerificationToken = function () {
+  // Generar token
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  // Hash el token y establecerlo en emailVerificationToken
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  // Establecer tiempo de expiración
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 horas
+
+  return verificationToken;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
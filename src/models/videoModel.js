@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const VideoProgress = require('./videoProgressModel');
+const softDeletePlugin = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -29,9 +31,108 @@ const mongoose = require('mongoose');
  *         s3Key:
  *           type: string
  *           description: Clave del objeto en S3
+ *         status:
+ *           type: string
+ *           enum: [pending_upload, ready]
+ *           description: Estado del archivo; solo los videos listos pueden publicarse
+ *         contentType:
+ *           type: string
+ *           description: Tipo MIME del archivo de video
+ *         fileSize:
+ *           type: number
+ *           description: Tamaño del archivo en bytes
+ *         uploadExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Vencimiento de la URL de subida mientras el video está pendiente
+ *         processing:
+ *           type: object
+ *           description: Estado de la transcodificación a HLS
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [none, queued, processing, ready, failed]
+ *             error:
+ *               type: string
+ *               description: Motivo del último fallo
+ *             startedAt:
+ *               type: string
+ *               format: date-time
+ *             completedAt:
+ *               type: string
+ *               format: date-time
+ *         hlsKey:
+ *           type: string
+ *           description: Clave de la lista maestra HLS, junto al archivo original
+ *         renditions:
+ *           type: array
+ *           description: Calidades HLS disponibles
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 720p
+ *               width:
+ *                 type: number
+ *               height:
+ *                 type: number
+ *               bandwidth:
+ *                 type: number
+ *                 description: Tasa de bits en bits por segundo
+ *         forensicWatermark:
+ *           type: boolean
+ *           description: Indica si las calidades HLS se generaron con las dos variantes de la marca forense
  *         duration:
  *           type: number
  *           description: Duración del video en segundos
+ *         metadata:
+ *           type: object
+ *           description: Datos técnicos extraídos del archivo tras la subida
+ *           properties:
+ *             width:
+ *               type: number
+ *             height:
+ *               type: number
+ *             videoCodec:
+ *               type: string
+ *               example: h264
+ *             audioCodec:
+ *               type: string
+ *               example: aac
+ *             bitrate:
+ *               type: number
+ *               description: Tasa de bits total en bits por segundo
+ *             frameRate:
+ *               type: number
+ *             analyzedAt:
+ *               type: string
+ *               format: date-time
+ *         posterKey:
+ *           type: string
+ *           description: Clave del fotograma de portada generado automáticamente
+ *         previewSprite:
+ *           type: object
+ *           description: Hoja de miniaturas para la vista previa al desplazarse por el video
+ *           properties:
+ *             key:
+ *               type: string
+ *             interval:
+ *               type: number
+ *               description: Segundos entre miniaturas
+ *             columns:
+ *               type: number
+ *             rows:
+ *               type: number
+ *             width:
+ *               type: number
+ *               description: Ancho de cada miniatura en píxeles
+ *             height:
+ *               type: number
+ *               description: Alto de cada miniatura en píxeles
+ *             count:
+ *               type: number
+ *               description: Cantidad de miniaturas
  *         thumbnail:
  *           type: string
  *           description: URL de la miniatura del video
@@ -44,20 +145,26 @@ const mongoose = require('mongoose');
  *         views:
  *           type: number
  *           description: Número de vistas del video
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha en que se envió a la papelera (null si está activo)
+ *         captions:
+ *           type: array
+ *           description: Pistas de subtítulos (WebVTT)
+ *           items:
+ *             $ref: '#/components/schemas/CaptionTrack'
+ *         chapters:
+ *           type: array
+ *           description: Capítulos del video, ordenados por su inicio
+ *           items:
+ *             $ref: '#/components/schemas/Chapter'
  *         resources:
  *           type: array
+ *           description: Recursos descargables del video
  *           items:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: Título del recurso
- *               type:
- *                 type: string
- *                 description: Tipo de recurso (pdf, doc, etc.)
- *               url:
- *                 type: string
- *                 description: URL del recurso
+ *             $ref: '#/components/schemas/VideoResource'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -74,6 +181,71 @@ const mongoose = require('mongoose');
  *         duration: 1200
  *         order: 1
  *         isPublished: true
+ *     CaptionTrack:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID de la pista
+ *         language:
+ *           type: string
+ *           description: Código de idioma BCP 47
+ *           example: es
+ *         label:
+ *           type: string
+ *           description: Nombre visible en el reproductor
+ *           example: Español
+ *         isDefault:
+ *           type: boolean
+ *           description: Pista activada por defecto
+ *         cueCount:
+ *           type: number
+ *           description: Cantidad de subtítulos de la pista
+ *         url:
+ *           type: string
+ *           description: URL firmada del archivo WebVTT (solo en las respuestas)
+ *     Chapter:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID del capítulo
+ *         title:
+ *           type: string
+ *           description: Título del capítulo
+ *           example: Primer levado
+ *         startTime:
+ *           type: number
+ *           description: Segundo del video en que comienza
+ *           example: 420
+ *     VideoResource:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID del recurso
+ *         title:
+ *           type: string
+ *           description: Título del recurso
+ *           example: Receta del pan de masa madre
+ *         type:
+ *           type: string
+ *           enum: [pdf, doc, excel, ppt, image, other]
+ *           description: Tipo de recurso, según la extensión del archivo
+ *         fileName:
+ *           type: string
+ *           description: Nombre original del archivo
+ *         contentType:
+ *           type: string
+ *         size:
+ *           type: number
+ *           description: Tamaño en bytes
+ *         url:
+ *           type: string
+ *           description: Enlace externo (solo en recursos anteriores a la subida de archivos)
+ *         downloads:
+ *           type: number
+ *           description: Cantidad de descargas de estudiantes
  */
 
 const VideoSchema = new mongoose.Schema(
@@ -101,10 +273,76 @@ const VideoSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Se requiere la clave S3 del video'],
     },
+    // Los videos subidos directamente a S3 quedan pendientes hasta confirmar la subida
+    status: {
+      type: String,
+      enum: ['pending_upload', 'ready'],
+      default: 'ready',
+    },
+    contentType: {
+      type: String,
+    },
+    fileSize: {
+      type: Number,
+    },
+    uploadExpiresAt: {
+      type: Date,
+    },
+    // Transcodificación a HLS; mientras no esté lista se reproduce el archivo original
+    processing: {
+      status: {
+        type: String,
+        enum: ['none', 'queued', 'processing', 'ready', 'failed'],
+        default: 'none',
+      },
+      error: String,
+      startedAt: Date,
+      completedAt: Date,
+    },
+    hlsKey: {
+      type: String,
+    },
+    renditions: [
+      {
+        name: String,
+        width: Number,
+        height: Number,
+        bandwidth: Number,
+        // Duración de cada segmento, para generar las listas con marca forense
+        segmentDurations: [Number],
+        _id: false,
+      },
+    ],
+    forensicWatermark: {
+      type: Boolean,
+      default: false,
+    },
     duration: {
       type: Number,
       default: 0,
     },
+    // Datos extraídos del archivo por el trabajo video:analyze
+    metadata: {
+      width: Number,
+      height: Number,
+      videoCodec: String,
+      audioCodec: String,
+      bitrate: Number,
+      frameRate: Number,
+      analyzedAt: Date,
+    },
+    posterKey: {
+      type: String,
+    },
+    previewSprite: {
+      key: String,
+      interval: Number,
+      columns: Number,
+      rows: Number,
+      width: Number,
+      height: Number,
+      count: Number,
+    },
     thumbnail: {
       type: String,
       default: 'default-video-thumbnail.jpg',
@@ -121,46 +359,90 @@ const VideoSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Subtítulos: una pista WebVTT por idioma
+    captions: [
+      {
+        language: {
+          type: String,
+          required: [true, 'Se requiere el idioma de los subtítulos'],
+          trim: true,
+        },
+        label: {
+          type: String,
+          required: [true, 'Se requiere el nombre de la pista de subtítulos'],
+          trim: true,
+          maxlength: [50, 'El nombre de la pista no puede tener más de 50 caracteres'],
+        },
+        isDefault: {
+          type: Boolean,
+          default: false,
+        },
+        key: {
+          type: String,
+          required: true,
+        },
+        cueCount: {
+          type: Number,
+          default: 0,
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Capítulos para navegar el video, ordenados por su inicio
+    chapters: [
+      {
+        title: {
+          type: String,
+          required: [true, 'Por favor ingrese un título para el capítulo'],
+          trim: true,
+          maxlength: [100, 'El título del capítulo no puede tener más de 100 caracteres'],
+        },
+        startTime: {
+          type: Number,
+          required: [true, 'Por favor ingrese el inicio del capítulo'],
+          min: [0, 'El inicio del capítulo no puede ser negativo'],
+        },
+      },
+    ],
+    // Recursos descargables; los archivos se guardan en el almacenamiento privado y se descargan
+    // con URL firmadas. Los recursos anteriores solo tienen un enlace externo (url)
     resources: [
       {
         title: {
           type: String,
           required: [true, 'Por favor ingrese un título para el recurso'],
           trim: true,
+          maxlength: [100, 'El título del recurso no puede tener más de 100 caracteres'],
         },
         type: {
           type: String,
           enum: ['pdf', 'doc', 'excel', 'ppt', 'image', 'other'],
           default: 'other',
         },
-        url: {
-          type: String,
-          required: [true, 'Se requiere la URL del recurso'],
+        url: String,
+        key: String,
+        fileName: String,
+        contentType: String,
+        size: Number,
+        downloads: {
+          type: Number,
+          default: 0,
         },
-      },
-    ],
-    // Historial de vistas para análisis
-    viewHistory: [
-      {
-        user: {
+        createdBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User',
-          required: true,
         },
-        date: {
+        createdAt: {
           type: Date,
           default: Date.now,
         },
-        progress: {
-          type: Number, // Porcentaje de visualización
-          default: 0,
-          min: 0,
-          max: 100,
-        },
-        completed: {
-          type: Boolean,
-          default: false,
-        },
       },
     ],
   },
@@ -169,59 +451,27 @@ const VideoSchema = new mongoose.Schema(
   }
 );
 
-// Middleware para actualizar contador de vistas
-VideoSchema.methods.incrementViews = async function (userId) {
-  // Incrementar contador general
-  this.views += 1;
+// Papelera: los videos eliminados se excluyen de las consultas
+VideoSchema.plugin(softDeletePlugin);
 
-  // Añadir o actualizar historial por usuario
-  const userViewIndex = this.viewHistory.findIndex(
-    (view) => view.user.toString() === userId.toString()
-  );
-
-  if (userViewIndex === -1) {
-    // Primera vista del usuario
-    this.viewHistory.push({
-      user: userId,
-      date: Date.now(),
-      progress: 0,
-      completed: false,
-    });
-  } else {
-    // Actualizar fecha de última vista
-    this.viewHistory[userViewIndex].date = Date.now();
-  }
-
-  await this.save();
+// Prefijo bajo el que se guardan los archivos derivados del original (HLS, portada, miniaturas)
+VideoSchema.methods.getMediaPrefix = function () {
+  return `${this.s3Key.replace(/\.[^/.]+$/, '')}/`;
 };
 
-// Actualizar progreso de visualización
-VideoSchema.methods.updateProgress = async function (userId, progress, completed = false) {
-  const userViewIndex = this.viewHistory.findIndex(
-    (view) => view.user.toString() === userId.toString()
-  );
-
-  if (userViewIndex === -1) {
-    // Si no existe en el historial, crear nuevo
-    this.viewHistory.push({
-      user: userId,
-      date: Date.now(),
-      progress,
-      completed,
-    });
-  } else {
-    // Actualizar progreso existente
-    this.viewHistory[userViewIndex].progress = progress;
-    this.viewHistory[userViewIndex].completed = completed;
-    this.viewHistory[userViewIndex].date = Date.now();
-  }
+// Registrar una vista: contador general y progreso del usuario
+// El progreso de cada estudiante se guarda en VideoProgress para no hacer crecer el video
+VideoSchema.methods.incrementViews = async function (userId) {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
+  this.views += 1;
 
-  await this.save();
+  return VideoProgress.recordView(userId, this);
 };
 
 // Índices para búsqueda eficiente
 VideoSchema.index({ course: 1, order: 1 });
 VideoSchema.index({ title: 'text', description: 'text' });
 VideoSchema.index({ isPublished: 1 });
+VideoSchema.index({ status: 1, uploadExpiresAt: 1 });
 
 module.exports = mongoose.model('Video', VideoSchema);
\ No newline at end of file
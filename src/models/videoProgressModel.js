@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { addIntervals, clampInterval, totalLength } = require('../utils/watchIntervals');
+
+// Fracción de la duración que debe verse para completar un video
+const COMPLETION_THRESHOLD = 0.9;
+
+// Velocidad máxima de reproducción que se admite al validar lo visto entre dos actualizaciones
+const MAX_PLAYBACK_RATE = 2;
+
+// Margen (segundos) para las demoras entre el reproductor y la API
+const PROGRESS_TOLERANCE_SECONDS = 15;
+
+// Segundos finales en los que ya no se ofrece retomar el video
+const RESUME_END_MARGIN = 10;
+
+// Reintentos cuando otra actualización del mismo progreso se guarda en paralelo
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VideoProgress:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: ID del estudiante
+ *         video:
+ *           type: string
+ *           description: ID del video
+ *         course:
+ *           type: string
+ *           description: ID del curso del video
+ *         position:
+ *           type: number
+ *           description: Última posición de reproducción en segundos
+ *         watchedSeconds:
+ *           type: number
+ *           description: Segundos distintos vistos
+ *         progress:
+ *           type: number
+ *           description: Porcentaje de la duración visto
+ *         completed:
+ *           type: boolean
+ *         views:
+ *           type: number
+ *           description: Veces que el estudiante abrió el video
+ *         lastWatchedAt:
+ *           type: string
+ *           format: date-time
+ */
+const VideoProgressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    // Se copia del video para calcular el progreso del curso sin leer sus videos
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    position: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    watchedSeconds: {
+      type: Number,
+      default: 0,
+    },
+    // Rangos vistos del video, unidos y sin superposiciones
+    watchedIntervals: [
+      {
+        start: Number,
+        end: Number,
+        _id: false,
+      },
+    ],
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+    firstWatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Última apertura o actualización; también limita lo que se acepta en la siguiente actualización
+    lastWatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Registrar que un estudiante abrió un video
+VideoProgressSchema.statics.recordView = function (userId, video) {
+  return this.findOneAndUpdate(
+    { user: userId, video: video._id },
+    {
+      $set: { course: video.course, lastWatchedAt: Date.now() },
+      $inc: { views: 1 },
+      $setOnInsert: { firstWatchedAt: Date.now() },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Actualizar el progreso a partir de la posición y los intervalos vistos
+// Lo nuevo que se acepta en cada actualización no puede superar el tiempo transcurrido desde la anterior,
+// de modo que el video solo se completa viéndolo. La escritura solo se aplica si nadie modificó el
+// progreso desde que se leyó; si no, se vuelve a calcular
+VideoProgressSchema.statics.recordProgress = async function (userId, video, { position, intervals = [] }) {
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt += 1) {
+    const current = await this.findOne({ user: userId, video: video._id }).lean();
+    const now = Date.now();
+    const lastWatchedAt = current ? current.lastWatchedAt : new Date(now);
+    const elapsedSeconds = Math.max(0, (now - lastWatchedAt.getTime()) / 1000);
+    const maxNewSeconds = (elapsedSeconds * MAX_PLAYBACK_RATE) + PROGRESS_TOLERANCE_SECONDS;
+
+    const watchedIntervals = addIntervals(
+      current ? current.watchedIntervals : [],
+      intervals.map(interval => clampInterval(interval, video.duration)),
+      maxNewSeconds
+    );
+    const watchedSeconds = Math.round(totalLength(watchedIntervals) * 10) / 10;
+    const update = {
+      course: video.course,
+      watchedIntervals,
+      watchedSeconds,
+      position: video.duration > 0 ? Math.min(position, video.duration) : position,
+      lastWatchedAt: now,
+    };
+
+    // Sin duración conocida no puede calcularse la cobertura
+    if (video.duration > 0) {
+      update.progress = Math.min(100, Math.round((watchedSeconds / video.duration) * 100));
+      update.completed = (current && current.completed) || watchedSeconds >= video.duration * COMPLETION_THRESHOLD;
+    }
+
+    try {
+      const saved = await this.findOneAndUpdate(
+        current
+          ? { _id: current._id, lastWatchedAt: current.lastWatchedAt }
+          : { user: userId, video: video._id },
+        current ? { $set: update } : { $set: update, $setOnInsert: { firstWatchedAt: now } },
+        { upsert: !current, new: true, setDefaultsOnInsert: true }
+      );
+
+      if (saved) {
+        return saved;
+      }
+    } catch (error) {
+      // Otra actualización creó el progreso al mismo tiempo (índice único)
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('No se pudo guardar el progreso por actualizaciones simultáneas');
+};
+
+// Obtener la posición desde la que retomar el video
+// Si se dejó en los últimos segundos, se vuelve a empezar
+VideoProgressSchema.methods.getResumePosition = function (duration) {
+  if (!this.position) {
+    return 0;
+  }
+
+  if (duration > 0 && this.position >= duration - RESUME_END_MARGIN) {
+    return 0;
+  }
+
+  return this.position;
+};
+
+// Índices para búsqueda eficiente
+VideoProgressSchema.index({ user: 1, video: 1 }, { unique: true });
+VideoProgressSchema.index({ user: 1, course: 1, completed: 1 });
+VideoProgressSchema.index({ video: 1 });
+
+module.exports = mongoose.model('VideoProgress', VideoProgressSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Watermark:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Código de la marca de agua (8 caracteres en base 32)
+ *           example: 7KQ2M9XD
+ *         visible:
+ *           type: boolean
+ *           description: Indica si debe dibujarse la marca visible sobre el reproductor
+ *         text:
+ *           type: string
+ *           description: Texto de la marca visible (nombre del estudiante, hash del correo y código)
+ *           example: Ana Pérez · 3f9a1c2b · 7KQ2M9XD
+ *         emailHash:
+ *           type: string
+ *           description: Primeros caracteres del SHA-256 del correo del estudiante
+ *         opacity:
+ *           type: number
+ *           example: 0.3
+ *         rotationSeconds:
+ *           type: number
+ *           description: Segundos entre cambios de posición
+ *         positions:
+ *           type: array
+ *           description: Posiciones de la marca, en porcentaje del ancho y alto del reproductor, a partir de cada segundo indicado
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: number
+ *               x:
+ *                 type: number
+ *               y:
+ *                 type: number
+ *         forensic:
+ *           type: boolean
+ *           description: Indica si la lista de reproducción incluye la marca forense de esta sesión
+ */
+
+/**
+ * Código de marca de agua asignado a un usuario para un video en una sesión
+ * Permite identificar el origen de una copia filtrada
+ */
+const WatermarkSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+    },
+    // Sesión (dispositivo) desde la que se reprodujo; null en tokens anteriores a las sesiones
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      default: null,
+    },
+    ip: String,
+    userAgent: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índices para búsqueda eficiente
+WatermarkSchema.index({ user: 1, video: 1, session: 1 });
+
+module.exports = mongoose.model('Watermark', WatermarkSchema);
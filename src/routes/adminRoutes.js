@@ -0,0 +1,70 @@
+const express = require('express');
+const {
+  getSettings,
+  updateSetting,
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUsers,
+  getUserById,
+  updateUserRole,
+  updateUserStatus,
+  updateUserPlan,
+  forcePasswordReset,
+  enrollUser,
+  unenrollUser,
+  unlockUser,
+  lookupWatermark,
+} = require('../controllers/adminController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const {
+  userRoleValidation,
+  roleValidation,
+  userStatusValidation,
+  userPlanValidation,
+  enrollmentValidation,
+  watermarkLookupValidation,
+} = require('../middleware/validationMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administración de la plataforma
+ */
+
+// Todas las rutas en este archivo requieren autenticación; cada una exige su permiso
+router.use(protect);
+
+// Rutas de ajustes de la plataforma
+router.get('/settings', requirePermission('setting:manage'), getSettings);
+router.put('/settings/:key', requirePermission('setting:manage'), updateSetting);
+
+// Rutas de roles y permisos
+router.get('/permissions', requirePermission('role:manage'), getPermissions);
+router.get('/roles', requirePermission('role:manage'), getRoles);
+router.post('/roles', requirePermission('role:manage'), roleValidation, createRole);
+router.put('/roles/:name', requirePermission('role:manage'), updateRole);
+router.delete('/roles/:name', requirePermission('role:manage'), deleteRole);
+
+// Rutas de gestión de usuarios
+router.get('/users', requirePermission('user:read'), getUsers);
+router.get('/users/:id', requirePermission('user:read'), getUserById);
+router.put('/users/:id/role', requirePermission('role:manage'), userRoleValidation, updateUserRole);
+router.put('/users/:id/status', requirePermission('user:update'), userStatusValidation, updateUserStatus);
+router.put('/users/:id/plan', requirePermission('user:update'), userPlanValidation, updateUserPlan);
+router.post('/users/:id/force-password-reset', requirePermission('user:update'), forcePasswordReset);
+router.post('/users/:id/unlock', requirePermission('user:unlock'), unlockUser);
+
+// Rutas de matrículas gestionadas por administradores
+router.post('/users/:id/enrollments', requirePermission('user:enroll'), enrollmentValidation, enrollUser);
+router.delete('/users/:id/enrollments/:courseId', requirePermission('user:enroll'), unenrollUser);
+
+// Identificación de copias filtradas
+router.get('/watermarks/lookup', requirePermission('watermark:lookup'), watermarkLookupValidation, lookupWatermark);
+
+module.exports = router;
@@ -3,9 +3,19 @@ const {
   register,
   login,
   refreshToken,
+  logout,
+  logoutAll,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 } = require('../controllers/authController');
+const { protect } = require('../middleware/authMiddleware');
 const { registerValidation, loginValidation } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
@@ -23,13 +33,32 @@ router.post('/register', registerValidation, register);
 // Ruta para inicio de sesión
 router.post('/login', loginValidation, login);
 
+// Ruta para completar el inicio de sesión con el segundo factor
+router.post('/login/2fa', loginTwoFactor);
+
 // Ruta para refrescar token
 router.post('/refresh-token', refreshToken);
 
+// Rutas para cerrar sesión (actual o en todos los dispositivos)
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
+
 // Ruta para solicitar restablecimiento de contraseña
 router.post('/forgot-password', forgotPassword);
 
 // Ruta para restablecer contraseña
 router.put('/reset-password/:resetToken', resetPassword);
 
+// Ruta para verificar el correo electrónico
+router.get('/verify-email/:token', verifyEmail);
+
+// Ruta para reenviar el correo de verificación
+router.post('/resend-verification', protect, resendVerification);
+
+// Rutas para configurar la autenticación en dos pasos
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
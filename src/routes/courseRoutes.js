@@ -8,10 +8,17 @@ const {
   addModule,
   updateModule,
   deleteModule,
+  getTrash,
+  restoreCourse,
+  restoreModule,
   addReview,
+  getCourseStaff,
+  addCourseStaffMember,
+  updateCourseStaffMember,
+  removeCourseStaffMember,
 } = require('../controllers/courseController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { courseValidation } = require('../middleware/validationMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { courseValidation, courseStaffValidation } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
@@ -28,18 +35,31 @@ router.get('/', getCourses);
 // Rutas que requieren autenticación
 router.use(protect);
 
+// Papelera de los cursos del equipo docente del usuario (antes de /:id)
+router.get('/trash', getTrash);
+
 // Ruta para obtener detalles de un curso (puede ser accedida por cualquier usuario autenticado)
 router.get('/:id', getCourseById);
 
-// Rutas para crear y administrar cursos (solo admin e instructor)
-router.post('/', authorize('admin', 'instructor'), courseValidation, createCourse);
-router.put('/:id', authorize('admin', 'instructor'), updateCourse);
-router.delete('/:id', authorize('admin', 'instructor'), deleteCourse);
+// Ruta para crear cursos (según los permisos del rol)
+router.post('/', requirePermission('course:create'), courseValidation, createCourse);
+
+// Rutas para administrar cursos (el servicio verifica el rol y el equipo docente)
+router.put('/:id', updateCourse);
+router.delete('/:id', deleteCourse);
+router.post('/:id/restore', restoreCourse);
 
 // Rutas para módulos
-router.post('/:id/modules', authorize('admin', 'instructor'), addModule);
-router.put('/:id/modules/:moduleId', authorize('admin', 'instructor'), updateModule);
-router.delete('/:id/modules/:moduleId', authorize('admin', 'instructor'), deleteModule);
+router.post('/:id/modules', addModule);
+router.put('/:id/modules/:moduleId', updateModule);
+router.delete('/:id/modules/:moduleId', deleteModule);
+router.post('/:id/modules/:moduleId/restore', restoreModule);
+
+// Rutas para el equipo docente
+router.get('/:id/staff', getCourseStaff);
+router.post('/:id/staff', courseStaffValidation, addCourseStaffMember);
+router.put('/:id/staff/:userId', updateCourseStaffMember);
+router.delete('/:id/staff/:userId', removeCourseStaffMember);
 
 // Ruta para agregar reseñas (cualquier usuario autenticado puede agregar reseñas)
 router.post('/:id/reviews', addReview);
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getFile,
+  uploadFile,
+  uploadPart,
+} = require('../controllers/storageController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Storage
+ *   description: Archivos del almacenamiento local servidos mediante URL firmadas
+ */
+
+// Rutas públicas: la firma HMAC de la URL reemplaza a la autenticación
+router.get('/files/*', getFile);
+router.put('/uploads/*', uploadFile);
+router.put('/parts/:uploadId/:partNumber', uploadPart);
+
+module.exports = router;
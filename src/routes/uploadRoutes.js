@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  initiateUpload,
+  getUploads,
+  getUpload,
+  getUploadPartUrls,
+  completeUpload,
+  abortUpload,
+} = require('../controllers/uploadController');
+const { protect } = require('../middleware/authMiddleware');
+const { videoUploadValidation } = require('../middleware/validationMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Uploads
+ *   description: Subidas reanudables de videos de gran tamaño
+ */
+
+// Todas las rutas en este archivo requieren autenticación
+router.use(protect);
+
+// Rutas de sesiones de subida (el servicio verifica los permisos sobre el curso)
+router.get('/', getUploads);
+router.post('/', videoUploadValidation, initiateUpload);
+router.get('/:id', getUpload);
+router.post('/:id/parts', getUploadPartUrls);
+router.post('/:id/complete', completeUpload);
+router.delete('/:id', abortUpload);
+
+module.exports = router;
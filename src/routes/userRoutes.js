@@ -6,8 +6,11 @@ const {
   getEnrolledCourses,
   enrollInCourse,
   updateCourseProgress,
+  getSessions,
+  deleteSession,
 } = require('../controllers/userController');
 const { protect } = require('../middleware/authMiddleware');
+const { progressValidation } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
@@ -32,6 +35,10 @@ router.put('/change-password', changePassword);
 // Rutas para cursos matriculados
 router.get('/enrolled-courses', getEnrolledCourses);
 router.post('/enroll/:courseId', enrollInCourse);
-router.post('/course-progress', updateCourseProgress);
+router.post('/course-progress', progressValidation, updateCourseProgress);
+
+// Rutas para sesiones activas y dispositivos
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', deleteSession);
 
 module.exports = router;
\ No newline at end of file
@@ -2,14 +2,47 @@ const express = require('express');
 const {
   getVideos,
   getVideoById,
+  getForensicPlaylist,
+  authorizeVideoPlayback,
+  sendPlaybackHeartbeat,
+  stopPlayback,
   createVideo,
   updateVideo,
   deleteVideo,
+  restoreVideo,
   updateVideoProgress,
   getVideoUploadUrl,
+  confirmVideoUpload,
+  transcodeVideo,
+  getVideoCaptions,
+  addVideoCaption,
+  updateVideoCaption,
+  deleteVideoCaption,
+  addVideoChapter,
+  importVideoChapters,
+  updateVideoChapter,
+  deleteVideoChapter,
+  addVideoResource,
+  updateVideoResource,
+  deleteVideoResource,
+  downloadVideoResource,
+  searchTranscripts,
 } = require('../controllers/videoController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { videoValidation } = require('../middleware/validationMiddleware');
+const { protect, requireStaffPermission } = require('../middleware/authMiddleware');
+const { acceptFile, discardFileOnError } = require('../middleware/uploadMiddleware');
+const { uploadVideo, uploadCaption, uploadChapters, uploadResource } = require('../config/storage');
+const {
+  videoValidation,
+  videoUploadValidation,
+  captionValidation,
+  captionUpdateValidation,
+  chapterValidation,
+  chapterUpdateValidation,
+  resourceValidation,
+  resourceUpdateValidation,
+  progressValidation,
+  transcriptSearchValidation,
+} = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
@@ -23,17 +56,55 @@ const router = express.Router();
 // Rutas públicas
 router.get('/course/:courseId', getVideos);
 
+// Listas con marca forense: los reproductores HLS no envían el token de acceso, llevan su propio token
+router.get('/:id/forensic/master.m3u8', getForensicPlaylist);
+router.get('/:id/forensic/:rendition/index.m3u8', getForensicPlaylist);
+
 // Rutas que requieren autenticación
 router.use(protect);
 
 // Rutas que cualquier usuario autenticado puede acceder
+router.get('/transcripts/search', transcriptSearchValidation, searchTranscripts);
 router.get('/:id', getVideoById);
-router.post('/:id/progress', updateVideoProgress);
+router.post('/:id/playback-authorization', authorizeVideoPlayback);
+router.get('/:id/resources/:resourceId/download', downloadVideoResource);
+router.post('/playback/:playbackId/heartbeat', sendPlaybackHeartbeat);
+router.delete('/playback/:playbackId', stopPlayback);
+router.post('/:id/progress', progressValidation, updateVideoProgress);
+
+// Rutas para administración de videos (el servicio verifica el rol y el equipo docente)
+// Antes de recibir un archivo se verifica que el usuario pueda gestionar videos en algún curso,
+// y si los datos no son válidos se elimina el archivo ya guardado
+router.post(
+  '/',
+  requireStaffPermission('video:create'),
+  acceptFile(uploadVideo, 'video'),
+  videoValidation,
+  discardFileOnError,
+  createVideo
+);
+router.put('/:id', updateVideo);
+router.delete('/:id', deleteVideo);
+router.post('/:id/restore', restoreVideo);
+router.post('/upload-url', videoUploadValidation, getVideoUploadUrl);
+router.post('/:id/confirm-upload', confirmVideoUpload);
+router.post('/:id/transcode', transcodeVideo);
+
+// Subtítulos (el servicio verifica los permisos sobre el curso)
+router.get('/:id/captions', getVideoCaptions);
+router.post('/:id/captions', requireStaffPermission('video:update'), acceptFile(uploadCaption, 'file'), captionValidation, addVideoCaption);
+router.put('/:id/captions/:captionId', requireStaffPermission('video:update'), acceptFile(uploadCaption, 'file'), captionUpdateValidation, updateVideoCaption);
+router.delete('/:id/captions/:captionId', deleteVideoCaption);
+
+// Capítulos (el servicio verifica los permisos sobre el curso)
+router.post('/:id/chapters', chapterValidation, addVideoChapter);
+router.post('/:id/chapters/import', requireStaffPermission('video:update'), acceptFile(uploadChapters, 'file'), importVideoChapters);
+router.put('/:id/chapters/:chapterId', chapterUpdateValidation, updateVideoChapter);
+router.delete('/:id/chapters/:chapterId', deleteVideoChapter);
 
-// Rutas para administración de videos (solo admin e instructor)
-router.post('/', authorize('admin', 'instructor'), videoValidation, createVideo);
-router.put('/:id', authorize('admin', 'instructor'), updateVideo);
-router.delete('/:id', authorize('admin', 'instructor'), deleteVideo);
-router.post('/upload-url', authorize('admin', 'instructor'), getVideoUploadUrl);
+// Recursos descargables (se guardan en el almacenamiento privado)
+router.post('/:id/resources', requireStaffPermission('video:update'), acceptFile(uploadResource, 'file'), resourceValidation, addVideoResource);
+router.put('/:id/resources/:resourceId', requireStaffPermission('video:update'), acceptFile(uploadResource, 'file'), resourceUpdateValidation, updateVideoResource);
+router.delete('/:id/resources/:resourceId', deleteVideoResource);
 
 module.exports = router;
\ No newline at end of file
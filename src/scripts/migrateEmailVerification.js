@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/userModel');
+const { logger } = require('../utils/logger');
+
+// Cargar variables de entorno
+require('dotenv').config();
+
+/**
+ * Marcar como verificado el correo de los usuarios registrados antes de la verificación por correo
+ * Se reconocen porque nunca recibieron un token de verificación: el registro siempre lo genera.
+ * No basta con buscar los que no tienen `isEmailVerified`, porque cualquier guardado posterior
+ * del usuario persiste el valor por defecto (`false`). La migración puede repetirse
+ * @returns {number} Cantidad de usuarios actualizados
+ */
+const migrateEmailVerification = async () => {
+  const result = await User.updateMany(
+    { isEmailVerified: { $ne: true }, emailVerificationToken: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Ejecutar la migración con `npm run migrate:email-verification`
+ */
+const run = async () => {
+  await connectDB();
+
+  try {
+    const users = await migrateEmailVerification();
+    logger.info(`Verificación de correo migrada: ${users} usuarios existentes marcados como verificados`);
+  } catch (error) {
+    logger.error(`Error al migrar la verificación de correo: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
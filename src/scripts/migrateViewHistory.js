@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Video = require('../models/videoModel');
+const VideoProgress = require('../models/videoProgressModel');
+const { logger } = require('../utils/logger');
+
+// Cargar variables de entorno
+require('dotenv').config();
+
+// Operaciones por escritura en lote
+const BATCH_SIZE = 500;
+
+/**
+ * Convertir una entrada de `viewHistory` en la operación que crea su progreso
+ * Si el progreso ya existe (migración repetida o actividad posterior) no se modifica
+ * @param {Object} video - Video con su historial
+ * @param {Object} entry - Entrada del historial
+ * @returns {Object} Operación para bulkWrite
+ */
+const toProgressOperation = (video, entry) => ({
+  updateOne: {
+    filter: { user: entry.user, video: video._id },
+    update: {
+      $setOnInsert: {
+        course: video.course,
+        position: entry.position || 0,
+        watchedSeconds: entry.watchedSeconds || 0,
+        watchedIntervals: entry.watchedIntervals || [],
+        progress: entry.progress || 0,
+        completed: Boolean(entry.completed),
+        views: 1,
+        firstWatchedAt: entry.date || new Date(),
+        lastWatchedAt: entry.date || new Date(),
+      },
+    },
+    upsert: true,
+  },
+});
+
+/**
+ * Copiar el historial de vistas embebido en los videos a la colección VideoProgress
+ * y quitarlo de los videos
+ * @returns {Object} Cantidad de videos y entradas migradas
+ */
+const migrateViewHistory = async () => {
+  // Se lee la colección directamente porque el esquema de Video ya no incluye `viewHistory`
+  const cursor = Video.collection.find(
+    { 'viewHistory.0': { $exists: true } },
+    { projection: { course: 1, viewHistory: 1 } }
+  );
+
+  let videos = 0;
+  let entries = 0;
+
+  for await (const video of cursor) {
+    const operations = video.viewHistory
+      .filter(entry => entry.user)
+      .map(entry => toProgressOperation(video, entry));
+
+    for (let index = 0; index < operations.length; index += BATCH_SIZE) {
+      await VideoProgress.bulkWrite(operations.slice(index, index + BATCH_SIZE), { ordered: false });
+    }
+
+    // El historial se quita después de copiarlo, así la migración puede repetirse si se interrumpe
+    await Video.collection.updateOne({ _id: video._id }, { $unset: { viewHistory: '' } });
+
+    videos += 1;
+    entries += operations.length;
+  }
+
+  return { videos, entries };
+};
+
+/**
+ * Ejecutar la migración con `npm run migrate:view-history`
+ */
+const run = async () => {
+  await connectDB();
+
+  try {
+    const { videos, entries } = await migrateViewHistory();
+    logger.info(`Historial de vistas migrado: ${entries} registros de ${videos} videos`);
+  } catch (error) {
+    logger.error(`Error al migrar el historial de vistas: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
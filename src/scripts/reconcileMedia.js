@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const mediaCleanupService = require('../services/mediaCleanupService');
+const { logger } = require('../utils/logger');
+
+// Cargar variables de entorno
+require('dotenv').config();
+
+/**
+ * Informar los archivos huérfanos con `npm run media:reconcile`
+ * Con `-- --delete` se eliminan además los que superan el período de gracia
+ */
+const run = async () => {
+  await connectDB();
+
+  try {
+    await mediaCleanupService.reconcile({ remove: process.argv.includes('--delete') });
+  } catch (error) {
+    logger.error(`Error al conciliar archivos: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
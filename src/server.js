@@ -1,6 +1,7 @@
 const app = require('./app');
 const http = require('http');
 const { logger } = require('./utils/logger');
+const { startUploadSweeper, stopUploadSweeper } = require('./jobs/uploadSweeper');
 
 // Cargar variables de entorno si no se ha hecho ya
 require('dotenv').config();
@@ -15,6 +16,7 @@ const server = http.createServer(app);
 process.on('unhandledRejection', (err) => {
   logger.error(`Error no manejado: ${err.message}`);
   // Cerrar el servidor y salir del proceso
+  stopUploadSweeper();
   server.close(() => process.exit(1));
 });
 
@@ -22,6 +24,11 @@ process.on('unhandledRejection', (err) => {
 server.listen(PORT, () => {
   logger.info(`Servidor ejecutándose en el puerto ${PORT} en modo ${process.env.NODE_ENV}`);
   logger.info(`Documentación de la API disponible en http://localhost:${PORT}/api-docs`);
+
+  // Tareas periódicas
+  if (process.env.NODE_ENV !== 'test') {
+    startUploadSweeper();
+  }
 });
 
 // Exportar el servidor para pruebas
@@ -0,0 +1,368 @@
+const User = require('../models/userModel');
+const Course = require('../models/courseModel');
+const bruteForceService = require('./bruteForceService');
+const tokenService = require('./tokenService');
+const roleService = require('./roleService');
+const permissionService = require('./permissionService');
+const emailService = require('./emailService');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+
+// Campos que nunca se devuelven en las consultas de administración
+const HIDDEN_FIELDS =
+  '-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire';
+
+// Validez del enlace de restablecimiento exigido por un administrador
+const FORCED_RESET_EXPIRE_HOURS = 24;
+
+/**
+ * Escapar caracteres especiales para usar un texto dentro de una expresión regular
+ * @param {string} value - Texto a escapar
+ * @returns {string} Texto escapado
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Servicio para operaciones de administración de usuarios
+ */
+class AdminService {
+  /**
+   * Buscar un usuario por ID o lanzar 404
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Documento del usuario
+   */
+  async findUser(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * Listar usuarios con paginación y filtros
+   * @param {Object} queryParams - page, limit, role, plan, status, course, verified, search
+   * @returns {Object} Usuarios y metadatos de paginación
+   */
+  async getUsers(queryParams) {
+    try {
+      const page = parseInt(queryParams.page, 10) || 1;
+      const limit = Math.min(parseInt(queryParams.limit, 10) || 20, 100);
+      const startIndex = (page - 1) * limit;
+
+      const query = {};
+
+      // Filtrar por rol
+      if (queryParams.role) {
+        query.role = queryParams.role;
+      }
+
+      // Filtrar por plan
+      if (queryParams.plan) {
+        query.plan = queryParams.plan;
+      }
+
+      // Filtrar por estado (active, inactive)
+      if (queryParams.status === 'active') {
+        query.isActive = true;
+      } else if (queryParams.status === 'inactive') {
+        query.isActive = false;
+      }
+
+      // Filtrar por verificación de correo
+      if (queryParams.verified !== undefined) {
+        query.isEmailVerified = queryParams.verified === 'true';
+      }
+
+      // Filtrar por matrícula en un curso (o por usuarios sin matrículas)
+      if (queryParams.course === 'none') {
+        query.enrolledCourses = { $size: 0 };
+      } else if (queryParams.course) {
+        query['enrolledCourses.course'] = queryParams.course;
+      }
+
+      // Buscar por nombre o correo
+      if (queryParams.search) {
+        const pattern = new RegExp(escapeRegex(queryParams.search), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }];
+      }
+
+      const total = await User.countDocuments(query);
+
+      const users = await User.find(query)
+        .sort({ createdAt: -1 })
+        .skip(startIndex)
+        .limit(limit)
+        .select('name email role plan isActive isEmailVerified twoFactorEnabled enrolledCourses.course createdAt');
+
+      const pagination = {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: page,
+        limit,
+      };
+
+      return {
+        users,
+        pagination,
+      };
+    } catch (error) {
+      logger.error(`Error al listar usuarios: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener el detalle de un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Usuario con sus matrículas
+   */
+  async getUserById(userId) {
+    try {
+      const user = await User.findById(userId)
+        .select(HIDDEN_FIELDS)
+        .populate({
+          path: 'enrolledCourses.course',
+          select: 'title level',
+        });
+
+      if (!user) {
+        throw new ErrorResponse('Usuario no encontrado', 404);
+      }
+
+      return user;
+    } catch (error) {
+      logger.error(`Error al obtener usuario: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambiar el rol de un usuario
+   * Quien lo cambia debe tener todos los permisos del rol actual y del nuevo
+   * @param {string} userId - ID del usuario
+   * @param {string} role - Nuevo rol
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {Object} Usuario actualizado
+   */
+  async updateUserRole(userId, role, adminId) {
+    try {
+      if (userId.toString() === adminId.toString()) {
+        throw new ErrorResponse('No puede cambiar su propio rol', 400);
+      }
+
+      if (!(await roleService.exists(role))) {
+        throw new ErrorResponse(`El rol '${role}' no existe`, 400);
+      }
+
+      const user = await this.findUser(userId);
+      const manager = await this.findUser(adminId);
+
+      await permissionService.authorizeGrant(
+        manager,
+        await permissionService.getRolePermissions(user.role),
+        'No puede cambiar el rol de un usuario con permisos que no tiene'
+      );
+      await permissionService.authorizeGrant(
+        manager,
+        await permissionService.getRolePermissions(role),
+        'No puede asignar un rol con permisos que no tiene'
+      );
+
+      user.role = role;
+      await user.save();
+
+      logger.info(`Rol de ${user.email} cambiado a '${role}' por el administrador ${adminId}`);
+
+      return this.getUserById(userId);
+    } catch (error) {
+      logger.error(`Error al cambiar rol de usuario: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambiar el plan de un usuario
+   * Las reproducciones que superen el límite del nuevo plan se cortan en su siguiente latido
+   * @param {string} userId - ID del usuario
+   * @param {string} plan - Nuevo plan
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {Object} Usuario actualizado
+   */
+  async updateUserPlan(userId, plan, adminId) {
+    try {
+      const user = await this.findUser(userId);
+
+      user.plan = plan;
+      await user.save();
+
+      logger.info(`Plan de ${user.email} cambiado a '${plan}' por el administrador ${adminId}`);
+
+      return this.getUserById(userId);
+    } catch (error) {
+      logger.error(`Error al cambiar plan de usuario: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Activar o desactivar un usuario
+   * Al desactivarlo se cierran todas sus sesiones
+   * @param {string} userId - ID del usuario
+   * @param {boolean} isActive - Nuevo estado
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {Object} Usuario actualizado
+   */
+  async updateUserStatus(userId, isActive, adminId) {
+    try {
+      if (userId.toString() === adminId.toString()) {
+        throw new ErrorResponse('No puede cambiar el estado de su propia cuenta', 400);
+      }
+
+      const user = await this.findUser(userId);
+
+      user.isActive = isActive;
+      await user.save();
+
+      if (!isActive) {
+        await tokenService.revokeAllForUser(user._id, 'user-deactivated');
+      }
+
+      logger.info(
+        `Usuario ${user.email} ${isActive ? 'activado' : 'desactivado'} por el administrador ${adminId}`
+      );
+
+      return this.getUserById(userId);
+    } catch (error) {
+      logger.error(`Error al cambiar estado de usuario: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Exigir a un usuario que restablezca su contraseña
+   * Cierra sus sesiones, bloquea el inicio de sesión y envía un enlace de restablecimiento
+   * @param {string} userId - ID del usuario
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {string} Mensaje de éxito
+   */
+  async forcePasswordReset(userId, adminId) {
+    try {
+      const user = await this.findUser(userId);
+
+      const resetToken = user.getResetPasswordToken(FORCED_RESET_EXPIRE_HOURS * 60);
+      user.passwordResetRequired = true;
+      await user.save({ validateBeforeSave: false });
+
+      await tokenService.revokeAllForUser(user._id, 'forced-password-reset');
+      await emailService.sendForcedPasswordResetEmail(user, resetToken, FORCED_RESET_EXPIRE_HOURS);
+
+      logger.info(`Restablecimiento de contraseña exigido a ${user.email} por el administrador ${adminId}`);
+
+      return 'Se exigió el restablecimiento de contraseña y se envió el correo al usuario';
+    } catch (error) {
+      logger.error(`Error al exigir restablecimiento de contraseña: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Matricular manualmente a un usuario en un curso
+   * No aplica las restricciones de publicación ni de correo verificado
+   * @param {string} userId - ID del usuario
+   * @param {string} courseId - ID del curso
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {Object} Usuario actualizado
+   */
+  async enrollUser(userId, courseId, adminId) {
+    try {
+      const course = await Course.findById(courseId);
+
+      if (!course) {
+        throw new ErrorResponse('Curso no encontrado', 404);
+      }
+
+      // Agregar la matrícula solo si no existe (operación atómica)
+      const user = await User.findOneAndUpdate(
+        { _id: userId, 'enrolledCourses.course': { $ne: courseId } },
+        {
+          $push: {
+            enrolledCourses: { course: courseId, progress: 0, dateEnrolled: Date.now() },
+          },
+        }
+      );
+
+      if (!user) {
+        await this.findUser(userId);
+        throw new ErrorResponse('El usuario ya está matriculado en este curso', 400);
+      }
+
+      await Course.updateOne({ _id: courseId }, { $inc: { enrollmentCount: 1 } });
+
+      logger.info(`Usuario ${user.email} matriculado en ${course.title} por el administrador ${adminId}`);
+
+      return this.getUserById(userId);
+    } catch (error) {
+      logger.error(`Error al matricular usuario: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Dar de baja a un usuario de un curso
+   * @param {string} userId - ID del usuario
+   * @param {string} courseId - ID del curso
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {Object} Usuario actualizado
+   */
+  async unenrollUser(userId, courseId, adminId) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: userId, 'enrolledCourses.course': courseId },
+        { $pull: { enrolledCourses: { course: courseId } } }
+      );
+
+      if (!user) {
+        await this.findUser(userId);
+        throw new ErrorResponse('El usuario no está matriculado en este curso', 400);
+      }
+
+      await Course.updateOne(
+        { _id: courseId, enrollmentCount: { $gt: 0 } },
+        { $inc: { enrollmentCount: -1 } }
+      );
+
+      logger.info(`Usuario ${user.email} dado de baja del curso ${courseId} por el administrador ${adminId}`);
+
+      return this.getUserById(userId);
+    } catch (error) {
+      logger.error(`Error al dar de baja al usuario: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Desbloquear una cuenta bloqueada por intentos fallidos
+   * @param {string} userId - ID del usuario a desbloquear
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {string} Mensaje de éxito
+   */
+  async unlockUser(userId, adminId) {
+    try {
+      const user = await this.findUser(userId);
+
+      await bruteForceService.unlockAccount(user.email);
+
+      logger.info(`Cuenta ${user.email} desbloqueada por el administrador ${adminId}`);
+
+      return 'Cuenta desbloqueada exitosamente';
+    } catch (error) {
+      logger.error(`Error al desbloquear usuario: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdminService();
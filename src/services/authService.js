@@ -1,6 +1,13 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const emailService = require('./emailService');
+const tokenService = require('./tokenService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const bruteForceService = require('./bruteForceService');
 const ErrorResponse = require('../utils/errorResponse');
 const { logger } = require('../utils/logger');
+const { isTwoFactorRequiredFor } = require('../config/policies');
 const crypto = require('crypto');
 
 /**
@@ -10,9 +17,10 @@ class AuthService {
   /**
    * Registrar un nuevo usuario
    * @param {Object} userData - Datos del usuario a registrar
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
    * @returns {Object} Usuario registrado y token
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     try {
       // Verificar si el email ya existe
       const existingUser = await User.findOne({ email: userData.email });
@@ -24,9 +32,15 @@ class AuthService {
       // Crear nuevo usuario
       const user = await User.create(userData);
 
-      // Generar tokens
-      const accessToken = user.getSignedJwtToken();
-      const refreshToken = user.getRefreshToken();
+      // Enviar correo de verificación (un fallo no impide el registro)
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (error) {
+        logger.error(`No se pudo enviar el correo de verificación a ${user.email}: ${error.message}`);
+      }
+
+      // Iniciar sesión y generar tokens
+      const { accessToken, refreshToken } = await tokenService.createSession(user, context);
 
       return {
         user: {
@@ -34,6 +48,7 @@ class AuthService {
           name: user.name,
           email: user.email,
           role: user.role,
+          isEmailVerified: user.isEmailVerified,
         },
         accessToken,
         refreshToken,
@@ -44,24 +59,105 @@ class AuthService {
     }
   }
 
+  /**
+   * Generar un token de verificación y enviarlo por correo
+   * @param {Object} user - Documento del usuario
+   * @returns {void}
+   */
+  async sendVerificationEmail(user) {
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const expiresInHours = Math.round((user.emailVerificationExpire - Date.now()) / 3600000);
+
+    await emailService.sendEmailVerificationEmail(user, verificationToken, expiresInHours);
+  }
+
+  /**
+   * Verificar el correo electrónico de un usuario
+   * @param {string} verificationToken - Token de verificación
+   * @returns {string} Mensaje de éxito
+   */
+  async verifyEmail(verificationToken) {
+    try {
+      // Hashear el token para comparar con el almacenado
+      const emailVerificationToken = crypto
+        .createHash('sha256')
+        .update(verificationToken)
+        .digest('hex');
+
+      // Buscar usuario con el token y que no haya expirado
+      const user = await User.findOne({
+        emailVerificationToken,
+        emailVerificationExpire: { $gt: Date.now() },
+      });
+
+      if (!user) {
+        throw new ErrorResponse('Token de verificación inválido o expirado', 400);
+      }
+
+      user.isEmailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return 'Correo electrónico verificado exitosamente';
+    } catch (error) {
+      logger.error(`Error al verificar correo electrónico: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reenviar el correo de verificación
+   * @param {string} userId - ID del usuario
+   * @returns {string} Mensaje de éxito
+   */
+  async resendVerificationEmail(userId) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user) {
+        throw new ErrorResponse('Usuario no encontrado', 404);
+      }
+
+      if (user.isEmailVerified) {
+        throw new ErrorResponse('El correo electrónico ya está verificado', 400);
+      }
+
+      await this.sendVerificationEmail(user);
+
+      return 'Se ha enviado un nuevo correo de verificación';
+    } catch (error) {
+      logger.error(`Error al reenviar verificación de correo: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Iniciar sesión de usuario
    * @param {string} email - Correo electrónico
    * @param {string} password - Contraseña
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
    * @returns {Object} Usuario autenticado y token
    */
-  async login(email, password) {
+  async login(email, password, context = {}) {
     try {
       // Verificar si se proporcionaron email y password
       if (!email || !password) {
         throw new ErrorResponse('Por favor proporcione correo y contraseña', 400);
       }
 
+      // Rechazar si la cuenta o la IP están bloqueadas o deben esperar
+      const identifiers = { email, ip: context.ip };
+      await bruteForceService.assertAllowed('login', identifiers);
+
       // Buscar usuario por email e incluir la contraseña para la verificación
       const user = await User.findOne({ email }).select('+password');
 
       // Verificar si el usuario existe
       if (!user) {
+        await this.registerFailedLogin(identifiers, null);
         throw new ErrorResponse('Credenciales inválidas', 401);
       }
 
@@ -74,23 +170,27 @@ class AuthService {
       const isMatch = await user.matchPassword(password);
       
       if (!isMatch) {
+        await this.registerFailedLogin(identifiers, user);
         throw new ErrorResponse('Credenciales inválidas', 401);
       }
 
-      // Generar tokens
-      const accessToken = user.getSignedJwtToken();
-      const refreshToken = user.getRefreshToken();
+      // Verificar si un administrador exigió restablecer la contraseña
+      if (user.passwordResetRequired) {
+        throw new ErrorResponse(
+          'Debe restablecer su contraseña; revise su correo electrónico para continuar',
+          403
+        );
+      }
 
-      return {
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-        },
-        accessToken,
-        refreshToken,
-      };
+      // Si tiene 2FA activa, solicitar el segundo factor antes de emitir tokens
+      if (user.twoFactorEnabled) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: this.createTwoFactorChallenge(user),
+        };
+      }
+
+      return await this.completeLogin(user, context);
     } catch (error) {
       logger.error(`Error en inicio de sesión: ${error.message}`);
       throw error;
@@ -98,74 +198,220 @@ class AuthService {
   }
 
   /**
-   * Refrescar token de acceso
-   * @param {string} refreshToken - Token de refresco
-   * @returns {Object} Nuevo token de acceso
+   * Registrar un intento de inicio de sesión fallido
+   * Si la cuenta queda bloqueada se notifica al usuario por correo
+   * @param {Object} identifiers - { email, ip }
+   * @param {Object} user - Usuario de la cuenta (null si no existe)
    */
-  async refreshToken(refreshToken) {
-    try {
-      if (!refreshToken) {
-        throw new ErrorResponse('No se proporcionó token de refresco', 400);
+  async registerFailedLogin(identifiers, user) {
+    const { accountLocked, lockoutMinutes } =
+      await bruteForceService.registerFailure('login', identifiers);
+
+    if (accountLocked && user) {
+      try {
+        await emailService.sendAccountLockedEmail(user, lockoutMinutes);
+      } catch (error) {
+        logger.error(`No se pudo notificar el bloqueo a ${user.email}: ${error.message}`);
       }
+    }
+  }
 
-      // Verificar el token de refresco
-      const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  /**
+   * Completar el inicio de sesión: aplicar el límite de sesiones y emitir tokens
+   * @param {Object} user - Documento del usuario autenticado
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
+   * @returns {Object} Usuario autenticado y tokens
+   */
+  async completeLogin(user, context) {
+    // El acceso se completó: reiniciar los fallos acumulados de la cuenta
+    await bruteForceService.reset('login', user.email);
 
-      // Buscar usuario por ID
-      const user = await User.findById(decoded.id);
+    // Aplicar el límite de sesiones simultáneas e iniciar una nueva sesión
+    await sessionService.enforceSessionLimit(user._id);
+    const { accessToken, refreshToken } = await tokenService.createSession(user, context);
 
-      if (!user) {
-        throw new ErrorResponse('No se encontró ningún usuario con este token', 404);
+    return {
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+      },
+      // Indicar al cliente que debe configurar 2FA para acceder a las rutas de su rol
+      twoFactorSetupRequired: !user.twoFactorEnabled && isTwoFactorRequiredFor(user),
+      accessToken,
+      refreshToken,
+    };
+  }
+
+  /**
+   * Crear el token de desafío para el segundo paso del inicio de sesión
+   * @param {Object} user - Documento del usuario
+   * @returns {string} Token de desafío (válido 5 minutos)
+   */
+  createTwoFactorChallenge(user) {
+    return jwt.sign({ id: user._id, type: '2fa-challenge' }, process.env.JWT_SECRET, {
+      expiresIn: '5m',
+    });
+  }
+
+  /**
+   * Completar el inicio de sesión con el segundo factor
+   * @param {string} challengeToken - Token de desafío devuelto por login
+   * @param {Object} verification - { code, recoveryCode }
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
+   * @returns {Object} Usuario autenticado y tokens
+   */
+  async verifyTwoFactorLogin(challengeToken, verification, context = {}) {
+    try {
+      if (!challengeToken) {
+        throw new ErrorResponse('No se proporcionó el token de desafío', 400);
       }
 
-      // Verificar si el usuario está activo
+      let decoded;
+      try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      } catch (error) {
+        throw new ErrorResponse('Desafío inválido o expirado, inicie sesión nuevamente', 401);
+      }
+
+      if (decoded.type !== '2fa-challenge') {
+        throw new ErrorResponse('Desafío inválido o expirado, inicie sesión nuevamente', 401);
+      }
+
+      const user = await twoFactorService.findUser(decoded.id);
+
       if (!user.isActive) {
         throw new ErrorResponse('Esta cuenta está desactivada, contacte al administrador', 403);
       }
 
-      // Generar nuevo token de acceso
-      const accessToken = user.getSignedJwtToken();
+      // Los códigos fallidos cuentan como intentos de inicio de sesión
+      const identifiers = { email: user.email, ip: context.ip };
+      await bruteForceService.assertAllowed('login', identifiers);
+
+      if (!user.twoFactorEnabled || !twoFactorService.verifySecondFactor(user, verification)) {
+        await this.registerFailedLogin(identifiers, user);
+        throw new ErrorResponse('Código de verificación inválido', 401);
+      }
+
+      // Persistir el paso usado o el código de recuperación consumido
+      await user.save({ validateBeforeSave: false });
+
+      return await this.completeLogin(user, context);
+    } catch (error) {
+      logger.error(`Error en verificación de 2FA: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Refrescar token de acceso rotando el token de refresco
+   * @param {string} refreshToken - Token de refresco
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
+   * @returns {Object} Nuevo token de acceso y nuevo token de refresco
+   */
+  async refreshToken(refreshToken, context = {}) {
+    try {
+      if (!refreshToken) {
+        throw new ErrorResponse('No se proporcionó token de refresco', 400);
+      }
+
+      const { accessToken, refreshToken: newRefreshToken } =
+        await tokenService.rotateRefreshToken(refreshToken, context);
 
       return {
         accessToken,
+        refreshToken: newRefreshToken,
       };
     } catch (error) {
       logger.error(`Error al refrescar token: ${error.message}`);
-      
-      if (error.name === 'TokenExpiredError') {
-        throw new ErrorResponse('Token de refresco expirado, inicie sesión nuevamente', 401);
-      }
-      
-      if (error.name === 'JsonWebTokenError') {
-        throw new ErrorResponse('Token de refresco inválido', 401);
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar la sesión asociada a un token de refresco
+   * @param {string} refreshToken - Token de refresco
+   * @returns {string} Mensaje de éxito
+   */
+  async logout(refreshToken) {
+    try {
+      if (!refreshToken) {
+        throw new ErrorResponse('No se proporcionó token de refresco', 400);
       }
-      
+
+      await tokenService.revokeRefreshToken(refreshToken);
+
+      return 'Sesión cerrada exitosamente';
+    } catch (error) {
+      logger.error(`Error al cerrar sesión: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar todas las sesiones de un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {string} Mensaje de éxito
+   */
+  async logoutAll(userId) {
+    try {
+      await tokenService.revokeAllForUser(userId);
+
+      return 'Todas las sesiones han sido cerradas';
+    } catch (error) {
+      logger.error(`Error al cerrar todas las sesiones: ${error.message}`);
       throw error;
     }
   }
 
   /**
    * Enviar email para restablecer contraseña
+   * La respuesta es la misma exista o no la cuenta, para evitar la enumeración
    * @param {string} email - Correo electrónico
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
    * @returns {string} Mensaje de éxito
    */
-  async forgotPassword(email) {
+  async forgotPassword(email, context = {}) {
+    const message =
+      'Si el correo está registrado, recibirá un mensaje con instrucciones para restablecer su contraseña';
+
     try {
+      if (!email) {
+        throw new ErrorResponse('Por favor proporcione un correo electrónico', 400);
+      }
+
+      // Cada solicitud cuenta como intento para limitar el envío masivo
+      const identifiers = { email, ip: context.ip };
+      await bruteForceService.assertAllowed('forgot-password', identifiers);
+      await bruteForceService.registerFailure('forgot-password', identifiers);
+
       const user = await User.findOne({ email });
 
       if (!user) {
-        throw new ErrorResponse('No hay ningún usuario con ese correo electrónico', 404);
+        return message;
       }
 
       // Generar token de restablecimiento
       const resetToken = user.getResetPasswordToken();
       await user.save({ validateBeforeSave: false });
 
-      // En una implementación real, aquí se enviaría un email con el token
-      // Para simplificar, solo devolvemos el token (esto sería reemplazado)
-      logger.info(`Token generado para reset de contraseña: ${resetToken}`);
+      const expiresInMinutes = Math.round((user.resetPasswordExpire - Date.now()) / 60000);
+
+      try {
+        await emailService.sendPasswordResetEmail(user, resetToken, expiresInMinutes);
+      } catch (error) {
+        // Invalidar el token si el correo no pudo enviarse
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
 
-      return 'Se ha enviado un correo electrónico con instrucciones para restablecer su contraseña';
+        throw error;
+      }
+
+      return message;
     } catch (error) {
       logger.error(`Error en recuperación de contraseña: ${error.message}`);
       throw error;
@@ -200,8 +446,15 @@ class AuthService {
       user.password = newPassword;
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
+      user.passwordResetRequired = false;
       await user.save();
 
+      // Invalidar las sesiones abiertas con la contraseña anterior
+      await tokenService.revokeAllForUser(user._id, 'password-reset');
+
+      // La nueva contraseña levanta los bloqueos por intentos fallidos
+      await bruteForceService.unlockAccount(user.email);
+
       return 'Contraseña restablecida exitosamente';
     } catch (error) {
       logger.error(`Error al restablecer contraseña: ${error.message}`);
@@ -0,0 +1,154 @@
+const AuthAttempt = require('../models/authAttemptModel');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+const { bruteForcePolicy } = require('../config/policies');
+
+/**
+ * Servicio de protección contra fuerza bruta
+ * Lleva contadores de fallos por cuenta y por IP para cada ámbito (login,
+ * forgot-password), exige esperas progresivas y bloquea temporalmente
+ */
+class BruteForceService {
+  /**
+   * Construir los identificadores de los contadores de una solicitud
+   * Los contadores con un máximo de 0 fallos están desactivados y no se construyen
+   * @param {string} scope - Ámbito (login, forgot-password)
+   * @param {Object} identifiers - { email, ip }
+   * @returns {Array<Object>} Contadores a consultar/actualizar
+   */
+  buildCounters(scope, { email, ip }) {
+    const { maxAccountFailures, maxIpFailures } = bruteForcePolicy();
+    const counters = [];
+
+    if (email && maxAccountFailures > 0) {
+      const value = String(email).trim().toLowerCase();
+      counters.push({ key: `${scope}:account:${value}`, scope, type: 'account', value, max: maxAccountFailures });
+    }
+
+    if (ip && maxIpFailures > 0) {
+      counters.push({ key: `${scope}:ip:${ip}`, scope, type: 'ip', value: ip, max: maxIpFailures });
+    }
+
+    return counters;
+  }
+
+  /**
+   * Calcular la espera exigida tras una cantidad de fallos
+   * @param {number} failures - Fallos acumulados
+   * @returns {number} Segundos de espera
+   */
+  getDelaySeconds(failures) {
+    const { delayAfterFailures, maxDelaySeconds } = bruteForcePolicy();
+
+    if (failures < delayAfterFailures) {
+      return 0;
+    }
+
+    return Math.min(2 ** (failures - delayAfterFailures), maxDelaySeconds);
+  }
+
+  /**
+   * Verificar que la solicitud no esté bloqueada ni dentro del período de espera
+   * @param {string} scope - Ámbito (login, forgot-password)
+   * @param {Object} identifiers - { email, ip }
+   */
+  async assertAllowed(scope, identifiers) {
+    const counters = this.buildCounters(scope, identifiers);
+    const attempts = await AuthAttempt.find({ key: { $in: counters.map(counter => counter.key) } });
+    const now = Date.now();
+
+    for (const attempt of attempts) {
+      if (attempt.lockedUntil && attempt.lockedUntil > now) {
+        const minutes = Math.ceil((attempt.lockedUntil - now) / 60000);
+        throw new ErrorResponse(
+          `Demasiados intentos fallidos. Intente de nuevo en ${minutes} minutos`,
+          429
+        );
+      }
+
+      const delaySeconds = this.getDelaySeconds(attempt.failures);
+
+      if (delaySeconds && attempt.lastAttemptAt) {
+        const waitMs = attempt.lastAttemptAt.getTime() + delaySeconds * 1000 - now;
+
+        if (waitMs > 0) {
+          throw new ErrorResponse(
+            `Demasiados intentos. Espere ${Math.ceil(waitMs / 1000)} segundos antes de reintentar`,
+            429
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Registrar un intento fallido (o un intento en ámbitos sin éxito posible)
+   * @param {string} scope - Ámbito (login, forgot-password)
+   * @param {Object} identifiers - { email, ip }
+   * @returns {Object} { accountLocked } indica si la cuenta quedó bloqueada con este intento
+   */
+  async registerFailure(scope, identifiers) {
+    const { lockoutMinutes } = bruteForcePolicy();
+    const counters = this.buildCounters(scope, identifiers);
+    const now = Date.now();
+    let accountLocked = false;
+
+    for (const counter of counters) {
+      const attempt = await AuthAttempt.findOneAndUpdate(
+        { key: counter.key },
+        {
+          $inc: { failures: 1 },
+          $set: {
+            lastAttemptAt: now,
+            // Los contadores se olvidan tras un día sin actividad
+            expiresAt: new Date(now + 24 * 60 * 60 * 1000),
+          },
+          $setOnInsert: { scope: counter.scope, type: counter.type, value: counter.value },
+        },
+        { new: true, upsert: true }
+      );
+
+      if (attempt.failures >= counter.max && !(attempt.lockedUntil > now)) {
+        // Bloquear y reiniciar el contador para el siguiente ciclo
+        attempt.lockedUntil = new Date(now + lockoutMinutes * 60 * 1000);
+        attempt.failures = 0;
+        await attempt.save();
+
+        logger.warn(`Bloqueo temporal por fuerza bruta: ${counter.key}`);
+
+        if (counter.type === 'account') {
+          accountLocked = true;
+        }
+      }
+    }
+
+    return { accountLocked, lockoutMinutes };
+  }
+
+  /**
+   * Reiniciar el contador de la cuenta tras un intento exitoso
+   * El contador por IP no se reinicia para no premiar el acierto de una cuenta
+   * @param {string} scope - Ámbito (login, forgot-password)
+   * @param {string} email - Correo de la cuenta
+   */
+  async reset(scope, email) {
+    const counters = this.buildCounters(scope, { email });
+    await AuthAttempt.deleteMany({ key: { $in: counters.map(counter => counter.key) } });
+  }
+
+  /**
+   * Desbloquear una cuenta en todos los ámbitos
+   * @param {string} email - Correo de la cuenta
+   * @returns {number} Contadores eliminados
+   */
+  async unlockAccount(email) {
+    const result = await AuthAttempt.deleteMany({
+      type: 'account',
+      value: String(email).trim().toLowerCase(),
+    });
+
+    return result.deletedCount;
+  }
+}
+
+module.exports = new BruteForceService();
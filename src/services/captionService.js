@@ -0,0 +1,290 @@
+const path = require('path');
+const Video = require('../models/videoModel');
+const Course = require('../models/courseModel');
+const User = require('../models/userModel');
+const permissionService = require('./permissionService');
+const transcriptService = require('./transcriptService');
+const ErrorResponse = require('../utils/errorResponse');
+const { storage } = require('../config/storage');
+const { parseVtt, srtToVtt, CaptionFormatError } = require('../utils/webvtt');
+const { logger } = require('../utils/logger');
+
+// Validez de las URL de los subtítulos (segundos), igual que la del video
+const CAPTION_URL_EXPIRES_IN = 3600;
+
+/**
+ * Servicio para gestionar las pistas de subtítulos de los videos
+ */
+class CaptionService {
+  /**
+   * Buscar un video y verificar un permiso sobre su curso
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario
+   * @param {string} permission - Permiso requerido
+   * @returns {Object} Video
+   */
+  async findVideoForCaptions(videoId, userId, permission) {
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+      throw new ErrorResponse('Video no encontrado', 404);
+    }
+
+    const course = await Course.findById(video.course);
+
+    if (!course) {
+      throw new ErrorResponse('Curso no encontrado', 404);
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+
+    await permissionService.authorize(user, permission, course, 'No autorizado para gestionar los subtítulos de este video');
+
+    return video;
+  }
+
+  /**
+   * Buscar una pista de subtítulos de un video
+   * @param {Object} video - Video
+   * @param {string} captionId - ID de la pista
+   * @returns {Object} Pista de subtítulos
+   */
+  findCaption(video, captionId) {
+    const caption = video.captions.id(captionId);
+
+    if (!caption) {
+      throw new ErrorResponse('Pista de subtítulos no encontrada', 404);
+    }
+
+    return caption;
+  }
+
+  /**
+   * Validar un archivo de subtítulos y convertirlo a WebVTT si es SRT
+   * @param {Object} file - Archivo recibido por multer
+   * @returns {Object} Contenido WebVTT, cues y cantidad de subtítulos
+   */
+  prepareCaptionFile(file) {
+    const text = file.buffer.toString('utf8');
+
+    try {
+      const isSrt = path.extname(file.originalname).toLowerCase() === '.srt';
+      const content = isSrt ? srtToVtt(text) : text;
+      const cues = parseVtt(content);
+
+      if (cues.length === 0) {
+        throw new CaptionFormatError(['el archivo no contiene subtítulos']);
+      }
+
+      return {
+        content,
+        cues,
+        cueCount: cues.length,
+      };
+    } catch (error) {
+      if (error instanceof CaptionFormatError) {
+        throw new ErrorResponse(error.message, 400);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Guardar el contenido WebVTT de una pista en el almacenamiento
+   * @param {Object} video - Video
+   * @param {string} language - Idioma de la pista
+   * @param {string} content - Contenido WebVTT
+   * @returns {string} Clave del archivo guardado
+   */
+  async storeCaptionFile(video, language, content) {
+    // Se guarda junto a los demás archivos derivados del video
+    const key = `${video.getMediaPrefix()}captions/${language}-${Date.now()}.vtt`;
+
+    await storage.put(key, Buffer.from(content, 'utf8'), 'text/vtt');
+
+    return key;
+  }
+
+  /**
+   * Marcar una pista como predeterminada y desmarcar las demás
+   * @param {Object} video - Video
+   * @param {Object} caption - Pista predeterminada
+   */
+  setDefault(video, caption) {
+    video.captions.forEach((track) => {
+      track.isDefault = track._id.equals(caption._id);
+    });
+  }
+
+  /**
+   * Agregar las URL firmadas a las pistas de un video
+   * La pista predeterminada va primero
+   * @param {Object} video - Video
+   * @returns {Array} Pistas con su URL
+   */
+  async getSignedCaptions(video) {
+    const tracks = await Promise.all(
+      video.captions.map(async caption => ({
+        _id: caption._id,
+        language: caption.language,
+        label: caption.label,
+        isDefault: caption.isDefault,
+        cueCount: caption.cueCount,
+        url: await storage.getSignedUrl(caption.key, CAPTION_URL_EXPIRES_IN),
+      }))
+    );
+
+    return tracks.sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+  }
+
+  /**
+   * Listar las pistas de subtítulos de un video
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Pistas con su URL
+   */
+  async getCaptions(videoId, userId) {
+    try {
+      const video = await this.findVideoForCaptions(videoId, userId, 'video:view');
+
+      return await this.getSignedCaptions(video);
+    } catch (error) {
+      logger.error(`Error al obtener subtítulos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Agregar una pista de subtítulos a un video
+   * @param {string} videoId - ID del video
+   * @param {Object} captionData - Idioma, nombre y si es la pista predeterminada
+   * @param {Object} file - Archivo WebVTT o SRT recibido por multer
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Pista creada
+   */
+  async addCaption(videoId, captionData, file, userId) {
+    try {
+      const video = await this.findVideoForCaptions(videoId, userId, 'video:update');
+
+      if (!file) {
+        throw new ErrorResponse('Por favor, suba un archivo de subtítulos', 400);
+      }
+
+      if (video.captions.some(caption => caption.language === captionData.language)) {
+        throw new ErrorResponse(`El video ya tiene subtítulos en el idioma ${captionData.language}`, 400);
+      }
+
+      const { content, cues, cueCount } = this.prepareCaptionFile(file);
+      const key = await this.storeCaptionFile(video, captionData.language, content);
+
+      video.captions.push({
+        language: captionData.language,
+        label: captionData.label,
+        key,
+        cueCount,
+        createdBy: userId,
+      });
+
+      const caption = video.captions[video.captions.length - 1];
+
+      // La primera pista queda como predeterminada
+      if (captionData.isDefault || video.captions.length === 1) {
+        this.setDefault(video, caption);
+      }
+
+      await video.save();
+      await transcriptService.indexCaption(video, caption, cues);
+
+      logger.info(`Subtítulos ${caption.language} agregados al video ${video._id} (${cueCount} cues)`);
+
+      return caption;
+    } catch (error) {
+      logger.error(`Error al agregar subtítulos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Modificar una pista de subtítulos (nombre, predeterminada o archivo)
+   * @param {string} videoId - ID del video
+   * @param {string} captionId - ID de la pista
+   * @param {Object} captionData - Nombre y si es la pista predeterminada
+   * @param {Object} file - Nuevo archivo WebVTT o SRT (opcional)
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Pista actualizada
+   */
+  async updateCaption(videoId, captionId, captionData, file, userId) {
+    try {
+      const video = await this.findVideoForCaptions(videoId, userId, 'video:update');
+      const caption = this.findCaption(video, captionId);
+      let previousKey = null;
+      let prepared = null;
+
+      if (file) {
+        prepared = this.prepareCaptionFile(file);
+        previousKey = caption.key;
+        caption.key = await this.storeCaptionFile(video, caption.language, prepared.content);
+        caption.cueCount = prepared.cueCount;
+      }
+
+      if (captionData.label !== undefined) {
+        caption.label = captionData.label;
+      }
+
+      if (captionData.isDefault === true) {
+        this.setDefault(video, caption);
+      } else if (captionData.isDefault === false) {
+        caption.isDefault = false;
+      }
+
+      await video.save();
+
+      if (prepared) {
+        await transcriptService.indexCaption(video, caption, prepared.cues);
+      }
+
+      // El archivo anterior se elimina una vez guardada la referencia al nuevo
+      if (previousKey) {
+        await storage.delete(previousKey);
+      }
+
+      return caption;
+    } catch (error) {
+      logger.error(`Error al actualizar subtítulos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una pista de subtítulos
+   * @param {string} videoId - ID del video
+   * @param {string} captionId - ID de la pista
+   * @param {string} userId - ID del usuario
+   * @returns {boolean} Éxito de la operación
+   */
+  async deleteCaption(videoId, captionId, userId) {
+    try {
+      const video = await this.findVideoForCaptions(videoId, userId, 'video:update');
+      const caption = this.findCaption(video, captionId);
+      const { key } = caption;
+
+      video.captions.pull(caption._id);
+      await video.save();
+
+      await transcriptService.removeCaption(video, caption._id);
+      await storage.delete(key);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error al eliminar subtítulos: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CaptionService();
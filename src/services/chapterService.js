@@ -0,0 +1,245 @@
+const Video = require('../models/videoModel');
+const Course = require('../models/courseModel');
+const User = require('../models/userModel');
+const permissionService = require('./permissionService');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseVtt, toPlainText, formatTimestamp, CaptionFormatError } = require('../utils/webvtt');
+const { logger } = require('../utils/logger');
+
+/**
+ * Servicio para gestionar los capítulos de los videos
+ */
+class ChapterService {
+  /**
+   * Buscar un video y verificar que el usuario pueda modificarlo
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Video
+   */
+  async findVideoForChapters(videoId, userId) {
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+      throw new ErrorResponse('Video no encontrado', 404);
+    }
+
+    const course = await Course.findById(video.course);
+
+    if (!course) {
+      throw new ErrorResponse('Curso no encontrado', 404);
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+
+    await permissionService.authorize(user, 'video:update', course, 'No autorizado para gestionar los capítulos de este video');
+
+    return video;
+  }
+
+  /**
+   * Buscar un capítulo de un video
+   * @param {Object} video - Video
+   * @param {string} chapterId - ID del capítulo
+   * @returns {Object} Capítulo
+   */
+  findChapter(video, chapterId) {
+    const chapter = video.chapters.id(chapterId);
+
+    if (!chapter) {
+      throw new ErrorResponse('Capítulo no encontrado', 404);
+    }
+
+    return chapter;
+  }
+
+  /**
+   * Verificar el inicio de un capítulo
+   * Debe estar dentro de la duración del video (si ya se conoce) y no coincidir con otro capítulo
+   * @param {Object} video - Video
+   * @param {number} startTime - Inicio en segundos
+   * @param {Array<Object>} chapters - Capítulos con los que se compara
+   * @returns {string|null} Motivo del error, o null si es válido
+   */
+  checkStartTime(video, startTime, chapters) {
+    if (video.duration && startTime >= video.duration) {
+      return `el inicio (${formatTimestamp(startTime)}) debe ser anterior al final del video (${formatTimestamp(video.duration)})`;
+    }
+
+    if (chapters.some(chapter => chapter.startTime === startTime)) {
+      return `ya existe un capítulo que comienza en ${formatTimestamp(startTime)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Ordenar los capítulos de un video por su inicio
+   * @param {Object} video - Video
+   */
+  sortChapters(video) {
+    video.chapters.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Agregar un capítulo a un video
+   * @param {string} videoId - ID del video
+   * @param {Object} chapterData - Título e inicio en segundos
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Capítulos del video
+   */
+  async addChapter(videoId, chapterData, userId) {
+    try {
+      const video = await this.findVideoForChapters(videoId, userId);
+      const error = this.checkStartTime(video, chapterData.startTime, video.chapters);
+
+      if (error) {
+        throw new ErrorResponse(`Capítulo inválido: ${error}`, 400);
+      }
+
+      video.chapters.push({
+        title: chapterData.title,
+        startTime: chapterData.startTime,
+      });
+      this.sortChapters(video);
+
+      await video.save();
+
+      return video.chapters;
+    } catch (error) {
+      logger.error(`Error al agregar capítulo: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Modificar el título o el inicio de un capítulo
+   * @param {string} videoId - ID del video
+   * @param {string} chapterId - ID del capítulo
+   * @param {Object} chapterData - Título e inicio en segundos (opcionales)
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Capítulos del video
+   */
+  async updateChapter(videoId, chapterId, chapterData, userId) {
+    try {
+      const video = await this.findVideoForChapters(videoId, userId);
+      const chapter = this.findChapter(video, chapterId);
+
+      if (chapterData.startTime !== undefined) {
+        const others = video.chapters.filter(other => !other._id.equals(chapter._id));
+        const error = this.checkStartTime(video, chapterData.startTime, others);
+
+        if (error) {
+          throw new ErrorResponse(`Capítulo inválido: ${error}`, 400);
+        }
+
+        chapter.startTime = chapterData.startTime;
+      }
+
+      if (chapterData.title !== undefined) {
+        chapter.title = chapterData.title;
+      }
+
+      this.sortChapters(video);
+
+      await video.save();
+
+      return video.chapters;
+    } catch (error) {
+      logger.error(`Error al actualizar capítulo: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un capítulo
+   * @param {string} videoId - ID del video
+   * @param {string} chapterId - ID del capítulo
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Capítulos restantes
+   */
+  async deleteChapter(videoId, chapterId, userId) {
+    try {
+      const video = await this.findVideoForChapters(videoId, userId);
+      const chapter = this.findChapter(video, chapterId);
+
+      video.chapters.pull(chapter._id);
+      await video.save();
+
+      return video.chapters;
+    } catch (error) {
+      logger.error(`Error al eliminar capítulo: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplazar los capítulos de un video por los de un archivo WebVTT de capítulos
+   * Cada cue es un capítulo: su inicio marca el comienzo y su texto es el título
+   * @param {string} videoId - ID del video
+   * @param {Object} file - Archivo WebVTT recibido por multer
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Capítulos importados
+   */
+  async importChapters(videoId, file, userId) {
+    try {
+      const video = await this.findVideoForChapters(videoId, userId);
+
+      if (!file) {
+        throw new ErrorResponse('Por favor, suba un archivo de capítulos', 400);
+      }
+
+      let cues;
+
+      try {
+        cues = parseVtt(file.buffer.toString('utf8'));
+      } catch (error) {
+        if (error instanceof CaptionFormatError) {
+          throw new ErrorResponse(error.message, 400);
+        }
+
+        throw error;
+      }
+
+      if (cues.length === 0) {
+        throw new ErrorResponse('El archivo no contiene capítulos', 400);
+      }
+
+      const chapters = [];
+      const errors = [];
+
+      cues.forEach((cue, index) => {
+        const title = toPlainText(cue.text);
+        const error = title
+          ? this.checkStartTime(video, cue.start, chapters)
+          : 'el capítulo no tiene título';
+
+        if (error) {
+          errors.push(`capítulo ${index + 1}: ${error}`);
+          return;
+        }
+
+        chapters.push({ title: title.slice(0, 100), startTime: cue.start });
+      });
+
+      if (errors.length > 0) {
+        throw new ErrorResponse(`Archivo de capítulos inválido: ${errors.join('; ')}`, 400);
+      }
+
+      video.chapters = chapters;
+      await video.save();
+
+      logger.info(`${chapters.length} capítulos importados en el video ${video._id}`);
+
+      return video.chapters;
+    } catch (error) {
+      logger.error(`Error al importar capítulos: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ChapterService();
@@ -1,9 +1,21 @@
 const Course = require('../models/courseModel');
 const Video = require('../models/videoModel');
 const User = require('../models/userModel');
+const permissionService = require('./permissionService');
+const emailService = require('./emailService');
 const ErrorResponse = require('../utils/errorResponse');
 const { logger } = require('../utils/logger');
 
+// Roles del equipo docente que pueden asignarse por invitación (el propietario es único)
+const ASSIGNABLE_STAFF_ROLES = ['co-instructor', 'assistant'];
+
+// Campos que solo se modifican mediante las operaciones del equipo docente
+// o que se calculan a partir de los videos del curso
+const PROTECTED_COURSE_FIELDS = ['instructor', 'staff', 'transcriptText', 'deletedAt', 'deletedBy'];
+
+// Campos de los módulos que solo cambian al enviarlos a la papelera o restaurarlos
+const PROTECTED_MODULE_FIELDS = ['deletedAt', 'deletedBy'];
+
 /**
  * Servicio para manejar operaciones relacionadas con cursos
  */
@@ -37,6 +49,7 @@ class CourseService {
       
       // Ejecutar la consulta con paginación y populate
       const courses = await Course.find(query)
+        .sort(queryParams.search ? { score: { $meta: 'textScore' } } : {}) // Los más relevantes primero
         .skip(startIndex)
         .limit(limit)
         .populate({ path: 'instructor', select: 'name' })
@@ -109,6 +122,7 @@ class CourseService {
       // Incluir datos de matrícula si corresponde
       return {
         ...course.toObject(),
+        modules: course.getActiveModules(),
         isEnrolled,
         progress: isEnrolled ? progress : null,
       };
@@ -126,20 +140,22 @@ class CourseService {
    */
   async createCourse(courseData, instructorId) {
     try {
-      // Verificar que el instructor exista y tenga el rol adecuado
-      const instructor = await User.findOne({
-        _id: instructorId,
-        role: { $in: ['instructor', 'admin'] },
-      });
+      // Verificar que el instructor exista y pueda crear cursos
+      const instructor = await User.findById(instructorId);
       
       if (!instructor) {
-        throw new ErrorResponse('Instructor no encontrado o no autorizado', 404);
+        throw new ErrorResponse('Instructor no encontrado', 404);
       }
       
-      // Crear el curso con el instructor asignado
+      await permissionService.authorize(instructor, 'course:create', null, 'No autorizado para crear cursos');
+      
+      // Crear el curso con el instructor asignado como propietario (nunca en la papelera)
       const course = await Course.create({
         ...courseData,
+        deletedAt: null,
+        deletedBy: undefined,
         instructor: instructorId,
+        staff: [{ user: instructorId, role: 'owner', addedBy: instructorId }],
       });
       
       return course;
@@ -165,16 +181,17 @@ class CourseService {
         throw new ErrorResponse('Curso no encontrado', 404);
       }
       
-      // Verificar permisos (solo el instructor del curso o un admin pueden actualizar)
+      // Verificar permisos sobre el curso
       const user = await User.findById(userId);
       
       if (!user) {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
       
-      if (user.role !== 'admin' && course.instructor.toString() !== userId) {
-        throw new ErrorResponse('No autorizado para actualizar este curso', 403);
-      }
+      await permissionService.authorize(user, 'course:update', course, 'No autorizado para actualizar este curso');
+      
+      // El propietario, el equipo docente, el texto de las transcripciones y la papelera se gestionan aparte
+      PROTECTED_COURSE_FIELDS.forEach(field => delete updateData[field]);
       
       // Actualizar el curso
       const updatedCourse = await Course.findByIdAndUpdate(
@@ -194,7 +211,8 @@ class CourseService {
   }
 
   /**
-   * Eliminar un curso
+   * Enviar un curso a la papelera junto con sus videos
+   * Se elimina definitivamente, con sus archivos, al vencer el período de retención de la papelera
    * @param {string} courseId - ID del curso
    * @param {string} userId - ID del usuario (para verificar permisos)
    * @returns {boolean} Éxito de la operación
@@ -208,16 +226,14 @@ class CourseService {
         throw new ErrorResponse('Curso no encontrado', 404);
       }
       
-      // Verificar permisos (solo el instructor del curso o un admin pueden eliminar)
+      // Verificar permisos sobre el curso
       const user = await User.findById(userId);
       
       if (!user) {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
       
-      if (user.role !== 'admin' && course.instructor.toString() !== userId) {
-        throw new ErrorResponse('No autorizado para eliminar este curso', 403);
-      }
+      await permissionService.authorize(user, 'course:delete', course, 'No autorizado para eliminar este curso');
       
       // Verificar si hay estudiantes matriculados
       const enrolledUsers = await User.countDocuments({
@@ -231,17 +247,12 @@ class CourseService {
         );
       }
       
-      // Eliminar todos los videos asociados al curso
-      const videos = await Video.find({ course: courseId });
+      // Los videos activos comparten la fecha de eliminación del curso para restaurarse con él;
+      // los que ya estaban en la papelera conservan la suya
+      const deletedAt = new Date();
       
-      // Aquí se podría incluir lógica para eliminar los videos de S3
-      // utilizando el servicio AWS para cada video.s3Key
-      
-      // Eliminar videos de la base de datos
-      await Video.deleteMany({ course: courseId });
-      
-      // Eliminar el curso
-      await Course.findByIdAndDelete(courseId);
+      await Video.updateMany({ course: course._id }, { deletedAt, deletedBy: user._id });
+      await course.softDelete(user._id, deletedAt);
       
       return true;
     } catch (error) {
@@ -250,6 +261,21 @@ class CourseService {
     }
   }
 
+  /**
+   * Verificar que el usuario pueda modificar el curso (incluidos sus módulos)
+   * @param {Object} course - Curso
+   * @param {string} userId - ID del usuario
+   */
+  async authorizeCourseUpdate(course, userId) {
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+    
+    await permissionService.authorize(user, 'course:update', course, 'No autorizado para modificar este curso');
+  }
+
   /**
    * Agregar un módulo al curso
    * @param {string} courseId - ID del curso
@@ -265,11 +291,10 @@ class CourseService {
         throw new ErrorResponse('Curso no encontrado', 404);
       }
       
-      // Verificar permisos
-      if (course.instructor.toString() !== userId && 
-          !(await User.findOne({ _id: userId, role: 'admin' }))) {
-        throw new ErrorResponse('No autorizado para modificar este curso', 403);
-      }
+      // Verificar permisos sobre el curso
+      await this.authorizeCourseUpdate(course, userId);
+      
+      PROTECTED_MODULE_FIELDS.forEach(field => delete moduleData[field]);
       
       // Determinar orden automático si no se proporciona
       if (!moduleData.order) {
@@ -305,24 +330,21 @@ class CourseService {
         throw new ErrorResponse('Curso no encontrado', 404);
       }
       
-      // Verificar permisos
-      if (course.instructor.toString() !== userId && 
-          !(await User.findOne({ _id: userId, role: 'admin' }))) {
-        throw new ErrorResponse('No autorizado para modificar este curso', 403);
-      }
+      // Verificar permisos sobre el curso
+      await this.authorizeCourseUpdate(course, userId);
       
-      // Encontrar el módulo
-      const moduleIndex = course.modules.findIndex(
-        module => module._id.toString() === moduleId
-      );
+      // Encontrar el módulo (los de la papelera no se modifican)
+      const module = course.getModule(moduleId);
       
-      if (moduleIndex === -1) {
+      if (!module) {
         throw new ErrorResponse('Módulo no encontrado', 404);
       }
       
+      PROTECTED_MODULE_FIELDS.forEach(field => delete updateData[field]);
+      
       // Actualizar campos del módulo
       Object.keys(updateData).forEach(key => {
-        course.modules[moduleIndex][key] = updateData[key];
+        module[key] = updateData[key];
       });
       
       await course.save();
@@ -335,7 +357,7 @@ class CourseService {
   }
 
   /**
-   * Eliminar un módulo del curso
+   * Enviar un módulo del curso a la papelera
    * @param {string} courseId - ID del curso
    * @param {string} moduleId - ID del módulo
    * @param {string} userId - ID del usuario (para verificar permisos)
@@ -349,13 +371,18 @@ class CourseService {
         throw new ErrorResponse('Curso no encontrado', 404);
       }
       
-      // Verificar permisos
-      if (course.instructor.toString() !== userId && 
-          !(await User.findOne({ _id: userId, role: 'admin' }))) {
-        throw new ErrorResponse('No autorizado para modificar este curso', 403);
+      // Verificar permisos sobre el curso
+      await this.authorizeCourseUpdate(course, userId);
+      
+      const module = course.getModule(moduleId);
+      
+      if (!module) {
+        throw new ErrorResponse('Módulo no encontrado', 404);
       }
       
       // Verificar si hay videos asociados al módulo
+      // Los de la papelera no lo impiden: si el módulo se elimina definitivamente antes que ellos,
+      // pierden el módulo y se pueden restaurar en el curso
       const hasVideos = await Video.exists({ course: courseId, module: moduleId });
       
       if (hasVideos) {
@@ -365,10 +392,9 @@ class CourseService {
         );
       }
       
-      // Filtrar el módulo a eliminar
-      course.modules = course.modules.filter(
-        module => module._id.toString() !== moduleId
-      );
+      // El módulo se conserva en la papelera hasta que vence su período de retención
+      module.deletedAt = new Date();
+      module.deletedBy = userId;
       
       await course.save();
       
@@ -379,6 +405,208 @@ class CourseService {
     }
   }
 
+  /**
+   * Buscar un curso y verificar que el usuario pueda gestionar su equipo docente
+   * @param {string} courseId - ID del curso
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Curso y usuario
+   */
+  async findCourseForStaffManagement(courseId, userId) {
+    const course = await Course.findById(courseId);
+    
+    if (!course) {
+      throw new ErrorResponse('Curso no encontrado', 404);
+    }
+    
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+    
+    await permissionService.authorize(
+      user,
+      'course:staff',
+      course,
+      'No autorizado para gestionar el equipo docente de este curso'
+    );
+    
+    return { course, user };
+  }
+
+  /**
+   * Asegurar que el propietario figure en el equipo docente
+   * Los cursos creados antes del equipo docente solo tienen `instructor`
+   * @param {Object} course - Curso
+   */
+  ensureOwnerInStaff(course) {
+    const hasOwner = course.staff.some(member => member.role === 'owner');
+    
+    if (!hasOwner) {
+      course.staff.unshift({ user: course.instructor, role: 'owner', addedBy: course.instructor });
+    }
+  }
+
+  /**
+   * Obtener el equipo docente de un curso
+   * @param {string} courseId - ID del curso
+   * @param {string} userId - ID del usuario que consulta
+   * @returns {Array} Miembros del equipo con su rol
+   */
+  async getStaff(courseId, userId) {
+    try {
+      const course = await Course.findById(courseId);
+      
+      if (!course) {
+        throw new ErrorResponse('Curso no encontrado', 404);
+      }
+      
+      // Pueden consultarlo los miembros del equipo y quien gestiona cualquier equipo docente
+      const user = await User.findById(userId);
+      
+      if (!course.getStaffRole(userId) && !(await permissionService.hasPermission(user, 'course:staff'))) {
+        throw new ErrorResponse('No autorizado para ver el equipo docente de este curso', 403);
+      }
+      
+      this.ensureOwnerInStaff(course);
+      await course.populate({ path: 'staff.user', select: 'name email profileImage' });
+      
+      return course.staff;
+    } catch (error) {
+      logger.error(`Error al obtener equipo docente: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Agregar un miembro al equipo docente del curso
+   * @param {string} courseId - ID del curso
+   * @param {string} email - Correo del usuario a agregar
+   * @param {string} role - Rol en el curso (co-instructor, assistant)
+   * @param {string} userId - ID del usuario que realiza la invitación
+   * @returns {Array} Equipo docente actualizado
+   */
+  async addStaffMember(courseId, email, role, userId) {
+    try {
+      if (!ASSIGNABLE_STAFF_ROLES.includes(role)) {
+        throw new ErrorResponse('El rol debe ser: co-instructor o assistant', 400);
+      }
+      
+      const { course, user } = await this.findCourseForStaffManagement(courseId, userId);
+      
+      const member = await User.findOne({ email: String(email).trim().toLowerCase() });
+      
+      if (!member || !member.isActive) {
+        throw new ErrorResponse('No existe un usuario activo con ese correo', 404);
+      }
+      
+      if (course.getStaffRole(member._id)) {
+        throw new ErrorResponse('El usuario ya forma parte del equipo docente', 400);
+      }
+      
+      this.ensureOwnerInStaff(course);
+      course.staff.push({ user: member._id, role, addedBy: userId });
+      await course.save();
+      
+      logger.info(`Usuario ${member.email} agregado como ${role} al curso ${course.title}`);
+      
+      // La notificación no es imprescindible: un fallo no deshace la incorporación
+      try {
+        await emailService.sendCourseStaffAddedEmail(member, course, role, user);
+      } catch (error) {
+        logger.warn(`No se pudo notificar a ${member.email} su incorporación al curso: ${error.message}`);
+      }
+      
+      return this.getStaff(courseId, userId);
+    } catch (error) {
+      logger.error(`Error al agregar miembro al equipo docente: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambiar el rol de un miembro del equipo docente
+   * @param {string} courseId - ID del curso
+   * @param {string} memberId - ID del miembro
+   * @param {string} role - Nuevo rol en el curso (co-instructor, assistant)
+   * @param {string} userId - ID del usuario que realiza el cambio
+   * @returns {Array} Equipo docente actualizado
+   */
+  async updateStaffMember(courseId, memberId, role, userId) {
+    try {
+      if (!ASSIGNABLE_STAFF_ROLES.includes(role)) {
+        throw new ErrorResponse('El rol debe ser: co-instructor o assistant', 400);
+      }
+      
+      const { course } = await this.findCourseForStaffManagement(courseId, userId);
+      const currentRole = course.getStaffRole(memberId);
+      
+      if (!currentRole) {
+        throw new ErrorResponse('El usuario no forma parte del equipo docente', 404);
+      }
+      
+      if (currentRole === 'owner') {
+        throw new ErrorResponse('No se puede cambiar el rol del propietario del curso', 400);
+      }
+      
+      const member = course.staff.find(staffMember => staffMember.user.toString() === memberId.toString());
+      member.role = role;
+      await course.save();
+      
+      return this.getStaff(courseId, userId);
+    } catch (error) {
+      logger.error(`Error al modificar miembro del equipo docente: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Quitar a un miembro del equipo docente
+   * Los miembros pueden abandonar el equipo por sí mismos
+   * @param {string} courseId - ID del curso
+   * @param {string} memberId - ID del miembro
+   * @param {string} userId - ID del usuario que realiza la acción
+   * @returns {boolean} Éxito de la operación
+   */
+  async removeStaffMember(courseId, memberId, userId) {
+    try {
+      const isSelf = memberId.toString() === userId.toString();
+      let course;
+      
+      if (isSelf) {
+        course = await Course.findById(courseId);
+        
+        if (!course) {
+          throw new ErrorResponse('Curso no encontrado', 404);
+        }
+      } else {
+        ({ course } = await this.findCourseForStaffManagement(courseId, userId));
+      }
+      
+      const currentRole = course.getStaffRole(memberId);
+      
+      if (!currentRole) {
+        throw new ErrorResponse('El usuario no forma parte del equipo docente', 404);
+      }
+      
+      if (currentRole === 'owner') {
+        throw new ErrorResponse('No se puede quitar al propietario del curso', 400);
+      }
+      
+      course.staff = course.staff.filter(
+        staffMember => staffMember.user.toString() !== memberId.toString()
+      );
+      await course.save();
+      
+      logger.info(`Usuario ${memberId} quitado del equipo docente del curso ${course.title}`);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error al quitar miembro del equipo docente: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Agregar una reseña al curso
    * @param {string} courseId - ID del curso
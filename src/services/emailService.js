@@ -0,0 +1,154 @@
+const { transport, mailFrom } = require('../config/mail');
+const { renderTemplate, DEFAULT_LOCALE } = require('../templates/emailTemplates');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+
+/**
+ * Servicio para el envío de correos electrónicos transaccionales
+ */
+class EmailService {
+  /**
+   * Construir una URL del frontend
+   * @param {string} pathname - Ruta relativa dentro del frontend
+   * @returns {string} URL absoluta
+   */
+  buildFrontendUrl(pathname) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${baseUrl}${pathname}`;
+  }
+
+  /**
+   * Enviar un correo a partir de una plantilla
+   * @param {string} to - Destinatario
+   * @param {string} templateName - Nombre de la plantilla
+   * @param {Object} data - Datos para la plantilla
+   * @param {string} locale - Idioma del mensaje (es, en)
+   * @returns {Object} Identificador del mensaje enviado
+   */
+  async sendTemplate(to, templateName, data, locale = DEFAULT_LOCALE) {
+    try {
+      const { subject, text, html } = renderTemplate(templateName, locale, data);
+
+      const result = await transport.send({
+        from: mailFrom,
+        to,
+        subject,
+        text,
+        html,
+      });
+
+      logger.info(`Correo '${templateName}' enviado a ${to} (${result.messageId})`);
+
+      return result;
+    } catch (error) {
+      logger.error(`Error al enviar correo '${templateName}': ${error.message}`);
+      throw new ErrorResponse('No se pudo enviar el correo electrónico', 500);
+    }
+  }
+
+  /**
+   * Enviar el correo para restablecer la contraseña
+   * @param {Object} user - Usuario destinatario
+   * @param {string} resetToken - Token de restablecimiento sin hashear
+   * @param {number} expiresInMinutes - Minutos de validez del token
+   * @returns {Object} Identificador del mensaje enviado
+   */
+  async sendPasswordResetEmail(user, resetToken, expiresInMinutes) {
+    // El frontend recibe el token y lo envía a PUT /api/auth/reset-password/:resetToken
+    const resetUrl = this.buildFrontendUrl(`/reset-password/${resetToken}`);
+
+    return this.sendTemplate(
+      user.email,
+      'passwordReset',
+      { name: user.name, resetUrl, expiresInMinutes },
+      user.language
+    );
+  }
+
+  /**
+   * Enviar el correo de restablecimiento exigido por un administrador
+   * @param {Object} user - Usuario destinatario
+   * @param {string} resetToken - Token de restablecimiento sin hashear
+   * @param {number} expiresInHours - Horas de validez del token
+   * @returns {Object} Identificador del mensaje enviado
+   */
+  async sendForcedPasswordResetEmail(user, resetToken, expiresInHours) {
+    const resetUrl = this.buildFrontendUrl(`/reset-password/${resetToken}`);
+
+    return this.sendTemplate(
+      user.email,
+      'forcedPasswordReset',
+      { name: user.name, resetUrl, expiresInHours },
+      user.language
+    );
+  }
+
+  /**
+   * Enviar el correo para verificar la dirección de correo electrónico
+   * @param {Object} user - Usuario destinatario
+   * @param {string} verificationToken - Token de verificación sin hashear
+   * @param {number} expiresInHours - Horas de validez del token
+   * @returns {Object} Identificador del mensaje enviado
+   */
+  async sendEmailVerificationEmail(user, verificationToken, expiresInHours) {
+    // El frontend recibe el token y lo envía a GET /api/auth/verify-email/:token
+    const verificationUrl = this.buildFrontendUrl(`/verify-email/${verificationToken}`);
+
+    return this.sendTemplate(
+      user.email,
+      'emailVerification',
+      { name: user.name, verificationUrl, expiresInHours },
+      user.language
+    );
+  }
+
+  /**
+   * Notificar a un usuario que fue agregado al equipo docente de un curso
+   * @param {Object} user - Usuario destinatario
+   * @param {Object} course - Curso
+   * @param {string} staffRole - Rol en el curso (co-instructor, assistant)
+   * @param {Object} invitedBy - Usuario que realizó la invitación
+   * @returns {Object} Identificador del mensaje enviado
+   */
+  async sendCourseStaffAddedEmail(user, course, staffRole, invitedBy) {
+    const roleLabels = {
+      es: { owner: 'propietario', 'co-instructor': 'co-instructor', assistant: 'asistente' },
+      en: { owner: 'owner', 'co-instructor': 'co-instructor', assistant: 'teaching assistant' },
+    };
+    const labels = roleLabels[user.language] || roleLabels.es;
+
+    return this.sendTemplate(
+      user.email,
+      'courseStaffAdded',
+      {
+        name: user.name,
+        courseTitle: course.title,
+        roleLabel: labels[staffRole],
+        invitedBy: invitedBy.name,
+        courseUrl: this.buildFrontendUrl(`/courses/${course.slug || course._id}`),
+      },
+      user.language
+    );
+  }
+
+  /**
+   * Notificar al usuario que su cuenta fue bloqueada temporalmente
+   * @param {Object} user - Usuario destinatario
+   * @param {number} lockoutMinutes - Duración del bloqueo en minutos
+   * @returns {Object} Identificador del mensaje enviado
+   */
+  async sendAccountLockedEmail(user, lockoutMinutes) {
+    return this.sendTemplate(
+      user.email,
+      'accountLocked',
+      {
+        name: user.name,
+        lockoutMinutes,
+        forgotPasswordUrl: this.buildFrontendUrl('/forgot-password'),
+      },
+      user.language
+    );
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,120 @@
+const Job = require('../models/jobModel');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Minutos que un worker retiene un trabajo antes de que otro pueda retomarlo
+ * @returns {number} Minutos (60 por defecto)
+ */
+const lockTimeoutMinutes = () => envInteger('JOB_LOCK_TIMEOUT_MINUTES', 60, { min: 1 });
+
+/**
+ * Espera antes de reintentar un trabajo fallido (1, 4, 9... minutos)
+ * @param {number} attempts - Intentos realizados
+ * @returns {number} Milisegundos
+ */
+const retryDelay = (attempts) => attempts * attempts * 60 * 1000;
+
+/**
+ * Cola de trabajos en segundo plano persistida en MongoDB
+ * La API encola los trabajos y el proceso worker (src/worker.js) los ejecuta
+ */
+class JobService {
+  /**
+   * Encolar un trabajo
+   * @param {string} type - Tipo de trabajo
+   * @param {Object} payload - Datos del trabajo
+   * @param {Object} options - Opciones (maxAttempts, runAt)
+   * @returns {Object} Trabajo creado
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    try {
+      const job = await Job.create({
+        type,
+        payload,
+        maxAttempts: options.maxAttempts,
+        runAt: options.runAt,
+      });
+
+      logger.info(`Trabajo ${type} encolado (${job._id})`);
+
+      return job;
+    } catch (error) {
+      logger.error(`Error al encolar trabajo ${type}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Tomar el próximo trabajo disponible de los tipos indicados
+   * La actualización es atómica, por lo que varios workers no toman el mismo trabajo
+   * @param {string} workerId - Identificador del worker
+   * @param {Array<string>} types - Tipos de trabajo que el worker sabe ejecutar
+   * @returns {Object|null} Trabajo tomado, o null si no hay ninguno
+   */
+  async claimNext(workerId, types) {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          // Trabajos de un worker que dejó de responder
+          { status: 'running', lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + lockTimeoutMinutes() * 60 * 1000),
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { runAt: 1 } }
+    );
+  }
+
+  /**
+   * Marcar un trabajo como completado
+   * @param {Object} job - Trabajo
+   * @param {*} result - Resultado del trabajo
+   */
+  async complete(job, result) {
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: 'completed', completedAt: Date.now(), result },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      }
+    );
+  }
+
+  /**
+   * Registrar el fallo de un trabajo y programar un reintento si quedan intentos
+   * @param {Object} job - Trabajo
+   * @param {Error} error - Error producido
+   * @returns {boolean} Si el trabajo se reintentará
+   */
+  async fail(job, error) {
+    const willRetry = job.attempts < job.maxAttempts;
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: willRetry ? 'queued' : 'failed',
+          runAt: willRetry ? new Date(Date.now() + retryDelay(job.attempts)) : job.runAt,
+          lastError: error.message,
+        },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      }
+    );
+
+    return willRetry;
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,196 @@
+const Video = require('../models/videoModel');
+const jobService = require('./jobService');
+const { storage } = require('../config/storage');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+// Prefijo bajo el que se guardan los videos y todos sus archivos derivados
+const MEDIA_PREFIX = 'videos/';
+
+/**
+ * Horas que debe tener un archivo huérfano antes de eliminarlo
+ * Evita borrar archivos de subidas o procesamientos que aún no guardaron su referencia
+ * @returns {number} Horas (24 por defecto)
+ */
+const orphanGraceHours = () => envInteger('ORPHAN_MEDIA_GRACE_HOURS', 24);
+
+/**
+ * Servicio para eliminar los archivos de los videos y detectar los que quedaron sin referencia
+ */
+class MediaCleanupService {
+  /**
+   * Archivos y prefijos que ocupa un video en el almacenamiento
+   * @param {Object} video - Video
+   * @returns {Object} Claves del original y prefijo de sus derivados
+   */
+  getVideoMedia(video) {
+    return {
+      keys: [video.s3Key],
+      prefixes: [video.getMediaPrefix()],
+    };
+  }
+
+  /**
+   * Encolar la eliminación de los archivos de varios videos
+   * Se usa al eliminar un curso para no esperar a borrar cada archivo durante la solicitud
+   * @param {Array<Object>} videos - Videos
+   * @returns {Object|null} Trabajo encolado, o null si no hay archivos
+   */
+  async queueVideosDeletion(videos) {
+    try {
+      const media = videos
+        .filter(video => video.s3Key)
+        .map(video => this.getVideoMedia(video));
+
+      if (media.length === 0) {
+        return null;
+      }
+
+      return jobService.enqueue('media:delete', {
+        keys: media.flatMap(entry => entry.keys),
+        prefixes: media.flatMap(entry => entry.prefixes),
+      });
+    } catch (error) {
+      logger.error(`Error al encolar la eliminación de archivos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar archivos y prefijos del almacenamiento (trabajo media:delete)
+   * Eliminar un archivo que ya no existe no falla, por lo que el trabajo puede reintentarse
+   * @param {Object} media - Claves y prefijos a eliminar
+   * @returns {Object} Cantidad de archivos y prefijos eliminados
+   */
+  async deleteMedia({ keys = [], prefixes = [] }) {
+    try {
+      for (const key of keys) {
+        await storage.delete(key);
+      }
+
+      for (const prefix of prefixes) {
+        await storage.deletePrefix(prefix);
+      }
+
+      logger.info(`Archivos eliminados: ${keys.length} archivos y ${prefixes.length} prefijos`);
+
+      return { keys: keys.length, prefixes: prefixes.length };
+    } catch (error) {
+      logger.error(`Error al eliminar archivos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reunir las claves y prefijos referenciados por los videos
+   * Se consideran referenciados el original, la portada, la hoja de miniaturas, los subtítulos,
+   * los recursos y las calidades HLS vigentes. Mientras un video se procesa se conserva todo su prefijo
+   * @returns {Object} Conjunto de claves y lista de prefijos referenciados
+   */
+  async collectReferences() {
+    const keys = new Set();
+    const prefixes = [];
+
+    // Los videos de la papelera conservan sus archivos hasta eliminarse definitivamente
+    const cursor = Video.find()
+      .setOptions({ withDeleted: true })
+      .select('s3Key processing hlsKey renditions.name posterKey previewSprite.key captions.key resources.key')
+      .cursor();
+
+    for await (const video of cursor) {
+      if (!video.s3Key) {
+        continue;
+      }
+
+      const mediaPrefix = video.getMediaPrefix();
+
+      keys.add(video.s3Key);
+
+      if (['queued', 'processing'].includes(video.processing.status)) {
+        prefixes.push(mediaPrefix);
+        continue;
+      }
+
+      [
+        video.hlsKey,
+        video.posterKey,
+        video.previewSprite && video.previewSprite.key,
+        ...video.captions.map(caption => caption.key),
+        ...video.resources.map(resource => resource.key),
+      ]
+        .filter(Boolean)
+        .forEach(key => keys.add(key));
+
+      if (video.hlsKey) {
+        video.renditions.forEach(rendition => prefixes.push(`${mediaPrefix}hls/${rendition.name}/`));
+      }
+    }
+
+    return { keys, prefixes };
+  }
+
+  /**
+   * Buscar los archivos del almacenamiento que ningún video referencia
+   * @returns {Array} Archivos huérfanos con su clave, tamaño y fecha de modificación
+   */
+  async findOrphans() {
+    try {
+      const files = await storage.list(MEDIA_PREFIX);
+      const { keys, prefixes } = await this.collectReferences();
+
+      return files.filter(file =>
+        !keys.has(file.key) && !prefixes.some(prefix => file.key.startsWith(prefix))
+      );
+    } catch (error) {
+      logger.error(`Error al buscar archivos huérfanos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Conciliar el almacenamiento con los videos: informar los archivos huérfanos
+   * y eliminar los que superan el período de gracia
+   * @param {Object} options - Opciones
+   * @param {boolean} options.remove - Eliminar los huérfanos vencidos (por defecto solo se informan)
+   * @returns {Object} Huérfanos encontrados, su tamaño total y cantidad eliminada
+   */
+  async reconcile({ remove = false } = {}) {
+    try {
+      const orphans = await this.findOrphans();
+      const graceLimit = Date.now() - orphanGraceHours() * 60 * 60 * 1000;
+      const expired = orphans.filter(file => new Date(file.lastModified).getTime() < graceLimit);
+
+      orphans.forEach(file => {
+        logger.info(`Archivo huérfano: ${file.key} (${file.size} bytes, modificado ${new Date(file.lastModified).toISOString()})`);
+      });
+
+      let removed = 0;
+
+      if (remove) {
+        for (const file of expired) {
+          await storage.delete(file.key);
+          removed += 1;
+        }
+      }
+
+      const report = {
+        orphans,
+        totalSize: orphans.reduce((total, file) => total + (file.size || 0), 0),
+        expired: expired.length,
+        removed,
+      };
+
+      logger.info(
+        `Conciliación de archivos: ${orphans.length} huérfanos (${report.totalSize} bytes), ` +
+        `${expired.length} fuera del período de gracia, ${removed} eliminados`
+      );
+
+      return report;
+    } catch (error) {
+      logger.error(`Error al conciliar archivos: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MediaCleanupService();
@@ -0,0 +1,190 @@
+const Role = require('../models/roleModel');
+const Course = require('../models/courseModel');
+const ErrorResponse = require('../utils/errorResponse');
+const { isTwoFactorRequiredForStaff } = require('../config/policies');
+const { BUILT_IN_ROLES, COURSE_STAFF_ROLES, ALL_PERMISSIONS } = require('../config/permissions');
+
+// Tiempo durante el que se reutilizan los permisos de los roles personalizados
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Política central de permisos
+ * Resuelve los permisos del rol del usuario (predefinido o personalizado) y
+ * los de su rol en el equipo docente del curso, y decide si puede realizar una acción
+ */
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Obtener los permisos concedidos a un rol
+   * @param {string} roleName - Nombre del rol
+   * @returns {Array<string>} Permisos del rol (vacío si no existe)
+   */
+  async getRolePermissions(roleName) {
+    if (BUILT_IN_ROLES[roleName]) {
+      return BUILT_IN_ROLES[roleName].permissions;
+    }
+
+    const cached = this.cache.get(roleName);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).select('permissions');
+    const permissions = role ? role.permissions : [];
+
+    this.cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return permissions;
+  }
+
+  /**
+   * Olvidar los permisos almacenados de un rol (o de todos)
+   * @param {string} roleName - Nombre del rol (opcional)
+   */
+  clearCache(roleName) {
+    if (roleName) {
+      this.cache.delete(roleName);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Indicar si el rol del usuario en la plataforma concede un permiso
+   * @param {Object} user - Usuario (con su rol)
+   * @param {string} permission - Permiso requerido
+   * @returns {boolean}
+   */
+  async hasPermission(user, permission) {
+    if (!user || user.isActive === false) {
+      return false;
+    }
+
+    const granted = await this.getRolePermissions(user.role);
+
+    return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+  }
+
+  /**
+   * Obtener los permisos que el equipo docente concede al usuario sobre un curso
+   * @param {Object} user - Usuario
+   * @param {Object} course - Curso
+   * @returns {Array<string>} Permisos sobre el curso (vacío si no es del equipo)
+   */
+  getCoursePermissions(user, course) {
+    if (!user || !course) {
+      return [];
+    }
+
+    const staffRole = course.getStaffRole(user._id);
+
+    return staffRole ? COURSE_STAFF_ROLES[staffRole] : [];
+  }
+
+  /**
+   * Decidir si un usuario puede realizar una acción
+   * @param {Object} user - Usuario (con su rol)
+   * @param {string} permission - Permiso requerido (p. ej. 'video:delete')
+   * @param {Object} course - Curso sobre el que se actúa (opcional)
+   * @returns {boolean} Si la acción está permitida
+   */
+  async can(user, permission, course = null) {
+    if (!user || user.isActive === false) {
+      return false;
+    }
+
+    if (await this.hasPermission(user, permission)) {
+      return true;
+    }
+
+    return this.getCoursePermissions(user, course).includes(permission);
+  }
+
+  /**
+   * Decidir si un usuario puede realizar una acción en al menos un curso
+   * Sirve para rechazar una solicitud antes de conocer el curso (p. ej. antes de recibir un archivo)
+   * @param {Object} user - Usuario (con su rol)
+   * @param {string} permission - Permiso requerido
+   * @returns {boolean} Si el rol o algún equipo docente del usuario concede el permiso
+   */
+  async canInAnyCourse(user, permission) {
+    if (!user || user.isActive === false) {
+      return false;
+    }
+
+    if (await this.hasPermission(user, permission)) {
+      return true;
+    }
+
+    const courses = await Course.find({ $or: [{ instructor: user._id }, { 'staff.user': user._id }] })
+      .select('instructor staff');
+
+    return courses.some(course => this.getCoursePermissions(user, course).includes(permission));
+  }
+
+  /**
+   * Indicar si el usuario actúa como personal: por su rol en la plataforma
+   * (cualquiera distinto de 'user') o por su rol en el equipo docente del curso
+   * @param {Object} user - Usuario (con su rol)
+   * @param {Object} course - Curso sobre el que se actúa (opcional)
+   * @returns {boolean}
+   */
+  isStaff(user, course = null) {
+    return user.role !== 'user' || this.getCoursePermissions(user, course).length > 0;
+  }
+
+  /**
+   * Exigir la 2FA al personal cuando la política la hace obligatoria
+   * @param {Object} user - Usuario (con su rol)
+   * @param {Object} course - Curso sobre el que se actúa (opcional)
+   */
+  requireTwoFactor(user, course = null) {
+    if (isTwoFactorRequiredForStaff() && !user.twoFactorEnabled && this.isStaff(user, course)) {
+      throw new ErrorResponse('Debe activar la autenticación en dos pasos para realizar esta acción', 403);
+    }
+  }
+
+  /**
+   * Exigir un permiso o lanzar un error 403
+   * También exige la 2FA al personal cuando la política la hace obligatoria
+   * @param {Object} user - Usuario (con su rol)
+   * @param {string} permission - Permiso requerido
+   * @param {Object} course - Curso sobre el que se actúa (opcional)
+   * @param {string} message - Mensaje del error
+   */
+  async authorize(user, permission, course = null, message = 'No autorizado para realizar esta acción') {
+    if (!(await this.can(user, permission, course))) {
+      throw new ErrorResponse(message, 403);
+    }
+
+    this.requireTwoFactor(user, course);
+  }
+
+  /**
+   * Exigir que el usuario tenga por su rol todos los permisos que pretende conceder
+   * Impide que quien gestiona roles se otorgue (o otorgue a otros) más permisos de los que tiene;
+   * el comodín, y por lo tanto el rol admin, solo puede concederlo quien ya lo tiene
+   * @param {Object} user - Usuario que concede los permisos (con su rol)
+   * @param {Array<string>} permissions - Permisos a conceder
+   * @param {string} message - Mensaje del error
+   */
+  async authorizeGrant(user, permissions, message = 'No puede conceder permisos que no tiene') {
+    const granted = user && user.isActive !== false ? await this.getRolePermissions(user.role) : [];
+
+    if (granted.includes(ALL_PERMISSIONS)) {
+      return;
+    }
+
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      throw new ErrorResponse(`${message}: ${missing.join(', ')}`, 403);
+    }
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,179 @@
+const PlaybackSession = require('../models/playbackSessionModel');
+const settingService = require('./settingService');
+const ErrorResponse = require('../utils/errorResponse');
+const { playbackPolicy } = require('../config/policies');
+const { logger } = require('../utils/logger');
+
+/**
+ * Servicio de sesiones de reproducción
+ * Limita las reproducciones simultáneas de cada cuenta según su plan
+ */
+class PlaybackService {
+  /**
+   * Consulta base de reproducciones activas de un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Filtro de Mongo
+   */
+  activePlaybacksQuery(userId) {
+    return {
+      user: userId,
+      expiresAt: { $gt: Date.now() },
+    };
+  }
+
+  /**
+   * Fecha de vencimiento de una reproducción que acaba de recibir un latido
+   * @returns {Date}
+   */
+  nextExpiration() {
+    return new Date(Date.now() + playbackPolicy().timeoutSeconds * 1000);
+  }
+
+  /**
+   * Datos de la reproducción para el reproductor
+   * @param {Object} playback - Reproducción
+   * @returns {Object} ID, intervalo de latidos y vencimiento
+   */
+  toResponse(playback) {
+    return {
+      id: playback._id,
+      heartbeatSeconds: playbackPolicy().heartbeatSeconds,
+      expiresAt: playback.expiresAt,
+    };
+  }
+
+  /**
+   * Iniciar una reproducción al entregar las URL de un video
+   * Un dispositivo reproduce un video a la vez: si su sesión ya tiene una reproducción activa, se reutiliza
+   * @param {Object} user - Usuario
+   * @param {Object} video - Video
+   * @param {Object} context - Sesión, IP y agente de usuario
+   * @returns {Object} Reproducción
+   */
+  async startPlayback(user, video, context = {}) {
+    try {
+      const data = {
+        video: video._id,
+        ip: context.ip || '',
+        userAgent: context.userAgent || '',
+        lastHeartbeatAt: Date.now(),
+        expiresAt: this.nextExpiration(),
+      };
+
+      const existing = context.sessionId
+        ? await PlaybackSession.findOneAndUpdate(
+          { ...this.activePlaybacksQuery(user._id), session: context.sessionId },
+          data,
+          { new: true }
+        )
+        : null;
+
+      if (existing) {
+        return this.toResponse(existing);
+      }
+
+      const playback = await PlaybackSession.create({
+        ...data,
+        user: user._id,
+        session: context.sessionId || null,
+      });
+
+      await this.enforceStreamLimit(user, playback);
+
+      return this.toResponse(playback);
+    } catch (error) {
+      logger.error(`Error al iniciar reproducción: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar el latido de una reproducción para mantenerla activa
+   * @param {Object} user - Usuario
+   * @param {string} playbackId - ID de la reproducción
+   * @returns {Object} Reproducción
+   */
+  async heartbeat(user, playbackId) {
+    try {
+      const playback = await PlaybackSession.findOneAndUpdate(
+        { _id: playbackId, ...this.activePlaybacksQuery(user._id) },
+        { lastHeartbeatAt: Date.now(), expiresAt: this.nextExpiration() },
+        { new: true }
+      );
+
+      if (!playback) {
+        throw new ErrorResponse(
+          'La reproducción expiró; vuelve a abrir el video para continuar',
+          409,
+          'PLAYBACK_SESSION_EXPIRED'
+        );
+      }
+
+      // El límite se vuelve a comprobar por si bajó (cambio de plan o del ajuste) durante la reproducción
+      await this.enforceStreamLimit(user, playback);
+
+      return this.toResponse(playback);
+    } catch (error) {
+      logger.error(`Error al registrar latido de reproducción: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Terminar una reproducción para liberar su lugar
+   * @param {Object} user - Usuario
+   * @param {string} playbackId - ID de la reproducción
+   * @returns {boolean} Éxito de la operación
+   */
+  async stopPlayback(user, playbackId) {
+    try {
+      const result = await PlaybackSession.deleteOne({ _id: playbackId, user: user._id });
+
+      if (result.deletedCount === 0) {
+        throw new ErrorResponse('Reproducción no encontrada', 404);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error(`Error al terminar reproducción: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Comprobar que una reproducción está dentro del límite del plan del usuario
+   * Se permiten las reproducciones activas más antiguas; si esta queda fuera, se elimina.
+   * Así dos reproducciones que comienzan a la vez no pueden superar el límite juntas
+   * @param {Object} user - Usuario
+   * @param {Object} playback - Reproducción a comprobar
+   */
+  async enforceStreamLimit(user, playback) {
+    const limits = await settingService.get('maxConcurrentStreams');
+    const maxStreams = limits[user.plan];
+
+    if (!maxStreams) {
+      return;
+    }
+
+    const allowed = await PlaybackSession.find(this.activePlaybacksQuery(user._id))
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(maxStreams)
+      .select('_id');
+
+    if (allowed.some(item => item._id.equals(playback._id))) {
+      return;
+    }
+
+    await PlaybackSession.deleteOne({ _id: playback._id });
+
+    logger.info(`Reproducción rechazada para el usuario ${user._id}: límite de ${maxStreams} del plan ${user.plan}`);
+
+    throw new ErrorResponse(
+      `Alcanzaste el máximo de ${maxStreams} reproducciones simultáneas de tu plan; detén la reproducción en otro dispositivo para continuar`,
+      409,
+      'CONCURRENT_STREAM_LIMIT'
+    );
+  }
+}
+
+module.exports = new PlaybackService();
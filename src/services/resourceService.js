@@ -0,0 +1,241 @@
+const path = require('path');
+const Video = require('../models/videoModel');
+const Course = require('../models/courseModel');
+const User = require('../models/userModel');
+const permissionService = require('./permissionService');
+const videoService = require('./videoService');
+const ErrorResponse = require('../utils/errorResponse');
+const { storage, RESOURCE_TYPES } = require('../config/storage');
+const { logger } = require('../utils/logger');
+
+// Validez de las URL de descarga de los recursos (segundos)
+const RESOURCE_URL_EXPIRES_IN = 300;
+
+/**
+ * Determinar el tipo de recurso a partir de la extensión del archivo
+ * @param {string} fileName - Nombre original del archivo
+ * @returns {string} Tipo de recurso
+ */
+const resourceTypeOf = (fileName) => {
+  const extension = path.extname(fileName).toLowerCase();
+  const entry = Object.entries(RESOURCE_TYPES).find(([, extensions]) => extensions.includes(extension));
+
+  return entry ? entry[0] : 'other';
+};
+
+/**
+ * Servicio para gestionar los recursos descargables de los videos
+ * Los archivos se guardan en el almacenamiento privado y solo se descargan con URL firmadas
+ */
+class ResourceService {
+  /**
+   * Buscar un video y verificar un permiso sobre su curso
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario
+   * @param {string} permission - Permiso requerido
+   * @returns {Object} Video
+   */
+  async findVideoForResources(videoId, userId, permission) {
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+      throw new ErrorResponse('Video no encontrado', 404);
+    }
+
+    const course = await Course.findById(video.course);
+
+    if (!course) {
+      throw new ErrorResponse('Curso no encontrado', 404);
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+
+    await permissionService.authorize(user, permission, course, 'No autorizado para gestionar los recursos de este video');
+
+    return video;
+  }
+
+  /**
+   * Buscar un recurso de un video
+   * @param {Object} video - Video
+   * @param {string} resourceId - ID del recurso
+   * @returns {Object} Recurso
+   */
+  findResource(video, resourceId) {
+    const resource = video.resources.id(resourceId);
+
+    if (!resource) {
+      throw new ErrorResponse('Recurso no encontrado', 404);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Guardar el archivo de un recurso en el almacenamiento
+   * @param {Object} video - Video
+   * @param {Object} file - Archivo recibido por multer
+   * @returns {Object} Clave, nombre, tipo, tipo MIME y tamaño del archivo
+   */
+  async storeResourceFile(video, file) {
+    // El nombre original se conserva al final de la clave para que la descarga tenga un nombre reconocible
+    const safeName = path.basename(file.originalname).replace(/[^\w.-]+/g, '_');
+    const key = `${video.getMediaPrefix()}resources/${Date.now()}-${safeName}`;
+
+    await storage.put(key, file.buffer, file.mimetype);
+
+    return {
+      key,
+      fileName: file.originalname,
+      type: resourceTypeOf(file.originalname),
+      contentType: file.mimetype,
+      size: file.size,
+    };
+  }
+
+  /**
+   * Agregar un recurso descargable a un video
+   * @param {string} videoId - ID del video
+   * @param {Object} resourceData - Título del recurso
+   * @param {Object} file - Archivo recibido por multer
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Recurso creado
+   */
+  async addResource(videoId, resourceData, file, userId) {
+    try {
+      const video = await this.findVideoForResources(videoId, userId, 'video:update');
+
+      if (!file) {
+        throw new ErrorResponse('Por favor, suba el archivo del recurso', 400);
+      }
+
+      const stored = await this.storeResourceFile(video, file);
+
+      video.resources.push({
+        title: resourceData.title,
+        ...stored,
+        createdBy: userId,
+      });
+
+      await video.save();
+
+      const resource = video.resources[video.resources.length - 1];
+
+      logger.info(`Recurso '${resource.title}' agregado al video ${video._id} (${resource.size} bytes)`);
+
+      return resource;
+    } catch (error) {
+      logger.error(`Error al agregar recurso: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Modificar un recurso (título o archivo)
+   * @param {string} videoId - ID del video
+   * @param {string} resourceId - ID del recurso
+   * @param {Object} resourceData - Título
+   * @param {Object} file - Nuevo archivo (opcional)
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Recurso actualizado
+   */
+  async updateResource(videoId, resourceId, resourceData, file, userId) {
+    try {
+      const video = await this.findVideoForResources(videoId, userId, 'video:update');
+      const resource = this.findResource(video, resourceId);
+      let previousKey = null;
+
+      if (file) {
+        const stored = await this.storeResourceFile(video, file);
+
+        previousKey = resource.key;
+        resource.set({ ...stored, url: undefined });
+      }
+
+      if (resourceData.title !== undefined) {
+        resource.title = resourceData.title;
+      }
+
+      await video.save();
+
+      // El archivo anterior se elimina una vez guardada la referencia al nuevo
+      if (previousKey) {
+        await storage.delete(previousKey);
+      }
+
+      return resource;
+    } catch (error) {
+      logger.error(`Error al actualizar recurso: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un recurso
+   * @param {string} videoId - ID del video
+   * @param {string} resourceId - ID del recurso
+   * @param {string} userId - ID del usuario
+   * @returns {boolean} Éxito de la operación
+   */
+  async deleteResource(videoId, resourceId, userId) {
+    try {
+      const video = await this.findVideoForResources(videoId, userId, 'video:update');
+      const resource = this.findResource(video, resourceId);
+      const { key } = resource;
+
+      video.resources.pull(resource._id);
+      await video.save();
+
+      if (key) {
+        await storage.delete(key);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error(`Error al eliminar recurso: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener la URL de descarga de un recurso
+   * Requiere el mismo acceso que reproducir el video: estar matriculado o gestionar el curso.
+   * Solo se cuentan las descargas de los estudiantes
+   * @param {string} videoId - ID del video
+   * @param {string} resourceId - ID del recurso
+   * @param {string} userId - ID del usuario
+   * @returns {Object} URL firmada (o enlace externo) y su vencimiento
+   */
+  async getDownloadUrl(videoId, resourceId, userId) {
+    try {
+      const { video, isInstructor } = await videoService.checkPlaybackAccess(videoId, userId);
+      const resource = this.findResource(video, resourceId);
+
+      if (!isInstructor) {
+        await Video.updateOne(
+          { _id: video._id, 'resources._id': resource._id },
+          { $inc: { 'resources.$.downloads': 1 } }
+        );
+      }
+
+      // Recursos anteriores a la subida de archivos: solo tienen un enlace externo
+      if (!resource.key) {
+        return { url: resource.url, expiresAt: null };
+      }
+
+      return {
+        url: await storage.getSignedUrl(resource.key, RESOURCE_URL_EXPIRES_IN),
+        expiresAt: new Date(Date.now() + RESOURCE_URL_EXPIRES_IN * 1000),
+      };
+    } catch (error) {
+      logger.error(`Error al obtener descarga de recurso: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ResourceService();
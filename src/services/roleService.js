@@ -0,0 +1,212 @@
+const Role = require('../models/roleModel');
+const User = require('../models/userModel');
+const permissionService = require('./permissionService');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+const { PERMISSIONS, BUILT_IN_ROLES, isValidGrant } = require('../config/permissions');
+
+/**
+ * Servicio para la gestión de roles personalizados
+ */
+class RoleService {
+  /**
+   * Obtener el catálogo de permisos disponibles
+   * @returns {Array} Permisos con su descripción
+   */
+  getPermissions() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  /**
+   * Verificar que todos los permisos de una lista existan
+   * @param {Array<string>} permissions - Permisos a validar
+   * @returns {Array<string>} Permisos sin duplicados
+   */
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new ErrorResponse('Los permisos deben ser una lista', 400);
+    }
+
+    const invalid = permissions.filter(permission => typeof permission !== 'string' || !isValidGrant(permission));
+
+    if (invalid.length > 0) {
+      throw new ErrorResponse(`Permisos desconocidos: ${invalid.join(', ')}`, 400);
+    }
+
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * Obtener al usuario que gestiona los roles
+   * @param {string} adminId - ID del usuario
+   * @returns {Object} Usuario
+   */
+  async findManager(adminId) {
+    const manager = await User.findById(adminId);
+
+    if (!manager) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+
+    return manager;
+  }
+
+  /**
+   * Indicar si existe un rol (predefinido o personalizado)
+   * @param {string} name - Nombre del rol
+   * @returns {boolean}
+   */
+  async exists(name) {
+    if (BUILT_IN_ROLES[name]) {
+      return true;
+    }
+
+    return Boolean(await Role.exists({ name }));
+  }
+
+  /**
+   * Listar los roles predefinidos y personalizados
+   * @returns {Array} Roles con sus permisos
+   */
+  async getRoles() {
+    try {
+      const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        isBuiltIn: true,
+      }));
+
+      const custom = await Role.find().sort({ name: 1 });
+
+      return [
+        ...builtIn,
+        ...custom.map(role => ({ ...role.toObject(), isBuiltIn: false })),
+      ];
+    } catch (error) {
+      logger.error(`Error al obtener roles: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Crear un rol personalizado
+   * @param {Object} roleData - name, description, permissions
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {Object} Rol creado
+   */
+  async createRole(roleData, adminId) {
+    try {
+      const name = String(roleData.name || '').trim().toLowerCase();
+
+      if (await this.exists(name)) {
+        throw new ErrorResponse(`El rol '${name}' ya existe`, 400);
+      }
+
+      const permissions = this.validatePermissions(roleData.permissions || []);
+      await permissionService.authorizeGrant(await this.findManager(adminId), permissions);
+
+      const role = await Role.create({
+        name,
+        description: roleData.description,
+        permissions,
+        createdBy: adminId,
+      });
+
+      permissionService.clearCache(name);
+      logger.info(`Rol '${name}' creado por el administrador ${adminId}`);
+
+      return role;
+    } catch (error) {
+      logger.error(`Error al crear rol: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Modificar la descripción o los permisos de un rol personalizado
+   * Solo puede modificarlo quien tiene todos sus permisos, los actuales y los nuevos
+   * @param {string} name - Nombre del rol
+   * @param {Object} updateData - description, permissions
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {Object} Rol actualizado
+   */
+  async updateRole(name, updateData, adminId) {
+    try {
+      if (BUILT_IN_ROLES[name]) {
+        throw new ErrorResponse('Los roles predefinidos no pueden modificarse', 400);
+      }
+
+      const role = await Role.findOne({ name });
+
+      if (!role) {
+        throw new ErrorResponse('Rol no encontrado', 404);
+      }
+
+      const manager = await this.findManager(adminId);
+      await permissionService.authorizeGrant(manager, role.permissions, 'No puede modificar un rol con permisos que no tiene');
+
+      if (updateData.description !== undefined) {
+        role.description = updateData.description;
+      }
+
+      if (updateData.permissions !== undefined) {
+        const permissions = this.validatePermissions(updateData.permissions);
+        await permissionService.authorizeGrant(manager, permissions);
+
+        role.permissions = permissions;
+      }
+
+      await role.save();
+
+      permissionService.clearCache(name);
+      logger.info(`Rol '${name}' modificado por el administrador ${adminId}`);
+
+      return role;
+    } catch (error) {
+      logger.error(`Error al modificar rol: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un rol personalizado sin usuarios asignados
+   * @param {string} name - Nombre del rol
+   * @param {string} adminId - ID del administrador que realiza la acción
+   * @returns {boolean} Éxito de la operación
+   */
+  async deleteRole(name, adminId) {
+    try {
+      if (BUILT_IN_ROLES[name]) {
+        throw new ErrorResponse('Los roles predefinidos no pueden eliminarse', 400);
+      }
+
+      const role = await Role.findOne({ name });
+
+      if (!role) {
+        throw new ErrorResponse('Rol no encontrado', 404);
+      }
+
+      const assignedUsers = await User.countDocuments({ role: name });
+
+      if (assignedUsers > 0) {
+        throw new ErrorResponse(
+          `No se puede eliminar un rol asignado a ${assignedUsers} usuarios`,
+          400
+        );
+      }
+
+      await role.deleteOne();
+
+      permissionService.clearCache(name);
+      logger.info(`Rol '${name}' eliminado por el administrador ${adminId}`);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error al eliminar rol: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,105 @@
+const Session = require('../models/sessionModel');
+const tokenService = require('./tokenService');
+const settingService = require('./settingService');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+
+/**
+ * Servicio para la gestión de sesiones activas de los usuarios
+ */
+class SessionService {
+  /**
+   * Consulta base de sesiones activas de un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Filtro de Mongo
+   */
+  activeSessionsQuery(userId) {
+    return {
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() },
+    };
+  }
+
+  /**
+   * Listar las sesiones activas de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} currentSessionId - ID de la sesión desde la que se consulta
+   * @returns {Array} Sesiones activas, la más reciente primero
+   */
+  async getSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await Session.find(this.activeSessionsQuery(userId))
+        .sort({ lastUsedAt: -1 })
+        .select('userAgent ip lastUsedAt expiresAt createdAt');
+
+      return sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: currentSessionId ? session._id.toString() === currentSessionId.toString() : false,
+      }));
+    } catch (error) {
+      logger.error(`Error al obtener sesiones: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar una sesión del usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} sessionId - ID de la sesión a cerrar
+   * @returns {boolean} Éxito de la operación
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const session = await Session.findOne({
+        _id: sessionId,
+        ...this.activeSessionsQuery(userId),
+      });
+
+      if (!session) {
+        throw new ErrorResponse('Sesión no encontrada', 404);
+      }
+
+      await tokenService.revokeFamily(session.family, 'session-revoked');
+
+      return true;
+    } catch (error) {
+      logger.error(`Error al cerrar sesión: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Aplicar el límite de sesiones simultáneas antes de abrir una nueva
+   * Se cierran las sesiones usadas hace más tiempo hasta dejar lugar a la nueva
+   * @param {string} userId - ID del usuario
+   * @returns {number} Cantidad de sesiones cerradas
+   */
+  async enforceSessionLimit(userId) {
+    const maxSessions = await settingService.get('maxConcurrentSessions');
+
+    if (!maxSessions) {
+      return 0;
+    }
+
+    const sessions = await Session.find(this.activeSessionsQuery(userId))
+      .sort({ lastUsedAt: -1 })
+      .select('family');
+
+    const excess = sessions.slice(maxSessions - 1);
+
+    await Promise.all(
+      excess.map(session => tokenService.revokeFamily(session.family, 'session-limit'))
+    );
+
+    if (excess.length > 0) {
+      logger.info(
+        `Se cerraron ${excess.length} sesiones del usuario ${userId} por superar el límite de ${maxSessions}`
+      );
+    }
+
+    return excess.length;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,117 @@
+const Setting = require('../models/settingModel');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+const { PLANS } = require('../config/plans');
+
+/**
+ * Definición de los ajustes disponibles con su valor por defecto y validación
+ */
+const SETTING_DEFINITIONS = {
+  maxConcurrentSessions: {
+    description: 'Máximo de sesiones simultáneas por cuenta (0 = sin límite)',
+    default: () => envInteger('MAX_CONCURRENT_SESSIONS', 3),
+    validate: (value) => Number.isInteger(value) && value >= 0,
+    errorMessage: 'maxConcurrentSessions debe ser un número entero mayor o igual a 0',
+  },
+  maxConcurrentStreams: {
+    description: 'Máximo de reproducciones simultáneas por plan (0 = sin límite)',
+    default: () => ({ basic: 1, standard: 2, premium: 4 }),
+    validate: (value) => Boolean(value) &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      Object.keys(value).every(plan => PLANS.includes(plan)) &&
+      PLANS.every(plan => Number.isInteger(value[plan]) && value[plan] >= 0),
+    errorMessage: `maxConcurrentStreams debe indicar un número entero mayor o igual a 0 para cada plan (${PLANS.join(', ')})`,
+  },
+};
+
+/**
+ * Servicio para leer y modificar los ajustes de la plataforma
+ */
+class SettingService {
+  /**
+   * Obtener la definición de un ajuste
+   * @param {string} key - Clave del ajuste
+   * @returns {Object} Definición del ajuste
+   */
+  getDefinition(key) {
+    const definition = SETTING_DEFINITIONS[key];
+
+    if (!definition) {
+      throw new ErrorResponse(`Ajuste desconocido: ${key}`, 404);
+    }
+
+    return definition;
+  }
+
+  /**
+   * Obtener el valor de un ajuste (o su valor por defecto)
+   * @param {string} key - Clave del ajuste
+   * @returns {*} Valor del ajuste
+   */
+  async get(key) {
+    const definition = this.getDefinition(key);
+    const setting = await Setting.findOne({ key });
+
+    return setting ? setting.value : definition.default();
+  }
+
+  /**
+   * Obtener todos los ajustes con su valor actual
+   * @returns {Array} Lista de ajustes
+   */
+  async getAll() {
+    try {
+      const stored = await Setting.find({ key: { $in: Object.keys(SETTING_DEFINITIONS) } });
+      const storedByKey = new Map(stored.map(setting => [setting.key, setting]));
+
+      return Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+        const setting = storedByKey.get(key);
+
+        return {
+          key,
+          description: definition.description,
+          value: setting ? setting.value : definition.default(),
+          isDefault: !setting,
+          updatedAt: setting ? setting.updatedAt : null,
+        };
+      });
+    } catch (error) {
+      logger.error(`Error al obtener ajustes: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Modificar el valor de un ajuste
+   * @param {string} key - Clave del ajuste
+   * @param {*} value - Nuevo valor
+   * @param {string} userId - ID del administrador que realiza el cambio
+   * @returns {Object} Ajuste actualizado
+   */
+  async update(key, value, userId) {
+    try {
+      const definition = this.getDefinition(key);
+
+      if (!definition.validate(value)) {
+        throw new ErrorResponse(definition.errorMessage, 400);
+      }
+
+      const setting = await Setting.findOneAndUpdate(
+        { key },
+        { value, updatedBy: userId },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      logger.info(`Ajuste '${key}' actualizado por el usuario ${userId}`);
+
+      return setting;
+    } catch (error) {
+      logger.error(`Error al actualizar ajuste: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SettingService();
@@ -0,0 +1,210 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const RefreshToken = require('../models/refreshTokenModel');
+const Session = require('../models/sessionModel');
+const User = require('../models/userModel');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+
+/**
+ * Servicio para emitir, rotar y revocar tokens de autenticación
+ */
+class TokenService {
+  /**
+   * Iniciar una nueva sesión y emitir su primer par de tokens
+   * @param {Object} user - Documento del usuario
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
+   * @returns {Object} accessToken, refreshToken y sesión creada
+   */
+  async createSession(user, context = {}) {
+    // La sesión se guarda al emitir los tokens, cuando se conoce su expiración
+    const session = new Session({
+      user: user._id,
+      family: uuidv4(),
+      userAgent: context.userAgent || '',
+      ip: context.ip || '',
+      lastUsedAt: Date.now(),
+    });
+
+    const tokens = await this.issueTokens(user, session);
+
+    return {
+      ...tokens,
+      session,
+    };
+  }
+
+  /**
+   * Emitir un par de tokens (acceso y refresco) dentro de una sesión
+   * @param {Object} user - Documento del usuario
+   * @param {Object} session - Sesión a la que pertenecen los tokens
+   * @returns {Object} accessToken y refreshToken
+   */
+  async issueTokens(user, session) {
+    const jti = uuidv4();
+    const refreshToken = user.getRefreshToken(jti, session.family);
+    const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    await RefreshToken.create({
+      user: user._id,
+      family: session.family,
+      jti,
+      expiresAt,
+    });
+
+    // La sesión vive mientras lo haga su último token de refresco
+    session.expiresAt = expiresAt;
+    await session.save();
+
+    return {
+      accessToken: user.getSignedJwtToken(session._id),
+      refreshToken,
+    };
+  }
+
+  /**
+   * Verificar la firma y el tipo de un token de refresco
+   * @param {string} refreshToken - Token de refresco
+   * @returns {Object} Payload decodificado
+   */
+  verifyRefreshToken(refreshToken) {
+    try {
+      const decoded = jwt.verify(
+        refreshToken,
+        process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+      );
+
+      if (decoded.type !== 'refresh' || !decoded.jti || !decoded.family) {
+        throw new ErrorResponse('Token de refresco inválido', 401);
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new ErrorResponse('Token de refresco expirado, inicie sesión nuevamente', 401);
+      }
+
+      if (error.name === 'JsonWebTokenError') {
+        throw new ErrorResponse('Token de refresco inválido', 401);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Rotar un token de refresco: invalida el recibido y emite un nuevo par
+   * Si el token ya había sido usado se revoca toda su familia
+   * @param {string} refreshToken - Token de refresco
+   * @param {Object} context - Datos del dispositivo { userAgent, ip }
+   * @returns {Object} Usuario, nuevo accessToken y nuevo refreshToken
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    const decoded = this.verifyRefreshToken(refreshToken);
+
+    // Marcar el token como usado de forma atómica para evitar rotaciones concurrentes
+    const stored = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, usedAt: null, revokedAt: null },
+      { usedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!stored) {
+      const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+      if (existing && existing.usedAt && !existing.revokedAt) {
+        // Reutilización de un token ya rotado: posible robo
+        logger.warn(
+          `Reutilización de token de refresco detectada para el usuario ${existing.user}, familia ${existing.family}`
+        );
+        await this.revokeFamily(existing.family, 'reuse-detected');
+      }
+
+      throw new ErrorResponse('Token de refresco inválido o revocado', 401);
+    }
+
+    const session = await Session.findOne({ family: stored.family, revokedAt: null });
+
+    if (!session) {
+      await this.revokeFamily(stored.family, 'session-revoked');
+      throw new ErrorResponse('Sesión cerrada, inicie sesión nuevamente', 401);
+    }
+
+    const user = await User.findById(stored.user);
+
+    if (!user) {
+      throw new ErrorResponse('No se encontró ningún usuario con este token', 404);
+    }
+
+    // Verificar si el usuario está activo
+    if (!user.isActive) {
+      await this.revokeFamily(stored.family, 'user-inactive');
+      throw new ErrorResponse('Esta cuenta está desactivada, contacte al administrador', 403);
+    }
+
+    // Registrar el uso de la sesión
+    session.lastUsedAt = Date.now();
+    if (context.userAgent) session.userAgent = context.userAgent;
+    if (context.ip) session.ip = context.ip;
+
+    const tokens = await this.issueTokens(user, session);
+
+    stored.replacedBy = jwt.decode(tokens.refreshToken).jti;
+    await stored.save();
+
+    return {
+      user,
+      session,
+      ...tokens,
+    };
+  }
+
+  /**
+   * Revocar todos los tokens de una familia y cerrar su sesión
+   * @param {string} family - Familia de tokens
+   * @param {string} reason - Motivo de la revocación
+   * @returns {number} Cantidad de tokens revocados
+   */
+  async revokeFamily(family, reason = 'logout') {
+    const revocation = { revokedAt: Date.now(), revokedReason: reason };
+
+    const [result] = await Promise.all([
+      RefreshToken.updateMany({ family, revokedAt: null }, revocation),
+      Session.updateOne({ family, revokedAt: null }, revocation),
+    ]);
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revocar la familia a la que pertenece un token de refresco
+   * @param {string} refreshToken - Token de refresco
+   * @returns {string} Familia revocada
+   */
+  async revokeRefreshToken(refreshToken) {
+    const decoded = this.verifyRefreshToken(refreshToken);
+
+    await this.revokeFamily(decoded.family, 'logout');
+
+    return decoded.family;
+  }
+
+  /**
+   * Revocar todos los tokens de refresco y sesiones de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} reason - Motivo de la revocación
+   * @returns {number} Cantidad de tokens revocados
+   */
+  async revokeAllForUser(userId, reason = 'logout-all') {
+    const revocation = { revokedAt: Date.now(), revokedReason: reason };
+
+    const [result] = await Promise.all([
+      RefreshToken.updateMany({ user: userId, revokedAt: null }, revocation),
+      Session.updateMany({ user: userId, revokedAt: null }, revocation),
+    ]);
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new TokenService();
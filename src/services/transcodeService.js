@@ -0,0 +1,273 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Video = require('../models/videoModel');
+const { storage } = require('../config/storage');
+const { ffmpeg, probe, getDisplaySize } = require('../utils/ffmpeg');
+const { watermarkPolicy } = require('../config/policies');
+const { logger } = require('../utils/logger');
+
+/**
+ * Escalera de calidades HLS, de mayor a menor
+ * Solo se generan las que no superan la altura del video original
+ */
+const HLS_RENDITIONS = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+];
+
+// Duración objetivo de cada segmento (segundos)
+const SEGMENT_DURATION = 6;
+
+// Nombre de la lista maestra dentro del prefijo HLS
+const MASTER_PLAYLIST = 'master.m3u8';
+
+/**
+ * Marca forense de cada variante de segmentos: un recuadro casi invisible en posiciones distintas
+ * La lista de reproducción de cada sesión alterna las variantes según su código
+ */
+const FORENSIC_MARKS = {
+  a: 'drawbox=x=iw*0.07:y=ih*0.09:w=iw*0.03:h=ih*0.03:color=white@0.04:t=fill',
+  b: 'drawbox=x=iw*0.9:y=ih*0.86:w=iw*0.03:h=ih*0.03:color=white@0.04:t=fill',
+};
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+};
+
+/**
+ * Redondear una dimensión a un número par (requisito de H.264)
+ * @param {number} value - Dimensión
+ * @returns {number}
+ */
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Elegir las calidades a generar según la resolución del original
+ * @param {number} sourceWidth - Ancho del original
+ * @param {number} sourceHeight - Alto del original
+ * @returns {Array} Calidades con su ancho y alto
+ */
+const selectRenditions = (sourceWidth, sourceHeight) => {
+  let renditions = HLS_RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+
+  // Videos de muy baja resolución: una sola calidad a su tamaño original
+  if (renditions.length === 0) {
+    const lowest = HLS_RENDITIONS[HLS_RENDITIONS.length - 1];
+    renditions = [{ ...lowest, name: `${even(sourceHeight)}p`, height: even(sourceHeight) }];
+  }
+
+  return renditions.map(rendition => ({
+    ...rendition,
+    width: even((rendition.height * sourceWidth) / sourceHeight),
+  }));
+};
+
+/**
+ * Argumentos de ffmpeg para generar una calidad HLS
+ * @param {string} inputPath - Archivo original
+ * @param {Object} rendition - Calidad a generar
+ * @param {string} outputDir - Directorio de la calidad
+ * @param {string} variant - Variante de la marca forense (a o b), o null sin marca
+ * @returns {Array<string>}
+ */
+const renditionArgs = (inputPath, rendition, outputDir, variant = null) => [
+  '-i', inputPath,
+  '-map', '0:v:0',
+  '-map', '0:a:0?',
+  '-vf', [`scale=${rendition.width}:${rendition.height}`, FORENSIC_MARKS[variant]].filter(Boolean).join(','),
+  '-c:v', 'libx264',
+  '-preset', 'veryfast',
+  '-profile:v', 'main',
+  '-pix_fmt', 'yuv420p',
+  '-b:v', `${rendition.videoBitrate}k`,
+  '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+  '-bufsize', `${rendition.videoBitrate * 2}k`,
+  // Fotogramas clave alineados con los segmentos para poder cambiar de calidad
+  '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_DURATION})`,
+  '-sc_threshold', '0',
+  '-c:a', 'aac',
+  '-b:a', `${rendition.audioBitrate}k`,
+  '-ac', '2',
+  '-f', 'hls',
+  '-hls_time', String(SEGMENT_DURATION),
+  '-hls_playlist_type', 'vod',
+  '-hls_segment_filename', path.join(outputDir, 'segment_%04d.ts'),
+  path.join(outputDir, 'index.m3u8'),
+];
+
+/**
+ * Construir la lista maestra que referencia las listas de cada calidad
+ * @param {Array} renditions - Calidades generadas
+ * @returns {string} Contenido de la lista maestra
+ */
+const buildMasterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  for (const rendition of renditions) {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      `${rendition.name}/index.m3u8`
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Leer la duración de cada segmento de la lista de una calidad
+ * @param {string} playlistPath - Ruta de index.m3u8
+ * @returns {Promise<Array<number>>} Duraciones en segundos, en orden
+ */
+const readSegmentDurations = async (playlistPath) => {
+  const content = await fs.promises.readFile(playlistPath, 'utf8');
+
+  return content
+    .split('\n')
+    .filter(line => line.startsWith('#EXTINF:'))
+    .map(line => parseFloat(line.slice('#EXTINF:'.length)));
+};
+
+/**
+ * Listar los archivos de un directorio de forma recursiva
+ * @param {string} directory - Directorio
+ * @returns {Promise<Array<string>>} Rutas absolutas
+ */
+const listFiles = async (directory) => {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(entries.map((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  }));
+
+  return files.flat();
+};
+
+/**
+ * Servicio de transcodificación de videos a HLS con varias calidades
+ * Lo ejecuta el worker a partir de los trabajos video:transcode
+ */
+class TranscodeService {
+  /**
+   * Transcodificar un video y publicar sus calidades HLS en el almacenamiento
+   * @param {string} videoId - ID del video
+   * @param {Object} job - Trabajo en curso (para saber si quedan reintentos)
+   * @returns {Object} Resumen del resultado
+   */
+  async transcodeVideo(videoId, job = { attempts: 1, maxAttempts: 1 }) {
+    const video = await Video.findById(videoId);
+
+    if (!video || video.status !== 'ready') {
+      logger.warn(`Transcodificación omitida: el video ${videoId} no existe o no tiene archivo`);
+      return { skipped: true };
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panatri-transcode-'));
+
+    try {
+      video.processing = { status: 'processing', startedAt: Date.now() };
+      await video.save();
+
+      const inputPath = path.join(workDir, `original${path.extname(video.s3Key)}`);
+      await storage.download(video.s3Key, inputPath);
+
+      const info = await probe(inputPath);
+      const videoStream = info.streams.find(stream => stream.codec_type === 'video');
+
+      if (!videoStream) {
+        throw new Error('El archivo no contiene una pista de video');
+      }
+
+      const { width, height } = getDisplaySize(videoStream);
+      const renditions = selectRenditions(width, height);
+      const outputDir = path.join(workDir, 'hls');
+      const { forensic } = watermarkPolicy();
+
+      for (const rendition of renditions) {
+        const renditionDir = path.join(outputDir, rendition.name);
+        await fs.promises.mkdir(renditionDir, { recursive: true });
+
+        logger.info(`Transcodificando video ${video._id} a ${rendition.name}`);
+        await ffmpeg(renditionArgs(inputPath, rendition, renditionDir, forensic ? 'a' : null));
+        rendition.segmentDurations = await readSegmentDurations(path.join(renditionDir, 'index.m3u8'));
+
+        // Marca forense: la variante b va en un subdirectorio con los mismos nombres de segmento
+        if (forensic) {
+          const variantDir = path.join(renditionDir, 'b');
+          await fs.promises.mkdir(variantDir);
+
+          logger.info(`Transcodificando video ${video._id} a ${rendition.name} (variante forense)`);
+          await ffmpeg(renditionArgs(inputPath, rendition, variantDir, 'b'));
+
+          const variantDurations = await readSegmentDurations(path.join(variantDir, 'index.m3u8'));
+
+          if (variantDurations.length !== rendition.segmentDurations.length) {
+            throw new Error(`Las variantes forenses de ${rendition.name} no tienen los mismos segmentos`);
+          }
+        }
+      }
+
+      await fs.promises.writeFile(path.join(outputDir, MASTER_PLAYLIST), buildMasterPlaylist(renditions));
+
+      // Subir las calidades junto al original (videos/abc.mp4 → videos/abc/hls/);
+      // la lista maestra al final para que solo exista con todo publicado
+      const prefix = `${video.getMediaPrefix()}hls/`;
+      const masterPath = path.join(outputDir, MASTER_PLAYLIST);
+      const files = (await listFiles(outputDir)).filter(filePath => filePath !== masterPath);
+
+      for (const filePath of [...files, masterPath]) {
+        const relativePath = path.relative(outputDir, filePath).split(path.sep).join('/');
+
+        await storage.put(
+          `${prefix}${relativePath}`,
+          fs.createReadStream(filePath),
+          CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        );
+      }
+
+      video.hlsKey = `${prefix}${MASTER_PLAYLIST}`;
+      video.renditions = renditions.map(rendition => ({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+        segmentDurations: rendition.segmentDurations,
+      }));
+      video.forensicWatermark = forensic;
+      video.processing = {
+        status: 'ready',
+        startedAt: video.processing.startedAt,
+        completedAt: Date.now(),
+      };
+      await video.save();
+
+      logger.info(`Video ${video._id} transcodificado a HLS (${renditions.map(r => r.name).join(', ')})`);
+
+      return {
+        hlsKey: video.hlsKey,
+        renditions: renditions.map(rendition => rendition.name),
+      };
+    } catch (error) {
+      // Si quedan intentos el video sigue en cola; si no, queda marcado como fallido
+      await Video.updateOne(
+        { _id: video._id },
+        {
+          'processing.status': job.attempts < job.maxAttempts ? 'queued' : 'failed',
+          'processing.error': error.message,
+        }
+      );
+
+      logger.error(`Error al transcodificar video ${video._id}: ${error.message}`);
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new TranscodeService();
@@ -0,0 +1,237 @@
+const TranscriptSegment = require('../models/transcriptSegmentModel');
+const Video = require('../models/videoModel');
+const Course = require('../models/courseModel');
+const User = require('../models/userModel');
+const ErrorResponse = require('../utils/errorResponse');
+const { toPlainText } = require('../utils/webvtt');
+const { logger } = require('../utils/logger');
+
+// Duración máxima de un fragmento de la transcripción (segundos)
+const SEGMENT_MAX_DURATION = 30;
+
+// Fragmentos devueltos por cada video en la búsqueda
+const HITS_PER_VIDEO = 3;
+
+// Longitud máxima del texto de las transcripciones que se agrega al índice de búsqueda del curso
+const COURSE_TRANSCRIPT_MAX_LENGTH = 200000;
+
+/**
+ * Agrupar los cues de una pista en fragmentos de hasta SEGMENT_MAX_DURATION segundos
+ * @param {Array<Object>} cues - Cues con start, end y text
+ * @returns {Array<Object>} Fragmentos con start, end y text
+ */
+const buildSegments = (cues) => {
+  const segments = [];
+  let current = null;
+
+  cues.forEach((cue) => {
+    const text = toPlainText(cue.text);
+
+    if (!text) {
+      return;
+    }
+
+    if (!current || cue.end - current.start > SEGMENT_MAX_DURATION) {
+      current = { start: cue.start, end: cue.end, texts: [] };
+      segments.push(current);
+    }
+
+    current.end = Math.max(current.end, cue.end);
+    current.texts.push(text);
+  });
+
+  return segments.map(segment => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.texts.join(' '),
+  }));
+};
+
+/**
+ * Servicio para indexar y buscar las transcripciones de los videos
+ * Las transcripciones se derivan de las pistas de subtítulos
+ */
+class TranscriptService {
+  /**
+   * Generar los fragmentos de la transcripción de una pista de subtítulos
+   * Reemplaza los fragmentos anteriores de la misma pista
+   * @param {Object} video - Video
+   * @param {Object} caption - Pista de subtítulos
+   * @param {Array<Object>} cues - Cues de la pista
+   * @returns {number} Cantidad de fragmentos generados
+   */
+  async indexCaption(video, caption, cues) {
+    try {
+      const textLanguage = TranscriptSegment.toTextLanguage(caption.language);
+      const segments = buildSegments(cues).map(segment => ({
+        ...segment,
+        video: video._id,
+        caption: caption._id,
+        language: caption.language,
+        textLanguage,
+      }));
+
+      await TranscriptSegment.deleteMany({ video: video._id, caption: caption._id });
+
+      if (segments.length > 0) {
+        await TranscriptSegment.insertMany(segments);
+      }
+
+      await this.refreshCourseIndex(video.course);
+
+      logger.info(`Transcripción ${caption.language} del video ${video._id} indexada (${segments.length} fragmentos)`);
+
+      return segments.length;
+    } catch (error) {
+      logger.error(`Error al indexar transcripción: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar la transcripción de una pista de subtítulos
+   * @param {Object} video - Video
+   * @param {string} captionId - ID de la pista
+   */
+  async removeCaption(video, captionId) {
+    try {
+      await TranscriptSegment.deleteMany({ video: video._id, caption: captionId });
+      await this.refreshCourseIndex(video.course);
+    } catch (error) {
+      logger.error(`Error al eliminar transcripción: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar todas las transcripciones de un video
+   * @param {Object} video - Video
+   */
+  async removeVideo(video) {
+    try {
+      await TranscriptSegment.deleteMany({ video: video._id });
+      await this.refreshCourseIndex(video.course);
+    } catch (error) {
+      logger.error(`Error al eliminar transcripciones del video: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar el texto de las transcripciones que forma parte del índice de búsqueda del curso
+   * Solo se incluyen los videos publicados
+   * @param {string} courseId - ID del curso
+   */
+  async refreshCourseIndex(courseId) {
+    try {
+      const videos = await Video.find({ course: courseId, isPublished: true })
+        .sort({ order: 1 })
+        .select('_id');
+
+      const segments = await TranscriptSegment.find({ video: { $in: videos.map(video => video._id) } })
+        .sort({ video: 1, caption: 1, start: 1 })
+        .select('text');
+
+      let transcriptText = '';
+
+      for (const segment of segments) {
+        if (transcriptText.length + segment.text.length + 1 > COURSE_TRANSCRIPT_MAX_LENGTH) {
+          break;
+        }
+
+        transcriptText += `${segment.text}\n`;
+      }
+
+      await Course.updateOne({ _id: courseId }, { transcriptText });
+    } catch (error) {
+      logger.error(`Error al actualizar el índice de búsqueda del curso: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar en las transcripciones de los videos publicados de los cursos en que el usuario está matriculado
+   * @param {string} userId - ID del usuario
+   * @param {Object} queryParams - Parámetros de consulta (q, language, page, limit)
+   * @returns {Object} Videos con los fragmentos que coinciden y metadatos de paginación
+   */
+  async searchTranscripts(userId, queryParams) {
+    try {
+      const page = parseInt(queryParams.page, 10) || 1;
+      const limit = Math.min(parseInt(queryParams.limit, 10) || 10, 50);
+      const startIndex = (page - 1) * limit;
+
+      const user = await User.findById(userId);
+
+      if (!user) {
+        throw new ErrorResponse('Usuario no encontrado', 404);
+      }
+
+      const courseIds = user.enrolledCourses.map(enrollment => enrollment.course);
+      const videos = await Video.find({ course: { $in: courseIds }, isPublished: true, status: 'ready' })
+        .select('title course module duration');
+
+      const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+
+      // El idioma de la consulta determina cómo se reducen las palabras a su raíz
+      const language = TranscriptSegment.toTextLanguage(queryParams.language || user.language);
+
+      const [result] = await TranscriptSegment.aggregate([
+        {
+          $match: {
+            $text: { $search: queryParams.q, $language: language },
+            video: { $in: videos.map(video => video._id) },
+          },
+        },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $sort: { score: -1, start: 1 } },
+        {
+          $group: {
+            _id: '$video',
+            score: { $max: '$score' },
+            hits: {
+              $push: {
+                start: '$start',
+                end: '$end',
+                text: '$text',
+                language: '$language',
+              },
+            },
+          },
+        },
+        { $sort: { score: -1, _id: 1 } },
+        {
+          $facet: {
+            total: [{ $count: 'count' }],
+            videos: [
+              { $skip: startIndex },
+              { $limit: limit },
+              { $project: { score: 1, hits: { $slice: ['$hits', HITS_PER_VIDEO] } } },
+            ],
+          },
+        },
+      ]);
+
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+
+      return {
+        results: result.videos.map(match => ({
+          video: videosById.get(match._id.toString()),
+          score: match.score,
+          hits: match.hits,
+        })),
+        pagination: {
+          total,
+          pages: Math.ceil(total / limit),
+          currentPage: page,
+          limit,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error al buscar en las transcripciones: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,328 @@
+const Course = require('../models/courseModel');
+const Video = require('../models/videoModel');
+const VideoProgress = require('../models/videoProgressModel');
+const TranscriptSegment = require('../models/transcriptSegmentModel');
+const User = require('../models/userModel');
+const permissionService = require('./permissionService');
+const transcriptService = require('./transcriptService');
+const mediaCleanupService = require('./mediaCleanupService');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+
+/**
+ * Días que se conservan los elementos de la papelera antes de eliminarlos definitivamente
+ * @returns {number} Días (30 por defecto)
+ */
+const retentionDays = () => envInteger('TRASH_RETENTION_DAYS', 30);
+
+/**
+ * Fecha en que se eliminará definitivamente un elemento de la papelera
+ * @param {Date} deletedAt - Fecha de eliminación
+ * @returns {Date} Fecha de eliminación definitiva
+ */
+const purgeDateOf = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Servicio de la papelera de cursos, módulos y videos
+ * Los elementos eliminados se pueden restaurar hasta que vence el período de retención;
+ * después se eliminan definitivamente junto con sus archivos
+ */
+class TrashService {
+  /**
+   * Buscar el usuario que actúa sobre la papelera
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Usuario
+   */
+  async findUser(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * Listar la papelera de los cursos en cuyo equipo docente participa el usuario
+   * Los videos eliminados junto con su curso se restauran con él, por lo que solo se lista el curso
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Cursos, módulos y videos en la papelera con su fecha de eliminación definitiva
+   */
+  async getTrash(userId) {
+    try {
+      const user = await this.findUser(userId);
+
+      const courses = await Course.find({ $or: [{ instructor: user._id }, { 'staff.user': user._id }] })
+        .setOptions({ withDeleted: true })
+        .select('title slug instructor staff modules deletedAt deletedBy')
+        .populate({ path: 'deletedBy', select: 'name' })
+        .populate({ path: 'modules.deletedBy', select: 'name' });
+
+      const trash = { courses: [], modules: [], videos: [] };
+      const activeCourses = new Map();
+
+      for (const course of courses) {
+        if (course.deletedAt) {
+          if (await permissionService.can(user, 'course:delete', course)) {
+            trash.courses.push({
+              _id: course._id,
+              title: course.title,
+              deletedAt: course.deletedAt,
+              deletedBy: course.deletedBy,
+              purgeAt: purgeDateOf(course.deletedAt),
+            });
+          }
+
+          continue;
+        }
+
+        if (await permissionService.can(user, 'course:update', course)) {
+          course.modules
+            .filter(module => module.deletedAt)
+            .forEach(module => trash.modules.push({
+              _id: module._id,
+              title: module.title,
+              course: { _id: course._id, title: course.title },
+              deletedAt: module.deletedAt,
+              deletedBy: module.deletedBy,
+              purgeAt: purgeDateOf(module.deletedAt),
+            }));
+        }
+
+        if (await permissionService.can(user, 'video:delete', course)) {
+          activeCourses.set(course._id.toString(), course);
+        }
+      }
+
+      const videos = await Video.find({
+        course: { $in: [...activeCourses.keys()] },
+        deletedAt: { $ne: null },
+      })
+        .select('title course module duration deletedAt deletedBy')
+        .populate({ path: 'deletedBy', select: 'name' })
+        .sort({ deletedAt: -1 });
+
+      trash.videos = videos.map(video => ({
+        _id: video._id,
+        title: video.title,
+        course: {
+          _id: video.course,
+          title: activeCourses.get(video.course.toString()).title,
+        },
+        module: video.module,
+        duration: video.duration,
+        deletedAt: video.deletedAt,
+        deletedBy: video.deletedBy,
+        purgeAt: purgeDateOf(video.deletedAt),
+      }));
+
+      trash.courses.sort((a, b) => b.deletedAt - a.deletedAt);
+      trash.modules.sort((a, b) => b.deletedAt - a.deletedAt);
+
+      return trash;
+    } catch (error) {
+      logger.error(`Error al obtener la papelera: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Restaurar un curso de la papelera junto con los videos eliminados con él
+   * @param {string} courseId - ID del curso
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Curso restaurado
+   */
+  async restoreCourse(courseId, userId) {
+    try {
+      const course = await Course.findOne({ _id: courseId, deletedAt: { $ne: null } });
+
+      if (!course) {
+        throw new ErrorResponse('Curso no encontrado en la papelera', 404);
+      }
+
+      const user = await this.findUser(userId);
+
+      await permissionService.authorize(user, 'course:delete', course, 'No autorizado para restaurar este curso');
+
+      // Los videos eliminados antes que el curso tienen otra fecha y siguen en la papelera
+      await Video.updateMany(
+        { course: course._id, deletedAt: course.deletedAt },
+        { $set: { deletedAt: null }, $unset: { deletedBy: 1 } }
+      );
+      await course.restore();
+
+      logger.info(`Curso ${course._id} restaurado de la papelera por ${user._id}`);
+
+      return course;
+    } catch (error) {
+      logger.error(`Error al restaurar curso: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Restaurar un módulo de la papelera
+   * @param {string} courseId - ID del curso
+   * @param {string} moduleId - ID del módulo
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Curso actualizado
+   */
+  async restoreModule(courseId, moduleId, userId) {
+    try {
+      const course = await Course.findById(courseId);
+
+      if (!course) {
+        throw new ErrorResponse('Curso no encontrado', 404);
+      }
+
+      const user = await this.findUser(userId);
+
+      await permissionService.authorize(user, 'course:update', course, 'No autorizado para actualizar este curso');
+
+      const module = course.modules.id(moduleId);
+
+      if (!module || !module.deletedAt) {
+        throw new ErrorResponse('Módulo no encontrado en la papelera', 404);
+      }
+
+      module.deletedAt = null;
+      module.deletedBy = undefined;
+      await course.save();
+
+      return course;
+    } catch (error) {
+      logger.error(`Error al restaurar módulo: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Restaurar un video de la papelera
+   * Su curso y su módulo deben estar activos
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Video restaurado
+   */
+  async restoreVideo(videoId, userId) {
+    try {
+      const video = await Video.findOne({ _id: videoId, deletedAt: { $ne: null } });
+
+      if (!video) {
+        throw new ErrorResponse('Video no encontrado en la papelera', 404);
+      }
+
+      const course = await Course.findById(video.course);
+
+      if (!course) {
+        throw new ErrorResponse('El curso del video está en la papelera; restaure primero el curso', 400);
+      }
+
+      const user = await this.findUser(userId);
+
+      await permissionService.authorize(user, 'video:delete', course, 'No autorizado para restaurar este video');
+
+      if (video.module && !course.getModule(video.module)) {
+        throw new ErrorResponse('El módulo del video está en la papelera; restaure primero el módulo', 400);
+      }
+
+      await video.restore();
+
+      // Sus transcripciones vuelven al índice de búsqueda del curso
+      await transcriptService.refreshCourseIndex(course._id);
+
+      return video;
+    } catch (error) {
+      logger.error(`Error al restaurar video: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar definitivamente un curso con todos sus videos (también los de la papelera)
+   * @param {Object} course - Curso
+   */
+  async purgeCourse(course) {
+    const videos = await Video.find({ course: course._id })
+      .setOptions({ withDeleted: true })
+      .select('s3Key');
+
+    // Los archivos se encolan antes de borrar los videos para no perder sus claves
+    await mediaCleanupService.queueVideosDeletion(videos);
+
+    await Video.deleteMany({ course: course._id });
+    await TranscriptSegment.deleteMany({ video: { $in: videos.map(video => video._id) } });
+    await VideoProgress.deleteMany({ course: course._id });
+    await Course.deleteOne({ _id: course._id });
+  }
+
+  /**
+   * Eliminar definitivamente un video con sus archivos, su progreso y sus transcripciones
+   * @param {Object} video - Video
+   */
+  async purgeVideo(video) {
+    await mediaCleanupService.queueVideosDeletion([video]);
+
+    await Video.deleteOne({ _id: video._id });
+    await VideoProgress.deleteMany({ video: video._id });
+    await TranscriptSegment.deleteMany({ video: video._id });
+  }
+
+  /**
+   * Eliminar definitivamente los elementos cuyo período de retención venció
+   * @returns {Object} Cantidad de cursos, módulos y videos eliminados
+   */
+  async purgeExpired() {
+    try {
+      const limit = new Date(Date.now() - retentionDays() * 24 * 60 * 60 * 1000);
+      const purged = { courses: 0, modules: 0, videos: 0 };
+
+      const courses = await Course.find({ deletedAt: { $lt: limit } });
+
+      for (const course of courses) {
+        await this.purgeCourse(course);
+        purged.courses += 1;
+      }
+
+      const videos = await Video.find({ deletedAt: { $lt: limit } }).select('s3Key');
+
+      for (const video of videos) {
+        await this.purgeVideo(video);
+        purged.videos += 1;
+      }
+
+      // Los módulos de los cursos en la papelera se eliminan con su curso
+      const coursesWithModules = await Course.find({ 'modules.deletedAt': { $lt: limit } });
+
+      for (const course of coursesWithModules) {
+        const expired = course.modules.filter(module => module.deletedAt && module.deletedAt < limit);
+
+        // Los videos de la papelera que seguían en esos módulos quedan sin módulo para poder restaurarse
+        await Video.updateMany(
+          { course: course._id, module: { $in: expired.map(module => module._id) } },
+          { $unset: { module: 1 } }
+        ).setOptions({ withDeleted: true });
+
+        expired.forEach(module => course.modules.pull(module._id));
+        await course.save();
+
+        purged.modules += expired.length;
+      }
+
+      if (purged.courses + purged.modules + purged.videos > 0) {
+        logger.info(
+          `Papelera vaciada: ${purged.courses} cursos, ${purged.modules} módulos y ${purged.videos} videos ` +
+          `con más de ${retentionDays()} días`
+        );
+      }
+
+      return purged;
+    } catch (error) {
+      logger.error(`Error al vaciar la papelera: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const TWO_FACTOR_FIELDS =
+  '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hashear un código de recuperación para almacenarlo
+ * @param {string} code - Código de recuperación
+ * @returns {string} Hash SHA-256
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+/**
+ * Servicio para la autenticación en dos pasos (TOTP)
+ */
+class TwoFactorService {
+  /**
+   * Buscar un usuario incluyendo los campos de 2FA
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Documento del usuario
+   */
+  async findUser(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * Generar un nuevo juego de códigos de recuperación
+   * @param {Object} user - Documento del usuario
+   * @returns {Array<string>} Códigos en texto plano (solo se muestran una vez)
+   */
+  generateRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+
+    return codes;
+  }
+
+  /**
+   * Verificar un código TOTP del usuario evitando su reutilización
+   * @param {Object} user - Documento del usuario con los campos de 2FA
+   * @param {string} code - Código ingresado
+   * @param {string} secret - Secreto a usar (por defecto el secreto activo)
+   * @returns {boolean} Si el código es válido
+   */
+  checkCode(user, code, secret = user.twoFactorSecret) {
+    if (!secret) {
+      return false;
+    }
+
+    const step = verifyCode(secret, code);
+
+    if (step === null || (user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep)) {
+      return false;
+    }
+
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * Consumir un código de recuperación
+   * @param {Object} user - Documento del usuario con los campos de 2FA
+   * @param {string} recoveryCode - Código de recuperación
+   * @returns {boolean} Si el código era válido
+   */
+  consumeRecoveryCode(user, recoveryCode) {
+    if (!recoveryCode) {
+      return false;
+    }
+
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactorRecoveryCodes.indexOf(hash);
+
+    if (index === -1) {
+      return false;
+    }
+
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Iniciar la activación de 2FA generando un secreto pendiente
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Secreto y URI otpauth para la aplicación autenticadora
+   */
+  async setup(userId) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (user.twoFactorEnabled) {
+        throw new ErrorResponse('La autenticación en dos pasos ya está activa', 400);
+      }
+
+      const secret = generateSecret();
+      user.twoFactorPendingSecret = secret;
+      await user.save({ validateBeforeSave: false });
+
+      return {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email, process.env.TOTP_ISSUER || 'PANATRI'),
+      };
+    } catch (error) {
+      logger.error(`Error al configurar 2FA: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirmar la activación de 2FA con un código de la aplicación
+   * @param {string} userId - ID del usuario
+   * @param {string} code - Código TOTP
+   * @returns {Object} Códigos de recuperación
+   */
+  async enable(userId, code) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (user.twoFactorEnabled) {
+        throw new ErrorResponse('La autenticación en dos pasos ya está activa', 400);
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        throw new ErrorResponse('Primero debe iniciar la configuración de 2FA', 400);
+      }
+
+      if (!this.checkCode(user, code, user.twoFactorPendingSecret)) {
+        throw new ErrorResponse('Código de verificación inválido', 400);
+      }
+
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorEnabled = true;
+      const recoveryCodes = this.generateRecoveryCodes(user);
+
+      await user.save({ validateBeforeSave: false });
+
+      logger.info(`2FA activada para el usuario ${userId}`);
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error(`Error al activar 2FA: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Desactivar 2FA (requiere contraseña y un código TOTP o de recuperación)
+   * @param {string} userId - ID del usuario
+   * @param {string} password - Contraseña actual
+   * @param {Object} verification - { code, recoveryCode }
+   * @returns {string} Mensaje de éxito
+   */
+  async disable(userId, password, verification = {}) {
+    try {
+      const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+      if (!user) {
+        throw new ErrorResponse('Usuario no encontrado', 404);
+      }
+
+      if (!user.twoFactorEnabled) {
+        throw new ErrorResponse('La autenticación en dos pasos no está activa', 400);
+      }
+
+      if (!password || !(await user.matchPassword(password))) {
+        throw new ErrorResponse('Contraseña actual incorrecta', 401);
+      }
+
+      if (!this.verifySecondFactor(user, verification)) {
+        throw new ErrorResponse('Código de verificación inválido', 401);
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorRecoveryCodes = [];
+      user.twoFactorLastUsedStep = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      logger.info(`2FA desactivada para el usuario ${userId}`);
+
+      return 'Autenticación en dos pasos desactivada';
+    } catch (error) {
+      logger.error(`Error al desactivar 2FA: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Regenerar los códigos de recuperación (invalida los anteriores)
+   * @param {string} userId - ID del usuario
+   * @param {string} code - Código TOTP
+   * @returns {Object} Nuevos códigos de recuperación
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!user.twoFactorEnabled) {
+        throw new ErrorResponse('La autenticación en dos pasos no está activa', 400);
+      }
+
+      if (!this.checkCode(user, code)) {
+        throw new ErrorResponse('Código de verificación inválido', 401);
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes(user);
+      await user.save({ validateBeforeSave: false });
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error(`Error al regenerar códigos de recuperación: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar el segundo factor con un código TOTP o de recuperación
+   * No guarda el usuario: quien llama debe persistir los cambios
+   * @param {Object} user - Documento del usuario con los campos de 2FA
+   * @param {Object} verification - { code, recoveryCode }
+   * @returns {boolean} Si la verificación fue exitosa
+   */
+  verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (code) {
+      return this.checkCode(user, code);
+    }
+
+    return this.consumeRecoveryCode(user, recoveryCode);
+  }
+}
+
+module.exports = new TwoFactorService();
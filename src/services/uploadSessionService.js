@@ -0,0 +1,377 @@
+const UploadSession = require('../models/uploadSessionModel');
+const Video = require('../models/videoModel');
+const videoService = require('./videoService');
+const ErrorResponse = require('../utils/errorResponse');
+const { logger } = require('../utils/logger');
+const { envInteger } = require('../utils/env');
+const { storage } = require('../config/storage');
+
+// Límites de las subidas multiparte (los de S3, que el disco local también respeta)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+// Tamaño de parte por defecto (16 MB)
+const DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+
+// Validez de las URL de cada parte (segundos)
+const PART_URL_EXPIRES_IN = 3600;
+
+// Máximo de URL de partes que se pueden pedir en una solicitud
+const MAX_PART_URLS_PER_REQUEST = 100;
+
+/**
+ * Tamaño máximo permitido para una subida multiparte
+ * @returns {number} Bytes (20 GB por defecto)
+ */
+const maxMultipartSize = () =>
+  envInteger('MAX_MULTIPART_FILE_SIZE', 20 * 1024 * 1024 * 1024, { min: 1 });
+
+/**
+ * Horas de inactividad tras las que una sesión se considera abandonada
+ * @returns {number} Horas (24 por defecto)
+ */
+const sessionTtlHours = () => envInteger('UPLOAD_SESSION_TTL_HOURS', 24, { min: 1 });
+
+/**
+ * Calcular la fecha de vencimiento de una sesión a partir de ahora
+ * @returns {Date}
+ */
+const nextExpiration = () => new Date(Date.now() + sessionTtlHours() * 60 * 60 * 1000);
+
+/**
+ * Calcular el tamaño de parte para que el archivo no supere el máximo de partes
+ * @param {number} fileSize - Tamaño del archivo en bytes
+ * @returns {number} Tamaño de parte en bytes
+ */
+const calculatePartSize = (fileSize) =>
+  Math.max(DEFAULT_PART_SIZE, MIN_PART_SIZE, Math.ceil(fileSize / MAX_PARTS));
+
+/**
+ * Servicio para subidas de video reanudables mediante subidas multiparte
+ * El estado de cada sesión se persiste para poder retomarla tras un corte
+ */
+class UploadSessionService {
+  /**
+   * Buscar una sesión del usuario
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} userId - ID del usuario que la inició
+   * @param {boolean} withUploadId - Incluir el ID de la subida multiparte
+   * @returns {Object} Sesión de subida
+   */
+  async findSession(sessionId, userId, withUploadId = false) {
+    const query = UploadSession.findOne({ _id: sessionId, user: userId });
+    const session = await (withUploadId ? query.select('+uploadId') : query);
+
+    if (!session) {
+      throw new ErrorResponse('Sesión de subida no encontrada', 404);
+    }
+
+    return session;
+  }
+
+  /**
+   * Verificar que una sesión siga activa
+   * @param {Object} session - Sesión de subida
+   */
+  assertActive(session) {
+    if (session.status !== 'active') {
+      throw new ErrorResponse(
+        session.status === 'completed'
+          ? 'La sesión de subida ya fue completada'
+          : 'La sesión de subida fue cancelada',
+        400
+      );
+    }
+  }
+
+  /**
+   * Registrar actividad en la sesión y renovar su vencimiento
+   * @param {Object} session - Sesión de subida
+   */
+  async touch(session) {
+    session.lastActivityAt = Date.now();
+    session.expiresAt = nextExpiration();
+    await session.save();
+
+    // El video pendiente vence junto con su sesión
+    await Video.updateOne({ _id: session.video }, { uploadExpiresAt: session.expiresAt });
+  }
+
+  /**
+   * Iniciar una sesión de subida reanudable
+   * @param {Object} videoData - Datos del video (title, description, course, module, order)
+   * @param {Object} file - Datos del archivo (fileName, fileType, fileSize)
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Sesión de subida y video pendiente
+   */
+  async initiate(videoData, file, userId) {
+    try {
+      const expiresAt = nextExpiration();
+      const video = await videoService.reserveVideo(videoData, file, userId, {
+        maxSize: maxMultipartSize(),
+        uploadExpiresAt: expiresAt,
+      });
+
+      let uploadId;
+
+      try {
+        uploadId = await storage.createMultipartUpload(video.s3Key, video.contentType);
+      } catch (error) {
+        // Sin subida multiparte el video reservado no sirve
+        await Video.deleteOne({ _id: video._id });
+        throw error;
+      }
+
+      const partSize = calculatePartSize(video.fileSize);
+
+      const session = await UploadSession.create({
+        user: userId,
+        course: video.course,
+        video: video._id,
+        s3Key: video.s3Key,
+        uploadId,
+        fileName: file.fileName,
+        contentType: video.contentType,
+        fileSize: video.fileSize,
+        partSize,
+        totalParts: Math.ceil(video.fileSize / partSize),
+        expiresAt,
+      });
+
+      logger.info(`Sesión de subida ${session._id} iniciada para el video ${video._id}`);
+
+      return {
+        session: await this.findSession(session._id, userId),
+        video,
+      };
+    } catch (error) {
+      logger.error(`Error al iniciar sesión de subida: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar las sesiones activas del usuario (para retomarlas)
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Sesiones activas, la más reciente primero
+   */
+  async getActiveSessions(userId) {
+    try {
+      return await UploadSession.find({ user: userId, status: 'active' })
+        .sort({ lastActivityAt: -1 })
+        .populate({ path: 'video', select: 'title course' });
+    } catch (error) {
+      logger.error(`Error al obtener sesiones de subida: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una sesión con las partes ya subidas
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Sesión, partes subidas y partes pendientes
+   */
+  async getSession(sessionId, userId) {
+    try {
+      const session = await this.findSession(sessionId, userId, true);
+
+      let uploadedParts = [];
+
+      if (session.status === 'active') {
+        uploadedParts = await storage.listParts(session.s3Key, session.uploadId);
+      }
+
+      const uploaded = new Set(uploadedParts.map(part => part.partNumber));
+      const missingParts = session.status === 'active'
+        ? Array.from({ length: session.totalParts }, (_, index) => index + 1)
+          .filter(partNumber => !uploaded.has(partNumber))
+        : [];
+
+      // El ID de la subida multiparte no se expone al cliente
+      const sessionData = session.toObject();
+      delete sessionData.uploadId;
+
+      return {
+        ...sessionData,
+        uploadedParts,
+        missingParts,
+      };
+    } catch (error) {
+      logger.error(`Error al obtener sesión de subida: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Generar URL prefirmadas para subir partes del archivo
+   * @param {string} sessionId - ID de la sesión
+   * @param {Array<number>} partNumbers - Números de parte solicitados
+   * @param {string} userId - ID del usuario
+   * @returns {Object} URL por parte y su vigencia
+   */
+  async getPartUrls(sessionId, partNumbers, userId) {
+    try {
+      const session = await this.findSession(sessionId, userId, true);
+      this.assertActive(session);
+
+      const requested = [...new Set((partNumbers || []).map(Number))];
+
+      if (requested.length === 0 || requested.length > MAX_PART_URLS_PER_REQUEST) {
+        throw new ErrorResponse(
+          `Debe solicitar entre 1 y ${MAX_PART_URLS_PER_REQUEST} partes por vez`,
+          400
+        );
+      }
+
+      const invalid = requested.filter(
+        partNumber => !Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts
+      );
+
+      if (invalid.length > 0) {
+        throw new ErrorResponse(
+          `Números de parte inválidos; deben estar entre 1 y ${session.totalParts}`,
+          400
+        );
+      }
+
+      const parts = await Promise.all(
+        requested.map(async partNumber => ({
+          partNumber,
+          url: await storage.getPresignedPartUrl(session.s3Key, session.uploadId, partNumber, PART_URL_EXPIRES_IN),
+        }))
+      );
+
+      await this.touch(session);
+
+      return {
+        parts,
+        expiresIn: PART_URL_EXPIRES_IN,
+      };
+    } catch (error) {
+      logger.error(`Error al generar URL de partes: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Completar la subida multiparte y confirmar el video
+   * Las partes se toman del almacenamiento, por lo que el cliente no necesita enviar los ETag
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Video listo para usarse
+   */
+  async complete(sessionId, userId) {
+    try {
+      const session = await this.findSession(sessionId, userId, true);
+      this.assertActive(session);
+
+      const parts = await storage.listParts(session.s3Key, session.uploadId);
+      const uploaded = new Set(parts.map(part => part.partNumber));
+      const missing = Array.from({ length: session.totalParts }, (_, index) => index + 1)
+        .filter(partNumber => !uploaded.has(partNumber));
+
+      if (missing.length > 0) {
+        throw new ErrorResponse(
+          `Faltan ${missing.length} partes por subir (primera pendiente: ${missing[0]})`,
+          400
+        );
+      }
+
+      const orderedParts = parts
+        .filter(part => part.partNumber <= session.totalParts)
+        .sort((a, b) => a.partNumber - b.partNumber);
+
+      await storage.completeMultipartUpload(session.s3Key, session.uploadId, orderedParts);
+
+      let video;
+
+      try {
+        // Verificar el objeto final y dejar el video listo antes de dar la sesión por completada
+        video = await videoService.confirmUpload(session.video, userId);
+      } catch (error) {
+        // El archivo ensamblado ya se descartó, por lo que la sesión no puede retomarse
+        if (error.errorCode === 'UPLOAD_MISMATCH') {
+          await this.abortSession(session, 'upload-mismatch');
+        }
+
+        throw error;
+      }
+
+      session.status = 'completed';
+      session.completedAt = Date.now();
+      await session.save();
+
+      logger.info(`Sesión de subida ${session._id} completada (${session.totalParts} partes)`);
+
+      return video;
+    } catch (error) {
+      logger.error(`Error al completar sesión de subida: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancelar una sesión de subida, liberar sus partes y descartar el video pendiente
+   * @param {Object} session - Sesión de subida (con uploadId)
+   * @param {string} reason - Motivo de la cancelación
+   */
+  async abortSession(session, reason) {
+    await storage.abortMultipartUpload(session.s3Key, session.uploadId);
+
+    session.status = 'aborted';
+    session.abortedAt = Date.now();
+    session.abortReason = reason;
+    await session.save();
+
+    await Video.deleteOne({ _id: session.video, status: 'pending_upload' });
+  }
+
+  /**
+   * Cancelar una sesión de subida a pedido del usuario
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} userId - ID del usuario
+   * @returns {boolean} Éxito de la operación
+   */
+  async abort(sessionId, userId) {
+    try {
+      const session = await this.findSession(sessionId, userId, true);
+      this.assertActive(session);
+
+      await this.abortSession(session, 'user-aborted');
+
+      logger.info(`Sesión de subida ${session._id} cancelada por el usuario`);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error al cancelar sesión de subida: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancelar las sesiones activas sin actividad reciente
+   * @returns {number} Cantidad de sesiones canceladas
+   */
+  async abortStaleSessions() {
+    const staleSessions = await UploadSession.find({
+      status: 'active',
+      expiresAt: { $lte: Date.now() },
+    }).select('+uploadId');
+
+    let aborted = 0;
+
+    for (const session of staleSessions) {
+      try {
+        await this.abortSession(session, 'expired');
+        aborted += 1;
+      } catch (error) {
+        logger.error(`No se pudo cancelar la sesión de subida ${session._id}: ${error.message}`);
+      }
+    }
+
+    return aborted;
+  }
+}
+
+module.exports = new UploadSessionService();
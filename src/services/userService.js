@@ -1,8 +1,11 @@
 const User = require('../models/userModel');
 const Course = require('../models/courseModel');
 const Video = require('../models/videoModel');
+const VideoProgress = require('../models/videoProgressModel');
 const ErrorResponse = require('../utils/errorResponse');
 const { logger } = require('../utils/logger');
+const { requireVerifiedEmailToEnroll } = require('../config/policies');
+const tokenService = require('./tokenService');
 
 /**
  * Servicio para manejar operaciones relacionadas con usuarios
@@ -16,7 +19,7 @@ class UserService {
   async getUserProfile(userId) {
     try {
       const user = await User.findById(userId)
-        .select('-password -resetPasswordToken -resetPasswordExpire')
+        .select('-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire')
         .populate({
           path: 'enrolledCourses.course',
           select: 'title thumbnail level',
@@ -42,7 +45,7 @@ class UserService {
   async updateUserProfile(userId, updateData) {
     try {
       // Campos permitidos para actualizar
-      const allowedUpdates = ['name', 'profileImage'];
+      const allowedUpdates = ['name', 'profileImage', 'language'];
       
       // Filtrar solo los campos permitidos
       const filteredData = Object.keys(updateData)
@@ -63,7 +66,7 @@ class UserService {
           new: true,
           runValidators: true,
         }
-      ).select('-password -resetPasswordToken -resetPasswordExpire');
+      ).select('-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire');
 
       if (!user) {
         throw new ErrorResponse('Usuario no encontrado', 404);
@@ -102,6 +105,9 @@ class UserService {
       user.password = newPassword;
       await user.save();
 
+      // Invalidar las sesiones abiertas con la contraseña anterior
+      await tokenService.revokeAllForUser(userId, 'password-change');
+
       return 'Contraseña actualizada exitosamente';
     } catch (error) {
       logger.error(`Error al cambiar contraseña: ${error.message}`);
@@ -160,6 +166,14 @@ class UserService {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
 
+      // Verificar que el correo esté confirmado si la política lo exige
+      if (requireVerifiedEmailToEnroll() && !user.isEmailVerified) {
+        throw new ErrorResponse(
+          'Debe verificar su correo electrónico antes de matricularse en un curso',
+          403
+        );
+      }
+
       const isEnrolled = user.enrolledCourses.some(
         enrollment => enrollment.course.toString() === courseId
       );
@@ -197,10 +211,10 @@ class UserService {
    * @param {string} userId - ID del usuario
    * @param {string} courseId - ID del curso
    * @param {string} videoId - ID del video
-   * @param {number} progress - Porcentaje de progreso (0-100)
+   * @param {Object} progressData - Posición actual e intervalos vistos desde la última actualización (segundos)
    * @returns {Object} Progreso actualizado
    */
-  async updateCourseProgress(userId, courseId, videoId, progress) {
+  async updateCourseProgress(userId, courseId, videoId, progressData) {
     try {
       // Validar video y curso
       const video = await Video.findOne({ _id: videoId, course: courseId });
@@ -209,56 +223,52 @@ class UserService {
         throw new ErrorResponse('Video no encontrado para este curso', 404);
       }
 
-      // Actualizar progreso del video
-      const completed = progress >= 90; // Consideramos completado si vio al menos el 90%
-      await video.updateProgress(userId, progress, completed);
-
-      // Calcular progreso general del curso
       const user = await User.findById(userId);
       
       if (!user) {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
 
-      // Buscar todos los videos del curso
-      const allVideos = await Video.find({ course: courseId });
-      const totalVideos = allVideos.length;
+      // Verificar la matrícula antes de registrar el progreso
+      const enrollmentIndex = user.enrolledCourses.findIndex(
+        enrollment => enrollment.course.toString() === courseId
+      );
+
+      if (enrollmentIndex === -1) {
+        throw new ErrorResponse('Usuario no matriculado en este curso', 400);
+      }
+
+      // Actualizar progreso del video con lo efectivamente visto
+      const videoProgress = await VideoProgress.recordProgress(userId, video, progressData);
+
+      // IDs de los videos del curso (sin los de la papelera), sin cargarlos
+      const videoIds = await Video.find({ course: courseId }).distinct('_id');
+      const totalVideos = videoIds.length;
       
       if (totalVideos === 0) {
         throw new ErrorResponse('El curso no tiene videos disponibles', 404);
       }
 
-      // Contar videos completados
-      let completedVideos = 0;
-      allVideos.forEach(video => {
-        const userView = video.viewHistory.find(
-          view => view.user.toString() === userId && view.completed
-        );
-        if (userView) {
-          completedVideos += 1;
-        }
-      });
+      // Contar videos completados a partir del progreso del usuario en el curso
+      const [summary] = await VideoProgress.aggregate([
+        { $match: { user: user._id, course: video.course, video: { $in: videoIds }, completed: true } },
+        { $count: 'completedVideos' },
+      ]);
+      const completedVideos = summary ? summary.completedVideos : 0;
 
       // Calcular porcentaje general de progreso
       const overallProgress = Math.round((completedVideos / totalVideos) * 100);
 
       // Actualizar progreso en el curso matriculado
-      const enrollmentIndex = user.enrolledCourses.findIndex(
-        enrollment => enrollment.course.toString() === courseId
-      );
-
-      if (enrollmentIndex === -1) {
-        throw new ErrorResponse('Usuario no matriculado en este curso', 400);
-      }
-
       user.enrolledCourses[enrollmentIndex].progress = overallProgress;
       user.enrolledCourses[enrollmentIndex].lastAccessed = Date.now();
       
       await user.save();
 
       return {
-        videoProgress: progress,
-        videoCompleted: completed,
+        videoProgress: videoProgress.progress,
+        videoCompleted: videoProgress.completed,
+        position: videoProgress.position,
         courseProgress: overallProgress,
         completedVideos,
         totalVideos,
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Video = require('../models/videoModel');
+const { storage } = require('../config/storage');
+const { ffmpeg, probe, getDisplaySize } = require('../utils/ffmpeg');
+const { logger } = require('../utils/logger');
+
+// Ancho máximo del fotograma de portada
+const POSTER_MAX_WIDTH = 1280;
+
+// Dimensiones de la hoja de miniaturas
+const SPRITE_THUMB_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_THUMBS = 100;
+const SPRITE_MIN_INTERVAL = 2;
+
+/**
+ * Redondear una dimensión a un número par
+ * @param {number} value - Dimensión
+ * @returns {number}
+ */
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Convertir una fracción de ffprobe (p. ej. 30000/1001) en número
+ * @param {string} fraction - Fracción
+ * @returns {number|undefined} Valor con dos decimales
+ */
+const parseFraction = (fraction) => {
+  const [numerator, denominator] = String(fraction || '').split('/').map(Number);
+
+  if (!numerator || !denominator) {
+    return undefined;
+  }
+
+  return Math.round((numerator / denominator) * 100) / 100;
+};
+
+/**
+ * Calcular la disposición de la hoja de miniaturas
+ * Se toma una miniatura cada `interval` segundos, sin superar SPRITE_MAX_THUMBS
+ * @param {number} duration - Duración del video en segundos
+ * @param {number} width - Ancho del video
+ * @param {number} height - Alto del video
+ * @returns {Object} Intervalo, columnas, filas, tamaño de cada miniatura y cantidad
+ */
+const planSprite = (duration, width, height) => {
+  const interval = Math.max(SPRITE_MIN_INTERVAL, Math.ceil(duration / SPRITE_MAX_THUMBS));
+  const count = Math.max(1, Math.ceil(duration / interval));
+  const columns = Math.min(SPRITE_COLUMNS, count);
+
+  return {
+    interval,
+    columns,
+    rows: Math.ceil(count / columns),
+    width: SPRITE_THUMB_WIDTH,
+    height: even((SPRITE_THUMB_WIDTH * height) / width),
+    count,
+  };
+};
+
+/**
+ * Servicio que analiza el archivo de un video tras la subida
+ * Extrae duración y datos técnicos y genera la portada y la hoja de miniaturas
+ * Lo ejecuta el worker a partir de los trabajos video:analyze
+ */
+class VideoAnalysisService {
+  /**
+   * Analizar un video y guardar sus datos y miniaturas
+   * @param {string} videoId - ID del video
+   * @returns {Object} Resumen del resultado
+   */
+  async analyzeVideo(videoId) {
+    const video = await Video.findById(videoId);
+
+    if (!video || video.status !== 'ready') {
+      logger.warn(`Análisis omitido: el video ${videoId} no existe o no tiene archivo`);
+      return { skipped: true };
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panatri-analyze-'));
+
+    try {
+      const inputPath = path.join(workDir, `original${path.extname(video.s3Key)}`);
+      await storage.download(video.s3Key, inputPath);
+
+      const info = await probe(inputPath);
+      const videoStream = info.streams.find(stream => stream.codec_type === 'video');
+      const audioStream = info.streams.find(stream => stream.codec_type === 'audio');
+
+      if (!videoStream) {
+        throw new Error('El archivo no contiene una pista de video');
+      }
+
+      const { width, height } = getDisplaySize(videoStream);
+      const duration = parseFloat(info.format.duration) || parseFloat(videoStream.duration) || 0;
+      const prefix = video.getMediaPrefix();
+
+      // Portada: un fotograma al 10 % del video, para evitar las pantallas negras del inicio
+      const posterPath = path.join(workDir, 'poster.jpg');
+      await ffmpeg([
+        '-ss', String(Math.min(duration * 0.1, 30)),
+        '-i', inputPath,
+        '-frames:v', '1',
+        '-vf', `scale=w='min(${POSTER_MAX_WIDTH},iw)':h=-2`,
+        '-q:v', '3',
+        posterPath,
+      ]);
+
+      // Hoja de miniaturas en cuadrícula para la vista previa al desplazarse
+      const sprite = planSprite(duration, width, height);
+      const spritePath = path.join(workDir, 'sprite.jpg');
+      await ffmpeg([
+        '-i', inputPath,
+        '-vf', `fps=1/${sprite.interval},scale=${sprite.width}:${sprite.height},tile=${sprite.columns}x${sprite.rows}`,
+        '-frames:v', '1',
+        '-q:v', '5',
+        spritePath,
+      ]);
+
+      await storage.put(`${prefix}poster.jpg`, fs.createReadStream(posterPath), 'image/jpeg');
+      await storage.put(`${prefix}sprite.jpg`, fs.createReadStream(spritePath), 'image/jpeg');
+
+      video.duration = Math.round(duration);
+      video.metadata = {
+        width,
+        height,
+        videoCodec: videoStream.codec_name,
+        audioCodec: audioStream ? audioStream.codec_name : undefined,
+        bitrate: parseInt(info.format.bit_rate, 10) || undefined,
+        frameRate: parseFraction(videoStream.avg_frame_rate) || parseFraction(videoStream.r_frame_rate),
+        analyzedAt: Date.now(),
+      };
+      video.fileSize = video.fileSize || parseInt(info.format.size, 10) || undefined;
+      video.posterKey = `${prefix}poster.jpg`;
+      video.previewSprite = { key: `${prefix}sprite.jpg`, ...sprite };
+      await video.save();
+
+      logger.info(`Video ${video._id} analizado: ${video.duration} s, ${width}x${height}, ${video.metadata.videoCodec}`);
+
+      return {
+        duration: video.duration,
+        width,
+        height,
+      };
+    } catch (error) {
+      logger.error(`Error al analizar video ${video._id}: ${error.message}`);
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new VideoAnalysisService();
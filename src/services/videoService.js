@@ -1,9 +1,32 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 const Video = require('../models/videoModel');
+const VideoProgress = require('../models/videoProgressModel');
 const Course = require('../models/courseModel');
 const User = require('../models/userModel');
+const permissionService = require('./permissionService');
+const jobService = require('./jobService');
+const captionService = require('./captionService');
+const transcriptService = require('./transcriptService');
+const watermarkService = require('./watermarkService');
+const playbackService = require('./playbackService');
 const ErrorResponse = require('../utils/errorResponse');
 const { logger } = require('../utils/logger');
-const { getSignedUrl, deleteFileFromS3 } = require('../config/aws');
+const { envInteger } = require('../utils/env');
+const { storage } = require('../config/storage');
+const { playbackPolicy } = require('../config/policies');
+
+// Tipos de archivo de video permitidos
+const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/x-ms-wmv'];
+
+// Validez de la URL de subida directa (segundos)
+const UPLOAD_URL_EXPIRES_IN = 3600;
+
+/**
+ * Tamaño máximo permitido para un archivo de video
+ * @returns {number} Bytes
+ */
+const maxVideoSize = () => envInteger('MAX_FILE_SIZE', 500000000, { min: 1 });
 
 /**
  * Servicio para manejar operaciones relacionadas con videos
@@ -35,6 +58,7 @@ class VideoService {
       const query = {
         course: courseId,
         isPublished: true,
+        status: 'ready',
       };
       
       // Filtrar por módulo si se proporciona
@@ -50,7 +74,7 @@ class VideoService {
         .sort({ order: 1 })
         .skip(startIndex)
         .limit(limit)
-        .select('title description thumbnail duration order');
+        .select('title description thumbnail duration order posterKey');
       
       // Construir respuesta con metadatos de paginación
       const pagination = {
@@ -60,8 +84,16 @@ class VideoService {
         limit,
       };
       
+      // Portada generada automáticamente, si ya existe
+      const videosWithPoster = await Promise.all(
+        videos.map(async video => ({
+          ...video.toObject(),
+          posterUrl: video.posterKey ? await storage.getSignedUrl(video.posterKey, 3600) : null,
+        }))
+      );
+      
       return {
-        videos,
+        videos: videosWithPoster,
         pagination,
       };
     } catch (error) {
@@ -70,101 +102,242 @@ class VideoService {
     }
   }
 
+  /**
+   * Verificar que un usuario pueda reproducir un video
+   * Quien gestiona el curso puede ver todos sus videos; los estudiantes, los publicados de sus cursos
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Video, usuario y si gestiona el curso
+   */
+  async checkPlaybackAccess(videoId, userId) {
+    // Buscar el video
+    const video = await Video.findById(videoId);
+    
+    if (!video) {
+      throw new ErrorResponse('Video no encontrado', 404);
+    }
+    
+    // Buscar el curso asociado
+    const course = await Course.findById(video.course);
+    
+    if (!course) {
+      throw new ErrorResponse('Curso no encontrado', 404);
+    }
+    
+    const user = userId ? await User.findById(userId) : null;
+    
+    // Quien gestiona el curso puede ver sus videos sin estar matriculado
+    const isInstructor = await permissionService.can(user, 'video:view', course);
+    
+    // Los videos no publicados solo están disponibles para quien gestiona el curso
+    if ((!video.isPublished || video.status !== 'ready') && !isInstructor) {
+      throw new ErrorResponse('Video no disponible', 404);
+    }
+    
+    // Verificar que el usuario tenga acceso al curso
+    let hasAccess = isInstructor;
+    
+    if (!hasAccess && user) {
+      // Verificar si está matriculado
+      hasAccess = user.enrolledCourses.some(
+        enrollment => enrollment.course.toString() === course._id.toString()
+      );
+    }
+    
+    if (!hasAccess) {
+      throw new ErrorResponse('No tienes acceso a este video', 403);
+    }
+    
+    return { video, user, isInstructor };
+  }
+
+  /**
+   * Obtener las URL de reproducción de un video
+   * - Con marca forense: la lista que genera la API con las variantes de la sesión, sin el original
+   * - Con cookies firmadas: la lista maestra HLS sin firmar, cuyos segmentos autorizan las cookies
+   * - Sin cookies firmadas: solo el archivo original; una URL firmada autoriza un único archivo
+   *   y no alcanza para los segmentos que referencia la lista HLS
+   * @param {Object} video - Video
+   * @param {Object} watermark - Marca de agua de la sesión (o null)
+   * @returns {Object} videoUrl, playlistUrl y el prefijo que deben autorizar las cookies (o null)
+   */
+  async getPlaybackUrls(video, watermark) {
+    if (watermark && watermark.forensic) {
+      return {
+        videoUrl: null,
+        playlistUrl: watermarkService.getForensicPlaylistUrl(video, watermark.code),
+        cookiePrefix: null,
+      };
+    }
+    
+    // Los videos pendientes aún no tienen archivo
+    const videoUrl = video.status === 'ready'
+      ? await storage.getSignedUrl(video.s3Key, playbackPolicy().authorizationSeconds)
+      : null;
+    
+    // Lista maestra HLS, disponible una vez transcodificado el video
+    const hlsAvailable = video.processing.status === 'ready' && Boolean(video.hlsKey) && storage.supportsSignedCookies();
+    
+    return {
+      videoUrl,
+      playlistUrl: hlsAvailable ? storage.getUrl(video.hlsKey) : null,
+      cookiePrefix: hlsAvailable ? `${video.getMediaPrefix()}hls/` : null,
+    };
+  }
+
   /**
    * Obtener un video por su ID
    * @param {string} videoId - ID del video
    * @param {string} userId - ID del usuario (para verificar permisos)
+   * @param {Object} context - Sesión, IP y agente de usuario (para la reproducción y la marca de agua)
    * @returns {Object} Video con URL firmada para reproducción
    */
-  async getVideoById(videoId, userId) {
+  async getVideoById(videoId, userId, context = {}) {
     try {
-      // Buscar el video
-      const video = await Video.findById(videoId);
+      const { video, user, isInstructor } = await this.checkPlaybackAccess(videoId, userId);
       
-      if (!video) {
-        throw new ErrorResponse('Video no encontrado', 404);
-      }
-      
-      // Buscar el curso asociado
-      const course = await Course.findById(video.course);
-      
-      if (!course) {
-        throw new ErrorResponse('Curso no encontrado', 404);
-      }
+      // Reproducción sujeta al límite de reproducciones simultáneas del plan (no aplica a quien gestiona el curso)
+      const playback = isInstructor ? null : await playbackService.startPlayback(user, video, context);
       
-      // Verificar que el video esté publicado
-      if (!video.isPublished) {
-        // Si es instructor o admin, permitir acceso
-        const user = await User.findById(userId);
-        
-        if (!user || (user.role !== 'admin' && course.instructor.toString() !== userId)) {
-          throw new ErrorResponse('Video no disponible', 404);
-        }
-      }
+      // Incrementar vistas y obtener el progreso del estudiante (quien gestiona el curso no tiene)
+      const videoProgress = isInstructor ? null : await video.incrementViews(userId);
       
-      // Verificar que el usuario tenga acceso al curso
-      let hasAccess = false;
-      let isInstructor = false;
+      // Marca de agua con los datos del estudiante (quien gestiona el curso no la necesita)
+      const watermark = isInstructor ? null : await watermarkService.getPlaybackWatermark(user, video, context);
       
-      if (userId) {
-        const user = await User.findById(userId);
-        
-        if (user) {
-          // Es el instructor o admin
-          if (user.role === 'admin' || course.instructor.toString() === userId) {
-            hasAccess = true;
-            isInstructor = true;
-          } else {
-            // Verificar si está matriculado
-            const enrollment = user.enrolledCourses.find(
-              enrollment => enrollment.course.toString() === course._id.toString()
-            );
-            
-            if (enrollment) {
-              hasAccess = true;
-              
-              // Incrementar vistas
-              await video.incrementViews(userId);
-            }
-          }
-        }
-      }
+      // URL de reproducción; la lista HLS requiere además las cookies de la autorización de reproducción
+      const { videoUrl, playlistUrl } = await this.getPlaybackUrls(video, watermark);
       
-      if (!hasAccess) {
-        throw new ErrorResponse('No tienes acceso a este video', 403);
-      }
+      // Portada y hoja de miniaturas, disponibles una vez analizado el video
+      const posterUrl = video.posterKey ? await storage.getSignedUrl(video.posterKey, 3600) : null;
+      const previewSpriteUrl = video.previewSprite && video.previewSprite.key
+        ? await storage.getSignedUrl(video.previewSprite.key, 3600)
+        : null;
       
-      // Generar URL firmada para reproducción
-      const videoUrl = getSignedUrl(video.s3Key, 3600); // 1 hora de validez
+      // Devolver datos del video con URL firmada y el progreso del estudiante (quien gestiona el curso no tiene)
+      return {
+        ...video.toObject(),
+        videoUrl,
+        playlistUrl,
+        posterUrl,
+        previewSpriteUrl,
+        captions: await captionService.getSignedCaptions(video),
+        watermark,
+        playback,
+        progress: videoProgress ? videoProgress.progress : 0,
+        completed: videoProgress ? videoProgress.completed : false,
+        watchedSeconds: videoProgress ? videoProgress.watchedSeconds : 0,
+        resumePosition: videoProgress ? videoProgress.getResumePosition(video.duration) : 0,
+      };
+    } catch (error) {
+      logger.error(`Error al obtener video: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Autorizar la reproducción de un video
+   * Aplica las mismas comprobaciones que getVideoById y emite las cookies firmadas que autorizan
+   * los segmentos HLS del video; sin cookies, entrega URL firmadas
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario
+   * @param {Object} context - Sesión, IP y agente de usuario
+   * @returns {Object} Método, URL, cookies, vencimiento y reproducción iniciada
+   */
+  async getPlaybackAuthorization(videoId, userId, context = {}) {
+    try {
+      const { video, user, isInstructor } = await this.checkPlaybackAccess(videoId, userId);
       
-      // Obtener progreso del usuario si no es instructor
-      let progress = 0;
-      let completed = false;
+      const playback = isInstructor ? null : await playbackService.startPlayback(user, video, context);
+      const watermark = isInstructor ? null : await watermarkService.getPlaybackWatermark(user, video, context);
       
-      if (!isInstructor) {
-        const userView = video.viewHistory.find(
-          view => view.user.toString() === userId
-        );
-        
-        if (userView) {
-          progress = userView.progress;
-          completed = userView.completed;
-        }
-      }
+      const { videoUrl, playlistUrl, cookiePrefix } = await this.getPlaybackUrls(video, watermark);
+      const { authorizationSeconds } = playbackPolicy();
       
-      // Devolver datos del video con URL firmada
       return {
-        ...video.toObject(),
+        method: cookiePrefix ? 'cookies' : 'signed-url',
         videoUrl,
-        progress,
-        completed,
+        playlistUrl,
+        cookies: cookiePrefix ? storage.getSignedCookies(cookiePrefix, authorizationSeconds) : null,
+        expiresAt: new Date(Date.now() + authorizationSeconds * 1000),
+        playback,
       };
     } catch (error) {
-      logger.error(`Error al obtener video: ${error.message}`);
+      logger.error(`Error al autorizar reproducción: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una lista de reproducción HLS con la marca forense de una sesión
+   * @param {string} videoId - ID del video
+   * @param {string} token - Token de la lista, emitido junto con los datos del video
+   * @param {string} renditionName - Calidad, o null para la lista maestra
+   * @returns {string} Contenido de la lista
+   */
+  async getForensicPlaylist(videoId, token, renditionName = null) {
+    try {
+      const code = watermarkService.verifyPlaylistToken(token, videoId);
+      const video = await Video.findById(videoId);
+      
+      if (!video || !watermarkService.isForensicAvailable(video)) {
+        throw new ErrorResponse('Video no encontrado', 404);
+      }
+      
+      if (!renditionName) {
+        return watermarkService.buildForensicMasterPlaylist(video, token);
+      }
+      
+      return await watermarkService.buildForensicMediaPlaylist(video, renditionName, code);
+    } catch (error) {
+      logger.error(`Error al obtener lista de reproducción forense: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Verificar el módulo y asignar el orden automático de un video nuevo
+   * @param {Object} videoData - Datos del video (se completa el orden)
+   * @param {Object} course - Curso al que pertenece
+   */
+  async resolvePlacement(videoData, course) {
+    // Verificar si existe el módulo, si se proporciona
+    if (videoData.module) {
+      if (!course.getModule(videoData.module)) {
+        throw new ErrorResponse('Módulo no encontrado', 404);
+      }
+    }
+    
+    // Determinar orden automático si no se proporciona
+    if (!videoData.order) {
+      const lastVideo = await Video.findOne({ course: course._id })
+        .sort({ order: -1 })
+        .limit(1);
+      
+      videoData.order = lastVideo ? lastVideo.order + 1 : 1;
+    }
+  }
+
+  /**
+   * Encolar el procesamiento de un video recién subido: análisis del archivo y transcodificación
+   * @param {Object} video - Video listo
+   */
+  async queueProcessing(video) {
+    await jobService.enqueue('video:analyze', { videoId: video._id.toString() });
+    await this.queueTranscode(video);
+  }
+
+  /**
+   * Encolar la transcodificación a HLS de un video con archivo
+   * @param {Object} video - Video listo
+   */
+  async queueTranscode(video) {
+    video.processing = { status: 'queued' };
+    await video.save();
+    
+    await jobService.enqueue('video:transcode', { videoId: video._id.toString() });
+  }
+
   /**
    * Crear un nuevo video
    * @param {Object} videoData - Datos del video
@@ -173,6 +346,8 @@ class VideoService {
    * @returns {Object} Video creado
    */
   async createVideo(videoData, s3Key, userId) {
+    let video = null;
+    
     try {
       // Verificar que el curso exista
       const course = await Course.findById(videoData.course);
@@ -181,46 +356,39 @@ class VideoService {
         throw new ErrorResponse('Curso no encontrado', 404);
       }
       
-      // Verificar permisos (solo el instructor del curso o un admin pueden crear videos)
+      // Verificar permisos sobre el curso
       const user = await User.findById(userId);
       
       if (!user) {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
       
-      if (user.role !== 'admin' && course.instructor.toString() !== userId) {
-        throw new ErrorResponse('No autorizado para agregar videos a este curso', 403);
-      }
+      await permissionService.authorize(user, 'video:create', course, 'No autorizado para agregar videos a este curso');
       
-      // Verificar si existe el módulo, si se proporciona
-      if (videoData.module) {
-        const moduleExists = course.modules.some(
-          module => module._id.toString() === videoData.module
-        );
-        
-        if (!moduleExists) {
-          throw new ErrorResponse('Módulo no encontrado', 404);
-        }
-      }
+      await this.resolvePlacement(videoData, course);
       
-      // Determinar orden automático si no se proporciona
-      if (!videoData.order) {
-        const lastVideo = await Video.findOne({ course: videoData.course })
-          .sort({ order: -1 })
-          .limit(1);
-        
-        videoData.order = lastVideo ? lastVideo.order + 1 : 1;
-      }
+      // Los recursos se agregan con sus archivos una vez creado el video
+      delete videoData.resources;
       
       // Crear el video
-      const video = await Video.create({
+      video = await Video.create({
         ...videoData,
         s3Key,
       });
       
+      await this.queueProcessing(video);
+      
       return video;
     } catch (error) {
       logger.error(`Error al crear video: ${error.message}`);
+      
+      // El archivo ya se subió: si el video no llegó a crearse se elimina para no dejarlo huérfano
+      if (!video && s3Key) {
+        await storage.delete(s3Key).catch((deleteError) => {
+          logger.error(`Error al descartar el archivo ${s3Key}: ${deleteError.message}`);
+        });
+      }
+      
       throw error;
     }
   }
@@ -255,17 +423,40 @@ class VideoService {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
       
-      if (user.role !== 'admin' && course.instructor.toString() !== userId) {
-        throw new ErrorResponse('No autorizado para modificar este video', 403);
+      await permissionService.authorize(user, 'video:update', course, 'No autorizado para modificar este video');
+      
+      // El archivo, su estado, los subtítulos, los capítulos, los recursos y la papelera solo cambian mediante sus propias operaciones
+      [
+        's3Key', 'status', 'contentType', 'fileSize', 'uploadExpiresAt',
+        'processing', 'hlsKey', 'renditions', 'metadata', 'posterKey', 'previewSprite', 'captions', 'chapters',
+        'resources', 'deletedAt', 'deletedBy',
+      ].forEach(field => delete updateData[field]);
+      
+      if (updateData.isPublished && video.status !== 'ready') {
+        throw new ErrorResponse('No se puede publicar un video cuya subida no fue confirmada', 400);
       }
       
-      // Verificar si se cambia el módulo
-      if (updateData.module) {
-        const moduleExists = course.modules.some(
-          module => module._id.toString() === updateData.module
-        );
+      // Para mover el video a otro curso también se exige el permiso sobre el curso de destino
+      let targetCourse = course;
+      
+      if (updateData.course !== undefined && String(updateData.course) !== video.course.toString()) {
+        targetCourse = await Course.findById(updateData.course);
+        
+        if (!targetCourse) {
+          throw new ErrorResponse('Curso de destino no encontrado', 404);
+        }
         
-        if (!moduleExists) {
+        await permissionService.authorize(user, 'video:update', targetCourse, 'No autorizado para mover el video a este curso');
+        
+        // El módulo actual pertenece al curso de origen
+        if (!updateData.module) {
+          updateData.module = null;
+        }
+      }
+      
+      // Verificar si se cambia el módulo (debe pertenecer al curso en el que queda el video)
+      if (updateData.module) {
+        if (!targetCourse.getModule(updateData.module)) {
           throw new ErrorResponse('Módulo no encontrado', 404);
         }
       }
@@ -280,6 +471,18 @@ class VideoService {
         }
       );
       
+      // Las transcripciones de los videos publicados forman parte del índice de búsqueda del curso
+      if (updateData.isPublished !== undefined || updateData.course !== undefined) {
+        await transcriptService.refreshCourseIndex(updatedVideo.course);
+        
+        if (!updatedVideo.course.equals(video.course)) {
+          await transcriptService.refreshCourseIndex(video.course);
+          
+          // El progreso de los estudiantes sigue al video a su nuevo curso
+          await VideoProgress.updateMany({ video: video._id }, { course: updatedVideo.course });
+        }
+      }
+      
       return updatedVideo;
     } catch (error) {
       logger.error(`Error al actualizar video: ${error.message}`);
@@ -288,7 +491,7 @@ class VideoService {
   }
 
   /**
-   * Eliminar un video
+   * Enviar un video a la papelera
    * @param {string} videoId - ID del video
    * @param {string} userId - ID del usuario (para verificar permisos)
    * @returns {boolean} Éxito de la operación
@@ -316,17 +519,13 @@ class VideoService {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
       
-      if (user.role !== 'admin' && course.instructor.toString() !== userId) {
-        throw new ErrorResponse('No autorizado para eliminar este video', 403);
-      }
+      await permissionService.authorize(user, 'video:delete', course, 'No autorizado para eliminar este video');
       
-      // Eliminar el video de S3 si existe la clave
-      if (video.s3Key) {
-        await deleteFileFromS3(video.s3Key);
-      }
+      // El video y sus archivos se conservan en la papelera hasta que vence su período de retención
+      await video.softDelete(user._id);
       
-      // Eliminar el video de la base de datos
-      await Video.findByIdAndDelete(videoId);
+      // Sus transcripciones dejan de formar parte del índice de búsqueda del curso
+      await transcriptService.refreshCourseIndex(video.course);
       
       return true;
     } catch (error) {
@@ -339,16 +538,11 @@ class VideoService {
    * Actualizar el progreso de visualización de un video
    * @param {string} videoId - ID del video
    * @param {string} userId - ID del usuario
-   * @param {number} progress - Porcentaje de progreso (0-100)
+   * @param {Object} progressData - Posición actual e intervalos vistos desde la última actualización (segundos)
    * @returns {Object} Estado actualizado del progreso
    */
-  async updateVideoProgress(videoId, userId, progress) {
+  async updateVideoProgress(videoId, userId, progressData) {
     try {
-      // Validar parámetros
-      if (progress < 0 || progress > 100) {
-        throw new ErrorResponse('El progreso debe estar entre 0 y 100', 400);
-      }
-      
       // Buscar el video
       const video = await Video.findById(videoId);
       
@@ -366,16 +560,15 @@ class VideoService {
         throw new ErrorResponse('No tienes acceso a este video', 403);
       }
       
-      // Determinar si el video está completado (si se vio al menos el 90%)
-      const completed = progress >= 90;
-      
-      // Actualizar el progreso del video
-      await video.updateProgress(userId, progress, completed);
+      // El progreso y la finalización se calculan con lo efectivamente visto
+      const videoProgress = await VideoProgress.recordProgress(userId, video, progressData);
       
       return {
         videoId,
-        progress,
-        completed,
+        position: videoProgress.position,
+        watchedSeconds: videoProgress.watchedSeconds,
+        progress: videoProgress.progress,
+        completed: videoProgress.completed,
       };
     } catch (error) {
       logger.error(`Error al actualizar progreso de video: ${error.message}`);
@@ -384,53 +577,243 @@ class VideoService {
   }
 
   /**
-   * Obtener una URL firmada para subir un video a S3
-   * @param {string} fileName - Nombre del archivo
-   * @param {string} fileType - Tipo MIME del archivo
-   * @param {string} courseId - ID del curso
+   * Reservar un video pendiente de subida
+   * Verifica el curso, los permisos, el tipo y el tamaño del archivo
+   * @param {Object} videoData - Datos del video (title, description, course, module, order)
+   * @param {Object} file - Datos del archivo (fileName, fileType, fileSize)
+   * @param {string} userId - ID del usuario (para verificar permisos)
+   * @param {Object} options - { maxSize, uploadExpiresAt }
+   * @returns {Object} Video pendiente
+   */
+  async reserveVideo(videoData, file, userId, { maxSize, uploadExpiresAt }) {
+    const { fileName, fileType } = file;
+    const fileSize = Number(file.fileSize);
+    
+    // Verificar que el curso exista
+    const course = await Course.findById(videoData.course);
+    
+    if (!course) {
+      throw new ErrorResponse('Curso no encontrado', 404);
+    }
+    
+    // Verificar permisos
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      throw new ErrorResponse('Usuario no encontrado', 404);
+    }
+    
+    await permissionService.authorize(user, 'video:upload', course, 'No autorizado para subir videos a este curso');
+    
+    // Verificar tipo y tamaño de archivo permitidos
+    if (!ALLOWED_VIDEO_TYPES.includes(fileType)) {
+      throw new ErrorResponse('Tipo de archivo no permitido', 400);
+    }
+    
+    if (!Number.isInteger(fileSize) || fileSize <= 0 || fileSize > maxSize) {
+      throw new ErrorResponse(`El tamaño del archivo debe estar entre 1 y ${maxSize} bytes`, 400);
+    }
+    
+    await this.resolvePlacement(videoData, course);
+    
+    // Reservar el video con una clave única en el almacenamiento mientras el cliente sube el archivo
+    // (el mismo esquema que las subidas con multer: uuid y extensión del archivo)
+    const extension = path.extname(fileName).toLowerCase().replace(/[^\w.]+/g, '');
+    
+    return Video.create({
+      ...videoData,
+      s3Key: `videos/${uuidv4()}${extension}`,
+      isPublished: false,
+      status: 'pending_upload',
+      contentType: fileType,
+      fileSize,
+      uploadExpiresAt,
+    });
+  }
+
+  /**
+   * Reservar un video y obtener una URL prefirmada para subirlo directamente al almacenamiento
+   * El video queda pendiente hasta confirmar la subida
+   * @param {Object} videoData - Datos del video (title, description, course, module, order)
+   * @param {Object} file - Datos del archivo (fileName, fileType, fileSize)
    * @param {string} userId - ID del usuario (para verificar permisos)
-   * @returns {Object} URL firmada para subida directa
+   * @returns {Object} Video pendiente y datos para la subida directa
    */
-  async getVideoUploadUrl(fileName, fileType, courseId, userId) {
+  async getVideoUploadUrl(videoData, file, userId) {
     try {
-      // Verificar que el curso exista
-      const course = await Course.findById(courseId);
+      const video = await this.reserveVideo(videoData, file, userId, {
+        maxSize: maxVideoSize(),
+        uploadExpiresAt: new Date(Date.now() + UPLOAD_URL_EXPIRES_IN * 1000),
+      });
+      
+      const upload = await storage.createPresignedUpload(
+        video.s3Key,
+        video.contentType,
+        video.fileSize,
+        UPLOAD_URL_EXPIRES_IN
+      );
+      
+      return {
+        video,
+        upload: {
+          ...upload,
+          expiresIn: UPLOAD_URL_EXPIRES_IN,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error al generar URL de subida: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirmar la subida directa de un video
+   * Verifica que el archivo exista en el almacenamiento con el tamaño y tipo declarados
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario (para verificar permisos)
+   * @returns {Object} Video listo para usarse
+   */
+  async confirmUpload(videoId, userId) {
+    try {
+      const video = await Video.findById(videoId);
+      
+      if (!video) {
+        throw new ErrorResponse('Video no encontrado', 404);
+      }
+      
+      const course = await Course.findById(video.course);
       
       if (!course) {
         throw new ErrorResponse('Curso no encontrado', 404);
       }
       
-      // Verificar permisos
       const user = await User.findById(userId);
       
       if (!user) {
         throw new ErrorResponse('Usuario no encontrado', 404);
       }
       
-      if (user.role !== 'admin' && course.instructor.toString() !== userId) {
-        throw new ErrorResponse('No autorizado para subir videos a este curso', 403);
+      await permissionService.authorize(user, 'video:upload', course, 'No autorizado para subir videos a este curso');
+      
+      if (video.status !== 'pending_upload') {
+        throw new ErrorResponse('La subida de este video ya fue confirmada', 400);
       }
       
-      // Verificar tipo de archivo permitido
-      const allowedTypes = ['video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/x-ms-wmv'];
+      const metadata = await storage.head(video.s3Key);
       
-      if (!allowedTypes.includes(fileType)) {
-        throw new ErrorResponse('Tipo de archivo no permitido', 400);
+      if (!metadata) {
+        throw new ErrorResponse('El archivo del video aún no fue subido', 400);
       }
       
-      // Generar clave única para S3
-      const s3Key = `videos/${Date.now()}-${fileName.replace(/\s+/g, '-')}`;
+      if (metadata.size !== video.fileSize || metadata.contentType !== video.contentType) {
+        // Descartar el archivo para que el cliente pueda reintentar la subida
+        await storage.delete(video.s3Key);
+        
+        throw new ErrorResponse(
+          'El archivo subido no coincide con el tamaño o el tipo declarados',
+          400,
+          'UPLOAD_MISMATCH'
+        );
+      }
       
-      // En una implementación real, aquí se generaría una URL firmada de S3
-      // para que el cliente pueda subir directamente el archivo
+      // Cambio de estado condicional: si dos confirmaciones llegan a la vez, solo una encola el procesamiento
+      const confirmed = await Video.findOneAndUpdate(
+        { _id: video._id, status: 'pending_upload' },
+        { $set: { status: 'ready' }, $unset: { uploadExpiresAt: 1 } },
+        { new: true }
+      );
       
-      return {
-        uploadUrl: 'https://ejemplo-s3-upload-url.com', // Placeholder
-        s3Key,
-        expiresIn: 3600, // 1 hora para subir
-      };
+      if (!confirmed) {
+        throw new ErrorResponse('La subida de este video ya fue confirmada', 400);
+      }
+      
+      logger.info(`Subida confirmada del video ${confirmed._id} (${confirmed.fileSize} bytes)`);
+      
+      await this.queueProcessing(confirmed);
+      
+      return confirmed;
     } catch (error) {
-      logger.error(`Error al generar URL de subida: ${error.message}`);
+      logger.error(`Error al confirmar subida de video: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar los videos cuya subida directa venció sin confirmarse, junto con su archivo
+   * La eliminación es condicional para no descartar un video que se confirma en ese momento
+   * @returns {number} Cantidad de videos eliminados
+   */
+  async deleteExpiredUploads() {
+    const now = Date.now();
+    const expired = await Video.find({
+      status: 'pending_upload',
+      uploadExpiresAt: { $lte: now },
+    }).select('s3Key');
+
+    let deleted = 0;
+
+    for (const video of expired) {
+      try {
+        const { deletedCount } = await Video.deleteOne({
+          _id: video._id,
+          status: 'pending_upload',
+          uploadExpiresAt: { $lte: now },
+        });
+
+        if (deletedCount > 0) {
+          await storage.delete(video.s3Key);
+          deleted += 1;
+        }
+      } catch (error) {
+        logger.error(`No se pudo eliminar el video pendiente ${video._id}: ${error.message}`);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Volver a encolar la transcodificación de un video
+   * Sirve para reintentar las fallidas y para transcodificar videos anteriores a HLS
+   * @param {string} videoId - ID del video
+   * @param {string} userId - ID del usuario (para verificar permisos)
+   * @returns {Object} Video con la transcodificación en cola
+   */
+  async requestTranscode(videoId, userId) {
+    try {
+      const video = await Video.findById(videoId);
+      
+      if (!video) {
+        throw new ErrorResponse('Video no encontrado', 404);
+      }
+      
+      const course = await Course.findById(video.course);
+      
+      if (!course) {
+        throw new ErrorResponse('Curso no encontrado', 404);
+      }
+      
+      const user = await User.findById(userId);
+      
+      if (!user) {
+        throw new ErrorResponse('Usuario no encontrado', 404);
+      }
+      
+      await permissionService.authorize(user, 'video:update', course, 'No autorizado para modificar este video');
+      
+      if (video.status !== 'ready') {
+        throw new ErrorResponse('El video aún no tiene archivo para transcodificar', 400);
+      }
+      
+      if (['queued', 'processing'].includes(video.processing.status)) {
+        throw new ErrorResponse('La transcodificación de este video ya está en curso', 400);
+      }
+      
+      await this.queueTranscode(video);
+      
+      return video;
+    } catch (error) {
+      logger.error(`Error al solicitar transcodificación: ${error.message}`);
       throw error;
     }
   }
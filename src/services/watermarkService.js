@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Watermark = require('../models/watermarkModel');
+const ErrorResponse = require('../utils/errorResponse');
+const { storage } = require('../config/storage');
+const { watermarkPolicy } = require('../config/policies');
+const { logger } = require('../utils/logger');
+
+// Alfabeto base 32 de Crockford: sin I, L, O ni U para evitar confusiones al transcribir el código
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Caracteres del código (5 bits cada uno: 40 bits)
+const CODE_LENGTH = 8;
+const CODE_BITS = CODE_LENGTH * 5;
+
+// Intentos para generar un código que no esté en uso
+const MAX_CODE_ATTEMPTS = 5;
+
+// Cantidad máxima de posiciones de la marca visible por video
+const MAX_POSITIONS = 500;
+
+// Posiciones generadas cuando aún no se conoce la duración del video
+const DEFAULT_POSITIONS = 120;
+
+// Validez de las listas de reproducción con marca forense y de sus segmentos
+const FORENSIC_PLAYLIST_EXPIRES_IN = 6 * 3600;
+
+/**
+ * URL base de la API, para las listas de reproducción que genera la propia API
+ * @returns {string}
+ */
+const apiBaseUrl = () => process.env.API_PUBLIC_URL ||
+  `http://localhost:${process.env.PORT || 5000}${process.env.API_PREFIX || '/api'}`;
+
+/**
+ * Generar un código aleatorio de marca de agua
+ * @returns {string}
+ */
+const generateCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % 32]).join('');
+};
+
+/**
+ * Convertir un código en la secuencia de bits que selecciona las variantes de los segmentos
+ * @param {string} code - Código
+ * @returns {Array<number>} 40 bits
+ */
+const codeToBits = (code) => code.split('').flatMap((char) => {
+  const value = CODE_ALPHABET.indexOf(char);
+  return [4, 3, 2, 1, 0].map(shift => (value >> shift) & 1);
+});
+
+/**
+ * Convertir una secuencia de 40 bits en un código
+ * @param {Array<number>} bits - Bits
+ * @returns {string}
+ */
+const bitsToCode = (bits) => {
+  let code = '';
+
+  for (let index = 0; index < CODE_BITS; index += 5) {
+    const value = bits.slice(index, index + 5).reduce((total, bit) => (total << 1) | bit, 0);
+    code += CODE_ALPHABET[value];
+  }
+
+  return code;
+};
+
+/**
+ * Normalizar un código ingresado a mano (mayúsculas y sustituciones de Crockford)
+ * @param {string} code - Código
+ * @returns {string}
+ */
+const normalizeCode = (code) => String(code)
+  .toUpperCase()
+  .replace(/[\s-]/g, '')
+  .replace(/O/g, '0')
+  .replace(/[IL]/g, '1');
+
+/**
+ * Calcular las posiciones de la marca visible
+ * Se derivan del código para poder reproducirlas al investigar una filtración
+ * @param {string} code - Código
+ * @param {number} duration - Duración del video en segundos (0 si no se conoce)
+ * @param {number} rotationSeconds - Segundos entre cambios de posición
+ * @returns {Array<Object>} Inicio y posición en porcentaje del ancho y alto
+ */
+const buildPositions = (code, duration, rotationSeconds) => {
+  const count = duration > 0
+    ? Math.min(MAX_POSITIONS, Math.ceil(duration / rotationSeconds))
+    : DEFAULT_POSITIONS;
+
+  return Array.from({ length: count }, (value, index) => {
+    const digest = crypto.createHash('sha256').update(`${code}:${index}`).digest();
+
+    // Se deja margen para que el texto no quede fuera del reproductor
+    return {
+      start: index * rotationSeconds,
+      x: 5 + (digest.readUInt16BE(0) % 66),
+      y: 5 + (digest.readUInt16BE(2) % 86),
+    };
+  });
+};
+
+/**
+ * Servicio de marcas de agua de la reproducción
+ * - Visible: texto con los datos del estudiante que el reproductor dibuja y cambia de posición
+ * - Forense: cada segmento HLS existe en dos variantes (a y b) y la lista de reproducción de cada
+ *   sesión las alterna según los bits de su código, de modo que una copia revela el código
+ */
+class WatermarkService {
+  /**
+   * Obtener el código de un usuario para un video en una sesión (o crearlo)
+   * @param {Object} user - Usuario
+   * @param {Object} video - Video
+   * @param {Object} context - Sesión, IP y agente de usuario
+   * @returns {Object} Marca de agua
+   */
+  async getOrCreate(user, video, context = {}) {
+    const filter = { user: user._id, video: video._id, session: context.sessionId || null };
+    const existing = await Watermark.findOneAndUpdate(
+      filter,
+      { lastUsedAt: Date.now(), ip: context.ip, userAgent: context.userAgent },
+      { new: true }
+    );
+
+    if (existing) {
+      return existing;
+    }
+
+    for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt += 1) {
+      try {
+        return await Watermark.create({
+          ...filter,
+          code: generateCode(),
+          course: video.course,
+          ip: context.ip,
+          userAgent: context.userAgent,
+        });
+      } catch (error) {
+        // Código repetido: se genera otro
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('No se pudo generar un código de marca de agua único');
+  }
+
+  /**
+   * Obtener los parámetros de la marca de agua para reproducir un video
+   * @param {Object} user - Usuario
+   * @param {Object} video - Video
+   * @param {Object} context - Sesión, IP y agente de usuario
+   * @returns {Object|null} Parámetros de la marca, o null si están desactivadas
+   */
+  async getPlaybackWatermark(user, video, context = {}) {
+    try {
+      const policy = watermarkPolicy();
+      const forensic = this.isForensicAvailable(video);
+
+      if (!policy.enabled && !forensic) {
+        return null;
+      }
+
+      const watermark = await this.getOrCreate(user, video, context);
+      const emailHash = crypto.createHash('sha256').update(user.email.toLowerCase()).digest('hex').slice(0, 8);
+
+      return {
+        code: watermark.code,
+        visible: policy.enabled,
+        text: `${user.name} · ${emailHash} · ${watermark.code}`,
+        emailHash,
+        opacity: policy.opacity,
+        rotationSeconds: policy.rotationSeconds,
+        positions: policy.enabled ? buildPositions(watermark.code, video.duration, policy.rotationSeconds) : [],
+        forensic,
+      };
+    } catch (error) {
+      logger.error(`Error al generar marca de agua: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Indicar si un video puede reproducirse con marca forense
+   * @param {Object} video - Video
+   * @returns {boolean}
+   */
+  isForensicAvailable(video) {
+    return watermarkPolicy().forensic &&
+      video.forensicWatermark &&
+      video.processing.status === 'ready' &&
+      video.renditions.length > 0 &&
+      video.renditions.every(rendition => rendition.segmentDurations.length > 0);
+  }
+
+  /**
+   * Crear el token que autoriza a descargar las listas de reproducción con marca forense
+   * Los reproductores HLS no envían el token de acceso, por eso la lista viaja con el suyo en la URL
+   * @param {Object} video - Video
+   * @param {string} code - Código de la marca de agua
+   * @returns {string}
+   */
+  createPlaylistToken(video, code) {
+    return jwt.sign({ video: video._id.toString(), code, type: 'forensic-playlist' }, process.env.JWT_SECRET, {
+      expiresIn: FORENSIC_PLAYLIST_EXPIRES_IN,
+    });
+  }
+
+  /**
+   * URL de la lista maestra con marca forense
+   * @param {Object} video - Video
+   * @param {string} code - Código de la marca de agua
+   * @returns {string}
+   */
+  getForensicPlaylistUrl(video, code) {
+    const token = this.createPlaylistToken(video, code);
+
+    return `${apiBaseUrl()}/videos/${video._id}/forensic/master.m3u8?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Verificar el token de una lista de reproducción con marca forense
+   * @param {string} token - Token
+   * @param {string} videoId - ID del video solicitado
+   * @returns {string} Código de la marca de agua
+   */
+  verifyPlaylistToken(token, videoId) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token || '', process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ErrorResponse('Lista de reproducción expirada o inválida', 403);
+    }
+
+    if (decoded.type !== 'forensic-playlist' || decoded.video !== videoId) {
+      throw new ErrorResponse('Lista de reproducción expirada o inválida', 403);
+    }
+
+    return decoded.code;
+  }
+
+  /**
+   * Generar la lista maestra con marca forense
+   * Apunta a las listas de cada calidad de la API con el mismo token
+   * @param {Object} video - Video
+   * @param {string} token - Token de la lista
+   * @returns {string} Contenido de la lista
+   */
+  buildForensicMasterPlaylist(video, token) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+    video.renditions.forEach((rendition) => {
+      lines.push(
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+        `${rendition.name}/index.m3u8?token=${encodeURIComponent(token)}`
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Generar la lista de una calidad con las variantes de segmentos que corresponden al código
+   * El segmento n usa la variante b si el bit n (módulo 40) del código es 1
+   * @param {Object} video - Video
+   * @param {string} renditionName - Calidad
+   * @param {string} code - Código de la marca de agua
+   * @returns {Promise<string>} Contenido de la lista con URL firmadas de cada segmento
+   */
+  async buildForensicMediaPlaylist(video, renditionName, code) {
+    const rendition = video.renditions.find(item => item.name === renditionName);
+
+    if (!rendition) {
+      throw new ErrorResponse('Calidad no encontrada', 404);
+    }
+
+    const bits = codeToBits(code);
+    const prefix = `${video.getMediaPrefix()}hls/${rendition.name}/`;
+    const targetDuration = Math.ceil(Math.max(...rendition.segmentDurations));
+
+    const segments = await Promise.all(rendition.segmentDurations.map(async (duration, index) => {
+      const fileName = `segment_${String(index).padStart(4, '0')}.ts`;
+      const key = bits[index % CODE_BITS] ? `${prefix}b/${fileName}` : `${prefix}${fileName}`;
+
+      return `#EXTINF:${duration.toFixed(6)},\n${await storage.getSignedUrl(key, FORENSIC_PLAYLIST_EXPIRES_IN)}`;
+    }));
+
+    return [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      ...segments,
+      '#EXT-X-ENDLIST',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Buscar el origen de una marca de agua filtrada
+   * Acepta el código visible o la secuencia de variantes (a/b) observada en una copia;
+   * como la copia puede comenzar en cualquier segmento, se prueban todos los desplazamientos
+   * @param {Object} params - code o sequence
+   * @returns {Array} Coincidencias con usuario, sesión y video
+   */
+  async lookup({ code, sequence }) {
+    try {
+      let candidates;
+
+      if (code) {
+        candidates = [{ code: normalizeCode(code), offset: null }];
+      } else {
+        const bits = String(sequence || '').toLowerCase().replace(/[^ab01]/g, '').split('')
+          .map(char => (char === 'b' || char === '1' ? 1 : 0));
+
+        if (bits.length < CODE_BITS) {
+          throw new ErrorResponse(`La secuencia debe tener al menos ${CODE_BITS} segmentos`, 400);
+        }
+
+        // Si la copia comienza en el segmento n, el primer bit observado es el bit n del código
+        candidates = Array.from({ length: CODE_BITS }, (value, offset) => ({
+          code: bitsToCode(Array.from({ length: CODE_BITS }, (item, index) => bits[(index - offset + CODE_BITS) % CODE_BITS])),
+          offset,
+        }));
+      }
+
+      const watermarks = await Watermark.find({ code: { $in: candidates.map(candidate => candidate.code) } })
+        .populate({ path: 'user', select: 'name email role isActive' })
+        // Una copia filtrada puede ser de un video que ya está en la papelera
+        .populate({ path: 'video', select: 'title course', options: { withDeleted: true } })
+        .populate({ path: 'session', select: 'userAgent ip createdAt lastUsedAt revokedAt' });
+
+      return watermarks.map(watermark => ({
+        code: watermark.code,
+        offset: candidates.find(candidate => candidate.code === watermark.code).offset,
+        user: watermark.user,
+        video: watermark.video,
+        course: watermark.course,
+        session: watermark.session,
+        ip: watermark.ip,
+        userAgent: watermark.userAgent,
+        firstUsedAt: watermark.createdAt,
+        lastUsedAt: watermark.lastUsedAt,
+      }));
+    } catch (error) {
+      logger.error(`Error al buscar marca de agua: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WatermarkService();
@@ -0,0 +1,192 @@
+/**
+ * Plantillas de correo electrónico en español e inglés
+ * Cada plantilla recibe los datos del mensaje y devuelve { subject, text, html }
+ */
+
+const DEFAULT_LOCALE = 'es';
+
+/**
+ * Escapar caracteres especiales para insertar texto en HTML
+ * @param {string} value - Texto a escapar
+ * @returns {string} Texto escapado
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Envolver el contenido en el diseño base de los correos de PANATRI
+ * @param {string} title - Título del mensaje
+ * @param {Array<string>} paragraphs - Párrafos de texto (sin escapar)
+ * @param {Object} action - Botón de acción opcional { label, url }
+ * @returns {string} Documento HTML
+ */
+const layout = (title, paragraphs, action = null) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #3b2a1a; background: #faf6f0; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 32px;">
+      <h1 style="font-size: 20px; margin-top: 0;">${escapeHtml(title)}</h1>
+      ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      ${action ? `<p style="text-align: center; margin: 32px 0;">
+        <a href="${escapeHtml(action.url)}" style="background: #b5651d; color: #ffffff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="font-size: 12px; word-break: break-all;">${escapeHtml(action.url)}</p>` : ''}
+      <p style="font-size: 12px; color: #8a7a6a;">PANATRI SAS</p>
+    </div>
+  </body>
+</html>`;
+
+/**
+ * Construir un mensaje a partir de título, párrafos y acción opcional
+ * @param {string} subject - Asunto del correo
+ * @param {Array<string>} paragraphs - Párrafos del cuerpo
+ * @param {Object} action - Botón de acción opcional { label, url }
+ * @returns {Object} Mensaje con subject, text y html
+ */
+const buildMessage = (subject, paragraphs, action = null) => ({
+  subject,
+  text: [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : [])].join('\n\n'),
+  html: layout(subject, paragraphs, action),
+});
+
+const templates = {
+  passwordReset: {
+    es: ({ name, resetUrl, expiresInMinutes }) =>
+      buildMessage(
+        'Restablece tu contraseña de PANATRI',
+        [
+          `Hola ${name},`,
+          'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+          `El enlace es válido durante ${expiresInMinutes} minutos. Si no solicitaste este cambio, ignora este mensaje.`,
+        ],
+        { label: 'Restablecer contraseña', url: resetUrl }
+      ),
+    en: ({ name, resetUrl, expiresInMinutes }) =>
+      buildMessage(
+        'Reset your PANATRI password',
+        [
+          `Hi ${name},`,
+          'We received a request to reset the password of your account.',
+          `The link is valid for ${expiresInMinutes} minutes. If you did not request this change, please ignore this message.`,
+        ],
+        { label: 'Reset password', url: resetUrl }
+      ),
+  },
+  emailVerification: {
+    es: ({ name, verificationUrl, expiresInHours }) =>
+      buildMessage(
+        'Confirma tu correo electrónico en PANATRI',
+        [
+          `Hola ${name},`,
+          'Gracias por registrarte en PANATRI. Confirma tu correo electrónico para poder matricularte en nuestros cursos.',
+          `El enlace es válido durante ${expiresInHours} horas.`,
+        ],
+        { label: 'Confirmar correo', url: verificationUrl }
+      ),
+    en: ({ name, verificationUrl, expiresInHours }) =>
+      buildMessage(
+        'Confirm your email address at PANATRI',
+        [
+          `Hi ${name},`,
+          'Thank you for signing up at PANATRI. Confirm your email address to be able to enroll in our courses.',
+          `The link is valid for ${expiresInHours} hours.`,
+        ],
+        { label: 'Confirm email', url: verificationUrl }
+      ),
+  },
+  forcedPasswordReset: {
+    es: ({ name, resetUrl, expiresInHours }) =>
+      buildMessage(
+        'Debes restablecer tu contraseña de PANATRI',
+        [
+          `Hola ${name},`,
+          'Por motivos de seguridad, un administrador solicitó que restablezcas la contraseña de tu cuenta. Tus sesiones abiertas fueron cerradas.',
+          `El enlace es válido durante ${expiresInHours} horas. Si expira, puedes solicitar uno nuevo desde la página de inicio de sesión.`,
+        ],
+        { label: 'Restablecer contraseña', url: resetUrl }
+      ),
+    en: ({ name, resetUrl, expiresInHours }) =>
+      buildMessage(
+        'You must reset your PANATRI password',
+        [
+          `Hi ${name},`,
+          'For security reasons, an administrator requested that you reset the password of your account. Your open sessions were closed.',
+          `The link is valid for ${expiresInHours} hours. If it expires, you can request a new one from the sign-in page.`,
+        ],
+        { label: 'Reset password', url: resetUrl }
+      ),
+  },
+  courseStaffAdded: {
+    es: ({ name, courseTitle, roleLabel, invitedBy, courseUrl }) =>
+      buildMessage(
+        `Te uniste al equipo docente de ${courseTitle}`,
+        [
+          `Hola ${name},`,
+          `${invitedBy} te agregó al equipo docente del curso "${courseTitle}" como ${roleLabel}.`,
+          'Ya puedes acceder al curso y colaborar según los permisos de tu rol.',
+        ],
+        { label: 'Ir al curso', url: courseUrl }
+      ),
+    en: ({ name, courseTitle, roleLabel, invitedBy, courseUrl }) =>
+      buildMessage(
+        `You joined the teaching staff of ${courseTitle}`,
+        [
+          `Hi ${name},`,
+          `${invitedBy} added you to the teaching staff of the course "${courseTitle}" as ${roleLabel}.`,
+          'You can now access the course and collaborate according to the permissions of your role.',
+        ],
+        { label: 'Go to course', url: courseUrl }
+      ),
+  },
+  accountLocked: {
+    es: ({ name, lockoutMinutes, forgotPasswordUrl }) =>
+      buildMessage(
+        'Tu cuenta de PANATRI fue bloqueada temporalmente',
+        [
+          `Hola ${name},`,
+          `Detectamos varios intentos fallidos de inicio de sesión en tu cuenta, por lo que la bloqueamos durante ${lockoutMinutes} minutos.`,
+          'Si no fuiste tú, te recomendamos restablecer tu contraseña. Si necesitas ayuda, contacta a soporte.',
+        ],
+        { label: 'Restablecer contraseña', url: forgotPasswordUrl }
+      ),
+    en: ({ name, lockoutMinutes, forgotPasswordUrl }) =>
+      buildMessage(
+        'Your PANATRI account was temporarily locked',
+        [
+          `Hi ${name},`,
+          `We detected several failed sign-in attempts on your account, so we locked it for ${lockoutMinutes} minutes.`,
+          'If this was not you, we recommend resetting your password. If you need help, please contact support.',
+        ],
+        { label: 'Reset password', url: forgotPasswordUrl }
+      ),
+  },
+};
+
+/**
+ * Renderizar una plantilla en el idioma solicitado
+ * Si el idioma no está disponible se usa el español
+ * @param {string} name - Nombre de la plantilla
+ * @param {string} locale - Idioma (es, en)
+ * @param {Object} data - Datos para la plantilla
+ * @returns {Object} Mensaje con subject, text y html
+ */
+const renderTemplate = (name, locale, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Plantilla de correo no encontrada: ${name}`);
+  }
+
+  const render = template[locale] || template[DEFAULT_LOCALE];
+  return render(data);
+};
+
+module.exports = {
+  renderTemplate,
+  SUPPORTED_LOCALES: ['es', 'en'],
+  DEFAULT_LOCALE,
+};
@@ -0,0 +1,6 @@
+/**
+ * Variables de entorno de las pruebas
+ * Se cargan antes de cada archivo de pruebas (setupFiles en package.json)
+ */
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+process.env.STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || 'secreto-de-firma-de-pruebas';
@@ -0,0 +1,12 @@
+/**
+ * Logger silencioso para las pruebas
+ * Uso: jest.mock('../../utils/logger', () => require('../helpers/logger'));
+ */
+module.exports = {
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+};
@@ -0,0 +1,27 @@
+// Métodos encadenables de las consultas de Mongoose que usan los servicios
+const CHAINABLE_METHODS = ['select', 'sort', 'limit', 'skip', 'populate', 'setOptions', 'lean'];
+
+/**
+ * Simular una consulta de Mongoose que resuelve con un resultado
+ * Permite encadenar métodos (select, sort...) y recorrerla con cursor()
+ * @param {*} result - Resultado de la consulta
+ * @returns {Object} Consulta simulada
+ */
+const mockQuery = (result) => {
+  const query = {};
+
+  CHAINABLE_METHODS.forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  query.cursor = jest.fn(() => (async function* () {
+    yield* result;
+  })());
+
+  return query;
+};
+
+module.exports = {
+  mockQuery,
+};
@@ -0,0 +1,90 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const mongoose = require('mongoose');
+const UploadSession = require('../../models/uploadSessionModel');
+const Video = require('../../models/videoModel');
+const { storage } = require('../../config/storage');
+const { sweepStaleUploads } = require('../../jobs/uploadSweeper');
+const { mockQuery } = require('../helpers/query');
+
+describe('Barrido de subidas', () => {
+  let expiredVideo;
+  let confirmedVideo;
+
+  const createPendingVideo = (s3Key) => new Video({
+    title: 'Video',
+    course: new mongoose.Types.ObjectId(),
+    s3Key,
+    status: 'pending_upload',
+    contentType: 'video/mp4',
+    fileSize: 1024,
+    uploadExpiresAt: new Date(Date.now() - 60 * 1000),
+  });
+
+  beforeEach(() => {
+    expiredVideo = createPendingVideo('videos/vencido.mp4');
+    // Se confirma entre la consulta y la eliminación
+    confirmedVideo = createPendingVideo('videos/confirmado.mp4');
+
+    jest.spyOn(UploadSession, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Video, 'find').mockReturnValue(mockQuery([expiredVideo, confirmedVideo]));
+    jest.spyOn(Video, 'deleteOne').mockImplementation(filter =>
+      Promise.resolve({ deletedCount: filter._id.equals(expiredVideo._id) ? 1 : 0 })
+    );
+    jest.spyOn(storage, 'delete').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('elimina los videos de subidas directas vencidas sin confirmar y su archivo', async () => {
+    await expect(sweepStaleUploads()).resolves.toEqual({ sessions: 0, videos: 1 });
+
+    expect(Video.find).toHaveBeenCalledWith({
+      status: 'pending_upload',
+      uploadExpiresAt: { $lte: expect.any(Number) },
+    });
+    expect(Video.deleteOne).toHaveBeenCalledWith({
+      _id: expiredVideo._id,
+      status: 'pending_upload',
+      uploadExpiresAt: { $lte: expect.any(Number) },
+    });
+    expect(storage.delete).toHaveBeenCalledTimes(1);
+    expect(storage.delete).toHaveBeenCalledWith('videos/vencido.mp4');
+  });
+
+  it('cancela las sesiones abandonadas antes de eliminar los videos vencidos', async () => {
+    const session = new UploadSession({
+      user: new mongoose.Types.ObjectId(),
+      course: expiredVideo.course,
+      video: expiredVideo._id,
+      s3Key: expiredVideo.s3Key,
+      uploadId: 'subida-1',
+      fileName: 'vencido.mp4',
+      contentType: 'video/mp4',
+      fileSize: 1024,
+      partSize: 1024,
+      totalParts: 1,
+      expiresAt: expiredVideo.uploadExpiresAt,
+    });
+
+    UploadSession.find.mockReturnValue(mockQuery([session]));
+    jest.spyOn(UploadSession.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(storage, 'abortMultipartUpload').mockResolvedValue();
+    Video.find.mockReturnValue(mockQuery([]));
+
+    await expect(sweepStaleUploads()).resolves.toEqual({ sessions: 1, videos: 0 });
+    expect(UploadSession.find.mock.invocationCallOrder[0]).toBeLessThan(Video.find.mock.invocationCallOrder[0]);
+  });
+
+  it('sigue con los videos vencidos aunque falle la cancelación de sesiones', async () => {
+    UploadSession.find.mockImplementation(() => {
+      throw new Error('MongoDB no disponible');
+    });
+
+    await expect(sweepStaleUploads()).resolves.toEqual({ sessions: 0, videos: 1 });
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../../models/userModel');
+const permissionService = require('../../services/permissionService');
+const { requireStaffPermission } = require('../../middleware/authMiddleware');
+const { discardFileOnError } = require('../../middleware/uploadMiddleware');
+const { videoValidation } = require('../../middleware/validationMiddleware');
+const { errorHandler } = require('../../middleware/errorMiddleware');
+const { storage } = require('../../config/storage');
+
+describe('Protección de las subidas de video', () => {
+  const originalEnv = process.env;
+  let currentUser;
+  let receiveFile;
+  let createVideo;
+
+  /**
+   * Aplicación con la misma cadena que POST /api/videos; la recepción del archivo se simula
+   */
+  const buildApp = () => {
+    const app = express();
+
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = currentUser;
+      next();
+    });
+    app.post(
+      '/videos',
+      requireStaffPermission('video:create'),
+      receiveFile,
+      videoValidation,
+      discardFileOnError,
+      createVideo
+    );
+    app.use(errorHandler);
+
+    return app;
+  };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.REQUIRE_2FA_FOR_STAFF;
+
+    currentUser = new User({ name: 'Ana', email: 'ana@ejemplo.com', password: 'secreto123', role: 'user' });
+    receiveFile = jest.fn((req, res, next) => {
+      req.file = { key: 'videos/subido.mp4' };
+      next();
+    });
+    createVideo = jest.fn((req, res) => res.status(201).json({ success: true }));
+
+    jest.spyOn(storage, 'delete').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('rechaza a quien no gestiona videos en ningún curso antes de recibir el archivo', async () => {
+    jest.spyOn(permissionService, 'canInAnyCourse').mockResolvedValue(false);
+
+    const response = await request(buildApp()).post('/videos').send({ title: 'Video de prueba' });
+
+    expect(response.status).toBe(403);
+    expect(receiveFile).not.toHaveBeenCalled();
+  });
+
+  it('exige la 2FA al equipo docente antes de recibir el archivo', async () => {
+    process.env.REQUIRE_2FA_FOR_STAFF = 'true';
+    jest.spyOn(permissionService, 'canInAnyCourse').mockResolvedValue(true);
+
+    const response = await request(buildApp()).post('/videos').send({ title: 'Video de prueba' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.message).toBe('Debe activar la autenticación en dos pasos para acceder a esta ruta');
+    expect(receiveFile).not.toHaveBeenCalled();
+  });
+
+  it('elimina el archivo recibido si los datos del formulario no son válidos', async () => {
+    jest.spyOn(permissionService, 'canInAnyCourse').mockResolvedValue(true);
+
+    const response = await request(buildApp()).post('/videos').send({ title: 'x' });
+
+    expect(response.status).toBe(400);
+    expect(storage.delete).toHaveBeenCalledWith('videos/subido.mp4');
+    expect(createVideo).not.toHaveBeenCalled();
+  });
+
+  it('conserva el archivo y crea el video si los datos son válidos', async () => {
+    jest.spyOn(permissionService, 'canInAnyCourse').mockResolvedValue(true);
+
+    const response = await request(buildApp())
+      .post('/videos')
+      .send({ title: 'Video de prueba', course: '64b7f0c2a1b2c3d4e5f60718' });
+
+    expect(response.status).toBe(201);
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const AuthAttempt = require('../../models/authAttemptModel');
+const bruteForceService = require('../../services/bruteForceService');
+
+describe('BruteForceService', () => {
+  const originalEnv = process.env;
+  const identifiers = { email: 'Ana@Ejemplo.com ', ip: '10.0.0.1' };
+
+  /**
+   * Simular el contador que devuelve el incremento atómico de fallos
+   */
+  const mockCounters = (failuresByType) => {
+    jest.spyOn(AuthAttempt, 'findOneAndUpdate').mockImplementation(({ key }) => {
+      const type = key.split(':')[1];
+
+      return Promise.resolve(new AuthAttempt({
+        key,
+        scope: 'login',
+        type,
+        value: 'x',
+        failures: failuresByType[type],
+        expiresAt: new Date(),
+      }));
+    });
+  };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.AUTH_MAX_ACCOUNT_FAILURES;
+    delete process.env.AUTH_MAX_IP_FAILURES;
+    delete process.env.AUTH_LOCKOUT_MINUTES;
+
+    jest.spyOn(AuthAttempt.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('buildCounters', () => {
+    it('crea un contador por cuenta (correo normalizado) y otro por IP', () => {
+      const counters = bruteForceService.buildCounters('login', identifiers);
+
+      expect(counters.map(counter => counter.key)).toEqual([
+        'login:account:ana@ejemplo.com',
+        'login:ip:10.0.0.1',
+      ]);
+      expect(counters.map(counter => counter.max)).toEqual([5, 20]);
+    });
+
+    it('omite los contadores desactivados con un máximo de 0', () => {
+      process.env.AUTH_MAX_ACCOUNT_FAILURES = '0';
+
+      const counters = bruteForceService.buildCounters('login', identifiers);
+
+      expect(counters.map(counter => counter.type)).toEqual(['ip']);
+    });
+  });
+
+  describe('registerFailure', () => {
+    it('no bloquea mientras no se alcance el máximo', async () => {
+      mockCounters({ account: 4, ip: 4 });
+
+      const result = await bruteForceService.registerFailure('login', identifiers);
+
+      expect(result.accountLocked).toBe(false);
+      expect(AuthAttempt.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('bloquea la cuenta al alcanzar el máximo y reinicia su contador', async () => {
+      mockCounters({ account: 5, ip: 5 });
+      const before = Date.now();
+
+      const result = await bruteForceService.registerFailure('login', identifiers);
+
+      expect(result).toEqual({ accountLocked: true, lockoutMinutes: 15 });
+      expect(AuthAttempt.prototype.save).toHaveBeenCalledTimes(1);
+
+      const locked = AuthAttempt.prototype.save.mock.contexts[0];
+
+      expect(locked.type).toBe('account');
+      expect(locked.failures).toBe(0);
+      expect(locked.lockedUntil.getTime()).toBeGreaterThanOrEqual(before + 15 * 60 * 1000);
+    });
+
+    it('bloquea la IP por separado de la cuenta', async () => {
+      process.env.AUTH_MAX_IP_FAILURES = '3';
+      mockCounters({ account: 3, ip: 3 });
+
+      const result = await bruteForceService.registerFailure('login', identifiers);
+
+      expect(result.accountLocked).toBe(false);
+      expect(AuthAttempt.prototype.save.mock.contexts[0].type).toBe('ip');
+    });
+  });
+
+  describe('assertAllowed', () => {
+    it('rechaza con 429 mientras dure el bloqueo', async () => {
+      jest.spyOn(AuthAttempt, 'find').mockResolvedValue([
+        { lockedUntil: new Date(Date.now() + 10 * 60 * 1000), failures: 0 },
+      ]);
+
+      await expect(bruteForceService.assertAllowed('login', identifiers)).rejects.toMatchObject({
+        statusCode: 429,
+        message: 'Demasiados intentos fallidos. Intente de nuevo en 10 minutos',
+      });
+    });
+
+    it('exige esperas progresivas a partir del tercer fallo', async () => {
+      jest.spyOn(AuthAttempt, 'find').mockResolvedValue([
+        { failures: 4, lastAttemptAt: new Date() },
+      ]);
+
+      expect(bruteForceService.getDelaySeconds(2)).toBe(0);
+      expect(bruteForceService.getDelaySeconds(4)).toBe(2);
+      expect(bruteForceService.getDelaySeconds(20)).toBe(60);
+      await expect(bruteForceService.assertAllowed('login', identifiers)).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it('permite el intento cuando el bloqueo venció', async () => {
+      jest.spyOn(AuthAttempt, 'find').mockResolvedValue([
+        { lockedUntil: new Date(Date.now() - 1000), failures: 0 },
+      ]);
+
+      await expect(bruteForceService.assertAllowed('login', identifiers)).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const Video = require('../../models/videoModel');
+const mediaCleanupService = require('../../services/mediaCleanupService');
+const jobService = require('../../services/jobService');
+const { storage } = require('../../config/storage');
+const { mockQuery } = require('../helpers/query');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('MediaCleanupService', () => {
+  const originalEnv = process.env;
+  let videos;
+
+  const file = (key, hoursAgo = 48, size = 100) => ({
+    key,
+    size,
+    lastModified: new Date(Date.now() - hoursAgo * HOUR_MS),
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.ORPHAN_MEDIA_GRACE_HOURS;
+
+    videos = [
+      // Video transcodificado con portada, subtítulos y una sola calidad vigente
+      new Video({
+        title: 'Procesado',
+        s3Key: 'videos/a.mp4',
+        processing: { status: 'ready' },
+        hlsKey: 'videos/a/hls/master.m3u8',
+        renditions: [{ name: '720p' }],
+        posterKey: 'videos/a/poster.jpg',
+        previewSprite: { key: 'videos/a/sprite.jpg' },
+        captions: [{ language: 'es', label: 'Español', key: 'videos/a/captions/es.vtt' }],
+      }),
+      // Video en la papelera que aún se procesa: se conserva todo su prefijo
+      new Video({
+        title: 'En proceso',
+        s3Key: 'videos/b.mp4',
+        processing: { status: 'processing' },
+        deletedAt: new Date(),
+      }),
+    ];
+
+    jest.spyOn(Video, 'find').mockReturnValue(mockQuery(videos));
+    jest.spyOn(storage, 'list').mockResolvedValue([
+      file('videos/a.mp4'),
+      file('videos/a/hls/master.m3u8'),
+      file('videos/a/hls/720p/segment0.ts'),
+      file('videos/a/hls/480p/segment0.ts'),
+      file('videos/a/poster.jpg'),
+      file('videos/a/sprite.jpg'),
+      file('videos/a/captions/es.vtt'),
+      file('videos/a/captions/en.vtt', 2),
+      file('videos/b.mp4'),
+      file('videos/b/hls/720p/segment0.ts'),
+      file('videos/huerfano.mp4', 48, 5000),
+    ]);
+    jest.spyOn(storage, 'delete').mockResolvedValue();
+    jest.spyOn(jobService, 'enqueue').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('findOrphans', () => {
+    it('considera referenciados los archivos de todos los videos, también los de la papelera', async () => {
+      const orphans = await mediaCleanupService.findOrphans();
+
+      expect(Video.find.mock.results[0].value.setOptions).toHaveBeenCalledWith({ withDeleted: true });
+      expect(orphans.map(orphan => orphan.key)).toEqual([
+        'videos/a/hls/480p/segment0.ts',
+        'videos/a/captions/en.vtt',
+        'videos/huerfano.mp4',
+      ]);
+    });
+  });
+
+  describe('reconcile', () => {
+    it('por defecto solo informa los huérfanos', async () => {
+      const report = await mediaCleanupService.reconcile();
+
+      expect(report).toMatchObject({ totalSize: 5200, expired: 2, removed: 0 });
+      expect(storage.delete).not.toHaveBeenCalled();
+    });
+
+    it('elimina solo los huérfanos fuera del período de gracia', async () => {
+      const report = await mediaCleanupService.reconcile({ remove: true });
+
+      expect(report.removed).toBe(2);
+      expect(storage.delete.mock.calls.map(([key]) => key)).toEqual([
+        'videos/a/hls/480p/segment0.ts',
+        'videos/huerfano.mp4',
+      ]);
+    });
+
+    it('respeta un período de gracia de 0 horas', async () => {
+      process.env.ORPHAN_MEDIA_GRACE_HOURS = '0';
+
+      const report = await mediaCleanupService.reconcile({ remove: true });
+
+      expect(report.removed).toBe(3);
+    });
+  });
+
+  describe('queueVideosDeletion', () => {
+    it('encola los originales y los prefijos de sus derivados', async () => {
+      await mediaCleanupService.queueVideosDeletion(videos);
+
+      expect(jobService.enqueue).toHaveBeenCalledWith('media:delete', {
+        keys: ['videos/a.mp4', 'videos/b.mp4'],
+        prefixes: ['videos/a/', 'videos/b/'],
+      });
+    });
+
+    it('no encola nada si los videos no tienen archivo', async () => {
+      const result = await mediaCleanupService.queueVideosDeletion([new Video({ title: 'Pendiente' })]);
+
+      expect(result).toBeNull();
+      expect(jobService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteMedia', () => {
+    it('elimina los archivos y los prefijos recibidos', async () => {
+      jest.spyOn(storage, 'deletePrefix').mockResolvedValue();
+
+      const result = await mediaCleanupService.deleteMedia({ keys: ['videos/a.mp4'], prefixes: ['videos/a/'] });
+
+      expect(storage.delete).toHaveBeenCalledWith('videos/a.mp4');
+      expect(storage.deletePrefix).toHaveBeenCalledWith('videos/a/');
+      expect(result).toEqual({ keys: 1, prefixes: 1 });
+    });
+  });
+});
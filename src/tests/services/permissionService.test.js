@@ -0,0 +1,157 @@
+const Role = require('../../models/roleModel');
+const Course = require('../../models/courseModel');
+const User = require('../../models/userModel');
+const permissionService = require('../../services/permissionService');
+const { mockQuery } = require('../helpers/query');
+
+describe('PermissionService', () => {
+  const originalEnv = process.env;
+
+  const createUser = (role, data = {}) =>
+    new User({ name: 'Usuario', email: `${role}@ejemplo.com`, password: 'secreto123', role, ...data });
+
+  const createCourse = (instructor, staff = []) =>
+    new Course({ title: 'Curso', description: 'Curso de prueba', instructor: instructor._id, staff });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.REQUIRE_2FA_FOR_STAFF;
+    permissionService.clearCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('can', () => {
+    it('concede todo al administrador', async () => {
+      const admin = createUser('admin');
+
+      await expect(permissionService.can(admin, 'course:delete')).resolves.toBe(true);
+      await expect(permissionService.can(admin, 'role:manage')).resolves.toBe(true);
+    });
+
+    it('solo deja al instructor gestionar los cursos de su equipo docente', async () => {
+      const owner = createUser('instructor');
+      const other = createUser('instructor');
+      const course = createCourse(owner);
+
+      await expect(permissionService.can(other, 'course:create')).resolves.toBe(true);
+      await expect(permissionService.can(owner, 'course:update', course)).resolves.toBe(true);
+      await expect(permissionService.can(owner, 'video:delete', course)).resolves.toBe(true);
+      await expect(permissionService.can(owner, 'course:update')).resolves.toBe(false);
+      await expect(permissionService.can(other, 'course:update', course)).resolves.toBe(false);
+    });
+
+    it('concede a cada rol del equipo docente solo sus permisos', async () => {
+      const owner = createUser('instructor');
+      const assistant = createUser('user');
+      const coInstructor = createUser('user');
+      const course = createCourse(owner, [
+        { user: assistant._id, role: 'assistant' },
+        { user: coInstructor._id, role: 'co-instructor' },
+      ]);
+
+      await expect(permissionService.can(assistant, 'video:update', course)).resolves.toBe(true);
+      await expect(permissionService.can(assistant, 'video:delete', course)).resolves.toBe(false);
+      await expect(permissionService.can(coInstructor, 'video:delete', course)).resolves.toBe(true);
+      await expect(permissionService.can(coInstructor, 'course:delete', course)).resolves.toBe(false);
+      await expect(permissionService.can(coInstructor, 'course:staff', course)).resolves.toBe(false);
+    });
+
+    it('no concede nada a un usuario desactivado', async () => {
+      const admin = createUser('admin', { isActive: false });
+
+      await expect(permissionService.can(admin, 'course:update')).resolves.toBe(false);
+    });
+
+    it('resuelve los roles personalizados y guarda sus permisos en caché', async () => {
+      jest.spyOn(Role, 'findOne').mockReturnValue(mockQuery({ permissions: ['user:read'] }));
+      const support = createUser('soporte');
+
+      await expect(permissionService.can(support, 'user:read')).resolves.toBe(true);
+      await expect(permissionService.can(support, 'user:update')).resolves.toBe(false);
+      expect(Role.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('authorize', () => {
+    it('lanza un 403 con el mensaje indicado si falta el permiso', async () => {
+      const student = createUser('user');
+      const course = createCourse(createUser('instructor'));
+
+      await expect(
+        permissionService.authorize(student, 'course:update', course, 'No autorizado para actualizar este curso')
+      ).rejects.toMatchObject({ statusCode: 403, message: 'No autorizado para actualizar este curso' });
+    });
+
+    it('exige la 2FA al personal cuando la política la hace obligatoria', async () => {
+      process.env.REQUIRE_2FA_FOR_STAFF = 'true';
+      const owner = createUser('instructor');
+      const course = createCourse(owner);
+
+      await expect(permissionService.authorize(owner, 'course:update', course)).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Debe activar la autenticación en dos pasos para realizar esta acción',
+      });
+
+      owner.twoFactorEnabled = true;
+
+      await expect(permissionService.authorize(owner, 'course:update', course)).resolves.toBeUndefined();
+    });
+
+    it('exige la 2FA al equipo docente aunque su rol en la plataforma sea user', async () => {
+      process.env.REQUIRE_2FA_FOR_STAFF = 'true';
+      const assistant = createUser('user');
+      const course = createCourse(createUser('instructor'), [{ user: assistant._id, role: 'assistant' }]);
+
+      await expect(permissionService.authorize(assistant, 'video:update', course)).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+
+    it('no exige la 2FA sin la política', async () => {
+      const owner = createUser('instructor');
+
+      await expect(permissionService.authorize(owner, 'course:update', createCourse(owner))).resolves.toBeUndefined();
+    });
+  });
+
+  describe('canInAnyCourse', () => {
+    it('acepta a quien tiene el permiso por su rol sin consultar los cursos', async () => {
+      jest.spyOn(Course, 'find');
+
+      await expect(permissionService.canInAnyCourse(createUser('admin'), 'video:create')).resolves.toBe(true);
+      expect(Course.find).not.toHaveBeenCalled();
+    });
+
+    it('acepta al instructor que es propietario de algún curso', async () => {
+      const owner = createUser('instructor');
+
+      jest.spyOn(Course, 'find').mockReturnValue(mockQuery([createCourse(owner)]));
+
+      await expect(permissionService.canInAnyCourse(owner, 'video:create')).resolves.toBe(true);
+      await expect(permissionService.canInAnyCourse(owner, 'role:manage')).resolves.toBe(false);
+    });
+
+    it('acepta al equipo docente según su rol en alguno de sus cursos', async () => {
+      const assistant = createUser('user');
+      const course = createCourse(createUser('instructor'), [{ user: assistant._id, role: 'assistant' }]);
+
+      jest.spyOn(Course, 'find').mockReturnValue(mockQuery([course]));
+
+      await expect(permissionService.canInAnyCourse(assistant, 'video:update')).resolves.toBe(true);
+      await expect(permissionService.canInAnyCourse(assistant, 'video:create')).resolves.toBe(false);
+    });
+
+    it('rechaza a un estudiante sin cursos a su cargo', async () => {
+      jest.spyOn(Course, 'find').mockReturnValue(mockQuery([]));
+
+      await expect(permissionService.canInAnyCourse(createUser('user'), 'video:create')).resolves.toBe(false);
+    });
+  });
+});
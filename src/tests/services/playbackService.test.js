@@ -0,0 +1,111 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const mongoose = require('mongoose');
+const PlaybackSession = require('../../models/playbackSessionModel');
+const settingService = require('../../services/settingService');
+const playbackService = require('../../services/playbackService');
+const { mockQuery } = require('../helpers/query');
+
+describe('PlaybackService', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), plan: 'standard' };
+  const video = { _id: new mongoose.Types.ObjectId() };
+
+  /**
+   * Reproducciones activas del usuario, de la más antigua a la más reciente
+   */
+  let activePlaybacks;
+
+  beforeEach(() => {
+    activePlaybacks = [];
+
+    jest.spyOn(settingService, 'get').mockResolvedValue({ basic: 1, standard: 2, premium: 0 });
+    jest.spyOn(PlaybackSession, 'create').mockImplementation((data) => {
+      const playback = { _id: new mongoose.Types.ObjectId(), ...data };
+      activePlaybacks.push(playback);
+      return Promise.resolve(playback);
+    });
+    jest.spyOn(PlaybackSession, 'find').mockImplementation(() => {
+      const query = mockQuery(null);
+      query.limit = jest.fn(max => mockQuery(activePlaybacks.slice(0, max)));
+      return query;
+    });
+    jest.spyOn(PlaybackSession, 'deleteOne').mockImplementation(({ _id }) => {
+      activePlaybacks = activePlaybacks.filter(playback => !playback._id.equals(_id));
+      return Promise.resolve({ deletedCount: 1 });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startPlayback', () => {
+    it('permite reproducir hasta el límite del plan', async () => {
+      await playbackService.startPlayback(user, video, {});
+      const second = await playbackService.startPlayback(user, video, {});
+
+      expect(second).toMatchObject({ id: expect.any(mongoose.Types.ObjectId), heartbeatSeconds: 30 });
+      expect(activePlaybacks).toHaveLength(2);
+    });
+
+    it('rechaza la reproducción que supera el límite y la elimina', async () => {
+      await playbackService.startPlayback(user, video, {});
+      await playbackService.startPlayback(user, video, {});
+
+      await expect(playbackService.startPlayback(user, video, {})).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'CONCURRENT_STREAM_LIMIT',
+      });
+      expect(activePlaybacks).toHaveLength(2);
+    });
+
+    it('no limita los planes con límite 0', async () => {
+      const premiumUser = { ...user, plan: 'premium' };
+
+      for (let count = 0; count < 5; count += 1) {
+        await playbackService.startPlayback(premiumUser, video, {});
+      }
+
+      expect(activePlaybacks).toHaveLength(5);
+      expect(PlaybackSession.find).not.toHaveBeenCalled();
+    });
+
+    it('reutiliza la reproducción activa de la misma sesión', async () => {
+      const existing = { _id: new mongoose.Types.ObjectId(), expiresAt: new Date() };
+      jest.spyOn(PlaybackSession, 'findOneAndUpdate').mockResolvedValue(existing);
+
+      const playback = await playbackService.startPlayback(user, video, { sessionId: 'sesion-1' });
+
+      expect(playback.id).toBe(existing._id);
+      expect(PlaybackSession.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ user: user._id, session: 'sesion-1' }),
+        expect.objectContaining({ video: video._id }),
+        { new: true }
+      );
+      expect(PlaybackSession.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('responde 409 si la reproducción expiró', async () => {
+      jest.spyOn(PlaybackSession, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(playbackService.heartbeat(user, new mongoose.Types.ObjectId())).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'PLAYBACK_SESSION_EXPIRED',
+      });
+    });
+
+    it('corta la reproducción si el límite bajó durante la reproducción', async () => {
+      await playbackService.startPlayback(user, video, {});
+      const newest = await playbackService.startPlayback(user, video, {});
+      const playback = activePlaybacks.find(item => item._id.equals(newest.id));
+
+      settingService.get.mockResolvedValue({ basic: 1, standard: 1, premium: 0 });
+      jest.spyOn(PlaybackSession, 'findOneAndUpdate').mockResolvedValue(playback);
+
+      await expect(playbackService.heartbeat(user, newest.id)).rejects.toMatchObject({ statusCode: 409 });
+      expect(activePlaybacks).toHaveLength(1);
+    });
+  });
+});
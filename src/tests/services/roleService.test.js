@@ -0,0 +1,129 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const Role = require('../../models/roleModel');
+const User = require('../../models/userModel');
+const roleService = require('../../services/roleService');
+const adminService = require('../../services/adminService');
+const permissionService = require('../../services/permissionService');
+const { mockQuery } = require('../helpers/query');
+
+describe('Gestión de roles sin escalada de privilegios', () => {
+  let users;
+  let admin;
+  let manager;
+  let student;
+
+  const createUser = (role) =>
+    new User({ name: 'Usuario', email: `${role}@ejemplo.com`, password: 'secreto123', role });
+
+  beforeEach(() => {
+    permissionService.clearCache();
+
+    admin = createUser('admin');
+    // Rol personalizado que gestiona roles y consulta usuarios
+    manager = createUser('gestor');
+    student = createUser('user');
+    users = [admin, manager, student];
+
+    const roles = {
+      gestor: new Role({ name: 'gestor', permissions: ['role:manage', 'user:read'] }),
+      lector: new Role({ name: 'lector', permissions: ['user:read'] }),
+      editor: new Role({ name: 'editor', permissions: ['user:read', 'video:update'] }),
+    };
+
+    jest.spyOn(User, 'findById').mockImplementation(id =>
+      mockQuery(users.find(user => user._id.equals(id)) || null)
+    );
+    jest.spyOn(Role, 'findOne').mockImplementation(({ name }) => mockQuery(roles[name] || null));
+    jest.spyOn(Role, 'exists').mockImplementation(({ name }) => Promise.resolve(roles[name] ? { _id: name } : null));
+    jest.spyOn(Role, 'create').mockImplementation(data => Promise.resolve(new Role(data)));
+    jest.spyOn(Role.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRole', () => {
+    it('permite crear un rol con permisos que el usuario ya tiene', async () => {
+      const role = await roleService.createRole({ name: 'Soporte', permissions: ['user:read'] }, manager._id);
+
+      expect(role).toMatchObject({ name: 'soporte', permissions: ['user:read'] });
+    });
+
+    it('no permite conceder el comodín ni permisos que el usuario no tiene', async () => {
+      await expect(roleService.createRole({ name: 'total', permissions: ['*'] }, manager._id))
+        .rejects.toMatchObject({ statusCode: 403, message: 'No puede conceder permisos que no tiene: *' });
+      await expect(roleService.createRole({ name: 'ajustes', permissions: ['setting:manage'] }, manager._id))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Role.create).not.toHaveBeenCalled();
+    });
+
+    it('permite al administrador conceder el comodín', async () => {
+      await expect(roleService.createRole({ name: 'total', permissions: ['*'] }, admin._id))
+        .resolves.toMatchObject({ permissions: ['*'] });
+    });
+  });
+
+  describe('updateRole', () => {
+    it('no permite ampliar un rol con permisos que el usuario no tiene, tampoco el propio', async () => {
+      await expect(roleService.updateRole('gestor', { permissions: ['role:manage', '*'] }, manager._id))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(roleService.updateRole('lector', { permissions: ['user:read', 'user:update'] }, manager._id))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Role.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('no permite modificar un rol con permisos que el usuario no tiene', async () => {
+      await expect(roleService.updateRole('editor', { description: 'Editor' }, manager._id))
+        .rejects.toMatchObject({ statusCode: 403, message: 'No puede modificar un rol con permisos que no tiene: video:update' });
+    });
+
+    it('permite modificar un rol dentro de los permisos del usuario', async () => {
+      await expect(roleService.updateRole('lector', { permissions: ['user:read'], description: 'Lector' }, manager._id))
+        .resolves.toMatchObject({ description: 'Lector' });
+    });
+  });
+
+  describe('updateUserRole', () => {
+    it('no permite asignar el rol admin sin tener el comodín', async () => {
+      await expect(adminService.updateUserRole(student._id, 'admin', manager._id)).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'No puede asignar un rol con permisos que no tiene: *',
+      });
+      expect(student.role).toBe('user');
+    });
+
+    it('no permite asignar un rol con permisos que el usuario no tiene', async () => {
+      await expect(adminService.updateUserRole(student._id, 'editor', manager._id))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('no permite cambiar el rol de un usuario con más permisos', async () => {
+      await expect(adminService.updateUserRole(admin._id, 'user', manager._id)).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'No puede cambiar el rol de un usuario con permisos que no tiene: *',
+      });
+      expect(admin.role).toBe('admin');
+    });
+
+    it('permite asignar un rol dentro de los permisos del usuario', async () => {
+      await adminService.updateUserRole(student._id, 'lector', manager._id);
+
+      expect(student.role).toBe('lector');
+      expect(User.prototype.save).toHaveBeenCalled();
+    });
+
+    it('permite al administrador asignar el rol admin', async () => {
+      await adminService.updateUserRole(student._id, 'admin', admin._id);
+
+      expect(student.role).toBe('admin');
+    });
+  });
+});
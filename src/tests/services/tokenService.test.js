@@ -0,0 +1,164 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const RefreshToken = require('../../models/refreshTokenModel');
+const Session = require('../../models/sessionModel');
+const User = require('../../models/userModel');
+const tokenService = require('../../services/tokenService');
+
+describe('TokenService', () => {
+  const originalEnv = process.env;
+  let user;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      JWT_SECRET: 'secreto-de-prueba',
+      JWT_REFRESH_SECRET: 'secreto-de-refresco',
+      JWT_ACCESS_EXPIRATION: '15m',
+      JWT_REFRESH_EXPIRATION: '7d',
+    };
+
+    user = new User({ name: 'Ana', email: 'ana@ejemplo.com', password: 'secreto123', role: 'user' });
+
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(RefreshToken.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Crear una sesión y devolver su token de refresco decodificado
+   */
+  const startSession = async () => {
+    const { refreshToken, session } = await tokenService.createSession(user, { ip: '10.0.0.1' });
+
+    return { refreshToken, session, decoded: jwt.decode(refreshToken) };
+  };
+
+  describe('createSession', () => {
+    it('emite tokens de acceso y refresco ligados a la sesión', async () => {
+      const { refreshToken, session, decoded } = await startSession();
+
+      expect(decoded).toMatchObject({ type: 'refresh', family: session.family });
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: user._id,
+        family: session.family,
+        jti: decoded.jti,
+      }));
+      expect(session.expiresAt.getTime()).toBe(decoded.exp * 1000);
+      expect(tokenService.verifyRefreshToken(refreshToken).jti).toBe(decoded.jti);
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('marca el token como usado y emite un nuevo par en la misma familia', async () => {
+      const { refreshToken, session, decoded } = await startSession();
+      const stored = new RefreshToken({ user: user._id, family: decoded.family, jti: decoded.jti, usedAt: Date.now() });
+
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(stored);
+      jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+
+      const result = await tokenService.rotateRefreshToken(refreshToken, { userAgent: 'Firefox' });
+      const rotated = jwt.decode(result.refreshToken);
+
+      // El uso se marca de forma condicional para que dos rotaciones simultáneas no emitan dos pares
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { jti: decoded.jti, usedAt: null, revokedAt: null },
+        expect.objectContaining({ usedAt: expect.any(Number) }),
+        { new: true }
+      );
+      expect(rotated.family).toBe(decoded.family);
+      expect(rotated.jti).not.toBe(decoded.jti);
+      expect(stored.replacedBy).toBe(rotated.jti);
+      expect(session.userAgent).toBe('Firefox');
+      expect(jwt.verify(result.accessToken, 'secreto-de-prueba').sid).toBe(session._id.toString());
+    });
+
+    it('revoca toda la familia al reutilizar un token ya rotado', async () => {
+      const { refreshToken, decoded } = await startSession();
+
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(
+        new RefreshToken({ user: user._id, family: decoded.family, jti: decoded.jti, usedAt: new Date() })
+      );
+
+      await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: decoded.family, revokedAt: null },
+        expect.objectContaining({ revokedReason: 'reuse-detected' })
+      );
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { family: decoded.family, revokedAt: null },
+        expect.objectContaining({ revokedReason: 'reuse-detected' })
+      );
+    });
+
+    it('rechaza un token revocado sin volver a revocar la familia', async () => {
+      const { refreshToken, decoded } = await startSession();
+
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(
+        new RefreshToken({ user: user._id, family: decoded.family, jti: decoded.jti, revokedAt: new Date() })
+      );
+
+      await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('revoca la familia si la sesión fue cerrada', async () => {
+      const { refreshToken, decoded } = await startSession();
+
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(
+        new RefreshToken({ user: user._id, family: decoded.family, jti: decoded.jti, usedAt: new Date() })
+      );
+      jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+      await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: decoded.family, revokedAt: null },
+        expect.objectContaining({ revokedReason: 'session-revoked' })
+      );
+    });
+
+    it('revoca la familia si el usuario fue desactivado', async () => {
+      const { refreshToken, session, decoded } = await startSession();
+
+      user.isActive = false;
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(
+        new RefreshToken({ user: user._id, family: decoded.family, jti: decoded.jti, usedAt: new Date() })
+      );
+      jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+
+      await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 403 });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: decoded.family, revokedAt: null },
+        expect.objectContaining({ revokedReason: 'user-inactive' })
+      );
+    });
+
+    it('rechaza los tokens de acceso y los firmados con otro secreto', async () => {
+      const accessToken = user.getSignedJwtToken(new mongoose.Types.ObjectId());
+      const forged = jwt.sign({ id: user._id, type: 'refresh', family: 'f' }, 'otro-secreto', { jwtid: 'x' });
+
+      await expect(tokenService.rotateRefreshToken(accessToken)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(tokenService.rotateRefreshToken(forged)).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const Course = require('../../models/courseModel');
+const Video = require('../../models/videoModel');
+const VideoProgress = require('../../models/videoProgressModel');
+const TranscriptSegment = require('../../models/transcriptSegmentModel');
+const User = require('../../models/userModel');
+const trashService = require('../../services/trashService');
+const courseService = require('../../services/courseService');
+const transcriptService = require('../../services/transcriptService');
+const jobService = require('../../services/jobService');
+const { mockQuery } = require('../helpers/query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Papelera', () => {
+  let owner;
+  let course;
+
+  const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+  const createVideo = (data = {}) => new Video({
+    title: 'Video',
+    course: course._id,
+    s3Key: `videos/${Math.random().toString(16).slice(2)}.mp4`,
+    ...data,
+  });
+
+  beforeEach(() => {
+    owner = new User({ name: 'Ana', email: 'ana@ejemplo.com', password: 'secreto123', role: 'instructor' });
+    course = new Course({
+      title: 'Curso',
+      description: 'Curso de prueba',
+      instructor: owner._id,
+      modules: [{ title: 'Módulo 1' }, { title: 'Módulo 2' }],
+    });
+
+    jest.spyOn(User, 'findById').mockResolvedValue(owner);
+    jest.spyOn(Course.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Video.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(transcriptService, 'refreshCourseIndex').mockResolvedValue();
+    jest.spyOn(jobService, 'enqueue').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('restoreCourse', () => {
+    it('restaura el curso con los videos eliminados junto a él', async () => {
+      course.deletedAt = daysAgo(2);
+      const deletedAt = course.deletedAt;
+      jest.spyOn(Course, 'findOne').mockResolvedValue(course);
+      jest.spyOn(Video, 'updateMany').mockReturnValue(mockQuery({ modifiedCount: 3 }));
+
+      await trashService.restoreCourse(course._id, owner._id);
+
+      // Los videos eliminados antes que el curso tienen otra fecha y siguen en la papelera
+      expect(Video.updateMany).toHaveBeenCalledWith(
+        { course: course._id, deletedAt },
+        { $set: { deletedAt: null }, $unset: { deletedBy: 1 } }
+      );
+      expect(course.deletedAt).toBeNull();
+    });
+
+    it('solo permite restaurarlo a quien puede eliminarlo', async () => {
+      const coInstructor = new User({ name: 'Luis', email: 'luis@ejemplo.com', password: 'secreto123', role: 'user' });
+      course.staff.push({ user: coInstructor._id, role: 'co-instructor' });
+      course.deletedAt = daysAgo(2);
+      User.findById.mockResolvedValue(coInstructor);
+      jest.spyOn(Course, 'findOne').mockResolvedValue(course);
+      jest.spyOn(Video, 'updateMany');
+
+      await expect(trashService.restoreCourse(course._id, coInstructor._id)).rejects.toMatchObject({ statusCode: 403 });
+      expect(Video.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreVideo', () => {
+    it('restaura el video y vuelve a indexar sus transcripciones', async () => {
+      const video = createVideo({ module: course.modules[0]._id, deletedAt: daysAgo(1) });
+      jest.spyOn(Video, 'findOne').mockResolvedValue(video);
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+
+      await trashService.restoreVideo(video._id, owner._id);
+
+      expect(video.deletedAt).toBeNull();
+      expect(transcriptService.refreshCourseIndex).toHaveBeenCalledWith(course._id);
+    });
+
+    it('exige restaurar primero el módulo si está en la papelera', async () => {
+      course.modules[0].deletedAt = daysAgo(1);
+      const video = createVideo({ module: course.modules[0]._id, deletedAt: daysAgo(1) });
+      jest.spyOn(Video, 'findOne').mockResolvedValue(video);
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+
+      await expect(trashService.restoreVideo(video._id, owner._id)).rejects.toMatchObject({ statusCode: 400 });
+      expect(Video.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('exige restaurar primero el curso si está en la papelera', async () => {
+      jest.spyOn(Video, 'findOne').mockResolvedValue(createVideo({ deletedAt: daysAgo(1) }));
+      // Las consultas normales no encuentran los cursos de la papelera
+      jest.spyOn(Course, 'findById').mockResolvedValue(null);
+
+      await expect(trashService.restoreVideo('id', owner._id)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'El curso del video está en la papelera; restaure primero el curso',
+      });
+    });
+  });
+
+  describe('purgeExpired', () => {
+    let expiredCourse;
+    let courseVideos;
+    let expiredVideo;
+    let deleteCalls;
+
+    beforeEach(() => {
+      expiredCourse = new Course({
+        title: 'Curso vencido',
+        description: 'Curso en la papelera',
+        instructor: owner._id,
+        deletedAt: daysAgo(40),
+      });
+      courseVideos = [
+        new Video({ title: 'A', course: expiredCourse._id, s3Key: 'videos/a.mp4' }),
+        new Video({ title: 'B', course: expiredCourse._id, s3Key: 'videos/b.mp4', deletedAt: daysAgo(50) }),
+      ];
+      expiredVideo = createVideo({ s3Key: 'videos/c.mp4', deletedAt: daysAgo(31) });
+      // El primer módulo venció; el segundo sigue dentro del período de retención
+      course.modules[0].deletedAt = daysAgo(31);
+      course.modules[1].deletedAt = daysAgo(5);
+
+      jest.spyOn(Course, 'find').mockImplementation(filter =>
+        mockQuery(filter.deletedAt ? [expiredCourse] : [course])
+      );
+      jest.spyOn(Video, 'find').mockImplementation(filter =>
+        mockQuery(filter.course ? courseVideos : [expiredVideo])
+      );
+
+      deleteCalls = [];
+      const recordDelete = name => (filter) => {
+        deleteCalls.push({ name, filter });
+        return Promise.resolve({ deletedCount: 1 });
+      };
+
+      jest.spyOn(Video, 'deleteMany').mockImplementation(recordDelete('Video.deleteMany'));
+      jest.spyOn(Video, 'deleteOne').mockImplementation(recordDelete('Video.deleteOne'));
+      jest.spyOn(Course, 'deleteOne').mockImplementation(recordDelete('Course.deleteOne'));
+      jest.spyOn(VideoProgress, 'deleteMany').mockImplementation(recordDelete('VideoProgress.deleteMany'));
+      jest.spyOn(TranscriptSegment, 'deleteMany').mockImplementation(recordDelete('TranscriptSegment.deleteMany'));
+      jest.spyOn(Video, 'updateMany').mockReturnValue(mockQuery({ modifiedCount: 1 }));
+    });
+
+    it('elimina los cursos vencidos con todos sus videos, también los de la papelera', async () => {
+      const purged = await trashService.purgeExpired();
+
+      expect(purged).toEqual({ courses: 1, modules: 1, videos: 1 });
+
+      const courseVideosQuery = Video.find.mock.results[0].value;
+      expect(Video.find.mock.calls[0][0]).toEqual({ course: expiredCourse._id });
+      expect(courseVideosQuery.setOptions).toHaveBeenCalledWith({ withDeleted: true });
+
+      expect(deleteCalls).toEqual(expect.arrayContaining([
+        { name: 'Video.deleteMany', filter: { course: expiredCourse._id } },
+        { name: 'VideoProgress.deleteMany', filter: { course: expiredCourse._id } },
+        { name: 'Course.deleteOne', filter: { _id: expiredCourse._id } },
+      ]));
+    });
+
+    it('encola la eliminación de los archivos antes de borrar los videos', async () => {
+      await trashService.purgeExpired();
+
+      expect(jobService.enqueue).toHaveBeenCalledWith('media:delete', {
+        keys: ['videos/a.mp4', 'videos/b.mp4'],
+        prefixes: ['videos/a/', 'videos/b/'],
+      });
+      expect(jobService.enqueue.mock.invocationCallOrder[0])
+        .toBeLessThan(Video.deleteMany.mock.invocationCallOrder[0]);
+    });
+
+    it('elimina los videos vencidos con su progreso y sus transcripciones', async () => {
+      await trashService.purgeExpired();
+
+      expect(jobService.enqueue).toHaveBeenCalledWith('media:delete', {
+        keys: ['videos/c.mp4'],
+        prefixes: ['videos/c/'],
+      });
+      expect(deleteCalls).toEqual(expect.arrayContaining([
+        { name: 'Video.deleteOne', filter: { _id: expiredVideo._id } },
+        { name: 'VideoProgress.deleteMany', filter: { video: expiredVideo._id } },
+        { name: 'TranscriptSegment.deleteMany', filter: { video: expiredVideo._id } },
+      ]));
+    });
+
+    it('quita el módulo a sus videos de la papelera antes de eliminarlo', async () => {
+      const expiredModuleId = course.modules[0]._id;
+      const keptModuleId = course.modules[1]._id;
+
+      await trashService.purgeExpired();
+
+      expect(Video.updateMany).toHaveBeenCalledWith(
+        { course: course._id, module: { $in: [expiredModuleId] } },
+        { $unset: { module: 1 } }
+      );
+      expect(Video.updateMany.mock.results[0].value.setOptions).toHaveBeenCalledWith({ withDeleted: true });
+      expect(course.modules.map(module => module._id)).toEqual([keptModuleId]);
+      expect(Course.prototype.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteModule', () => {
+    it('no elimina un módulo con videos activos', async () => {
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+      jest.spyOn(Video, 'exists').mockResolvedValue({ _id: 'video' });
+
+      await expect(courseService.deleteModule(course._id, course.modules[0]._id, owner._id))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(course.modules[0].deletedAt).toBeNull();
+    });
+
+    it('envía a la papelera un módulo sin videos activos', async () => {
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+      jest.spyOn(Video, 'exists').mockResolvedValue(null);
+
+      await courseService.deleteModule(course._id, course.modules[0]._id, owner._id);
+
+      expect(course.modules[0].deletedAt).toBeInstanceOf(Date);
+      expect(course.getModule(course.modules[0]._id)).toBeNull();
+    });
+  });
+});
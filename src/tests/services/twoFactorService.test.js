@@ -0,0 +1,92 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const User = require('../../models/userModel');
+const twoFactorService = require('../../services/twoFactorService');
+const { generateSecret, generateCode, getTimeStep } = require('../../utils/totp');
+
+describe('TwoFactorService', () => {
+  let user;
+
+  beforeEach(() => {
+    // Fijar la hora para que los códigos no cambien de paso durante la prueba
+    jest.spyOn(Date, 'now').mockReturnValue(1700000010000);
+
+    user = new User({ name: 'Ana', email: 'ana@ejemplo.com', password: 'secreto123' });
+
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkCode', () => {
+    it('acepta un código válido y no permite reutilizarlo', () => {
+      user.twoFactorSecret = generateSecret();
+      const code = generateCode(user.twoFactorSecret);
+
+      expect(twoFactorService.checkCode(user, code)).toBe(true);
+      expect(user.twoFactorLastUsedStep).toBe(getTimeStep());
+      expect(twoFactorService.checkCode(user, code)).toBe(false);
+    });
+
+    it('rechaza los códigos de un paso anterior al último usado', () => {
+      user.twoFactorSecret = generateSecret();
+      user.twoFactorLastUsedStep = getTimeStep();
+
+      expect(twoFactorService.checkCode(user, generateCode(user.twoFactorSecret, getTimeStep() - 1))).toBe(false);
+    });
+
+    it('rechaza cualquier código si no hay secreto', () => {
+      expect(twoFactorService.checkCode(user, '123456')).toBe(false);
+    });
+  });
+
+  describe('activación', () => {
+    it('activa la 2FA con un código del secreto pendiente y entrega códigos de recuperación', async () => {
+      const { secret } = await twoFactorService.setup(user._id);
+
+      expect(user.twoFactorPendingSecret).toBe(secret);
+      expect(user.twoFactorEnabled).toBe(false);
+
+      const { recoveryCodes } = await twoFactorService.enable(user._id, generateCode(secret));
+
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(user.twoFactorSecret).toBe(secret);
+      expect(user.twoFactorPendingSecret).toBeUndefined();
+      expect(recoveryCodes).toHaveLength(10);
+      // Solo se guardan los hashes de los códigos de recuperación
+      expect(user.twoFactorRecoveryCodes).toHaveLength(10);
+      expect(user.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    it('no activa la 2FA con un código incorrecto', async () => {
+      const { secret } = await twoFactorService.setup(user._id);
+      const wrongCode = String((Number(generateCode(secret)) + 1) % 1000000).padStart(6, '0');
+
+      await expect(twoFactorService.enable(user._id, wrongCode)).rejects.toMatchObject({ statusCode: 400 });
+      expect(user.twoFactorEnabled).toBe(false);
+    });
+  });
+
+  describe('verifySecondFactor', () => {
+    it('consume cada código de recuperación una sola vez', async () => {
+      const { secret } = await twoFactorService.setup(user._id);
+      const { recoveryCodes } = await twoFactorService.enable(user._id, generateCode(secret));
+
+      // Los códigos se aceptan sin guion y en mayúsculas
+      const recoveryCode = recoveryCodes[0].replace('-', '').toUpperCase();
+
+      expect(twoFactorService.verifySecondFactor(user, { recoveryCode })).toBe(true);
+      expect(twoFactorService.verifySecondFactor(user, { recoveryCode })).toBe(false);
+      expect(user.twoFactorRecoveryCodes).toHaveLength(9);
+    });
+
+    it('rechaza la verificación sin código', () => {
+      expect(twoFactorService.verifySecondFactor(user, {})).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const mongoose = require('mongoose');
+const UploadSession = require('../../models/uploadSessionModel');
+const Video = require('../../models/videoModel');
+const videoService = require('../../services/videoService');
+const uploadSessionService = require('../../services/uploadSessionService');
+const { storage } = require('../../config/storage');
+const ErrorResponse = require('../../utils/errorResponse');
+const { mockQuery } = require('../helpers/query');
+
+describe('UploadSessionService', () => {
+  const MB = 1024 * 1024;
+  const userId = new mongoose.Types.ObjectId();
+  let video;
+  let session;
+
+  beforeEach(() => {
+    video = new Video({
+      title: 'Video',
+      course: new mongoose.Types.ObjectId(),
+      s3Key: 'videos/1700000000000-clase.mp4',
+      status: 'pending_upload',
+      contentType: 'video/mp4',
+      fileSize: 40 * MB,
+    });
+    session = new UploadSession({
+      user: userId,
+      course: video.course,
+      video: video._id,
+      s3Key: video.s3Key,
+      uploadId: 'subida-1',
+      fileName: 'clase.mp4',
+      contentType: 'video/mp4',
+      fileSize: 40 * MB,
+      partSize: 16 * MB,
+      totalParts: 3,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    jest.spyOn(UploadSession.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(UploadSession, 'findOne').mockReturnValue(mockQuery(session));
+    jest.spyOn(Video, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Video, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(storage, 'createMultipartUpload');
+    jest.spyOn(storage, 'getPresignedPartUrl');
+    jest.spyOn(storage, 'listParts');
+    jest.spyOn(storage, 'completeMultipartUpload').mockResolvedValue();
+    jest.spyOn(storage, 'abortMultipartUpload').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('initiate', () => {
+    it('reserva el video e inicia la subida multiparte', async () => {
+      jest.spyOn(videoService, 'reserveVideo').mockResolvedValue(video);
+      jest.spyOn(UploadSession, 'create').mockImplementation(data => Promise.resolve({ _id: session._id, ...data }));
+      storage.createMultipartUpload.mockResolvedValue('subida-1');
+
+      await uploadSessionService.initiate({ course: video.course }, { fileName: 'clase.mp4' }, userId);
+
+      expect(storage.createMultipartUpload).toHaveBeenCalledWith(video.s3Key, 'video/mp4');
+      expect(UploadSession.create).toHaveBeenCalledWith(expect.objectContaining({
+        uploadId: 'subida-1',
+        partSize: 16 * MB,
+        totalParts: 3,
+      }));
+    });
+
+    it('descarta el video reservado si el almacenamiento no inicia la subida', async () => {
+      jest.spyOn(videoService, 'reserveVideo').mockResolvedValue(video);
+      jest.spyOn(UploadSession, 'create');
+      storage.createMultipartUpload.mockRejectedValue(new Error('Almacenamiento no disponible'));
+
+      await expect(
+        uploadSessionService.initiate({ course: video.course }, { fileName: 'clase.mp4' }, userId)
+      ).rejects.toThrow('Almacenamiento no disponible');
+      expect(Video.deleteOne).toHaveBeenCalledWith({ _id: video._id });
+      expect(UploadSession.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPartUrls', () => {
+    it('firma las partes pedidas y renueva el vencimiento de la sesión', async () => {
+      storage.getPresignedPartUrl.mockImplementation((key, uploadId, partNumber) =>
+        Promise.resolve(`https://s3.ejemplo.com/${partNumber}`));
+      const previousExpiration = session.expiresAt;
+
+      const { parts } = await uploadSessionService.getPartUrls(session._id, [1, 2, 2], userId);
+
+      expect(parts.map(part => part.partNumber)).toEqual([1, 2]);
+      expect(session.expiresAt.getTime()).toBeGreaterThan(previousExpiration.getTime());
+      expect(Video.updateOne).toHaveBeenCalledWith({ _id: video._id }, { uploadExpiresAt: session.expiresAt });
+    });
+
+    it('rechaza números de parte fuera del rango del archivo', async () => {
+      await expect(uploadSessionService.getPartUrls(session._id, [4], userId)).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(storage.getPresignedPartUrl).not.toHaveBeenCalled();
+    });
+
+    it('rechaza una sesión cancelada', async () => {
+      session.status = 'aborted';
+
+      await expect(uploadSessionService.getPartUrls(session._id, [1], userId)).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+  });
+
+  describe('complete', () => {
+    it('informa la primera parte pendiente sin completar la subida', async () => {
+      storage.listParts.mockResolvedValue([{ partNumber: 1 }, { partNumber: 3 }]);
+
+      await expect(uploadSessionService.complete(session._id, userId)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Faltan 1 partes por subir (primera pendiente: 2)',
+      });
+      expect(storage.completeMultipartUpload).not.toHaveBeenCalled();
+      expect(session.status).toBe('active');
+    });
+
+    it('completa la subida con las partes en orden y confirma el video', async () => {
+      storage.listParts.mockResolvedValue([
+        { partNumber: 2, etag: 'b' },
+        { partNumber: 1, etag: 'a' },
+        { partNumber: 3, etag: 'c' },
+      ]);
+      jest.spyOn(videoService, 'confirmUpload').mockResolvedValue(video);
+
+      await expect(uploadSessionService.complete(session._id, userId)).resolves.toBe(video);
+      expect(storage.completeMultipartUpload.mock.calls[0][2].map(part => part.etag)).toEqual(['a', 'b', 'c']);
+      expect(videoService.confirmUpload).toHaveBeenCalledWith(video._id, userId);
+      expect(session.status).toBe('completed');
+      expect(videoService.confirmUpload.mock.invocationCallOrder[0])
+        .toBeLessThan(UploadSession.prototype.save.mock.invocationCallOrder[0]);
+    });
+
+    it('deja la sesión activa si el video no puede confirmarse', async () => {
+      storage.listParts.mockResolvedValue([{ partNumber: 1 }, { partNumber: 2 }, { partNumber: 3 }]);
+      jest.spyOn(videoService, 'confirmUpload').mockRejectedValue(new Error('MongoDB no disponible'));
+
+      await expect(uploadSessionService.complete(session._id, userId)).rejects.toThrow('MongoDB no disponible');
+      expect(session.status).toBe('active');
+      expect(UploadSession.prototype.save).not.toHaveBeenCalled();
+      expect(Video.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('cancela la sesión y descarta el video si el archivo no coincide con lo declarado', async () => {
+      storage.listParts.mockResolvedValue([{ partNumber: 1 }, { partNumber: 2 }, { partNumber: 3 }]);
+      jest.spyOn(videoService, 'confirmUpload').mockRejectedValue(
+        new ErrorResponse('El archivo subido no coincide con el tamaño o el tipo declarados', 400, 'UPLOAD_MISMATCH')
+      );
+
+      await expect(uploadSessionService.complete(session._id, userId)).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'UPLOAD_MISMATCH',
+      });
+      expect(session).toMatchObject({ status: 'aborted', abortReason: 'upload-mismatch' });
+      expect(Video.deleteOne).toHaveBeenCalledWith({ _id: video._id, status: 'pending_upload' });
+    });
+  });
+
+  describe('abortStaleSessions', () => {
+    it('libera las partes de las sesiones vencidas y descarta sus videos pendientes', async () => {
+      jest.spyOn(UploadSession, 'find').mockReturnValue(mockQuery([session]));
+
+      await expect(uploadSessionService.abortStaleSessions()).resolves.toBe(1);
+      expect(storage.abortMultipartUpload).toHaveBeenCalledWith(session.s3Key, 'subida-1');
+      expect(session).toMatchObject({ status: 'aborted', abortReason: 'expired' });
+      expect(Video.deleteOne).toHaveBeenCalledWith({ _id: video._id, status: 'pending_upload' });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const Video = require('../../models/videoModel');
+const Course = require('../../models/courseModel');
+const User = require('../../models/userModel');
+const VideoProgress = require('../../models/videoProgressModel');
+const videoService = require('../../services/videoService');
+const transcriptService = require('../../services/transcriptService');
+
+describe('VideoService: mover un video a otro curso', () => {
+  let owner;
+  let source;
+  let target;
+  let video;
+  let courses;
+
+  beforeEach(() => {
+    owner = new User({ name: 'Ana', email: 'ana@ejemplo.com', password: 'secreto123', role: 'instructor' });
+    source = new Course({
+      title: 'Origen',
+      description: 'Curso de origen',
+      instructor: owner._id,
+      modules: [{ title: 'Introducción' }],
+    });
+    // Curso de otro instructor en el que Ana no participa
+    target = new Course({
+      title: 'Destino',
+      description: 'Curso de destino',
+      instructor: new User({ name: 'Luis', email: 'luis@ejemplo.com', password: 'secreto123' })._id,
+      modules: [{ title: 'Repaso' }],
+    });
+    video = new Video({
+      title: 'Video',
+      course: source._id,
+      module: source.modules[0]._id,
+      s3Key: 'videos/7f0c2a1b.mp4',
+      status: 'ready',
+    });
+    courses = [source, target];
+
+    jest.spyOn(Video, 'findById').mockResolvedValue(video);
+    jest.spyOn(Video, 'findByIdAndUpdate').mockImplementation((id, updateData) =>
+      Promise.resolve(new Video({ ...video.toObject(), ...updateData }))
+    );
+    jest.spyOn(Course, 'findById').mockImplementation(id =>
+      Promise.resolve(courses.find(course => course._id.equals(id)) || null)
+    );
+    jest.spyOn(User, 'findById').mockResolvedValue(owner);
+    jest.spyOn(VideoProgress, 'updateMany').mockResolvedValue({});
+    jest.spyOn(transcriptService, 'refreshCourseIndex').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rechaza mover el video a un curso en el que no puede modificar videos', async () => {
+    await expect(videoService.updateVideo(video._id, { course: target._id.toString() }, owner._id))
+      .rejects.toMatchObject({ statusCode: 403, message: 'No autorizado para mover el video a este curso' });
+    expect(Video.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un curso de destino inexistente', async () => {
+    courses = [source];
+
+    await expect(videoService.updateVideo(video._id, { course: target._id.toString() }, owner._id))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Curso de destino no encontrado' });
+  });
+
+  describe('con permiso sobre el curso de destino', () => {
+    beforeEach(() => {
+      target.staff.push({ user: owner._id, role: 'assistant' });
+    });
+
+    it('valida el módulo contra el curso de destino', async () => {
+      await expect(videoService.updateVideo(
+        video._id,
+        { course: target._id.toString(), module: source.modules[0]._id.toString() },
+        owner._id
+      )).rejects.toMatchObject({ statusCode: 404, message: 'Módulo no encontrado' });
+      expect(Video.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('mueve el video al módulo indicado y su progreso lo sigue', async () => {
+      const module = target.modules[0]._id.toString();
+
+      const updated = await videoService.updateVideo(video._id, { course: target._id.toString(), module }, owner._id);
+
+      expect(updated.course.equals(target._id)).toBe(true);
+      expect(updated.module.toString()).toBe(module);
+      expect(VideoProgress.updateMany).toHaveBeenCalledWith({ video: video._id }, { course: updated.course });
+      expect(transcriptService.refreshCourseIndex).toHaveBeenCalledTimes(2);
+    });
+
+    it('quita el módulo del curso de origen si no se indica otro', async () => {
+      await videoService.updateVideo(video._id, { course: target._id.toString() }, owner._id);
+
+      expect(Video.findByIdAndUpdate).toHaveBeenCalledWith(
+        video._id,
+        { course: target._id.toString(), module: null },
+        expect.any(Object)
+      );
+    });
+  });
+
+  it('valida el módulo contra el curso actual si el video no cambia de curso', async () => {
+    await expect(videoService.updateVideo(video._id, { module: target.modules[0]._id.toString() }, owner._id))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Módulo no encontrado' });
+  });
+});
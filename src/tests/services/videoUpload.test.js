@@ -0,0 +1,137 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const Video = require('../../models/videoModel');
+const Course = require('../../models/courseModel');
+const User = require('../../models/userModel');
+const videoService = require('../../services/videoService');
+const jobService = require('../../services/jobService');
+const { storage } = require('../../config/storage');
+const { mockQuery } = require('../helpers/query');
+
+describe('VideoService: subida directa', () => {
+  let owner;
+  let course;
+  let video;
+
+  beforeEach(() => {
+    owner = new User({ name: 'Ana', email: 'ana@ejemplo.com', password: 'secreto123', role: 'instructor' });
+    course = new Course({ title: 'Curso', description: 'Curso de prueba', instructor: owner._id });
+    video = new Video({
+      title: 'Video',
+      course: course._id,
+      s3Key: 'videos/7f0c2a1b.mp4',
+      status: 'pending_upload',
+      contentType: 'video/mp4',
+      fileSize: 1024,
+    });
+
+    jest.spyOn(Video, 'findById').mockResolvedValue(video);
+    jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    jest.spyOn(User, 'findById').mockResolvedValue(owner);
+    jest.spyOn(Video.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(jobService, 'enqueue').mockResolvedValue({});
+    jest.spyOn(storage, 'delete').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reserveVideo', () => {
+    it('reserva una clave con uuid y la extensión del archivo', async () => {
+      jest.spyOn(Video, 'findOne').mockReturnValue(mockQuery(null));
+      jest.spyOn(Video, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const reserved = await videoService.reserveVideo(
+        { title: 'Video', course: course._id },
+        { fileName: 'Clase 1 (final).MP4', fileType: 'video/mp4', fileSize: 1024 },
+        owner._id,
+        { maxSize: 2048, uploadExpiresAt: new Date() }
+      );
+
+      expect(reserved.s3Key).toMatch(/^videos\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.mp4$/);
+      expect(reserved).toMatchObject({ status: 'pending_upload', isPublished: false, order: 1 });
+    });
+
+    it('rechaza archivos más grandes que el máximo', async () => {
+      await expect(videoService.reserveVideo(
+        { title: 'Video', course: course._id },
+        { fileName: 'clase.mp4', fileType: 'video/mp4', fileSize: 4096 },
+        owner._id,
+        { maxSize: 2048, uploadExpiresAt: new Date() }
+      )).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('confirmUpload', () => {
+    it('deja el video listo y encola su procesamiento una vez', async () => {
+      jest.spyOn(storage, 'head').mockResolvedValue({ size: 1024, contentType: 'video/mp4' });
+      jest.spyOn(Video, 'findOneAndUpdate').mockImplementation(() => {
+        video.status = 'ready';
+        return Promise.resolve(video);
+      });
+
+      const confirmed = await videoService.confirmUpload(video._id, owner._id);
+
+      expect(Video.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: video._id, status: 'pending_upload' },
+        { $set: { status: 'ready' }, $unset: { uploadExpiresAt: 1 } },
+        { new: true }
+      );
+      expect(confirmed.status).toBe('ready');
+      expect(confirmed.processing.status).toBe('queued');
+      expect(jobService.enqueue.mock.calls.map(([type]) => type)).toEqual(['video:analyze', 'video:transcode']);
+    });
+
+    it('no encola de nuevo si otra confirmación simultánea ya cambió el estado', async () => {
+      jest.spyOn(storage, 'head').mockResolvedValue({ size: 1024, contentType: 'video/mp4' });
+      jest.spyOn(Video, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(videoService.confirmUpload(video._id, owner._id)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'La subida de este video ya fue confirmada',
+      });
+      expect(jobService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('rechaza una confirmación repetida sin consultar el almacenamiento', async () => {
+      video.status = 'ready';
+      jest.spyOn(storage, 'head');
+
+      await expect(videoService.confirmUpload(video._id, owner._id)).rejects.toMatchObject({ statusCode: 400 });
+      expect(storage.head).not.toHaveBeenCalled();
+    });
+
+    it('descarta el archivo si no coincide con el tamaño o el tipo declarados', async () => {
+      jest.spyOn(storage, 'head').mockResolvedValue({ size: 999, contentType: 'video/mp4' });
+      jest.spyOn(Video, 'findOneAndUpdate');
+
+      await expect(videoService.confirmUpload(video._id, owner._id)).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'UPLOAD_MISMATCH',
+      });
+      expect(storage.delete).toHaveBeenCalledWith('videos/7f0c2a1b.mp4');
+      expect(Video.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('rechaza la confirmación si el archivo aún no se subió', async () => {
+      jest.spyOn(storage, 'head').mockResolvedValue(null);
+
+      await expect(videoService.confirmUpload(video._id, owner._id)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'El archivo del video aún no fue subido',
+      });
+    });
+
+    it('no permite confirmar a quien no es del equipo docente del curso', async () => {
+      const outsider = new User({ name: 'Luis', email: 'luis@ejemplo.com', password: 'secreto123', role: 'instructor' });
+      User.findById.mockResolvedValue(outsider);
+      jest.spyOn(storage, 'head');
+
+      await expect(videoService.confirmUpload(video._id, outsider._id)).rejects.toMatchObject({ statusCode: 403 });
+      expect(storage.head).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const { envInteger } = require('../../utils/env');
+const { logger } = require('../../utils/logger');
+
+describe('envInteger', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('usa el valor por defecto si la variable no está definida o está vacía', () => {
+    delete process.env.TEST_LIMIT;
+    expect(envInteger('TEST_LIMIT', 3)).toBe(3);
+
+    process.env.TEST_LIMIT = ' ';
+    expect(envInteger('TEST_LIMIT', 3)).toBe(3);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('respeta el 0 cuando el mínimo lo permite', () => {
+    process.env.TEST_LIMIT = '0';
+
+    expect(envInteger('TEST_LIMIT', 3)).toBe(0);
+  });
+
+  it('usa el valor por defecto y advierte si el valor no es válido', () => {
+    process.env.TEST_LIMIT = 'muchos';
+    expect(envInteger('TEST_LIMIT', 3)).toBe(3);
+
+    process.env.TEST_LIMIT = '0';
+    expect(envInteger('TEST_LIMIT', 30, { min: 1 })).toBe(30);
+
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+  });
+});
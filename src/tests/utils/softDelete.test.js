@@ -0,0 +1,81 @@
+const Video = require('../../models/videoModel');
+
+/**
+ * Ejecutar los hooks previos de una consulta y devolver el filtro resultante
+ * @param {string} operation - Operación de la consulta
+ * @param {Object} query - Consulta de Mongoose
+ * @returns {Promise<Object>} Filtro después de los hooks
+ */
+const filterAfterHooks = (operation, query) => new Promise((resolve, reject) => {
+  Video.schema.s.hooks.execPre(operation, query, [], (error) => {
+    if (error) {
+      return reject(error);
+    }
+
+    resolve(query.getFilter());
+  });
+});
+
+describe('softDeletePlugin', () => {
+  it.each([
+    ['find', () => Video.find({ course: 'curso' })],
+    ['findOne', () => Video.findOne({ course: 'curso' })],
+    ['countDocuments', () => Video.countDocuments({ course: 'curso' })],
+    ['updateMany', () => Video.updateMany({ course: 'curso' }, { isPublished: true })],
+  ])(
+    'excluye los documentos de la papelera en %s',
+    async (operation, buildQuery) => {
+      const filter = await filterAfterHooks(operation, buildQuery());
+
+      expect(filter).toEqual({ course: 'curso', deletedAt: null });
+    }
+  );
+
+  it('excluye los documentos de la papelera al comprobar si existen', async () => {
+    // exists() es un findOne, por lo que un video en la papelera no impide eliminar su módulo
+    const filter = await filterAfterHooks('findOne', Video.exists({ module: 'modulo' }));
+
+    expect(filter).toEqual({ module: 'modulo', deletedAt: null });
+  });
+
+  it('incluye los documentos de la papelera con withDeleted', async () => {
+    const filter = await filterAfterHooks('find', Video.find({ course: 'curso' }).setOptions({ withDeleted: true }));
+
+    expect(filter).toEqual({ course: 'curso' });
+  });
+
+  it('respeta los filtros que ya indican deletedAt', async () => {
+    const filter = await filterAfterHooks('findOne', Video.findOne({ deletedAt: { $ne: null } }));
+
+    expect(filter).toEqual({ deletedAt: { $ne: null } });
+  });
+
+  it('no filtra las eliminaciones definitivas', async () => {
+    const filter = await filterAfterHooks('deleteMany', Video.deleteMany({ course: 'curso' }));
+
+    expect(filter).toEqual({ course: 'curso' });
+  });
+
+  it('agrega la exclusión al inicio de las agregaciones', async () => {
+    const aggregate = Video.aggregate([{ $group: { _id: '$course' } }]);
+
+    await new Promise((resolve, reject) => {
+      Video.schema.s.hooks.execPre('aggregate', aggregate, [], error => (error ? reject(error) : resolve()));
+    });
+
+    expect(aggregate.pipeline()).toEqual([{ $match: { deletedAt: null } }, { $group: { _id: '$course' } }]);
+  });
+
+  it('envía a la papelera y restaura con la fecha y el usuario', async () => {
+    const video = new Video({ title: 'Video', s3Key: 'videos/a.mp4' });
+    const deletedAt = new Date('2026-01-01T00:00:00Z');
+    jest.spyOn(video, 'save').mockResolvedValue(video);
+
+    await video.softDelete('usuario', deletedAt);
+    expect(video.deletedAt).toBe(deletedAt);
+
+    await video.restore();
+    expect(video.deletedAt).toBeNull();
+    expect(video.deletedBy).toBeUndefined();
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../../utils/logger', () => require('../helpers/logger'));
+
+const path = require('path');
+const { LocalStorageDriver, createStorageDriver } = require('../../utils/storageDrivers');
+
+describe('LocalStorageDriver: URL firmadas', () => {
+  let driver;
+
+  /**
+   * Separar una URL firmada en el recurso y sus parámetros
+   */
+  const parseSignedUrl = (url, route) => {
+    const { pathname, searchParams } = new URL(url);
+    const resource = decodeURIComponent(pathname.split(`/storage/${route}/`)[1]);
+
+    return { resource, query: Object.fromEntries(searchParams) };
+  };
+
+  beforeEach(() => {
+    driver = new LocalStorageDriver({
+      directory: path.join('tmp', 'storage-test'),
+      baseUrl: 'http://localhost:5000/api/storage/',
+      secret: 'secreto-de-firma',
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('acepta la URL que firmó mientras está vigente', async () => {
+    const url = await driver.getSignedUrl('videos/clase 1.mp4', 60);
+    const { resource, query } = parseSignedUrl(url, 'files');
+
+    expect(url.startsWith('http://localhost:5000/api/storage/files/videos/clase%201.mp4?')).toBe(true);
+    expect(resource).toBe('videos/clase 1.mp4');
+    expect(driver.verifySignedUrl('files', resource, query)).toBe(true);
+  });
+
+  it('rechaza la URL si se altera el recurso, la ruta o un parámetro firmado', async () => {
+    const upload = await driver.createPresignedUpload('videos/clase.mp4', 'video/mp4', 1024, 60);
+    const { resource, query } = parseSignedUrl(upload.url, 'uploads');
+
+    expect(driver.verifySignedUrl('uploads', resource, query)).toBe(true);
+    expect(driver.verifySignedUrl('uploads', 'videos/otro.mp4', query)).toBe(false);
+    expect(driver.verifySignedUrl('files', resource, query)).toBe(false);
+    expect(driver.verifySignedUrl('uploads', resource, { ...query, size: '999999' })).toBe(false);
+  });
+
+  it('rechaza la URL vencida o firmada con otro secreto', async () => {
+    const url = await driver.getSignedUrl('videos/clase.mp4', 60);
+    const { resource, query } = parseSignedUrl(url, 'files');
+    const otherDriver = createStorageDriver('local', {
+      directory: path.join('tmp', 'storage-test'),
+      baseUrl: 'http://localhost:5000/api/storage',
+      secret: 'otro-secreto',
+    });
+
+    expect(otherDriver.verifySignedUrl('files', resource, query)).toBe(false);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+
+    expect(driver.verifySignedUrl('files', resource, query)).toBe(false);
+  });
+
+  it('rechaza firmas con formato inválido', () => {
+    const expires = String(Math.floor(Date.now() / 1000) + 60);
+
+    expect(driver.verifySignedUrl('files', 'videos/clase.mp4', { expires, signature: 'abc' })).toBe(false);
+    expect(driver.verifySignedUrl('files', 'videos/clase.mp4', { expires })).toBe(false);
+  });
+
+  it('exige un secreto de firma', () => {
+    expect(() => new LocalStorageDriver({ directory: 'tmp', baseUrl: 'http://localhost:5000/api/storage' }))
+      .toThrow('requiere un secreto');
+  });
+
+  it('no permite claves fuera del directorio de almacenamiento', async () => {
+    await expect(driver.getSignedUrl('../secretos.txt')).rejects.toThrow('Clave de archivo inválida');
+  });
+});
+
+describe('Configuración del almacenamiento', () => {
+  const originalEnv = process.env;
+
+  /**
+   * Cargar la configuración del almacenamiento con las variables de entorno indicadas
+   */
+  const loadStorage = (env) => {
+    process.env = { ...originalEnv, STORAGE_DRIVER: '', AWS_S3_BUCKET: '', STORAGE_SIGNING_SECRET: '', ...env };
+
+    let storage;
+
+    jest.isolateModules(() => {
+      ({ storage } = require('../../config/storage'));
+    });
+
+    return storage;
+  };
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('usa S3 por omisión cuando hay un bucket configurado', () => {
+    expect(loadStorage({ AWS_S3_BUCKET: 'videos' }).name).toBe('s3');
+  });
+
+  it('no arranca sin bucket ni driver configurado, en lugar de usar el disco local', () => {
+    expect(() => loadStorage({})).toThrow('STORAGE_DRIVER');
+  });
+
+  it('usa el driver local solo si se elige y con su propio secreto de firma', () => {
+    expect(loadStorage({ STORAGE_DRIVER: 'local', STORAGE_SIGNING_SECRET: 'firma' }).name).toBe('local');
+    expect(() => loadStorage({ STORAGE_DRIVER: 'local', JWT_SECRET: 'jwt' }))
+      .toThrow('requiere STORAGE_SIGNING_SECRET');
+    expect(() => loadStorage({ STORAGE_DRIVER: 'local', JWT_SECRET: 'jwt', STORAGE_SIGNING_SECRET: 'jwt' }))
+      .toThrow('distinto de JWT_SECRET');
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateCode,
+  verifyCode,
+  getTimeStep,
+  buildOtpauthUri,
+} = require('../../utils/totp');
+
+// Secreto de los vectores de prueba del RFC 6238 ("12345678901234567890" en base32)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('codifica y decodifica base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(() => base32Decode('ABC1')).toThrow('Secreto base32 inválido');
+  });
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('genera el código del RFC 6238 para T=%i', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  it('acepta el código del paso actual y de los pasos vecinos', () => {
+    jest.useFakeTimers().setSystemTime(1111111109 * 1000);
+    const step = getTimeStep();
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+  });
+
+  it('rechaza los códigos fuera de la ventana de tolerancia o mal formados', () => {
+    jest.useFakeTimers().setSystemTime(1111111109 * 1000);
+    const step = getTimeStep();
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  it('construye el URI otpauth', () => {
+    const uri = buildOtpauthUri('ABC', 'ana@ejemplo.com', 'PANATRI');
+
+    expect(uri).toBe(
+      'otpauth://totp/PANATRI%3Aana%40ejemplo.com?secret=ABC&issuer=PANATRI&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
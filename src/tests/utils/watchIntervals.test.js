@@ -0,0 +1,87 @@
+const {
+  mergeIntervals,
+  totalLength,
+  clampInterval,
+  addIntervals,
+} = require('../../utils/watchIntervals');
+
+describe('watchIntervals', () => {
+  describe('mergeIntervals', () => {
+    it('ordena y une los intervalos superpuestos o contiguos', () => {
+      const merged = mergeIntervals([
+        { start: 50, end: 60 },
+        { start: 0, end: 10 },
+        { start: 5, end: 20 },
+        { start: 20, end: 30 },
+      ]);
+
+      expect(merged).toEqual([
+        { start: 0, end: 30 },
+        { start: 50, end: 60 },
+      ]);
+    });
+
+    it('descarta los intervalos vacíos o invertidos', () => {
+      expect(mergeIntervals([{ start: 10, end: 10 }, { start: 20, end: 5 }])).toEqual([]);
+    });
+
+    it('no modifica los intervalos recibidos', () => {
+      const intervals = [{ start: 0, end: 10 }, { start: 5, end: 15 }];
+
+      mergeIntervals(intervals);
+
+      expect(intervals).toEqual([{ start: 0, end: 10 }, { start: 5, end: 15 }]);
+    });
+  });
+
+  describe('totalLength', () => {
+    it('suma la duración de los intervalos', () => {
+      expect(totalLength([{ start: 0, end: 30 }, { start: 50, end: 60 }])).toBe(40);
+    });
+  });
+
+  describe('clampInterval', () => {
+    it('limita el intervalo a la duración del video', () => {
+      expect(clampInterval({ start: -5, end: 130 }, 120)).toEqual({ start: 0, end: 120 });
+    });
+
+    it('no limita el final si la duración no se conoce', () => {
+      expect(clampInterval({ start: 10, end: 500 }, 0)).toEqual({ start: 10, end: 500 });
+    });
+  });
+
+  describe('addIntervals', () => {
+    it('solo cuenta como nuevo lo que no se había visto', () => {
+      const watched = addIntervals([{ start: 0, end: 30 }], [{ start: 20, end: 40 }], 100);
+
+      expect(watched).toEqual([{ start: 0, end: 40 }]);
+    });
+
+    it('no acepta más segundos nuevos que el máximo', () => {
+      const watched = addIntervals([], [{ start: 0, end: 600 }], 60);
+
+      expect(watched).toEqual([{ start: 0, end: 60 }]);
+      expect(totalLength(watched)).toBe(60);
+    });
+
+    it('reparte el máximo entre las partes sin ver en el orden recibido', () => {
+      const watched = addIntervals(
+        [{ start: 10, end: 20 }],
+        [{ start: 0, end: 30 }, { start: 100, end: 200 }],
+        25
+      );
+
+      // 0-10 y 20-30 ocupan 20 segundos; quedan 5 para el segundo intervalo
+      expect(watched).toEqual([
+        { start: 0, end: 30 },
+        { start: 100, end: 105 },
+      ]);
+    });
+
+    it('repetir lo ya visto no suma segundos aunque haya margen', () => {
+      const watched = addIntervals([{ start: 0, end: 60 }], [{ start: 0, end: 60 }], 1000);
+
+      expect(totalLength(watched)).toBe(60);
+    });
+  });
+});
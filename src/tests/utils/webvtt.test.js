@@ -0,0 +1,126 @@
+const {
+  CaptionFormatError,
+  formatTimestamp,
+  parseVtt,
+  parseSrt,
+  serializeVtt,
+  srtToVtt,
+  toPlainText,
+} = require('../../utils/webvtt');
+
+describe('WebVTT', () => {
+  describe('parseVtt', () => {
+    it('interpreta los cues con identificador, ajustes y varias líneas de texto', () => {
+      const cues = parseVtt([
+        '\uFEFFWEBVTT - Clase 1',
+        '',
+        'NOTE comentario del autor',
+        '',
+        'intro',
+        '00:01.000 --> 00:04.500 align:start',
+        'Hola',
+        'a todos',
+        '',
+        '01:00:00.000 --> 01:00:02.250',
+        'Fin',
+      ].join('\r\n'));
+
+      expect(cues).toEqual([
+        { identifier: 'intro', start: 1, end: 4.5, settings: 'align:start', text: 'Hola\na todos' },
+        { identifier: undefined, start: 3600, end: 3602.25, settings: '', text: 'Fin' },
+      ]);
+    });
+
+    it('exige la cabecera WEBVTT', () => {
+      expect(() => parseVtt('00:01.000 --> 00:02.000\nHola')).toThrow(CaptionFormatError);
+    });
+
+    it('informa cada error con su número de línea', () => {
+      let error;
+
+      try {
+        parseVtt([
+          'WEBVTT',
+          '',
+          '00:05.000 --> 00:06.000',
+          'Segundo',
+          '',
+          '00:01.000 --> 00:02.000',
+          'Primero',
+          '',
+          '00:03.000 --> 00:02.000',
+          'Al revés',
+          '',
+          '00:03.000 --> 00:0x.000',
+          'Inválido',
+        ].join('\n'));
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(CaptionFormatError);
+      expect(error.errors).toEqual([
+        'línea 6: los cues deben estar ordenados por su inicio',
+        'línea 9: el final del cue debe ser posterior a su inicio',
+        'línea 12: marca de tiempo inválida',
+      ]);
+    });
+
+    it('resume los errores en el mensaje cuando son muchos', () => {
+      const blocks = Array.from({ length: 7 }, () => 'intro\nsin tiempos');
+
+      expect(() => parseVtt(`WEBVTT\n\n${blocks.join('\n\n')}`)).toThrow('(y 2 errores más)');
+    });
+  });
+
+  describe('parseSrt', () => {
+    it('ordena los subtítulos y quita las etiquetas font', () => {
+      const cues = parseSrt([
+        '2',
+        '00:00:05,000 --> 00:00:06,000',
+        '<font color="red">Segundo</font>',
+        '',
+        '1',
+        '00:00:01,000 --> 00:00:02,000',
+        '<i>Primero</i>',
+      ].join('\n'));
+
+      expect(cues).toEqual([
+        { start: 1, end: 2, text: '<i>Primero</i>' },
+        { start: 5, end: 6, text: 'Segundo' },
+      ]);
+    });
+
+    it('rechaza un archivo sin subtítulos', () => {
+      expect(() => parseSrt('\n\n')).toThrow('el archivo no contiene subtítulos');
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('quita las etiquetas y las entidades y deja el texto en una línea', () => {
+      expect(toPlainText('<v Ana><b>Introducción</b></v>\n&lt;parte&nbsp;1&gt; &amp;amp;  más')).toBe(
+        'Introducción <parte 1> &amp; más'
+      );
+    });
+
+    it('devuelve un texto vacío si el cue solo tiene etiquetas', () => {
+      expect(toPlainText('<i> </i>')).toBe('');
+    });
+  });
+
+  describe('serializeVtt', () => {
+    it('formatea las marcas de tiempo con horas y milisegundos', () => {
+      expect(formatTimestamp(3723.25)).toBe('01:02:03.250');
+    });
+
+    it('convierte SRT a un WebVTT que vuelve a interpretarse igual', () => {
+      const vtt = srtToVtt('1\n00:00:01,500 --> 00:00:03,000\nHola\n');
+
+      expect(vtt).toBe('WEBVTT\n\n00:00:01.500 --> 00:00:03.000\nHola\n');
+      expect(parseVtt(vtt)).toEqual([
+        { identifier: undefined, start: 1.5, end: 3, settings: '', text: 'Hola' },
+      ]);
+      expect(serializeVtt(parseVtt(vtt))).toBe(vtt);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { logger } = require('./logger');
+
+/**
+ * Leer un número entero de una variable de entorno
+ * A diferencia de `parseInt(...) || valorPorDefecto`, respeta el 0 cuando es un valor permitido
+ * (p. ej. "sin límite"). Si la variable no está definida se usa el valor por defecto; si no es un
+ * entero o es menor que el mínimo también, y se registra una advertencia
+ * @param {string} name - Nombre de la variable de entorno
+ * @param {number} defaultValue - Valor por defecto
+ * @param {Object} options - Opciones
+ * @param {number} options.min - Valor mínimo permitido (0 por defecto)
+ * @returns {number} Valor de la variable o el valor por defecto
+ */
+const envInteger = (name, defaultValue, { min = 0 } = {}) => {
+  const raw = process.env[name];
+
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+
+  const value = parseInt(raw, 10);
+
+  if (Number.isNaN(value) || value < min) {
+    logger.warn(`${name}=${raw} no es un entero mayor o igual a ${min}; se usa ${defaultValue}`);
+    return defaultValue;
+  }
+
+  return value;
+};
+
+module.exports = {
+  envInteger,
+};
@@ -7,10 +7,12 @@ class ErrorResponse extends Error {
      * Crear una instancia de ErrorResponse
      * @param {string} message - Mensaje de error
      * @param {number} statusCode - Código de estado HTTP
+     * @param {string} errorCode - Código de error para que el cliente identifique el caso (opcional)
      */
-    constructor(message, statusCode) {
+    constructor(message, statusCode, errorCode = null) {
       super(message);
       this.statusCode = statusCode;
+      this.errorCode = errorCode;
     }
   }
   
@@ -0,0 +1,79 @@
+const { spawn } = require('child_process');
+
+/**
+ * Ejecutar un comando y obtener su salida estándar
+ * Se conserva el final de la salida de error para informar el motivo de un fallo
+ * @param {string} command - Ejecutable
+ * @param {Array<string>} args - Argumentos
+ * @returns {Promise<string>} Salida estándar
+ */
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    child.on('error', (error) => {
+      reject(new Error(`No se pudo ejecutar ${command}: ${error.message}`));
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        const lastLine = stderr.trim().split('\n').pop();
+        return reject(new Error(`${command} terminó con código ${code}: ${lastLine}`));
+      }
+
+      resolve(Buffer.concat(stdout).toString());
+    });
+  });
+
+/**
+ * Ejecutar ffmpeg (ruta configurable con FFMPEG_PATH)
+ * @param {Array<string>} args - Argumentos
+ * @returns {Promise<string>} Salida estándar
+ */
+const ffmpeg = (args) => run(process.env.FFMPEG_PATH || 'ffmpeg', ['-hide_banner', '-nostdin', '-y', ...args]);
+
+/**
+ * Obtener la información de formato y pistas de un archivo con ffprobe
+ * (ruta configurable con FFPROBE_PATH)
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>} Objeto con format y streams
+ */
+const probe = async (filePath) => {
+  const output = await run(process.env.FFPROBE_PATH || 'ffprobe', [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath,
+  ]);
+
+  return JSON.parse(output);
+};
+
+/**
+ * Obtener las dimensiones con que se muestra una pista de video
+ * Los videos grabados con el teléfono en vertical guardan una rotación que ffmpeg aplica al procesarlos
+ * @param {Object} stream - Pista de video informada por ffprobe
+ * @returns {Object} Ancho y alto
+ */
+const getDisplaySize = (stream) => {
+  const rotationData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = Math.abs(parseInt(rotationData ? rotationData.rotation : (stream.tags || {}).rotate, 10) || 0);
+
+  return rotation % 180 === 90
+    ? { width: stream.height, height: stream.width }
+    : { width: stream.width, height: stream.height };
+};
+
+module.exports = {
+  ffmpeg,
+  probe,
+  getDisplaySize,
+};
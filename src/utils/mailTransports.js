@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Transporte SMTP basado en nodemailer (uso en producción)
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - Opciones de conexión SMTP
+   * @param {string} options.host - Servidor SMTP
+   * @param {number} options.port - Puerto SMTP
+   * @param {boolean} options.secure - Usar TLS desde el inicio de la conexión
+   * @param {string} options.user - Usuario SMTP
+   * @param {string} options.password - Contraseña SMTP
+   */
+  constructor(options) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined,
+    });
+  }
+
+  /**
+   * Enviar un mensaje
+   * @param {Object} message - Mensaje con from, to, subject, text y html
+   * @returns {Promise<Object>} Identificador del mensaje enviado
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Transporte que escribe cada mensaje como archivo JSON (desarrollo local)
+ */
+class FileTransport {
+  /**
+   * @param {Object} options - Opciones del transporte
+   * @param {string} options.directory - Directorio donde se guardan los mensajes
+   */
+  constructor(options) {
+    this.name = 'file';
+    this.directory = options.directory;
+  }
+
+  /**
+   * Guardar un mensaje en disco
+   * @param {Object} message - Mensaje con from, to, subject, text y html
+   * @returns {Promise<Object>} Identificador y ruta del archivo generado
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId, filePath };
+  }
+}
+
+/**
+ * Transporte que conserva los mensajes en memoria (pruebas)
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  /**
+   * Almacenar un mensaje en memoria
+   * @param {Object} message - Mensaje con from, to, subject, text y html
+   * @returns {Promise<Object>} Identificador del mensaje
+   */
+  async send(message) {
+    const messageId = `${Date.now()}-${this.sent.length + 1}`;
+    this.sent.push({ ...message, messageId, date: new Date() });
+    return { messageId };
+  }
+
+  /**
+   * Vaciar la bandeja de mensajes enviados
+   */
+  clear() {
+    this.sent = [];
+  }
+}
+
+/**
+ * Crear un transporte de correo según su nombre
+ * @param {string} name - Nombre del transporte (smtp, file o memory)
+ * @param {Object} options - Opciones específicas del transporte
+ * @returns {Object} Instancia del transporte
+ */
+const createTransport = (name, options = {}) => {
+  switch (name) {
+    case 'smtp':
+      return new SmtpTransport(options);
+    case 'file':
+      return new FileTransport(options);
+    case 'memory':
+      return new MemoryTransport();
+    default:
+      throw new Error(`Transporte de correo no soportado: ${name}`);
+  }
+};
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  MemoryTransport,
+  createTransport,
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Operaciones de consulta que excluyen los documentos en la papelera
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+];
+
+/**
+ * Plugin de Mongoose para la eliminación lógica (papelera)
+ *
+ * Agrega `deletedAt` y `deletedBy` y excluye los documentos eliminados de todas las consultas,
+ * salvo que el filtro incluya `deletedAt` o la consulta se ejecute con `setOptions({ withDeleted: true })`.
+ * Las eliminaciones físicas (deleteOne, deleteMany) no se filtran para poder vaciar la papelera
+ * @param {mongoose.Schema} schema - Esquema al que se aplica
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  });
+
+  schema.pre(QUERY_OPERATIONS, function () {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) {
+      return;
+    }
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Enviar a la papelera
+  schema.methods.softDelete = function (userId, deletedAt = new Date()) {
+    this.deletedAt = deletedAt;
+    this.deletedBy = userId;
+
+    return this.save();
+  };
+
+  // Sacar de la papelera
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+
+    return this.save();
+  };
+
+  schema.index({ deletedAt: 1 });
+};
+
+module.exports = softDeletePlugin;
@@ -0,0 +1,965 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const multerS3 = require('multer-s3');
+const { getS3, getCloudFrontSigner, isCloudFrontConfigured } = require('../config/aws');
+const { logger } = require('./logger');
+
+/**
+ * Drivers de almacenamiento de archivos
+ *
+ * Todos exponen la misma interfaz:
+ * - put(key, body, contentType): guardar un archivo
+ * - createPresignedUpload(key, contentType, size, expiresIn): subida directa desde el cliente
+ * - getSignedUrl(key, expiresIn): URL temporal de reproducción o descarga
+ * - supportsSignedCookies(), getUrl(key) y getSignedCookies(prefix, expiresIn): reproducción de todos
+ *   los archivos de un prefijo (segmentos HLS) con cookies firmadas, si el driver lo permite
+ * - download(key, filePath): copiar un archivo a disco
+ * - delete(key) y deletePrefix(prefix): eliminar un archivo o todos los de un prefijo
+ * - list(prefix): archivos de un prefijo con { key, size, lastModified }
+ * - head(key): metadatos { size, contentType, lastModified } o null si no existe
+ * - createMultipartUpload, getPresignedPartUrl, listParts, completeMultipartUpload
+ *   y abortMultipartUpload: subidas por partes reanudables
+ * - multerStorage(getKey): motor de almacenamiento para multer
+ */
+
+/**
+ * Driver sobre un bucket de S3, con reproducción firmada por CloudFront
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options - Opciones del driver
+   * @param {string} options.bucket - Bucket de S3
+   * @param {string} options.cloudFrontDomain - Dominio de CloudFront para reproducción
+   */
+  constructor(options) {
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.cloudFrontDomain = options.cloudFrontDomain;
+  }
+
+  /**
+   * Guardar un archivo
+   * @param {string} key - Clave del objeto
+   * @param {Buffer|string|Stream} body - Contenido
+   * @param {string} contentType - Tipo MIME
+   */
+  async put(key, body, contentType) {
+    try {
+      await getS3().upload({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      }).promise();
+    } catch (error) {
+      logger.error(`Error al guardar archivo en S3: ${error.message}`);
+      throw new Error('No se pudo guardar el archivo');
+    }
+  }
+
+  /**
+   * Generar una política POST prefirmada para subir un archivo directamente a S3
+   * La política limita el tamaño y el tipo de contenido del archivo
+   * @param {string} key - Clave del objeto
+   * @param {string} contentType - Tipo MIME esperado
+   * @param {number} size - Tamaño exacto esperado en bytes
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {Promise<Object>} Método, URL y campos del formulario de subida
+   */
+  createPresignedUpload(key, contentType, size, expiresIn = 3600) {
+    return new Promise((resolve, reject) => {
+      getS3().createPresignedPost(
+        {
+          Bucket: this.bucket,
+          Fields: {
+            key,
+            'Content-Type': contentType,
+          },
+          Conditions: [
+            ['content-length-range', size, size],
+            ['eq', '$Content-Type', contentType],
+          ],
+          Expires: expiresIn,
+        },
+        (error, data) => {
+          if (error) {
+            logger.error(`Error al generar política de subida: ${error.message}`);
+            return reject(new Error('No se pudo generar la URL de subida'));
+          }
+
+          resolve({ method: 'POST', url: data.url, fields: data.fields });
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener una URL firmada para reproducción segura
+   * Se firma con CloudFront si está configurado; si no, con una URL prefirmada de S3
+   * @param {string} key - Clave del objeto
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {Promise<string>} URL firmada
+   */
+  async getSignedUrl(key, expiresIn = 3600) {
+    try {
+      if (isCloudFrontConfigured()) {
+        return getCloudFrontSigner().getSignedUrl({
+          url: `${this.cloudFrontDomain}/${key}`,
+          expires: Math.floor(Date.now() / 1000) + expiresIn,
+        });
+      }
+
+      return await getS3().getSignedUrlPromise('getObject', {
+        Bucket: this.bucket,
+        Key: key,
+        Expires: expiresIn,
+      });
+    } catch (error) {
+      logger.error(`Error al generar URL firmada: ${error.message}`);
+      throw new Error('No se pudo generar la URL firmada para el video');
+    }
+  }
+
+  /**
+   * Indicar si pueden emitirse cookies firmadas (requiere CloudFront)
+   * @returns {boolean}
+   */
+  supportsSignedCookies() {
+    return isCloudFrontConfigured();
+  }
+
+  /**
+   * Obtener la URL sin firmar de un archivo, para usarla con cookies firmadas
+   * @param {string} key - Clave del objeto
+   * @returns {string} URL en CloudFront
+   */
+  getUrl(key) {
+    return `${this.cloudFrontDomain}/${key}`;
+  }
+
+  /**
+   * Generar cookies firmadas de CloudFront para todos los archivos de un prefijo
+   * Usan una política personalizada limitada al prefijo y al vencimiento, a diferencia de una URL firmada,
+   * que solo autoriza un objeto y no sirve para los segmentos que referencia una lista HLS
+   * @param {string} prefix - Prefijo autorizado (p. ej. videos/abc/hls/)
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {Object|null} Ruta de las cookies y sus valores, o null si CloudFront no está configurado
+   */
+  getSignedCookies(prefix, expiresIn = 3600) {
+    if (!isCloudFrontConfigured()) {
+      return null;
+    }
+
+    try {
+      const policy = JSON.stringify({
+        Statement: [
+          {
+            Resource: `${this.cloudFrontDomain}/${prefix}*`,
+            Condition: {
+              DateLessThan: { 'AWS:EpochTime': Math.floor(Date.now() / 1000) + expiresIn },
+            },
+          },
+        ],
+      });
+
+      return {
+        // Cada video usa su propia ruta para que las cookies de varios videos no se reemplacen entre sí
+        path: `/${prefix}`,
+        values: getCloudFrontSigner().getSignedCookie({ policy }),
+      };
+    } catch (error) {
+      logger.error(`Error al generar cookies firmadas: ${error.message}`);
+      throw new Error('No se pudieron generar las cookies de reproducción');
+    }
+  }
+
+  /**
+   * Descargar un archivo a disco
+   * @param {string} key - Clave del objeto
+   * @param {string} filePath - Ruta de destino
+   */
+  async download(key, filePath) {
+    try {
+      const stream = getS3().getObject({
+        Bucket: this.bucket,
+        Key: key,
+      }).createReadStream();
+
+      await pipeline(stream, fs.createWriteStream(filePath));
+    } catch (error) {
+      logger.error(`Error al descargar archivo de S3: ${error.message}`);
+      throw new Error('No se pudo descargar el archivo');
+    }
+  }
+
+  /**
+   * Eliminar un archivo
+   * @param {string} key - Clave del objeto
+   */
+  async delete(key) {
+    try {
+      await getS3().deleteObject({
+        Bucket: this.bucket,
+        Key: key,
+      }).promise();
+    } catch (error) {
+      logger.error(`Error al eliminar archivo de S3: ${error.message}`);
+      throw new Error('No se pudo eliminar el archivo');
+    }
+  }
+
+  /**
+   * Eliminar todos los archivos bajo un prefijo
+   * @param {string} prefix - Prefijo de las claves (terminado en /)
+   */
+  async deletePrefix(prefix) {
+    try {
+      let continuationToken;
+
+      do {
+        const result = await getS3().listObjectsV2({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }).promise();
+
+        if (result.Contents.length > 0) {
+          await getS3().deleteObjects({
+            Bucket: this.bucket,
+            Delete: { Objects: result.Contents.map(object => ({ Key: object.Key })) },
+          }).promise();
+        }
+
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (continuationToken);
+    } catch (error) {
+      logger.error(`Error al eliminar archivos de S3: ${error.message}`);
+      throw new Error('No se pudieron eliminar los archivos');
+    }
+  }
+
+  /**
+   * Listar los archivos bajo un prefijo
+   * @param {string} prefix - Prefijo de las claves (terminado en /)
+   * @returns {Promise<Array>} Clave, tamaño y fecha de modificación de cada archivo
+   */
+  async list(prefix) {
+    try {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const result = await getS3().listObjectsV2({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }).promise();
+
+        files.push(...result.Contents.map(object => ({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+        })));
+
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return files;
+    } catch (error) {
+      logger.error(`Error al listar archivos de S3: ${error.message}`);
+      throw new Error('No se pudieron listar los archivos');
+    }
+  }
+
+  /**
+   * Obtener los metadatos de un archivo
+   * @param {string} key - Clave del objeto
+   * @returns {Promise<Object|null>} Tamaño, tipo y fecha de modificación, o null si no existe
+   */
+  async head(key) {
+    try {
+      const metadata = await getS3().headObject({
+        Bucket: this.bucket,
+        Key: key,
+      }).promise();
+
+      return {
+        size: metadata.ContentLength,
+        contentType: metadata.ContentType,
+        lastModified: metadata.LastModified,
+      };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) {
+        return null;
+      }
+
+      logger.error(`Error al consultar archivo de S3: ${error.message}`);
+      throw new Error('No se pudo consultar el archivo');
+    }
+  }
+
+  /**
+   * Iniciar una subida multiparte
+   * @param {string} key - Clave del objeto
+   * @param {string} contentType - Tipo MIME del archivo
+   * @returns {Promise<string>} ID de la subida multiparte
+   */
+  async createMultipartUpload(key, contentType) {
+    try {
+      const result = await getS3().createMultipartUpload({
+        Bucket: this.bucket,
+        Key: key,
+        ContentType: contentType,
+      }).promise();
+
+      return result.UploadId;
+    } catch (error) {
+      logger.error(`Error al iniciar subida multiparte: ${error.message}`);
+      throw new Error('No se pudo iniciar la subida multiparte');
+    }
+  }
+
+  /**
+   * Generar una URL prefirmada para subir una parte con PUT
+   * @param {string} key - Clave del objeto
+   * @param {string} uploadId - ID de la subida multiparte
+   * @param {number} partNumber - Número de parte (1 a 10000)
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {Promise<string>} URL de subida de la parte
+   */
+  getPresignedPartUrl(key, uploadId, partNumber, expiresIn = 3600) {
+    return getS3().getSignedUrlPromise('uploadPart', {
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Expires: expiresIn,
+    });
+  }
+
+  /**
+   * Listar las partes ya subidas de una subida multiparte
+   * @param {string} key - Clave del objeto
+   * @param {string} uploadId - ID de la subida multiparte
+   * @returns {Promise<Array>} Partes con partNumber, size y etag
+   */
+  async listParts(key, uploadId) {
+    try {
+      const parts = [];
+      let marker;
+
+      do {
+        const result = await getS3().listParts({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: marker,
+        }).promise();
+
+        parts.push(...result.Parts.map(part => ({
+          partNumber: part.PartNumber,
+          size: part.Size,
+          etag: part.ETag,
+        })));
+        marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+      } while (marker);
+
+      return parts;
+    } catch (error) {
+      logger.error(`Error al listar partes subidas: ${error.message}`);
+      throw new Error('No se pudieron consultar las partes subidas');
+    }
+  }
+
+  /**
+   * Completar una subida multiparte
+   * @param {string} key - Clave del objeto
+   * @param {string} uploadId - ID de la subida multiparte
+   * @param {Array} parts - Partes con partNumber y etag, en orden
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    try {
+      await getS3().completeMultipartUpload({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag })),
+        },
+      }).promise();
+    } catch (error) {
+      logger.error(`Error al completar subida multiparte: ${error.message}`);
+      throw new Error('No se pudo completar la subida multiparte');
+    }
+  }
+
+  /**
+   * Cancelar una subida multiparte y liberar sus partes
+   * Si la subida ya no existe no se considera un error
+   * @param {string} key - Clave del objeto
+   * @param {string} uploadId - ID de la subida multiparte
+   */
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await getS3().abortMultipartUpload({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+      }).promise();
+    } catch (error) {
+      if (error.code === 'NoSuchUpload') {
+        return;
+      }
+
+      logger.error(`Error al cancelar subida multiparte: ${error.message}`);
+      throw new Error('No se pudo cancelar la subida multiparte');
+    }
+  }
+
+  /**
+   * Crear el motor de almacenamiento de multer
+   * @param {Function} getKey - Genera la clave a partir del archivo recibido
+   * @returns {Object} Motor de multer-s3
+   */
+  multerStorage(getKey) {
+    return multerS3({
+      s3: getS3(),
+      bucket: this.bucket,
+      acl: 'private', // Privado para mayor seguridad
+      contentType: multerS3.AUTO_CONTENT_TYPE,
+      key: (req, file, cb) => cb(null, getKey(file)),
+      metadata: (req, file, cb) => {
+        cb(null, { fieldName: file.fieldname });
+      },
+    });
+  }
+}
+
+/**
+ * Driver sobre el disco local (desarrollo y entornos sin AWS)
+ * Las URL que genera apuntan a las rutas /storage de la propia API, firmadas con HMAC y con vencimiento
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Opciones del driver
+   * @param {string} options.directory - Directorio raíz de los archivos
+   * @param {string} options.baseUrl - URL pública de las rutas /storage de la API
+   * @param {string} options.secret - Secreto para firmar las URL
+   */
+  constructor(options) {
+    if (!options.secret) {
+      throw new Error('El driver de almacenamiento local requiere un secreto para firmar las URL');
+    }
+
+    this.name = 'local';
+    this.directory = path.resolve(options.directory);
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.secret = options.secret;
+  }
+
+  /**
+   * Resolver la ruta en disco de una clave, sin permitir salir del directorio raíz
+   * @param {string} key - Clave del archivo
+   * @returns {string} Ruta absoluta
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, 'files', key);
+
+    if (!filePath.startsWith(path.join(this.directory, 'files') + path.sep)) {
+      throw new Error(`Clave de archivo inválida: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Ruta del archivo con los metadatos de una clave
+   * @param {string} key - Clave del archivo
+   * @returns {string} Ruta absoluta
+   */
+  metadataPath(key) {
+    return `${this.resolvePath(key)}.meta.json`;
+  }
+
+  /**
+   * Directorio temporal de las partes de una subida multiparte
+   * @param {string} uploadId - ID de la subida multiparte
+   * @returns {string} Ruta absoluta
+   */
+  multipartPath(uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+      throw new Error('ID de subida multiparte inválido');
+    }
+
+    return path.join(this.directory, 'multipart', uploadId);
+  }
+
+  /**
+   * Firmar una operación
+   * @param {Object} params - Parámetros firmados (operación, clave, vencimiento y restricciones)
+   * @returns {string} Firma en hexadecimal
+   */
+  sign(params) {
+    const payload = Object.keys(params)
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('\n');
+
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Construir una URL firmada hacia las rutas /storage
+   * @param {string} route - Ruta relativa (files, uploads o parts)
+   * @param {string} resource - Recurso dentro de la ruta
+   * @param {Object} params - Parámetros adicionales a firmar
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {string} URL firmada
+   */
+  buildSignedUrl(route, resource, params, expiresIn) {
+    const query = {
+      ...params,
+      expires: Math.floor(Date.now() / 1000) + expiresIn,
+    };
+    const signature = this.sign({ ...query, route, resource });
+    const search = new URLSearchParams({ ...query, signature });
+    const encodedResource = resource.split('/').map(encodeURIComponent).join('/');
+
+    return `${this.baseUrl}/${route}/${encodedResource}?${search}`;
+  }
+
+  /**
+   * Verificar la firma y el vencimiento de una URL recibida
+   * @param {string} route - Ruta relativa (files, uploads o parts)
+   * @param {string} resource - Recurso dentro de la ruta
+   * @param {Object} query - Parámetros de la URL, incluida la firma
+   * @returns {boolean} Si la URL es válida y está vigente
+   */
+  verifySignedUrl(route, resource, query) {
+    const { signature, ...params } = query;
+    const expires = parseInt(params.expires, 10);
+
+    if (!/^[a-f0-9]{64}$/.test(signature) || !expires || expires < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign({ ...params, route, resource }), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Guardar los metadatos de un archivo
+   * @param {string} key - Clave del archivo
+   * @param {string} contentType - Tipo MIME
+   */
+  async writeMetadata(key, contentType) {
+    await fs.promises.writeFile(this.metadataPath(key), JSON.stringify({ contentType }));
+  }
+
+  /**
+   * Guardar un archivo
+   * @param {string} key - Clave del archivo
+   * @param {Buffer|string|Stream} body - Contenido
+   * @param {string} contentType - Tipo MIME
+   */
+  async put(key, body, contentType) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (typeof body.pipe === 'function') {
+      await pipeline(body, fs.createWriteStream(filePath));
+    } else {
+      await fs.promises.writeFile(filePath, body);
+    }
+
+    await this.writeMetadata(key, contentType);
+  }
+
+  /**
+   * Recibir en disco el cuerpo de una subida firmada
+   * Se corta la escritura si el cuerpo supera el tamaño máximo
+   * @param {string} filePath - Ruta de destino
+   * @param {Stream} stream - Cuerpo de la solicitud
+   * @param {number} maxSize - Tamaño máximo en bytes
+   * @returns {Promise<number>} Bytes escritos
+   */
+  async receive(filePath, stream, maxSize) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let received = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+
+        if (received > maxSize) {
+          return callback(new Error('El archivo supera el tamaño permitido'));
+        }
+
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(stream, counter, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return received;
+  }
+
+  /**
+   * Recibir un archivo subido con una URL firmada
+   * @param {string} key - Clave del archivo
+   * @param {Stream} stream - Cuerpo de la solicitud
+   * @param {string} contentType - Tipo MIME firmado
+   * @param {number} size - Tamaño máximo firmado en bytes
+   */
+  async receiveUpload(key, stream, contentType, size) {
+    await this.receive(this.resolvePath(key), stream, size);
+    await this.writeMetadata(key, contentType);
+  }
+
+  /**
+   * Recibir una parte de una subida multiparte
+   * @param {string} uploadId - ID de la subida multiparte
+   * @param {number} partNumber - Número de parte
+   * @param {Stream} stream - Cuerpo de la solicitud
+   * @param {number} maxSize - Tamaño máximo de la parte en bytes
+   * @returns {Promise<boolean>} false si la subida ya no existe
+   */
+  async receivePart(uploadId, partNumber, stream, maxSize) {
+    try {
+      await fs.promises.access(path.join(this.multipartPath(uploadId), 'upload.json'));
+    } catch (error) {
+      return false;
+    }
+
+    await this.receive(this.partPath(uploadId, partNumber), stream, maxSize);
+
+    return true;
+  }
+
+  /**
+   * Generar una URL firmada para subir un archivo con PUT
+   * La firma fija el tamaño y el tipo de contenido del archivo
+   * @param {string} key - Clave del archivo
+   * @param {string} contentType - Tipo MIME esperado
+   * @param {number} size - Tamaño exacto esperado en bytes
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {Promise<Object>} Método, URL y cabeceras de la subida
+   */
+  async createPresignedUpload(key, contentType, size, expiresIn = 3600) {
+    this.resolvePath(key);
+
+    return {
+      method: 'PUT',
+      url: this.buildSignedUrl('uploads', key, { contentType, size }, expiresIn),
+      headers: { 'Content-Type': contentType },
+    };
+  }
+
+  /**
+   * Obtener una URL firmada para reproducción o descarga
+   * @param {string} key - Clave del archivo
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {Promise<string>} URL firmada
+   */
+  async getSignedUrl(key, expiresIn = 3600) {
+    this.resolvePath(key);
+    return this.buildSignedUrl('files', key, {}, expiresIn);
+  }
+
+  /**
+   * Las URL firmadas con HMAC autorizan un solo archivo: no hay cookies firmadas
+   * @returns {boolean}
+   */
+  supportsSignedCookies() {
+    return false;
+  }
+
+  /**
+   * Sin cookies firmadas no se entregan URL sin firmar
+   * @returns {null}
+   */
+  getUrl() {
+    return null;
+  }
+
+  /**
+   * Sin cookies firmadas
+   * @returns {null}
+   */
+  getSignedCookies() {
+    return null;
+  }
+
+  /**
+   * Descargar un archivo a disco
+   * @param {string} key - Clave del archivo
+   * @param {string} filePath - Ruta de destino
+   */
+  async download(key, filePath) {
+    await fs.promises.copyFile(this.resolvePath(key), filePath);
+  }
+
+  /**
+   * Eliminar un archivo (no falla si no existe)
+   * @param {string} key - Clave del archivo
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+    await fs.promises.rm(this.metadataPath(key), { force: true });
+  }
+
+  /**
+   * Eliminar todos los archivos bajo un prefijo
+   * @param {string} prefix - Prefijo de las claves (terminado en /)
+   */
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolvePath(prefix), { recursive: true, force: true });
+  }
+
+  /**
+   * Listar los archivos bajo un prefijo (sin los archivos de metadatos)
+   * @param {string} prefix - Prefijo de las claves (terminado en /)
+   * @returns {Promise<Array>} Clave, tamaño y fecha de modificación de cada archivo
+   */
+  async list(prefix) {
+    const root = path.join(this.directory, 'files');
+    const files = [];
+
+    const walk = async (directory) => {
+      let entries;
+
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (!entry.name.endsWith('.meta.json')) {
+          const stats = await fs.promises.stat(entryPath);
+
+          files.push({
+            key: path.relative(root, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime,
+          });
+        }
+      }
+    };
+
+    await walk(this.resolvePath(prefix));
+
+    return files;
+  }
+
+  /**
+   * Obtener los metadatos de un archivo
+   * @param {string} key - Clave del archivo
+   * @returns {Promise<Object|null>} Tamaño, tipo y fecha de modificación, o null si no existe
+   */
+  async head(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      let contentType = 'application/octet-stream';
+
+      try {
+        ({ contentType } = JSON.parse(await fs.promises.readFile(this.metadataPath(key), 'utf8')));
+      } catch (error) {
+        // Archivo sin metadatos: se informa como binario genérico
+      }
+
+      return {
+        size: stats.size,
+        contentType,
+        lastModified: stats.mtime,
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Iniciar una subida multiparte
+   * Las partes se guardan en un directorio temporal hasta completar la subida
+   * @param {string} key - Clave del archivo
+   * @param {string} contentType - Tipo MIME del archivo
+   * @returns {Promise<string>} ID de la subida multiparte
+   */
+  async createMultipartUpload(key, contentType) {
+    this.resolvePath(key);
+
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const directory = this.multipartPath(uploadId);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(directory, 'upload.json'),
+      JSON.stringify({ key, contentType })
+    );
+
+    return uploadId;
+  }
+
+  /**
+   * Ruta en disco de una parte
+   * @param {string} uploadId - ID de la subida multiparte
+   * @param {number} partNumber - Número de parte
+   * @returns {string} Ruta absoluta
+   */
+  partPath(uploadId, partNumber) {
+    return path.join(this.multipartPath(uploadId), `part-${String(partNumber).padStart(5, '0')}`);
+  }
+
+  /**
+   * Generar una URL firmada para subir una parte con PUT
+   * @param {string} key - Clave del archivo
+   * @param {string} uploadId - ID de la subida multiparte
+   * @param {number} partNumber - Número de parte
+   * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @returns {Promise<string>} URL de subida de la parte
+   */
+  async getPresignedPartUrl(key, uploadId, partNumber, expiresIn = 3600) {
+    return this.buildSignedUrl('parts', `${uploadId}/${partNumber}`, { key }, expiresIn);
+  }
+
+  /**
+   * Listar las partes ya subidas de una subida multiparte
+   * @param {string} key - Clave del archivo
+   * @param {string} uploadId - ID de la subida multiparte
+   * @returns {Promise<Array>} Partes con partNumber, size y etag
+   */
+  async listParts(key, uploadId) {
+    let entries;
+
+    try {
+      entries = await fs.promises.readdir(this.multipartPath(uploadId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('La subida multiparte no existe');
+      }
+
+      throw error;
+    }
+
+    const parts = [];
+
+    for (const entry of entries.filter(name => name.startsWith('part-')).sort()) {
+      const partNumber = parseInt(entry.slice(5), 10);
+      const stats = await fs.promises.stat(this.partPath(uploadId, partNumber));
+
+      parts.push({
+        partNumber,
+        size: stats.size,
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+      });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Completar una subida multiparte uniendo las partes en orden
+   * @param {string} key - Clave del archivo
+   * @param {string} uploadId - ID de la subida multiparte
+   * @param {Array} parts - Partes con partNumber, en orden
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    const directory = this.multipartPath(uploadId);
+    const { contentType } = JSON.parse(
+      await fs.promises.readFile(path.join(directory, 'upload.json'), 'utf8')
+    );
+    const filePath = this.resolvePath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const output = fs.createWriteStream(filePath);
+
+    for (const part of parts) {
+      await pipeline(fs.createReadStream(this.partPath(uploadId, part.partNumber)), output, { end: false });
+    }
+
+    output.end();
+    await new Promise((resolve, reject) => {
+      output.on('finish', resolve);
+      output.on('error', reject);
+    });
+
+    await this.writeMetadata(key, contentType);
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Cancelar una subida multiparte y eliminar sus partes
+   * @param {string} key - Clave del archivo
+   * @param {string} uploadId - ID de la subida multiparte
+   */
+  async abortMultipartUpload(key, uploadId) {
+    await fs.promises.rm(this.multipartPath(uploadId), { recursive: true, force: true });
+  }
+
+  /**
+   * Crear el motor de almacenamiento de multer
+   * @param {Function} getKey - Genera la clave a partir del archivo recibido
+   * @returns {Object} Motor de almacenamiento compatible con multer
+   */
+  multerStorage(getKey) {
+    return {
+      _handleFile: (req, file, cb) => {
+        const key = getKey(file);
+
+        this.put(key, file.stream, file.mimetype)
+          .then(() => fs.promises.stat(this.resolvePath(key)))
+          .then(stats => cb(null, { key, size: stats.size, contentType: file.mimetype }))
+          .catch(cb);
+      },
+      _removeFile: (req, file, cb) => {
+        this.delete(file.key).then(() => cb(null), cb);
+      },
+    };
+  }
+}
+
+/**
+ * Crear un driver de almacenamiento según su nombre
+ * @param {string} name - Nombre del driver (s3 o local)
+ * @param {Object} options - Opciones específicas del driver
+ * @returns {Object} Instancia del driver
+ */
+const createStorageDriver = (name, options = {}) => {
+  switch (name) {
+    case 's3':
+      return new S3StorageDriver(options);
+    case 'local':
+      return new LocalStorageDriver(options);
+    default:
+      throw new Error(`Driver de almacenamiento no soportado: ${name}`);
+  }
+};
+
+module.exports = {
+  S3StorageDriver,
+  LocalStorageDriver,
+  createStorageDriver,
+};
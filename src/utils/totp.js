@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+/**
+ * Utilidades para contraseñas de un solo uso basadas en tiempo (TOTP, RFC 6238)
+ * Compatibles con Google Authenticator, Authy y similares (SHA-1, 6 dígitos, 30 s)
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Codificar un buffer en base32 (sin relleno)
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {string} Texto en base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodificar un texto en base32
+ * @param {string} input - Texto en base32
+ * @returns {Buffer} Datos decodificados
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generar un secreto aleatorio en base32
+ * @param {number} size - Tamaño del secreto en bytes
+ * @returns {string} Secreto en base32
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Obtener el intervalo de tiempo (paso) correspondiente a una fecha
+ * @param {number} timestamp - Marca de tiempo en milisegundos
+ * @returns {number} Paso TOTP
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / PERIOD);
+
+/**
+ * Generar el código para un paso determinado
+ * @param {string} secret - Secreto en base32
+ * @param {number} step - Paso TOTP
+ * @returns {string} Código de 6 dígitos
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verificar un código admitiendo un desfase de reloj
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código ingresado por el usuario
+ * @param {number} window - Pasos de tolerancia antes y después del actual
+ * @returns {number|null} Paso en el que el código es válido, o null
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construir el URI otpauth para registrar el secreto en una aplicación
+ * @param {string} secret - Secreto en base32
+ * @param {string} accountName - Nombre de la cuenta (correo del usuario)
+ * @param {string} issuer - Emisor mostrado en la aplicación
+ * @returns {string} URI otpauth://
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getTimeStep,
+  buildOtpauthUri,
+};
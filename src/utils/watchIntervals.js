@@ -0,0 +1,114 @@
+/**
+ * Utilidades para los intervalos vistos de un video
+ * Un intervalo es un rango { start, end } en segundos del video
+ */
+
+/**
+ * Unir intervalos superpuestos o contiguos
+ * @param {Array<Object>} intervals - Intervalos en cualquier orden
+ * @returns {Array<Object>} Intervalos ordenados y sin superposiciones
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter(interval => interval.end > interval.start)
+    .map(interval => ({ start: interval.start, end: interval.end }))
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push(interval);
+    }
+
+    return merged;
+  }, []);
+};
+
+/**
+ * Sumar la duración de una lista de intervalos sin superposiciones
+ * @param {Array<Object>} intervals - Intervalos
+ * @returns {number} Segundos
+ */
+const totalLength = (intervals) => intervals.reduce((total, interval) => total + (interval.end - interval.start), 0);
+
+/**
+ * Limitar un intervalo a la duración del video
+ * @param {Object} interval - Intervalo
+ * @param {number} duration - Duración del video en segundos (0 si no se conoce)
+ * @returns {Object} Intervalo limitado
+ */
+const clampInterval = (interval, duration) => {
+  const max = duration > 0 ? duration : Infinity;
+
+  return {
+    start: Math.min(Math.max(interval.start, 0), max),
+    end: Math.min(Math.max(interval.end, 0), max),
+  };
+};
+
+/**
+ * Obtener las partes de un intervalo que aún no se vieron
+ * @param {Object} interval - Intervalo
+ * @param {Array<Object>} watched - Intervalos ya vistos (ordenados y sin superposiciones)
+ * @returns {Array<Object>} Partes sin ver, en orden
+ */
+const uncoveredParts = (interval, watched) => {
+  const parts = [];
+  let cursor = interval.start;
+
+  watched.forEach((range) => {
+    if (range.end <= cursor || range.start >= interval.end) {
+      return;
+    }
+
+    if (range.start > cursor) {
+      parts.push({ start: cursor, end: range.start });
+    }
+
+    cursor = Math.max(cursor, range.end);
+  });
+
+  if (cursor < interval.end) {
+    parts.push({ start: cursor, end: interval.end });
+  }
+
+  return parts;
+};
+
+/**
+ * Agregar intervalos nuevos a los ya vistos sin que lo nuevo supere un máximo de segundos
+ * Las partes sin ver se aceptan en el orden recibido hasta agotar el máximo
+ * @param {Array<Object>} watched - Intervalos ya vistos
+ * @param {Array<Object>} intervals - Intervalos nuevos
+ * @param {number} maxNewSeconds - Segundos nuevos que se aceptan como máximo
+ * @returns {Array<Object>} Intervalos vistos actualizados
+ */
+const addIntervals = (watched, intervals, maxNewSeconds) => {
+  let result = mergeIntervals(watched);
+  let remaining = maxNewSeconds;
+
+  intervals.forEach((interval) => {
+    uncoveredParts(interval, result).forEach((part) => {
+      const length = Math.min(part.end - part.start, remaining);
+
+      if (length <= 0) {
+        return;
+      }
+
+      remaining -= length;
+      result = mergeIntervals([...result, { start: part.start, end: part.start + length }]);
+    });
+  });
+
+  return result;
+};
+
+module.exports = {
+  mergeIntervals,
+  totalLength,
+  clampInterval,
+  addIntervals,
+};
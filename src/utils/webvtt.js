@@ -0,0 +1,287 @@
+/**
+ * Utilidades para subtítulos en formato WebVTT y SRT
+ * Los archivos se validan cue por cue y los errores indican el número de línea
+ */
+
+// Marca de tiempo WebVTT: [hh:]mm:ss.ttt
+const VTT_TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+// Marca de tiempo SRT: hh:mm:ss,ttt (se toleran horas de un dígito y punto decimal)
+const SRT_TIMESTAMP = /^(\d{1,}):([0-5]\d):([0-5]\d)[,.](\d{3})$/;
+
+// Cantidad máxima de errores informados
+const MAX_REPORTED_ERRORS = 5;
+
+/**
+ * Error de formato de un archivo de subtítulos
+ */
+class CaptionFormatError extends Error {
+  /**
+   * @param {Array<string>} errors - Errores encontrados
+   */
+  constructor(errors) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    const more = errors.length - shown.length;
+
+    super(`Archivo de subtítulos inválido: ${shown.join('; ')}${more > 0 ? ` (y ${more} errores más)` : ''}`);
+    this.name = 'CaptionFormatError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Convertir una marca de tiempo en segundos
+ * @param {string} value - Marca de tiempo
+ * @param {RegExp} pattern - Formato esperado
+ * @returns {number|null} Segundos, o null si el formato es inválido
+ */
+const parseTimestamp = (value, pattern) => {
+  const match = pattern.exec(value.trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, hours, minutes, seconds, milliseconds] = match;
+
+  return (parseInt(hours || '0', 10) * 3600) +
+    (parseInt(minutes, 10) * 60) +
+    parseInt(seconds, 10) +
+    (parseInt(milliseconds, 10) / 1000);
+};
+
+/**
+ * Formatear segundos como marca de tiempo WebVTT (hh:mm:ss.ttt)
+ * @param {number} totalSeconds - Segundos
+ * @returns {string}
+ */
+const formatTimestamp = (totalSeconds) => {
+  const totalMs = Math.round(totalSeconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const milliseconds = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(seconds).padStart(2, '0')}.${String(milliseconds).padStart(3, '0')}`;
+};
+
+/**
+ * Normalizar el texto: sin BOM y con saltos de línea \n
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<string>} Líneas
+ */
+const splitLines = (text) => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+/**
+ * Agrupar las líneas en bloques separados por líneas vacías
+ * @param {Array<string>} lines - Líneas del archivo
+ * @returns {Array<Object>} Bloques con sus líneas y la línea (1-based) donde empiezan
+ */
+const splitBlocks = (lines) => {
+  const blocks = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = { lineNumber: index + 1, lines: [] };
+      blocks.push(current);
+    }
+
+    current.lines.push(line);
+  });
+
+  return blocks;
+};
+
+/**
+ * Interpretar la línea de tiempos de un cue
+ * @param {string} line - Línea con "inicio --> fin [ajustes]"
+ * @param {RegExp} pattern - Formato de las marcas de tiempo
+ * @returns {Object|string} Inicio, fin y ajustes, o el mensaje de error
+ */
+const parseTimingLine = (line, pattern) => {
+  const [startText, rest] = line.split('-->');
+  const [endText, ...settings] = (rest || '').trim().split(/\s+/);
+  const start = parseTimestamp(startText, pattern);
+  const end = parseTimestamp(endText || '', pattern);
+
+  if (start === null || end === null) {
+    return 'marca de tiempo inválida';
+  }
+
+  if (end <= start) {
+    return 'el final del cue debe ser posterior a su inicio';
+  }
+
+  return { start, end, settings: settings.join(' ') };
+};
+
+/**
+ * Interpretar y validar un archivo WebVTT
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object>} Cues con identifier, start, end (segundos), settings y text
+ * @throws {CaptionFormatError} Si el archivo no es un WebVTT válido
+ */
+const parseVtt = (text) => {
+  const lines = splitLines(text);
+
+  if (!/^WEBVTT([ \t].*)?$/.test(lines[0])) {
+    throw new CaptionFormatError(['línea 1: el archivo debe comenzar con "WEBVTT"']);
+  }
+
+  const errors = [];
+  const cues = [];
+  let previousStart = 0;
+
+  // El primer bloque es la cabecera
+  splitBlocks(lines).slice(1).forEach((block) => {
+    const [firstLine] = block.lines;
+
+    // Comentarios, estilos y regiones no son cues
+    if (/^(NOTE|STYLE|REGION)([ \t]|$)/.test(firstLine)) {
+      return;
+    }
+
+    const hasIdentifier = !firstLine.includes('-->');
+    const timingIndex = hasIdentifier ? 1 : 0;
+    const timingLine = block.lines[timingIndex];
+    const lineNumber = block.lineNumber + timingIndex;
+
+    if (!timingLine || !timingLine.includes('-->')) {
+      errors.push(`línea ${block.lineNumber}: falta la línea de tiempos del cue`);
+      return;
+    }
+
+    const timing = parseTimingLine(timingLine, VTT_TIMESTAMP);
+
+    if (typeof timing === 'string') {
+      errors.push(`línea ${lineNumber}: ${timing}`);
+      return;
+    }
+
+    if (timing.start < previousStart) {
+      errors.push(`línea ${lineNumber}: los cues deben estar ordenados por su inicio`);
+    }
+
+    const textLines = block.lines.slice(timingIndex + 1);
+
+    if (textLines.some(line => line.includes('-->'))) {
+      errors.push(`línea ${lineNumber}: el texto del cue no puede contener "-->"`);
+      return;
+    }
+
+    previousStart = timing.start;
+    cues.push({
+      identifier: hasIdentifier ? firstLine.trim() : undefined,
+      start: timing.start,
+      end: timing.end,
+      settings: timing.settings,
+      text: textLines.join('\n'),
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new CaptionFormatError(errors);
+  }
+
+  return cues;
+};
+
+/**
+ * Interpretar y validar un archivo SRT
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object>} Cues con start, end (segundos) y text
+ * @throws {CaptionFormatError} Si el archivo no es un SRT válido
+ */
+const parseSrt = (text) => {
+  const errors = [];
+  const cues = [];
+
+  splitBlocks(splitLines(text)).forEach((block) => {
+    // El número de secuencia es opcional para tolerar archivos editados a mano
+    const timingIndex = /^\d+$/.test(block.lines[0].trim()) ? 1 : 0;
+    const timingLine = block.lines[timingIndex];
+    const lineNumber = block.lineNumber + timingIndex;
+
+    if (!timingLine || !timingLine.includes('-->')) {
+      errors.push(`línea ${lineNumber}: falta la línea de tiempos del subtítulo`);
+      return;
+    }
+
+    const timing = parseTimingLine(timingLine, SRT_TIMESTAMP);
+
+    if (typeof timing === 'string') {
+      errors.push(`línea ${lineNumber}: ${timing}`);
+      return;
+    }
+
+    cues.push({
+      start: timing.start,
+      end: timing.end,
+      // WebVTT admite <b>, <i> y <u>, pero no las etiquetas <font> habituales en SRT
+      text: block.lines.slice(timingIndex + 1).join('\n').replace(/<\/?font[^>]*>/gi, ''),
+    });
+  });
+
+  if (cues.length === 0 && errors.length === 0) {
+    errors.push('el archivo no contiene subtítulos');
+  }
+
+  if (errors.length > 0) {
+    throw new CaptionFormatError(errors);
+  }
+
+  // SRT no exige orden; WebVTT sí
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Obtener el texto plano de un cue, sin etiquetas de formato ni de voz
+ * @param {string} text - Texto del cue
+ * @returns {string} Texto en una sola línea
+ */
+const toPlainText = (text) => text
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Generar un archivo WebVTT a partir de una lista de cues
+ * @param {Array<Object>} cues - Cues con start, end, text y opcionalmente identifier y settings
+ * @returns {string} Contenido WebVTT
+ */
+const serializeVtt = (cues) => {
+  const blocks = cues.map((cue) => {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`;
+    return [cue.identifier, timing, cue.text].filter(Boolean).join('\n');
+  });
+
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+};
+
+/**
+ * Convertir un archivo SRT a WebVTT
+ * @param {string} text - Contenido SRT
+ * @returns {string} Contenido WebVTT
+ */
+const srtToVtt = (text) => serializeVtt(parseSrt(text));
+
+module.exports = {
+  CaptionFormatError,
+  formatTimestamp,
+  parseVtt,
+  parseSrt,
+  serializeVtt,
+  srtToVtt,
+  toPlainText,
+};
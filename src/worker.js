@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const videoJobs = require('./jobs/videoJobs');
+const mediaJobs = require('./jobs/mediaJobs');
+const { startJobRunner, stopJobRunner } = require('./jobs/jobRunner');
+const { startMediaReconciler, stopMediaReconciler } = require('./jobs/mediaReconciler');
+const { startTrashPurger, stopTrashPurger } = require('./jobs/trashPurger');
+const { logger } = require('./utils/logger');
+
+// Cargar variables de entorno
+require('dotenv').config();
+
+/**
+ * Proceso worker que ejecuta los trabajos en segundo plano (procesamiento y eliminación de archivos)
+ * Se inicia aparte de la API con `npm run worker`
+ */
+const start = async () => {
+  await connectDB();
+
+  startJobRunner({
+    ...videoJobs,
+    ...mediaJobs,
+  });
+  startMediaReconciler();
+  startTrashPurger();
+};
+
+/**
+ * Detener el worker tras terminar el trabajo en curso
+ * @param {string} signal - Señal recibida
+ */
+const shutdown = async (signal) => {
+  logger.info(`Señal ${signal} recibida, deteniendo el worker`);
+
+  stopMediaReconciler();
+  stopTrashPurger();
+  await stopJobRunner();
+  await mongoose.connection.close();
+
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('unhandledRejection', (err) => {
+  logger.error(`Error no manejado en el worker: ${err.message}`);
+  process.exit(1);
+});
+
+start();